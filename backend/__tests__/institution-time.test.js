@@ -0,0 +1,99 @@
+jest.mock('@supabase/supabase-js', () => ({ createClient: jest.fn(() => ({})) }));
+
+const { zonedTimeToUtc, getSessionStart, toInstitutionDate, toInstitutionTime } = require('../institution-time.js');
+const { scoreCheckIn } = require('../attendance-policy.js');
+
+const TIME_ZONE = 'America/New_York';
+
+// late after 5 minutes, absent after 30, minutes_late counted from start
+const policy = {
+  grace_minutes: 0,
+  late_after_minutes: 5,
+  absent_after_minutes: 30
+};
+
+describe('institution time across DST changes', () => {
+  const originalTimeZone = process.env.INSTITUTION_TIMEZONE;
+
+  beforeAll(() => {
+    process.env.INSTITUTION_TIMEZONE = TIME_ZONE;
+  });
+
+  afterAll(() => {
+    if (originalTimeZone === undefined) {
+      delete process.env.INSTITUTION_TIMEZONE;
+    } else {
+      process.env.INSTITUTION_TIMEZONE = originalTimeZone;
+    }
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('uses standard time before spring forward and daylight time after', () => {
+      expect(zonedTimeToUtc('2025-03-08', '09:00', TIME_ZONE).toISOString()).toBe('2025-03-08T14:00:00.000Z');
+      expect(zonedTimeToUtc('2025-03-09', '09:00', TIME_ZONE).toISOString()).toBe('2025-03-09T13:00:00.000Z');
+    });
+
+    it('moves a time skipped by spring forward past the jump (02:30 -> 03:30 EDT)', () => {
+      expect(zonedTimeToUtc('2025-03-09', '02:30', TIME_ZONE).toISOString()).toBe('2025-03-09T07:30:00.000Z');
+    });
+
+    it('resolves a time repeated by fall back to its first occurrence (01:30 EDT)', () => {
+      expect(zonedTimeToUtc('2025-11-02', '01:30', TIME_ZONE).toISOString()).toBe('2025-11-02T05:30:00.000Z');
+    });
+
+    it('uses standard time after fall back', () => {
+      expect(zonedTimeToUtc('2025-11-02', '09:00', TIME_ZONE).toISOString()).toBe('2025-11-02T14:00:00.000Z');
+    });
+
+    it('round-trips to the same wall clock on both change dates', () => {
+      ['2025-03-09', '2025-11-02'].forEach((date) => {
+        const instant = zonedTimeToUtc(date, '18:30:00', TIME_ZONE);
+        expect(toInstitutionDate(instant)).toBe(date);
+        expect(toInstitutionTime(instant)).toBe('18:30:00');
+      });
+    });
+  });
+
+  describe('getSessionStart', () => {
+    it('reads the session date and start time in the institution timezone', () => {
+      expect(getSessionStart({ date: '2025-03-09', start_time: '02:30:00' }).toISOString()).toBe('2025-03-09T07:30:00.000Z');
+      expect(getSessionStart({ date: '2025-11-02', start_time: '01:30:00' }).toISOString()).toBe('2025-11-02T05:30:00.000Z');
+    });
+  });
+
+  describe('late and absent scoring', () => {
+    const score = (session, scannedAt) => scoreCheckIn(policy, getSessionStart(session), new Date(scannedAt));
+
+    it('scores a morning session on the spring-forward date against daylight time', () => {
+      const session = { date: '2025-03-09', start_time: '09:00:00' };
+
+      expect(score(session, '2025-03-09T13:03:00Z')).toEqual({ status: 'present', minutesLate: 0, minutesAfterStart: 3 });
+      expect(score(session, '2025-03-09T13:10:00Z')).toEqual({ status: 'late', minutesLate: 10, minutesAfterStart: 10 });
+      expect(score(session, '2025-03-09T13:45:00Z')).toEqual({ status: 'absent', minutesLate: 45, minutesAfterStart: 45 });
+    });
+
+    it('scores a session in the skipped hour from 03:30 EDT', () => {
+      const session = { date: '2025-03-09', start_time: '02:30:00' };
+
+      expect(score(session, '2025-03-09T07:32:00Z').status).toBe('present');
+      expect(score(session, '2025-03-09T07:40:00Z')).toEqual({ status: 'late', minutesLate: 10, minutesAfterStart: 10 });
+    });
+
+    it('scores a session in the repeated hour from its first occurrence', () => {
+      const session = { date: '2025-11-02', start_time: '01:30:00' };
+
+      expect(score(session, '2025-11-02T05:33:00Z').status).toBe('present');
+      expect(score(session, '2025-11-02T05:50:00Z')).toEqual({ status: 'late', minutesLate: 20, minutesAfterStart: 20 });
+      // 01:35 on the clock again, but an hour after the session started
+      expect(score(session, '2025-11-02T06:35:00Z')).toEqual({ status: 'absent', minutesLate: 65, minutesAfterStart: 65 });
+    });
+
+    it('scores a morning session on the fall-back date against standard time', () => {
+      const session = { date: '2025-11-02', start_time: '09:00:00' };
+
+      expect(score(session, '2025-11-02T13:55:00Z')).toEqual({ status: 'present', minutesLate: 0, minutesAfterStart: -5 });
+      expect(score(session, '2025-11-02T14:10:00Z')).toEqual({ status: 'late', minutesLate: 10, minutesAfterStart: 10 });
+      expect(score(session, '2025-11-02T14:31:00Z')).toEqual({ status: 'absent', minutesLate: 31, minutesAfterStart: 31 });
+    });
+  });
+});
@@ -0,0 +1,590 @@
+// One class, with a professor, a TA, a department admin and an enrolled
+// student. Every resource a route can name belongs to that class (or is that
+// student / professor / department), so the matrix below says who of them
+// may call each route.
+const mockIds = {
+  class: '00000000-0000-4000-8000-000000000001',
+  session: '00000000-0000-4000-8000-000000000002',
+  enrollment: '00000000-0000-4000-8000-000000000003',
+  record: '00000000-0000-4000-8000-000000000004',
+  flag: '00000000-0000-4000-8000-000000000005',
+  dispute: '00000000-0000-4000-8000-000000000006',
+  excuseRequest: '00000000-0000-4000-8000-000000000007',
+  legacyClass: '00000000-0000-4000-8000-000000000008',
+  department: '00000000-0000-4000-8000-000000000009',
+  student: '00000000-0000-4000-8000-000000000010',
+  owner: '00000000-0000-4000-8000-000000000011',
+  otherProfessor: '00000000-0000-4000-8000-000000000012',
+  ta: '00000000-0000-4000-8000-000000000013',
+  departmentAdmin: '00000000-0000-4000-8000-000000000014',
+  admin: '00000000-0000-4000-8000-000000000015'
+};
+
+const mockState = { signedInUser: null, writes: [], inFilters: [] };
+
+const MOCK_WRITE_METHODS = ['insert', 'upsert', 'update', 'delete'];
+
+// Filters are ignored: each table holds the one row the fixture needs, and
+// the queries only look up rows for the people they concern
+const mockTables = {
+  users: () => mockState.signedInUser,
+  students: () => ({ user_id: mockIds.student, student_id: 'S-0001' }),
+  class_instances: () => ({
+    id: mockIds.class,
+    professor_id: mockIds.owner,
+    courses: { department_id: mockIds.department }
+  }),
+  class_sessions: () => ({
+    id: mockIds.session,
+    class_instance_id: mockIds.class,
+    status: 'active',
+    is_active: true,
+    date: '2025-03-10',
+    start_time: '09:00:00',
+    end_time: '10:00:00',
+    qr_mode: 'time_step',
+    qr_seed: 'seed-that-must-stay-on-the-server',
+    qr_secret: 'secret-that-must-stay-on-the-server',
+    qr_expires_at: new Date().toISOString(),
+    class_instances: { id: mockIds.class }
+  }),
+  enrollments: () => ({
+    id: mockIds.enrollment,
+    class_instance_id: mockIds.class,
+    student_id: mockIds.student,
+    class_instances: { professor_id: mockIds.owner, courses: { department_id: mockIds.department } }
+  }),
+  attendance_records: () => ({ student_id: mockIds.student, class_sessions: { class_instance_id: mockIds.class } }),
+  attendance_flags: () => ({ student_id: mockIds.student, class_sessions: { class_instance_id: mockIds.class } }),
+  attendance_disputes: () => ({ class_instance_id: mockIds.class, student_id: mockIds.student }),
+  excuse_requests: () => ({ class_instance_id: mockIds.class, student_id: mockIds.student }),
+  classes: () => ({ id: mockIds.legacyClass, professor_id: mockIds.owner }),
+  class_teaching_assistants: () => ({ class_instance_id: mockIds.class }),
+  department_admins: () => ({ department_id: mockIds.department })
+};
+
+// Any other builder method (select, eq, order, ...) just chains; writes are
+// recorded in mockState.writes and .in() filters in mockState.inFilters
+const mockQuery = (table) => {
+  const row = mockTables[table] ? mockTables[table]() : null;
+  const terminals = {
+    maybeSingle: async () => ({ data: row, error: null }),
+    single: async () => ({ data: row, error: null }),
+    then: (resolve, reject) => Promise.resolve({ data: row ? [row] : [], error: null, count: row ? 1 : 0 }).then(resolve, reject)
+  };
+
+  const query = new Proxy(terminals, {
+    get: (target, method) => {
+      if (method in target) return target[method];
+      if (typeof method !== 'string') return undefined;
+
+      return (...args) => {
+        if (MOCK_WRITE_METHODS.includes(method)) mockState.writes.push({ table, method });
+        if (method === 'in') mockState.inFilters.push({ table, column: args[0], values: args[1] });
+        return query;
+      };
+    }
+  });
+
+  return query;
+};
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: jest.fn(() => ({
+    from: (table) => mockQuery(table),
+    rpc: async (name) => {
+      mockState.writes.push({ rpc: name });
+      return { data: null, error: null };
+    },
+    storage: { from: () => mockQuery('storage') }
+  }))
+}));
+
+process.env.AUTH_LOCAL_SIGNING_KEY = 'route-access-test-key';
+
+const { app } = require('../optimized-server.js');
+const { QR_SECRET_FIELDS } = require('../qr-nonce-ledger.js');
+const { authorize, listRouteAccess } = require('../authorization.js');
+const { signLocalToken } = require('../auth-middleware.js');
+
+const PEOPLE = {
+  student: { id: mockIds.student, role: 'student' },
+  owner: { id: mockIds.owner, role: 'professor' },
+  otherProfessor: { id: mockIds.otherProfessor, role: 'professor' },
+  ta: { id: mockIds.ta, role: 'ta' },
+  departmentAdmin: { id: mockIds.departmentAdmin, role: 'department_admin' },
+  admin: { id: mockIds.admin, role: 'admin' }
+};
+
+const EVERYONE = ['student', 'owner', 'otherProfessor', 'ta', 'departmentAdmin', 'admin'];
+const ANY_STAFF = ['owner', 'otherProfessor', 'ta', 'departmentAdmin', 'admin'];
+const CLASS_STAFF = ['owner', 'ta', 'departmentAdmin', 'admin'];
+const CLASS_MEMBERS = ['student', ...CLASS_STAFF];
+const PROFESSORS = ['owner', 'otherProfessor'];
+const OWNER = ['owner'];
+const SESSION_RUNNERS = ['owner', 'ta'];
+const STUDENT = ['student'];
+const STUDENT_OR_ADMIN = ['student', 'admin'];
+const OWNER_OR_ADMIN = ['owner', 'admin'];
+const ADMIN = ['admin'];
+const PUBLIC = 'public';
+
+// Who may call each route. A new route fails this test until it is added.
+const EXPECTED_ACCESS = {
+  'GET /api/health': PUBLIC,
+  'POST /api/auth/forgot-password': PUBLIC,
+  'POST /api/auth/validate-reset-token': PUBLIC,
+  'POST /api/auth/reset-password': PUBLIC,
+
+  // Classes
+  'POST /api/class-instances': PROFESSORS,
+  'POST /api/classes': PROFESSORS,
+  'GET /api/professors/:professorId/class-instances': OWNER_OR_ADMIN,
+  'GET /api/professors/:professorId/classes': OWNER_OR_ADMIN,
+  'GET /api/professors/:professorId/dashboard': OWNER_OR_ADMIN,
+  'GET /api/class-instances/:instanceId': CLASS_MEMBERS,
+  'PUT /api/class-instances/:instanceId': OWNER,
+  'DELETE /api/class-instances/:classInstanceId': OWNER,
+  'PATCH /api/class-instances/:classInstanceId/pin': OWNER,
+  'PATCH /api/class-instances/:classInstanceId/status': OWNER,
+  'PATCH /api/class-instances/:classInstanceId/geofence': OWNER,
+  'PATCH /api/class-instances/:classInstanceId/qr-mode': OWNER,
+  'PATCH /api/class-instances/:classInstanceId/auto-sessions': OWNER,
+  'PATCH /api/class-instances/:classInstanceId/counted-session-types': OWNER,
+  'GET /api/class-instances/:instanceId/analytics': CLASS_STAFF,
+  'GET /api/classes/:classId/analytics': CLASS_STAFF,
+  'GET /api/classes': ADMIN,
+  'GET /api/classes/:classId': OWNER_OR_ADMIN,
+  'GET /api/classes/:classId/students': OWNER_OR_ADMIN,
+
+  // Enrollment
+  'POST /api/class-instances/:instanceId/enroll': OWNER,
+  'POST /api/class-instances/:classInstanceId/enroll': OWNER,
+  'POST /api/class-instances/:classInstanceId/bulk-enroll': OWNER,
+  'POST /api/class-instances/:instanceId/unenroll': OWNER,
+  'POST /api/class-instances/:classInstanceId/unenroll': OWNER,
+  'POST /api/enroll/self': STUDENT,
+  'GET /api/class-instances/:classInstanceId/students': CLASS_STAFF,
+  'GET /api/enrollments': ADMIN,
+  'POST /api/enrollments': OWNER,
+  'PUT /api/enrollments/:enrollmentId/grade': OWNER,
+  'POST /api/classes/:classId/enroll': OWNER,
+  'POST /api/classes/:classId/unenroll': OWNER,
+
+  // Sessions
+  'GET /api/class-instances/:instanceId/sessions': CLASS_MEMBERS,
+  'GET /api/classes/:classId/sessions': CLASS_MEMBERS,
+  'POST /api/class-instances/:classInstanceId/sessions': OWNER,
+  'POST /api/class-instances/:classInstanceId/sessions/bulk': OWNER,
+  'GET /api/professors/:professorId/sessions': OWNER_OR_ADMIN,
+  'GET /api/sessions': ADMIN,
+  'GET /api/sessions/:sessionId': CLASS_MEMBERS,
+  'PUT /api/sessions/:sessionId': OWNER,
+  'POST /api/sessions/:sessionId/activate': SESSION_RUNNERS,
+  'POST /api/sessions/:sessionId/complete': SESSION_RUNNERS,
+  'POST /api/sessions/:sessionId/pause': SESSION_RUNNERS,
+  'POST /api/sessions/:sessionId/resume': SESSION_RUNNERS,
+  'POST /api/sessions/:sessionId/checkout': SESSION_RUNNERS,
+  'POST /api/sessions/:sessionId/cancel': OWNER,
+  'GET /api/sessions/:sessionId/status-history': CLASS_STAFF,
+  'GET /api/sessions/:sessionId/qr': SESSION_RUNNERS,
+  'GET /api/sessions/:sessionId/qr-code': SESSION_RUNNERS,
+  'GET /api/sessions/:sessionId/qr-code-legacy': SESSION_RUNNERS,
+
+  // Attendance
+  'POST /api/attendance/scan': STUDENT,
+  'GET /api/sessions/:sessionId/attendance': CLASS_STAFF,
+  'PATCH /api/sessions/:sessionId/attendance': OWNER,
+  'PATCH /api/sessions/:sessionId/attendance/:studentNumber': OWNER,
+  'PUT /api/attendance/:recordId': OWNER,
+  'GET /api/attendance/:recordId/history': CLASS_MEMBERS,
+  'GET /api/sessions/:sessionId/attendance-history': CLASS_STAFF,
+  'POST /api/classes/:classId/backfill-attendance': OWNER,
+  'GET /api/attendance': ADMIN,
+  'GET /api/qr-usage': ADMIN,
+  'POST /api/refresh-analytics': ADMIN,
+
+  // A student's own pages, also open to whoever teaches them
+  'GET /api/students/:studentId/attendance-history': CLASS_MEMBERS,
+  'GET /api/attendance/student/:studentId': CLASS_MEMBERS,
+  'GET /api/attendance/student/:studentId/today-stats': CLASS_MEMBERS,
+  'GET /api/attendance/student/:studentId/stats': CLASS_MEMBERS,
+  'GET /api/students/:studentId/classes': CLASS_MEMBERS,
+  'GET /api/students/:studentId/classes/stats': CLASS_MEMBERS,
+  'GET /api/students/:studentId/classes/:classId': CLASS_MEMBERS,
+  'GET /api/students/:studentId/devices': CLASS_MEMBERS,
+  'DELETE /api/students/:studentId/devices/:deviceId': STUDENT_OR_ADMIN,
+  'GET /api/students/:studentId/excuse-requests': CLASS_MEMBERS,
+  'GET /api/students/:studentId/attendance-disputes': CLASS_MEMBERS,
+
+  // Devices and flagged scans
+  'POST /api/devices/register': STUDENT,
+  'GET /api/class-instances/:instanceId/flagged-scans': CLASS_STAFF,
+  'PATCH /api/attendance-flags/:flagId': OWNER,
+
+  // Rooms
+  'GET /api/rooms': ANY_STAFF,
+  'PUT /api/rooms': ['departmentAdmin', 'admin'],
+  'DELETE /api/rooms/:roomId': ADMIN,
+
+  // Attendance policies and grading
+  'GET /api/class-instances/:instanceId/attendance-policy': CLASS_STAFF,
+  'PUT /api/class-instances/:instanceId/attendance-policy': OWNER,
+  'GET /api/departments/:departmentId/attendance-policy': ANY_STAFF,
+  'PUT /api/departments/:departmentId/attendance-policy': ['departmentAdmin', 'admin'],
+  'GET /api/attendance-policy': ANY_STAFF,
+  'PUT /api/attendance-policy': ADMIN,
+  'GET /api/class-instances/:instanceId/attendance-grading': CLASS_STAFF,
+  'POST /api/class-instances/:instanceId/attendance-grading/preview': OWNER,
+  'PUT /api/class-instances/:instanceId/attendance-grading': OWNER,
+  'PUT /api/enrollments/:enrollmentId/attendance-grade': OWNER,
+  'DELETE /api/enrollments/:enrollmentId/attendance-grade': OWNER,
+
+  // Excuses and disputes
+  'POST /api/excuse-requests': STUDENT,
+  'GET /api/professors/:professorId/excuse-requests': OWNER_OR_ADMIN,
+  'GET /api/excuse-requests/:requestId/documents/:documentId': CLASS_MEMBERS,
+  'POST /api/excuse-requests/:requestId/review': OWNER,
+  'POST /api/attendance/:recordId/disputes': STUDENT,
+  'GET /api/professors/:professorId/attendance-disputes': OWNER_OR_ADMIN,
+  'GET /api/attendance-disputes/:disputeId/documents/:documentId': CLASS_MEMBERS,
+  'POST /api/attendance-disputes/:disputeId/resolve': OWNER,
+
+  // Directory and reference data
+  'GET /api/users': ADMIN,
+  'GET /api/students': ANY_STAFF,
+  'GET /api/students/all': ANY_STAFF,
+  'GET /api/students/search': ANY_STAFF,
+  'POST /api/students': ADMIN,
+  'GET /api/professors': ANY_STAFF,
+  'GET /api/courses': EVERYONE,
+  'GET /api/departments': EVERYONE,
+  'GET /api/academic-periods': EVERYONE,
+  'POST /api/academic-periods/update-current': ADMIN,
+  'GET /api/academic-periods/:periodId/calendar': EVERYONE,
+  'POST /api/academic-periods/:periodId/calendar': ADMIN,
+  'DELETE /api/academic-periods/:periodId/calendar/:dayId': ADMIN,
+
+  // Jobs and notifications
+  'GET /api/admin/jobs': ADMIN,
+  'POST /api/admin/jobs/:jobId/retry': ADMIN,
+  'GET /api/notifications': EVERYONE,
+  'GET /api/notifications/unread-count': EVERYONE,
+  'PATCH /api/notifications/:id/read': EVERYONE,
+  'POST /api/notifications/test': EVERYONE
+};
+
+/**
+ * Params, body and query for a route, with every resource its rules name
+ * pointing into the fixture class and any other path param set to an ID
+ * @param {Array<Object>|string} rules - From listRouteAccess
+ * @param {string} path - Route path as registered
+ * @returns {Object} { params, body, query }
+ */
+const buildRequestInput = (rules, path = '') => {
+  const input = { params: {}, body: {}, query: {} };
+
+  (path.match(/:\w+/g) || []).forEach(param => {
+    input.params[param.slice(1)] = mockIds.session;
+  });
+
+  if (Array.isArray(rules)) {
+    rules.forEach(rule => {
+      Object.keys(rule)
+        .filter(key => !['roles', 'from', 'as'].includes(key))
+        .forEach(kind => {
+          input[rule.from || 'params'][rule[kind]] = kind === 'professor' ? mockIds.owner : mockIds[kind];
+        });
+    });
+  }
+
+  return input;
+};
+
+/**
+ * Run a route's access rules for one person
+ * @param {Array<Object>} rules - From listRouteAccess
+ * @param {Object} user - One of PEOPLE
+ * @returns {Promise<boolean>}
+ */
+const isAllowed = async (rules, user) => {
+  const req = { user, ...buildRequestInput(rules), method: 'GET', originalUrl: '/test' };
+
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+
+  let allowed = false;
+  await authorize(...rules)(req, res, () => { allowed = true; });
+  return allowed;
+};
+
+describe('route access matrix', () => {
+  const routes = listRouteAccess(app);
+
+  it('lists every route in the expected matrix', () => {
+    const missing = routes
+      .map(route => `${route.method} ${route.path}`)
+      .filter(route => !(route in EXPECTED_ACCESS));
+
+    expect(missing).toEqual([]);
+  });
+
+  it('has no stale entries in the expected matrix', () => {
+    const registered = new Set(routes.map(route => `${route.method} ${route.path}`));
+    expect(Object.keys(EXPECTED_ACCESS).filter(route => !registered.has(route))).toEqual([]);
+  });
+
+  it('lets exactly the expected people call each route', async () => {
+    const mismatches = [];
+
+    for (const route of routes) {
+      const key = `${route.method} ${route.path}`;
+      const expected = EXPECTED_ACCESS[key];
+      if (!expected) continue;
+
+      if (expected === PUBLIC || route.rules === 'public') {
+        if (expected !== route.rules) mismatches.push({ route: key, expected, actual: route.rules });
+        continue;
+      }
+
+      const allowed = [];
+      for (const name of EVERYONE) {
+        if (await isAllowed(route.rules, PEOPLE[name])) allowed.push(name);
+      }
+
+      if (allowed.join() !== EVERYONE.filter(name => expected.includes(name)).join()) {
+        mismatches.push({ route: key, expected, actual: allowed });
+      }
+    }
+
+    expect(mismatches).toEqual([]);
+  });
+});
+
+/**
+ * Every registration of a route (a path can be registered more than once;
+ * only the first answers over HTTP, but each should be safe)
+ * @param {string} method - e.g. 'GET'
+ * @param {string} path - Route path as registered
+ * @returns {Array<Object>} Express routes
+ */
+const findRoutes = (method, path) => {
+  const found = [];
+
+  const collect = (stack) => stack.forEach(layer => {
+    if (layer.route) {
+      if (layer.route.path === path && layer.route.methods[method.toLowerCase()]) found.push(layer.route);
+    } else if (layer.handle && layer.handle.stack) {
+      collect(layer.handle.stack);
+    }
+  });
+
+  collect(app._router.stack);
+  return found;
+};
+
+/**
+ * Run a route's handlers (access rule first) as one person
+ * @param {Object} route - Express route
+ * @param {Object} user - One of PEOPLE
+ * @param {Object} request - { params, query, body }
+ * @returns {Promise<Object>} { status, body }
+ */
+const callRoute = (route, user, { params = {}, query = {}, body = {} } = {}) => new Promise((resolve, reject) => {
+  const req = { user, params, query, body, method: 'GET', originalUrl: route.path, ip: '127.0.0.1', get: () => undefined };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      resolve({ status: this.statusCode, body: payload });
+      return this;
+    }
+  };
+
+  const handlers = route.stack.map(layer => layer.handle);
+  const runFrom = (index) => (error) => {
+    if (error) return reject(error);
+    if (!handlers[index]) return resolve({ status: null, body: null });
+    Promise.resolve(handlers[index](req, res, runFrom(index + 1))).catch(reject);
+  };
+
+  runFrom(0)();
+});
+
+const studentRoutes = (predicate) => listRouteAccess(app)
+  .filter(route => Array.isArray(EXPECTED_ACCESS[`${route.method} ${route.path}`]) &&
+    EXPECTED_ACCESS[`${route.method} ${route.path}`].includes('student') &&
+    predicate(route));
+
+// The only way a student may create or change attendance
+const STUDENT_CHECK_IN_ROUTE = 'POST /api/attendance/scan';
+
+// Stored procedures that write attendance_records
+const ATTENDANCE_WRITING_RPCS = ['record_attendance_scan', 'apply_attendance_changes', 'review_excuse_request', 'resolve_attendance_dispute'];
+
+// Enough of every student form to get past input validation
+const STUDENT_WRITE_BODY = {
+  class_code: 'CS-101',
+  deviceId: 'device-1',
+  label: 'Phone',
+  class_instance_id: mockIds.class,
+  session_id: mockIds.session,
+  session_ids: [mockIds.session],
+  category: 'illness',
+  description: 'Flu',
+  reason: 'I was there',
+  status: 'present',
+  title: 'Test',
+  message: 'Test'
+};
+
+describe('what students can reach', () => {
+  beforeEach(() => {
+    mockState.writes = [];
+  });
+
+  it('never returns QR secrets from a route a student can read', async () => {
+    const leaks = [];
+
+    for (const access of studentRoutes(route => route.method === 'GET')) {
+      for (const route of findRoutes(access.method, access.path)) {
+        const response = await callRoute(route, PEOPLE.student, buildRequestInput(access.rules, access.path));
+        const payload = JSON.stringify(response.body) || '';
+
+        if (QR_SECRET_FIELDS.some(field => payload.includes(`"${field}"`)) || payload.includes('must-stay-on-the-server')) {
+          leaks.push(`${access.method} ${access.path}`);
+        }
+      }
+    }
+
+    expect(leaks).toEqual([]);
+  });
+
+  it(`only lets students write attendance through ${STUDENT_CHECK_IN_ROUTE}`, async () => {
+    const writers = [];
+
+    for (const access of studentRoutes(route => route.method !== 'GET')) {
+      const key = `${access.method} ${access.path}`;
+      if (key === STUDENT_CHECK_IN_ROUTE) continue;
+
+      for (const route of findRoutes(access.method, access.path)) {
+        mockState.writes = [];
+        const input = buildRequestInput(access.rules, access.path);
+        await callRoute(route, PEOPLE.student, { ...input, body: { ...STUDENT_WRITE_BODY, ...input.body } });
+
+        const attendanceWrites = mockState.writes.filter(write =>
+          write.table === 'attendance_records' || ATTENDANCE_WRITING_RPCS.includes(write.rpc));
+
+        if (attendanceWrites.length > 0) writers.push(key);
+      }
+    }
+
+    expect(writers).toEqual([]);
+  });
+
+  const STUDENT_SESSION_READS = [
+    ['GET /api/sessions/:sessionId', { sessionId: mockIds.session }],
+    ['GET /api/class-instances/:instanceId/sessions', { instanceId: mockIds.class }],
+    ['GET /api/classes/:classId/sessions', { classId: mockIds.class }]
+  ];
+
+  it.each(STUDENT_SESSION_READS)('%s never returns QR secrets', async (key, params) => {
+    const [method, path] = key.split(' ');
+    const routes = findRoutes(method, path);
+    expect(routes.length).toBeGreaterThan(0);
+
+    for (const route of routes) {
+      const response = await callRoute(route, PEOPLE.student, { params });
+      const payload = JSON.stringify(response.body);
+
+      expect(response.status).toBe(200);
+      QR_SECRET_FIELDS.forEach(field => expect(payload).not.toContain(`"${field}"`));
+      expect(payload).not.toContain('must-stay-on-the-server');
+    }
+  });
+});
+
+describe('malformed IDs', () => {
+  it.each([
+    ['GET /api/sessions/:sessionId', { sessionId: 'not-a-uuid' }],
+    ['GET /api/class-instances/:instanceId/sessions', { instanceId: '42' }],
+    ['GET /api/attendance-disputes/:disputeId/documents/:documentId', { disputeId: 'abc', documentId: mockIds.session }]
+  ])('%s answers 404 instead of querying with them', async (key, params) => {
+    const [method, path] = key.split(' ');
+
+    for (const route of findRoutes(method, path)) {
+      const response = await callRoute(route, PEOPLE.admin, { params });
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual(expect.objectContaining({ success: false, code: 'NOT_FOUND' }));
+    }
+  });
+});
+
+describe("a student's excuse requests and disputes", () => {
+  const STUDENT_REQUEST_LISTS = [
+    ['GET /api/students/:studentId/excuse-requests', 'excuse_requests'],
+    ['GET /api/students/:studentId/attendance-disputes', 'attendance_disputes']
+  ];
+
+  /**
+   * Classes a list was narrowed to when one person called it
+   * @param {string} key - "METHOD /path"
+   * @param {string} table - Table the list reads
+   * @param {Object} user - One of PEOPLE
+   * @returns {Promise<Array<string>|null>} null when it wasn't narrowed
+   */
+  const listClassScope = async (key, table, user) => {
+    const [method, path] = key.split(' ');
+    const [route] = findRoutes(method, path);
+
+    mockState.inFilters = [];
+    const response = await callRoute(route, user, { params: { studentId: mockIds.student } });
+    expect(response.status).toBe(200);
+
+    const filter = mockState.inFilters.find(entry => entry.table === table && entry.column === 'class_instance_id');
+    return filter ? filter.values : null;
+  };
+
+  it.each(STUDENT_REQUEST_LISTS)('%s only shows teaching staff their own classes', async (key, table) => {
+    for (const name of ['owner', 'ta', 'departmentAdmin']) {
+      expect(await listClassScope(key, table, PEOPLE[name])).toEqual([mockIds.class]);
+    }
+  });
+
+  it.each(STUDENT_REQUEST_LISTS)('%s shows the student and admins everything', async (key, table) => {
+    expect(await listClassScope(key, table, PEOPLE.student)).toBeNull();
+    expect(await listClassScope(key, table, PEOPLE.admin)).toBeNull();
+  });
+});
+
+describe('GET /api/sessions/:sessionId/qr-code', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  it('refuses an enrolled student', async () => {
+    mockState.signedInUser = { ...PEOPLE.student, email: 'student@example.edu', is_active: true };
+
+    const response = await fetch(`${baseUrl}/api/sessions/${mockIds.session}/qr-code`, {
+      headers: { Authorization: `Bearer ${signLocalToken(mockIds.student)}` }
+    });
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual(expect.objectContaining({ success: false, code: 'FORBIDDEN' }));
+  });
+});
@@ -0,0 +1,169 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const {
+  validateCalendarDayInput,
+  getCalendarDays,
+  applyCalendarDay
+} = require('./academic-calendar.js');
+const { ALL_ROLES, ROLES, authorize } = require('./authorization.js');
+require('dotenv').config({ path: '.env.local' });
+
+const router = express.Router();
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ACADEMIC CALENDAR (HOLIDAYS, BREAKS, SUBSTITUTION DAYS)
+// =====================================================
+
+/**
+ * Load an academic period
+ * @param {string} periodId - The academic period ID
+ * @returns {Promise<Object|null>}
+ */
+const fetchPeriod = async (periodId) => {
+  const { data, error } = await supabase
+    .from('academic_periods')
+    .select('id, name, start_date, end_date')
+    .eq('id', periodId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Calendar entries for a period
+ * GET /api/academic-periods/:periodId/calendar
+ */
+router.get('/api/academic-periods/:periodId/calendar', authorize({ roles: ALL_ROLES }), async (req, res) => {
+  try {
+    const { periodId } = req.params;
+
+    const period = await fetchPeriod(periodId);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: 'Academic period not found'
+      });
+    }
+
+    const days = await getCalendarDays(periodId);
+
+    res.json({
+      success: true,
+      period,
+      data: days,
+      count: days.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching academic calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Add a holiday, break, reading day or substitution day. Sessions that
+ * already exist on those dates are cancelled (or added, for classes that
+ * meet on a substitution day's followed weekday) and people are notified.
+ * POST /api/academic-periods/:periodId/calendar
+ */
+router.post('/api/academic-periods/:periodId/calendar', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { periodId } = req.params;
+
+    const period = await fetchPeriod(periodId);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: 'Academic period not found'
+      });
+    }
+
+    const validation = validateCalendarDayInput(req.body, period);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { data: entry, error: insertError } = await supabase
+      .from('academic_calendar_days')
+      .insert({
+        ...validation.values,
+        academic_period_id: periodId,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    console.log(`📅 Added ${entry.day_type} "${entry.name}" to ${period.name}`);
+
+    const sessions = await applyCalendarDay(entry);
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+      sessions
+    });
+  } catch (error) {
+    console.error('❌ Error adding academic calendar day:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Remove a calendar entry. Sessions it cancelled stay cancelled; future
+ * session generation simply stops skipping those dates.
+ * DELETE /api/academic-periods/:periodId/calendar/:dayId
+ */
+router.delete('/api/academic-periods/:periodId/calendar/:dayId', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { periodId, dayId } = req.params;
+
+    const { data: entry, error } = await supabase
+      .from('academic_calendar_days')
+      .delete()
+      .eq('id', dayId)
+      .eq('academic_period_id', periodId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar entry not found'
+      });
+    }
+
+    console.log(`🗑️ Removed ${entry.day_type} "${entry.name}" from the academic calendar`);
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error removing academic calendar day:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const { createClient } = require('@supabase/supabase-js');
+const { cancelJobs } = require('./job-scheduler.js');
+const { revokeSessionNonces } = require('./qr-nonce-ledger.js');
+const { notifySessionChange } = require('./class-notifications.js');
+const { transitionSession } = require('./session-state.js');
+const { DAY_NAMES, addDays, getDayName } = require('./institution-time.js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ACADEMIC CALENDAR
+// =====================================================
+// Holidays, breaks and reading days have no classes; a substitution day
+// runs another weekday's schedule ("Tuesday follows Monday"). Session
+// generation asks getEffectiveDayName which schedule a date follows.
+
+const CALENDAR_DAY_TYPES = ['holiday', 'break', 'reading_day', 'substitution'];
+const NO_CLASS_DAY_TYPES = ['holiday', 'break', 'reading_day'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a calendar entry from a request body
+ * @param {Object} body - { name, day_type, start_date, end_date, follows_day }
+ * @param {Object} [period] - academic_periods row the entry must fall inside
+ * @returns {Object} { valid, values, error }
+ */
+const validateCalendarDayInput = (body = {}, period) => {
+  const { name, day_type, start_date, follows_day } = body;
+  const end_date = body.end_date || start_date;
+
+  if (!name || !day_type || !start_date) {
+    return { valid: false, error: 'name, day_type and start_date are required' };
+  }
+
+  if (!CALENDAR_DAY_TYPES.includes(day_type)) {
+    return { valid: false, error: `day_type must be one of ${CALENDAR_DAY_TYPES.join(', ')}` };
+  }
+
+  if (!DATE_PATTERN.test(start_date) || !DATE_PATTERN.test(end_date)) {
+    return { valid: false, error: 'Dates must be YYYY-MM-DD' };
+  }
+
+  if (end_date < start_date) {
+    return { valid: false, error: 'end_date must not be before start_date' };
+  }
+
+  if (day_type === 'substitution' && !DAY_NAMES.includes(follows_day)) {
+    return { valid: false, error: `Substitution days need follows_day (${DAY_NAMES.join(', ')})` };
+  }
+
+  if (period && (start_date < period.start_date || end_date > period.end_date)) {
+    return { valid: false, error: `Dates must fall within the academic period (${period.start_date} to ${period.end_date})` };
+  }
+
+  return {
+    valid: true,
+    values: {
+      name,
+      day_type,
+      start_date,
+      end_date,
+      follows_day: day_type === 'substitution' ? follows_day : null
+    }
+  };
+};
+
+/**
+ * Calendar entries for an academic period
+ * @param {string} academicPeriodId - The academic period ID
+ * @returns {Promise<Array>}
+ */
+const getCalendarDays = async (academicPeriodId) => {
+  const { data, error } = await supabase
+    .from('academic_calendar_days')
+    .select('*')
+    .eq('academic_period_id', academicPeriodId)
+    .order('start_date', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Which weekday's schedule a date runs. A no-class entry wins over a
+ * substitution covering the same date.
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {Array} calendarDays - academic_calendar_days rows
+ * @returns {string|null} 'Monday', ..., or null when there are no classes
+ */
+const getEffectiveDayName = (dateString, calendarDays = []) => {
+  const entries = calendarDays.filter(entry =>
+    entry.start_date <= dateString && dateString <= entry.end_date
+  );
+
+  if (entries.some(entry => NO_CLASS_DAY_TYPES.includes(entry.day_type))) {
+    return null;
+  }
+
+  const substitution = entries.find(entry => entry.day_type === 'substitution');
+  return substitution ? substitution.follows_day : getDayName(dateString);
+};
+
+/**
+ * Every date an entry covers
+ * @param {Object} entry - { start_date, end_date }
+ * @returns {Array<string>}
+ */
+const getEntryDates = (entry) => {
+  const dates = [];
+  for (let date = entry.start_date; date <= entry.end_date; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Tell a class's students and professor about sessions the calendar changed
+ * @param {Object} classInstance - Class with courses(code, name) and professor_id
+ * @param {Array} sessions - Affected class_sessions rows
+ * @param {string} type - 'class_cancelled' or 'class_rescheduled'
+ * @param {Object} entry - The calendar entry responsible
+ * @returns {Promise<number>}
+ */
+const notifyCalendarChange = (classInstance, sessions, type, entry) => {
+  const className = `${classInstance.courses.code} - ${classInstance.courses.name}`;
+  const dates = sessions.map(session => session.date).join(', ');
+
+  return notifySessionChange(classInstance, sessions, {
+    type,
+    title: type === 'class_cancelled'
+      ? `${classInstance.courses.code} cancelled: ${entry.name}`
+      : `${classInstance.courses.code} meets on ${dates}`,
+    message: type === 'class_cancelled'
+      ? `${className} will not meet on ${dates} (${entry.name}).`
+      : `${className} meets on ${dates} because it follows the ${entry.follows_day} schedule (${entry.name}).`,
+    metadata: {
+      calendarDayId: entry.id,
+      dayType: entry.day_type,
+      dates: sessions.map(session => session.date)
+    }
+  });
+};
+
+/**
+ * Cancel a class's scheduled sessions that fall on a no-class date
+ * @param {Array} sessions - class_sessions rows to cancel
+ * @param {Object} entry - The calendar entry responsible
+ * @returns {Promise<Array>} The sessions actually cancelled
+ */
+const cancelSessionsForCalendar = async (sessions, entry) => {
+  if (sessions.length === 0) return [];
+
+  const cancelled = [];
+
+  // Only sessions still waiting to run; anything already opened is left alone
+  for (const session of sessions.filter(candidate => candidate.status === 'scheduled')) {
+    const transition = await transitionSession(session.id, 'cancelled', {
+      from: ['scheduled'],
+      actorId: entry.created_by || null,
+      reason: `Academic calendar: ${entry.name}`,
+      fields: {
+        qr_expires_at: null,
+        notes: `Cancelled for ${entry.name}`
+      }
+    });
+
+    if (!transition.success) continue;
+
+    await cancelJobs(session.id);
+    await revokeSessionNonces(session.id);
+    cancelled.push(transition.session);
+  }
+
+  return cancelled;
+};
+
+/**
+ * Bring a period's existing sessions in line with a new calendar entry:
+ * no-class days cancel scheduled sessions, substitution days cancel sessions
+ * that don't meet on the followed weekday and add ones that do
+ * @param {Object} entry - academic_calendar_days row
+ * @returns {Promise<Object>} { cancelled, added } session counts
+ */
+const applyCalendarDay = async (entry) => {
+  const { data: classInstances, error: classError } = await supabase
+    .from('class_instances')
+    .select(`
+      id,
+      professor_id,
+      days_of_week,
+      start_time,
+      end_time,
+      room_location,
+      first_class_date,
+      last_class_date,
+      courses(code, name)
+    `)
+    .eq('academic_period_id', entry.academic_period_id)
+    .eq('is_active', true);
+
+  if (classError) throw classError;
+
+  const dates = getEntryDates(entry);
+  const result = { cancelled: 0, added: 0 };
+
+  for (const classInstance of classInstances || []) {
+    const { data: sessions, error: sessionError } = await supabase
+      .from('class_sessions')
+      .select('id, date, status, session_number')
+      .eq('class_instance_id', classInstance.id)
+      .gte('date', entry.start_date)
+      .lte('date', entry.end_date);
+
+    if (sessionError) throw sessionError;
+
+    const meetsOnFollowedDay = entry.day_type === 'substitution' &&
+      (classInstance.days_of_week || []).includes(entry.follows_day);
+
+    // Everything on a no-class day goes; on a substitution day only the
+    // classes that don't meet on the followed weekday do
+    const toCancel = meetsOnFollowedDay ? [] : (sessions || []);
+    const cancelled = await cancelSessionsForCalendar(toCancel, entry);
+    result.cancelled += cancelled.length;
+    await notifyCalendarChange(classInstance, cancelled, 'class_cancelled', entry);
+
+    if (!meetsOnFollowedDay) continue;
+
+    const existingDates = new Set((sessions || []).map(session => session.date));
+    const missingDates = dates.filter(date =>
+      !existingDates.has(date) &&
+      date >= classInstance.first_class_date &&
+      date <= classInstance.last_class_date
+    );
+
+    if (missingDates.length === 0) continue;
+
+    const { data: lastSession, error: numberError } = await supabase
+      .from('class_sessions')
+      .select('session_number')
+      .eq('class_instance_id', classInstance.id)
+      .order('session_number', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (numberError) throw numberError;
+
+    let sessionNumber = (lastSession?.session_number || 0) + 1;
+    const { data: added, error: insertError } = await supabase
+      .from('class_sessions')
+      .insert(missingDates.map(date => ({
+        class_instance_id: classInstance.id,
+        session_number: sessionNumber++,
+        date,
+        start_time: classInstance.start_time,
+        end_time: classInstance.end_time,
+        room_location: classInstance.room_location,
+        status: 'scheduled',
+        is_active: false,
+        total_enrolled: 0,
+        attendance_count: 0,
+        notes: `${entry.name}: follows ${entry.follows_day} schedule`
+      })))
+      .select();
+
+    if (insertError) throw insertError;
+
+    result.added += added.length;
+    await notifyCalendarChange(classInstance, added, 'class_rescheduled', entry);
+  }
+
+  console.log(`📅 Applied calendar entry "${entry.name}": ${result.cancelled} sessions cancelled, ${result.added} added`);
+  return result;
+};
+
+module.exports = {
+  CALENDAR_DAY_TYPES,
+  NO_CLASS_DAY_TYPES,
+  validateCalendarDayInput,
+  getCalendarDays,
+  getEffectiveDayName,
+  applyCalendarDay
+};
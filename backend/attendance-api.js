@@ -1,6 +1,26 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const QRCodeGenerator = require('./qr-code-generator.js');
+const {
+  QR_REJECTION_MESSAGES,
+  checkNonce,
+  getCaptureSkewSeconds,
+  checkCapturedNonce
+} = require('./qr-nonce-ledger.js');
+const { evaluateScanLocation } = require('./geofence.js');
+const {
+  hashDeviceId,
+  resolveScanDevice,
+  verifyCaptureSignature,
+  detectSuspiciousScan,
+  flagOfflineSubmission
+} = require('./device-registry.js');
+const { resolvePolicySafe, scoreCheckIn, getAttendanceCredit } = require('./attendance-policy.js');
+const { getInstitutionToday, addDays, zonedTimeToUtc, getSessionStart } = require('./institution-time.js');
+const { getCountedSessionTypes, sessionCounts } = require('./session-types.js');
+const { stampAttendanceChange, getRecordHistory, getSessionHistory } = require('./attendance-audit.js');
+const { ROLES, authorize } = require('./authorization.js');
+const { withScanIdempotency } = require('./scan-idempotency.js');
 require('dotenv').config({ path: '.env.local' });
 
 const router = express.Router();
@@ -16,22 +36,273 @@ const supabase = createClient(
 // =====================================================
 
 /**
- * Process QR code scan and record attendance
+ * Verify a scanned payload in whichever QR mode produced it
+ * @param {Object} parsedQRData - The decoded QR payload
+ * @returns {Promise<Object>} { accepted, sessionId, nonce, step, code, error }
+ *   sessionId is only set on rejection when the payload proved authentic
+ */
+const verifyScannedQR = async (parsedQRData) => {
+  if (parsedQRData && parsedQRData.mode === 'totp') {
+    const { data: session, error } = await supabase
+      .from('class_sessions')
+      .select('id, status, qr_mode, qr_seed, qr_lifetime_seconds')
+      .eq('id', parsedQRData.sessionId)
+      .single();
+    
+    if (error || !session || session.qr_mode !== 'totp') {
+      return { accepted: false, code: 'QR_INVALID_FORMAT', error: 'Invalid QR code' };
+    }
+    
+    const validation = QRCodeGenerator.validateTimeStepQR(
+      parsedQRData,
+      session.status === 'active' ? session.qr_seed : null,
+      session.qr_lifetime_seconds || undefined
+    );
+    
+    if (!validation.isValid) {
+      return {
+        accepted: false,
+        code: validation.code,
+        error: validation.error,
+        sessionId: validation.code === 'QR_BAD_SIGNATURE' ? null : session.id
+      };
+    }
+    
+    return { accepted: true, sessionId: validation.sessionId, step: validation.step };
+  }
+  
+  const validation = QRCodeGenerator.validateQR(parsedQRData);
+  if (!validation.isValid) {
+    return { accepted: false, code: validation.code, error: validation.error };
+  }
+  
+  // Check the nonce against the ledger so a forwarded photo stops working
+  // as soon as the session rotates or closes
+  const ledgerResult = await checkNonce(validation.nonce, validation.sessionId);
+  if (!ledgerResult.accepted) {
+    return {
+      accepted: false,
+      code: ledgerResult.code,
+      error: ledgerResult.error,
+      sessionId: validation.sessionId
+    };
+  }
+  
+  return { accepted: true, sessionId: validation.sessionId, nonce: validation.nonce };
+};
+
+// Rejections an offline capture can get past: the code was fine when the
+// device scanned it but had expired (or the session closed) by the time
+// the submission arrived
+const LATE_CAPTURE_CODES = ['QR_EXPIRED', 'QR_ROTATED', 'QR_REVOKED', 'SESSION_CLOSED'];
+
+/**
+ * How long after capture an offline scan can still be submitted
+ * @returns {number} Minutes
+ */
+const getOfflineScanMaxDelayMinutes = () => parseInt(process.env.OFFLINE_SCAN_MAX_DELAY_MINUTES, 10) || 120;
+
+/**
+ * Verify a payload the device captured at an earlier time: it has to have
+ * been valid at that moment. Time-step codes are checked against the
+ * session's current seed, so captures from before a pause or before the
+ * check-out opened can't be proven.
+ * @param {Object} parsedQRData - The decoded QR payload
+ * @param {Date} capturedAt - When the device scanned it
+ * @returns {Promise<Object>} Same shape as verifyScannedQR
+ */
+const verifyCapturedQR = async (parsedQRData, capturedAt) => {
+  if (Date.now() - capturedAt.getTime() > getOfflineScanMaxDelayMinutes() * 60 * 1000) {
+    return { accepted: false, code: 'CAPTURE_TOO_OLD', error: QR_REJECTION_MESSAGES.CAPTURE_TOO_OLD };
+  }
+  
+  const outsideLifetime = (validation, sessionId) => ({
+    accepted: false,
+    code: validation.code === 'QR_EXPIRED' ? 'CAPTURE_OUTSIDE_LIFETIME' : validation.code,
+    error: validation.code === 'QR_EXPIRED' ? QR_REJECTION_MESSAGES.CAPTURE_OUTSIDE_LIFETIME : validation.error,
+    sessionId
+  });
+  
+  if (parsedQRData && parsedQRData.mode === 'totp') {
+    const { data: session, error } = await supabase
+      .from('class_sessions')
+      .select('id, qr_mode, qr_seed, qr_lifetime_seconds')
+      .eq('id', parsedQRData.sessionId)
+      .single();
+    
+    if (error || !session || session.qr_mode !== 'totp') {
+      return { accepted: false, code: 'QR_INVALID_FORMAT', error: 'Invalid QR code' };
+    }
+    
+    const validation = QRCodeGenerator.validateTimeStepQR(
+      parsedQRData,
+      session.qr_seed,
+      session.qr_lifetime_seconds || undefined,
+      capturedAt.getTime()
+    );
+    
+    if (!validation.isValid) {
+      return outsideLifetime(validation, validation.code === 'QR_BAD_SIGNATURE' ? null : session.id);
+    }
+    
+    return { accepted: true, sessionId: validation.sessionId, step: validation.step };
+  }
+  
+  // Allow for the device clock running ahead; the ledger checks the exact lifetime
+  const validation = QRCodeGenerator.validateQR(parsedQRData, capturedAt.getTime() - getCaptureSkewSeconds() * 1000);
+  if (!validation.isValid) {
+    return outsideLifetime(validation, null);
+  }
+  
+  const ledgerResult = await checkCapturedNonce(validation.nonce, validation.sessionId, capturedAt);
+  if (!ledgerResult.accepted) {
+    return {
+      accepted: false,
+      code: ledgerResult.code,
+      error: ledgerResult.error,
+      sessionId: validation.sessionId
+    };
+  }
+  
+  return { accepted: true, sessionId: validation.sessionId, nonce: validation.nonce };
+};
+
+// How record_attendance_scan rejections are reported to the student
+const SCAN_REJECTIONS = {
+  SESSION_NOT_ACTIVE: { status: 404, error: 'Session not found or not active' },
+  STUDENT_NOT_FOUND: { status: 404, error: 'Student record not found' },
+  NOT_ENROLLED: { status: 403, error: 'You are not enrolled in this class' },
+  ALREADY_MARKED: { status: 409, error: 'You have already marked attendance for this session' },
+  CHECKOUT_CLOSED: { status: 409, error: 'Check-out for this session has closed' },
+  NOT_CHECKED_IN: { status: 409, error: 'Check-in for this session has closed; this code is for checking out' },
+  ALREADY_CHECKED_OUT: { status: 409, error: 'You have already checked out of this session' },
+  QR_USE_LIMIT: { status: 400, error: QR_REJECTION_MESSAGES.QR_USE_LIMIT }
+};
+
+/**
+ * Check the session, enrollment and any earlier scan, count the QR nonce's
+ * use and write the check-in or check-out in one transaction
+ * (record_attendance_scan)
+ * @param {string} sessionId - The session ID
+ * @param {string} studentNumber - The signed-in student's number
+ * @param {Array<string>} sessionStatuses - Session statuses the scan may land in
+ * @param {Object} scanFields - attendance_records columns for a check-in
+ * @param {string|null} nonce - Scanned nonce (null for time-step codes)
+ * @returns {Promise<Object>} { result, outcome, student_user_id, record, attended_count, total_records }
+ */
+const recordScan = async (sessionId, studentNumber, sessionStatuses, scanFields, nonce = null) => {
+  const { data, error } = await supabase.rpc('record_attendance_scan', {
+    p_session_id: sessionId,
+    p_student_number: String(studentNumber),
+    p_session_statuses: sessionStatuses,
+    p_scan: scanFields,
+    p_nonce: nonce
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Respond to a check-out recorded against the student's check-in record
+ * @param {Object} res - Express response
+ * @param {Object} scan - { session, attendanceRecord, studentId, submittedOffline }
+ */
+const sendCheckOut = async (res, { session, attendanceRecord, studentId, submittedOffline }) => {
+  console.log('🚪 Check-out recorded:', { studentId, sessionId: session.id, checked_out_at: attendanceRecord.checked_out_at });
+  
+  if (submittedOffline) {
+    try {
+      await flagOfflineSubmission(attendanceRecord, {
+        phase: 'check_out',
+        captured_at: attendanceRecord.checked_out_at,
+        submitted_at: new Date().toISOString()
+      });
+    } catch (flagError) {
+      console.error('❌ Error flagging offline check-out:', flagError);
+    }
+  }
+  
+  if (global.io) {
+    global.io.to(`session-${session.id}`).emit('checkout_update', {
+      sessionId: session.id,
+      studentId,
+      status: attendanceRecord.status,
+      scanned_at: attendanceRecord.scanned_at,
+      checked_out_at: attendanceRecord.checked_out_at
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: 'Check-out recorded. You can leave now.',
+    attendance: {
+      id: attendanceRecord.id,
+      scanned_at: attendanceRecord.scanned_at,
+      checked_out_at: attendanceRecord.checked_out_at,
+      status: attendanceRecord.status,
+      submitted_offline: !!submittedOffline,
+      session: {
+        id: session.id,
+        class_code: session.class_instances.courses.code,
+        class_name: session.class_instances.courses.name,
+        date: session.date,
+        start_time: session.start_time
+      }
+    }
+  });
+};
+
+/**
+ * Process QR code scan and record attendance. While a session's check-out
+ * window is open the same endpoint records check-outs instead.
+ * Optional: idempotencyKey (replays the first result on retries), and
+ * capturedAt with captureSignature for a scan captured offline: signed by
+ * the device's registered key (see verifyCaptureSignature), it can be
+ * submitted after the code expired and is flagged for review. Live scans
+ * are timed when they arrive.
  * POST /api/attendance/scan
  */
-router.post('/api/attendance/scan', async (req, res) => {
+router.post('/api/attendance/scan', authorize({ roles: [ROLES.STUDENT] }), withScanIdempotency, async (req, res) => {
   try {
-    const { qrData, studentId } = req.body;
+    const { qrData, location, deviceId } = req.body;
+    
+    // The student is whoever signed in, never an ID from the body
+    const studentId = req.user.student_number;
+    
+    if (!studentId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only students can scan attendance codes',
+        code: 'NOT_A_STUDENT'
+      });
+    }
     
     console.log('📱 Processing QR code scan for student:', studentId);
     
-    if (!qrData || !studentId) {
+    if (!qrData) {
       return res.status(400).json({
         success: false,
-        error: 'QR data and student ID are required'
+        error: 'QR data is required'
       });
     }
     
+    // When the device scanned the code (its clock may run slightly ahead)
+    let capturedAt = null;
+    if (req.body.capturedAt !== undefined && req.body.capturedAt !== null) {
+      capturedAt = new Date(req.body.capturedAt);
+      
+      if (isNaN(capturedAt.getTime()) || capturedAt.getTime() > Date.now() + getCaptureSkewSeconds() * 1000) {
+        return res.status(400).json({
+          success: false,
+          error: 'capturedAt must be a time in the past',
+          code: 'CAPTURE_TIME_INVALID'
+        });
+      }
+      
+      capturedAt = new Date(Math.min(capturedAt.getTime(), Date.now()));
+    }
+    
     // Parse QR code data
     let parsedQRData;
     try {
@@ -43,18 +314,54 @@ router.post('/api/attendance/scan', async (req, res) => {
       });
     }
     
-    // Validate QR code
-    const validation = QRCodeGenerator.validateQR(parsedQRData);
-    if (!validation.isValid) {
-      return res.status(400).json({
+    // Validate QR code (signed rotating payload or time-step code). A code
+    // that has since expired is still accepted if it was valid when captured
+    // and the device signed the capture.
+    let verification = await verifyScannedQR(parsedQRData);
+    let submittedOffline = false;
+    
+    if (!verification.accepted && capturedAt && LATE_CAPTURE_CODES.includes(verification.code)) {
+      const signed = await verifyCaptureSignature(req.user.id, deviceId, {
+        qrText: typeof qrData === 'string' ? qrData : JSON.stringify(qrData),
+        capturedAt: String(req.body.capturedAt),
+        signature: req.body.captureSignature
+      });
+      const captured = signed
+        ? await verifyCapturedQR(parsedQRData, capturedAt)
+        : { accepted: false, code: 'CAPTURE_UNVERIFIED', error: QR_REJECTION_MESSAGES.CAPTURE_UNVERIFIED };
+      submittedOffline = captured.accepted;
+      verification = captured.accepted
+        ? captured
+        : { ...captured, sessionId: captured.sessionId || verification.sessionId };
+    }
+    
+    if (!verification.accepted) {
+      const rejectedSessionId = verification.sessionId;
+      console.log('🚫 QR scan rejected:', { studentId, sessionId: rejectedSessionId, code: verification.code });
+      
+      // Let the professor's live view show rejections for authentic codes
+      if (global.io && rejectedSessionId) {
+        global.io.to(`session-${rejectedSessionId}`).emit('scan_rejected', {
+          sessionId: rejectedSessionId,
+          studentId,
+          code: verification.code,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      return res.status(verification.code === 'SESSION_CLOSED' ? 409 : 400).json({
         success: false,
-        error: validation.error || 'Invalid QR code'
+        error: verification.error || 'Invalid QR code',
+        code: verification.code
       });
     }
     
-    const sessionId = validation.sessionId;
+    const sessionId = verification.sessionId;
+    const sessionStatuses = submittedOffline ? ['active', 'paused', 'completed'] : ['active'];
     
-    // Check if session exists and is active
+    // Session details for the geofence and scoring (an offline capture may
+    // arrive after the session was paused or closed). record_attendance_scan
+    // checks the status again under a lock.
     const { data: session, error: sessionError } = await supabase
       .from('class_sessions')
       .select(`
@@ -62,12 +369,13 @@ router.post('/api/attendance/scan', async (req, res) => {
         class_instances!inner(
           id,
           professor_id,
+          geofence_mode,
           courses(code, name),
           academic_periods(name)
         )
       `)
       .eq('id', sessionId)
-      .eq('status', 'active')
+      .in('status', sessionStatuses)
       .single();
     
     if (sessionError || !session) {
@@ -77,93 +385,107 @@ router.post('/api/attendance/scan', async (req, res) => {
       });
     }
     
-    // First, get the student's user_id from the student_id
-    const { data: studentRecord, error: studentError } = await supabase
-      .from('students')
-      .select('user_id')
-      .eq('student_id', studentId)
-      .single();
+    // When the scan happened: the signed capture time for an offline scan,
+    // otherwise when it reached us (an unsigned capturedAt is never used)
+    const scanTime = submittedOffline ? capturedAt : new Date();
     
-    if (studentError || !studentRecord) {
-      return res.status(404).json({
-        success: false,
-        error: 'Student record not found'
-      });
-    }
+    // Check the reported position against the room for this session
+    const geofence = await evaluateScanLocation(
+      session.class_instances.geofence_mode,
+      session.room_location,
+      location
+    );
     
-    // Check if student is enrolled in this class using user_id
-    const { data: enrollment, error: enrollmentError } = await supabase
-      .from('enrollments')
-      .select('*')
-      .eq('student_id', studentRecord.user_id)
-      .eq('class_instance_id', session.class_instance_id)
-      .single();
-    
-    if (enrollmentError || !enrollment) {
+    if (!geofence.allowed) {
+      console.log('📍 Scan rejected by geofence:', { studentId, sessionId, result: geofence.result, distance: geofence.distance });
       return res.status(403).json({
         success: false,
-        error: 'You are not enrolled in this class'
+        error: geofence.error,
+        code: geofence.code,
+        distance: geofence.distance
       });
     }
     
-    // Check if student has already scanned for this session
-    const { data: existingAttendance, error: attendanceError } = await supabase
-      .from('attendance_records')
-      .select('*')
-      .eq('session_id', sessionId)
-      .eq('student_id', studentRecord.user_id)
-      .single();
+    // Score the scan against the class's attendance policy (only used if
+    // this turns out to be a check-in)
+    // Note: This is based on the scheduled class start time, NOT when the professor started the session
+    const policy = await resolvePolicySafe(session.class_instance_id);
+    const sessionStartTime = getSessionStart(session);
+    const { status: scanStatus, minutesLate } = scoreCheckIn(policy, sessionStartTime, scanTime);
+    const isLate = scanStatus === 'late';
+    
+    // Record attendance: the session, enrollment and earlier-scan checks and
+    // the write happen in one transaction, which also returns the totals
+    const scan = await recordScan(sessionId, studentId, sessionStatuses, {
+      scanned_at: scanTime.toISOString(),
+      captured_at: submittedOffline ? capturedAt.toISOString() : null,
+      submitted_offline: submittedOffline,
+      status: scanStatus,
+      minutes_late: minutesLate,
+      device_fingerprint: hashDeviceId(deviceId) || 'unknown',
+      ip_address: req.ip || req.connection.remoteAddress || null,
+      qr_secret_used: verification.nonce || `step:${verification.step}`,
+      location_latitude: geofence.position?.latitude ?? null,
+      location_longitude: geofence.position?.longitude ?? null,
+      location_accuracy: geofence.position?.accuracy ?? null,
+      distance_from_room: geofence.distance,
+      geofence_result: geofence.result,
+      geofence_flagged: geofence.flagged,
+      ...stampAttendanceChange('scan', {
+        reason: submittedOffline && session.status === 'completed'
+          ? 'Offline scan submitted after the session closed'
+          : null
+      })
+    }, verification.nonce || null);
     
-    if (existingAttendance) {
-      return res.status(409).json({
+    if (scan.result !== 'ok') {
+      const rejection = SCAN_REJECTIONS[scan.result];
+      return res.status(rejection.status).json({
         success: false,
-        error: 'You have already marked attendance for this session',
-        attendance: {
-          id: existingAttendance.id,
-          scanned_at: existingAttendance.scanned_at,
-          status: existingAttendance.status
-        }
+        error: rejection.error,
+        code: scan.result,
+        ...(scan.record && {
+          attendance: {
+            id: scan.record.id,
+            scanned_at: scan.record.scanned_at,
+            ...(scan.result === 'ALREADY_CHECKED_OUT' && { checked_out_at: scan.record.checked_out_at }),
+            status: scan.record.status
+          }
+        })
       });
     }
     
-    // Determine if student is late (more than 5 minutes after class start time)
-    // Note: This is based on the scheduled class start time, NOT when the professor started the session
-    const sessionStartTime = new Date(`${session.date}T${session.start_time}`);
-    const currentTime = new Date();
-    const minutesLate = Math.floor((currentTime - sessionStartTime) / (1000 * 60));
-    const isLate = minutesLate > 5;
+    const attendanceRecord = scan.record;
+    const studentUserId = scan.student_user_id;
     
-    // Record attendance
-    const { data: attendanceRecord, error: recordError } = await supabase
-      .from('attendance_records')
-      .insert({
-        session_id: sessionId,
-        student_id: studentRecord.user_id,
-        scanned_at: currentTime.toISOString(),
-        status: isLate ? 'late' : 'present',
-        minutes_late: isLate ? minutesLate : 0,
-        device_fingerprint: req.headers['user-agent'] || 'unknown',
-        ip_address: req.ip || req.connection.remoteAddress
-      })
-      .select()
-      .single();
+    if (scan.outcome === 'checked_out') {
+      return sendCheckOut(res, { session, attendanceRecord, studentId, submittedOffline });
+    }
     
-    if (recordError) {
-      console.error('❌ Error recording attendance:', recordError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to record attendance'
+    // Flag the scan if this device or IP already checked in someone else.
+    // The device's trust comes from the registry rather than the user-agent.
+    let scanFlags = [];
+    try {
+      const scanDevice = await resolveScanDevice(studentUserId, deviceId);
+      
+      scanFlags = await detectSuspiciousScan(attendanceRecord, {
+        trustedDevice: scanDevice.trusted,
+        geofenceFlagged: geofence.flagged,
+        distance: geofence.distance,
+        offline: submittedOffline ? {
+          phase: 'check_in',
+          captured_at: capturedAt.toISOString(),
+          submitted_at: new Date().toISOString()
+        } : null
       });
+      
+      if (scanFlags.length > 0) {
+        console.log('🚩 Scan flagged for review:', { studentId, sessionId, flags: scanFlags });
+      }
+    } catch (flagError) {
+      console.error('❌ Error running scan flag detection:', flagError);
     }
     
-    // Update session attendance count
-    await supabase
-      .from('class_sessions')
-      .update({
-        attendance_count: session.attendance_count + 1
-      })
-      .eq('id', sessionId);
-    
     console.log('✅ Attendance recorded successfully:', {
       studentId,
       sessionId,
@@ -174,16 +496,8 @@ router.post('/api/attendance/scan', async (req, res) => {
     // Emit real-time update to professor
     if (global.io) {
       const professorId = session.class_instances.professor_id;
-      
-      // Get current attendance count for this session
-      const { data: attendanceRecords } = await supabase
-        .from('attendance_records')
-        .select('status')
-        .eq('session_id', sessionId);
-      
-      const attendedCount = attendanceRecords ? 
-        attendanceRecords.filter(a => ['present', 'late', 'excused'].includes(a.status)).length : 0;
-      const totalStudents = attendanceRecords ? attendanceRecords.length : 0;
+      const attendedCount = scan.attended_count;
+      const totalStudents = scan.total_records;
       const attendanceRate = totalStudents > 0 ? Math.round((attendedCount / totalStudents) * 100) : 0;
       
       // Broadcast to session room
@@ -192,6 +506,9 @@ router.post('/api/attendance/scan', async (req, res) => {
         studentId,
         status: attendanceRecord.status,
         scanned_at: attendanceRecord.scanned_at,
+        geofence_flagged: attendanceRecord.geofence_flagged,
+        submitted_offline: submittedOffline,
+        flags: scanFlags,
         attendanceCount: attendedCount,
         totalStudents,
         attendanceRate
@@ -212,12 +529,12 @@ router.post('/api/attendance/scan', async (req, res) => {
     // Create notification for the student
     try {
       const className = `${session.class_instances.courses.code} - ${session.class_instances.courses.name}`;
-      const statusText = isLate ? `late (${minutesLate} minutes)` : 'present';
+      const statusText = scanStatus === 'present' ? 'present' : `${scanStatus} (${minutesLate} minutes late)`;
       
       const { error: notificationError } = await supabase
         .from('notifications')
         .insert({
-          user_id: studentRecord.user_id,
+          user_id: studentUserId,
           type: 'attendance_recorded',
           title: 'Attendance recorded successfully!',
           message: `Your attendance has been recorded for ${className}. Status: ${statusText}.`,
@@ -243,12 +560,15 @@ router.post('/api/attendance/scan', async (req, res) => {
     
     res.json({
       success: true,
-      message: `Attendance marked successfully! ${isLate ? `You are marked as late (${minutesLate} minutes after class start).` : 'You are present.'}`,
+      message: scanStatus === 'absent'
+        ? `Your scan was recorded, but it is past the absence cutoff (${policy.absent_after_minutes} minutes after class start), so you are marked absent.`
+        : `Attendance marked successfully! ${isLate ? `You are marked as late (${minutesLate} minutes after class start).` : 'You are present.'}`,
       attendance: {
         id: attendanceRecord.id,
         scanned_at: attendanceRecord.scanned_at,
         status: attendanceRecord.status,
         minutes_late: minutesLate,
+        submitted_offline: submittedOffline,
         session: {
           id: session.id,
           class_code: session.class_instances.courses.code,
@@ -269,10 +589,10 @@ router.post('/api/attendance/scan', async (req, res) => {
 });
 
 /**
- * Get attendance records for a student
+ * Get attendance records for a student, each with any disputes filed on it
  * GET /api/attendance/student/:studentId
  */
-router.get('/api/attendance/student/:studentId', async (req, res) => {
+router.get('/api/attendance/student/:studentId', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { sessionId, limit = 50 } = req.query;
@@ -307,6 +627,17 @@ router.get('/api/attendance/student/:studentId', async (req, res) => {
             courses(code, name),
             academic_periods(name)
           )
+        ),
+        attendance_disputes(
+          id,
+          status,
+          reason,
+          disputed_status,
+          resolved_status,
+          resolution_comment,
+          expires_at,
+          resolved_at,
+          created_at
         )
       `)
       .eq('student_id', studentRecord.user_id)
@@ -345,10 +676,10 @@ router.get('/api/attendance/student/:studentId', async (req, res) => {
  * Get today's scan statistics for a student
  * GET /api/attendance/student/:studentId/today-stats
  */
-router.get('/api/attendance/student/:studentId/today-stats', async (req, res) => {
+router.get('/api/attendance/student/:studentId/today-stats', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
   try {
     const { studentId } = req.params;
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    const today = getInstitutionToday(); // YYYY-MM-DD at the institution
     
     console.log(`📊 Fetching today's stats for student ${studentId} on ${today}`);
     
@@ -375,8 +706,8 @@ router.get('/api/attendance/student/:studentId/today-stats', async (req, res) =>
       .from('attendance_records')
       .select('status, scanned_at, created_at')
       .eq('student_id', studentRecord.user_id)
-      .gte('scanned_at', `${today}T00:00:00`)
-      .lt('scanned_at', `${today}T23:59:59`);
+      .gte('scanned_at', zonedTimeToUtc(today).toISOString())
+      .lt('scanned_at', zonedTimeToUtc(addDays(today, 1)).toISOString());
     
     if (error) {
       console.error('❌ Error fetching today\'s stats:', error);
@@ -396,8 +727,9 @@ router.get('/api/attendance/student/:studentId/today-stats', async (req, res) =>
     const lateCount = todayRecords?.filter(r => r.status === 'late').length || 0;
     const absentCount = todayRecords?.filter(r => r.status === 'absent').length || 0;
     const excusedCount = todayRecords?.filter(r => r.status === 'excused').length || 0;
+    const leftEarlyCount = todayRecords?.filter(r => r.status === 'left_early').length || 0;
     
-    console.log(`📊 Stats: Scans=${scansToday}, Present=${presentCount}, Late=${lateCount}, Absent=${absentCount}, Excused=${excusedCount}`);
+    console.log(`📊 Stats: Scans=${scansToday}, Present=${presentCount}, Late=${lateCount}, Absent=${absentCount}, Excused=${excusedCount}, Left early=${leftEarlyCount}`);
     
     res.json({
       success: true,
@@ -406,7 +738,8 @@ router.get('/api/attendance/student/:studentId/today-stats', async (req, res) =>
         present: presentCount,
         late: lateCount,
         absent: absentCount,
-        excused: excusedCount
+        excused: excusedCount,
+        left_early: leftEarlyCount
       }
     });
     
@@ -425,7 +758,7 @@ router.get('/api/attendance/student/:studentId/today-stats', async (req, res) =>
  * Get attendance statistics for a student
  * GET /api/attendance/student/:studentId/stats
  */
-router.get('/api/attendance/student/:studentId/stats', async (req, res) => {
+router.get('/api/attendance/student/:studentId/stats', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
   try {
     const { studentId } = req.params;
     
@@ -436,7 +769,9 @@ router.get('/api/attendance/student/:studentId/stats', async (req, res) => {
         *,
         class_sessions!inner(
           class_instance_id,
+          session_type,
           class_instances!inner(
+            counted_session_types,
             courses(code, name)
           )
         )
@@ -451,16 +786,28 @@ router.get('/api/attendance/student/:studentId/stats', async (req, res) => {
       });
     }
     
+    // Only session types each class counts toward attendance
+    const countedRecords = attendanceRecords.filter(record => sessionCounts(
+      record.class_sessions,
+      getCountedSessionTypes(record.class_sessions.class_instances)
+    ));
+    
     // Calculate statistics
-    const totalSessions = attendanceRecords.length;
-    const presentCount = attendanceRecords.filter(r => r.status === 'present').length;
-    const lateCount = attendanceRecords.filter(r => r.status === 'late').length;
-    const absentCount = totalSessions - presentCount - lateCount;
-    const attendanceRate = totalSessions > 0 ? (presentCount + lateCount) / totalSessions * 100 : 0;
+    const totalSessions = countedRecords.length;
+    const presentCount = countedRecords.filter(r => r.status === 'present').length;
+    const lateCount = countedRecords.filter(r => r.status === 'late').length;
+    const leftEarlyCount = countedRecords.filter(r => r.status === 'left_early').length;
+    const absentCount = totalSessions - presentCount - lateCount - leftEarlyCount;
+    
+    // Left-early sessions earn the partial credit stored on the record
+    const leftEarlyCredit = countedRecords
+      .filter(r => r.status === 'left_early')
+      .reduce((sum, record) => sum + getAttendanceCredit(record), 0);
+    const attendanceRate = totalSessions > 0 ? (presentCount + lateCount + leftEarlyCredit) / totalSessions * 100 : 0;
     
     // Group by class
     const classStats = {};
-    attendanceRecords.forEach(record => {
+    countedRecords.forEach(record => {
       const classCode = record.class_sessions.class_instances.courses.code;
       if (!classStats[classCode]) {
         classStats[classCode] = {
@@ -469,6 +816,7 @@ router.get('/api/attendance/student/:studentId/stats', async (req, res) => {
           total_sessions: 0,
           present_count: 0,
           late_count: 0,
+          left_early_count: 0,
           absent_count: 0
         };
       }
@@ -476,6 +824,7 @@ router.get('/api/attendance/student/:studentId/stats', async (req, res) => {
       classStats[classCode].total_sessions++;
       if (record.status === 'present') classStats[classCode].present_count++;
       else if (record.status === 'late') classStats[classCode].late_count++;
+      else if (record.status === 'left_early') classStats[classCode].left_early_count++;
       else classStats[classCode].absent_count++;
     });
     
@@ -485,6 +834,7 @@ router.get('/api/attendance/student/:studentId/stats', async (req, res) => {
         total_sessions: totalSessions,
         present_count: presentCount,
         late_count: lateCount,
+        left_early_count: leftEarlyCount,
         absent_count: absentCount,
         attendance_rate: Math.round(attendanceRate * 100) / 100,
         class_breakdown: Object.values(classStats)
@@ -500,4 +850,76 @@ router.get('/api/attendance/student/:studentId/stats', async (req, res) => {
   }
 });
 
+// =====================================================
+// ATTENDANCE HISTORY (AUDIT LOG)
+// =====================================================
+
+/**
+ * Every change made to one attendance record, oldest first
+ * GET /api/attendance/:recordId/history
+ */
+router.get('/api/attendance/:recordId/history', authorize({ record: 'recordId', as: ['staff', 'self'] }, { roles: [ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    
+    const { data: record, error: recordError } = await supabase
+      .from('attendance_records')
+      .select('*')
+      .eq('id', recordId)
+      .maybeSingle();
+    
+    if (recordError) throw recordError;
+    
+    const history = await getRecordHistory(recordId);
+    
+    // A deleted record still has its history
+    if (!record && history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance record not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      attendance_record: record,
+      history,
+      count: history.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching attendance record history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Every attendance change in a session, oldest first (optionally for one student)
+ * GET /api/sessions/:sessionId/attendance-history?student_id=
+ */
+router.get('/api/sessions/:sessionId/attendance-history', authorize({ session: 'sessionId', as: ['staff'] }), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { student_id } = req.query;
+    
+    const history = await getSessionHistory(sessionId, { studentId: student_id });
+    
+    res.json({
+      success: true,
+      history,
+      count: history.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching session attendance history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,116 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ATTENDANCE AUDIT LOG
+// =====================================================
+// A database trigger copies every change to attendance_records into the
+// append-only attendance_audit_log (schema STEP 27). Writers stamp each
+// change with stampAttendanceChange so the log knows where it came from
+// and who made it; a status change without a fresh stamp is logged as
+// 'untracked'.
+
+const ATTENDANCE_CHANGE_SOURCES = [
+  'scan',
+  'check_out',
+  'manual',
+  'auto_absent',
+  'auto_left_early',
+  'backfill',
+  'excuse_approval',
+  'dispute_resolution'
+];
+
+/**
+ * Audit columns to spread into an attendance_records insert or update
+ * @param {string} source - One of ATTENDANCE_CHANGE_SOURCES
+ * @param {Object} options - { actorId, reason, at }; actorId is the professor
+ *   making the change (scans are credited to the student by the trigger)
+ * @returns {Object}
+ */
+const stampAttendanceChange = (source, { actorId = null, reason = null, at = new Date().toISOString() } = {}) => {
+  if (!ATTENDANCE_CHANGE_SOURCES.includes(source)) {
+    throw new Error(`Unknown attendance change source: ${source}`);
+  }
+
+  return {
+    change_source: source,
+    status_changed_by: actorId,
+    status_changed_at: at,
+    status_change_reason: reason
+  };
+};
+
+/**
+ * Attach the name and role of whoever made each change
+ * @param {Array} entries - attendance_audit_log rows
+ * @returns {Promise<Array>}
+ */
+const withActors = async (entries) => {
+  const actorIds = [...new Set(entries.map(entry => entry.actor_id).filter(Boolean))];
+  if (actorIds.length === 0) {
+    return entries.map(entry => ({ ...entry, actor: null }));
+  }
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, first_name, last_name, role')
+    .in('id', actorIds);
+
+  if (error) throw error;
+
+  const usersById = new Map(users.map(user => [user.id, user]));
+  return entries.map(entry => ({ ...entry, actor: usersById.get(entry.actor_id) || null }));
+};
+
+/**
+ * Full history of one attendance record, oldest first. Entries survive the
+ * record being deleted.
+ * @param {string} recordId - The attendance record ID
+ * @returns {Promise<Array>}
+ */
+const getRecordHistory = async (recordId) => {
+  const { data, error } = await supabase
+    .from('attendance_audit_log')
+    .select('*')
+    .eq('attendance_record_id', recordId)
+    .order('changed_at', { ascending: true });
+
+  if (error) throw error;
+  return withActors(data);
+};
+
+/**
+ * Every attendance change in a session, oldest first
+ * @param {string} sessionId - The session ID
+ * @param {Object} filters - { studentId } to narrow to one student
+ * @returns {Promise<Array>}
+ */
+const getSessionHistory = async (sessionId, { studentId } = {}) => {
+  let query = supabase
+    .from('attendance_audit_log')
+    .select('*')
+    .eq('session_id', sessionId);
+
+  if (studentId) {
+    query = query.eq('student_id', studentId);
+  }
+
+  const { data, error } = await query.order('changed_at', { ascending: true });
+
+  if (error) throw error;
+  return withActors(data);
+};
+
+module.exports = {
+  ATTENDANCE_CHANGE_SOURCES,
+  stampAttendanceChange,
+  getRecordHistory,
+  getSessionHistory
+};
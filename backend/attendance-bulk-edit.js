@@ -0,0 +1,199 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// BULK ATTENDANCE EDITS
+// =====================================================
+// A professor corrects a whole session in one request: a list of
+// per-student changes, optionally on top of a roster-wide action
+// ("everyone without a record is excused", "everyone is present"). The
+// batch is checked up front and written by the apply_attendance_changes
+// function in a single transaction, so it lands completely or not at all.
+
+// Statuses a professor can set by hand
+const MANUAL_ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+// Who a roster-wide action applies to
+const BULK_ACTION_SCOPES = ['unrecorded', 'all'];
+
+const MAX_BULK_CHANGES = 500;
+
+/**
+ * Check a bulk edit from a request body
+ * @param {Object} body - { changes: [{ student_id | student_number, status, reason }],
+ *   action: { scope, status, reason } }
+ * @returns {Object} { valid, values: { changes, action }, error }
+ */
+const validateBulkAttendanceInput = (body = {}) => {
+  const { changes = [], action = null } = body;
+
+  if (!Array.isArray(changes) || changes.length > MAX_BULK_CHANGES) {
+    return { valid: false, error: `changes must be a list of at most ${MAX_BULK_CHANGES} entries` };
+  }
+
+  if (changes.length === 0 && !action) {
+    return { valid: false, error: 'Provide changes, an action, or both' };
+  }
+
+  if (action) {
+    if (!BULK_ACTION_SCOPES.includes(action.scope)) {
+      return { valid: false, error: `action.scope must be one of ${BULK_ACTION_SCOPES.join(', ')}` };
+    }
+
+    if (!MANUAL_ATTENDANCE_STATUSES.includes(action.status)) {
+      return { valid: false, error: `action.status must be one of ${MANUAL_ATTENDANCE_STATUSES.join(', ')}` };
+    }
+  }
+
+  return {
+    valid: true,
+    values: {
+      changes: changes.map((change, index) => ({
+        index,
+        student_id: change?.student_id || null,
+        student_number: change?.student_number || null,
+        status: change?.status,
+        reason: change?.reason ? String(change.reason).trim() : null
+      })),
+      action: action && {
+        scope: action.scope,
+        status: action.status,
+        reason: action.reason ? String(action.reason).trim() : null
+      }
+    }
+  };
+};
+
+/**
+ * Turn a validated bulk edit into one change per student. Explicit changes
+ * win over the action for the same student. Every row gets a result; if
+ * any row has an error nothing should be applied.
+ * @param {Object} session - class_sessions row with class_instance_id
+ * @param {Object} edit - values from validateBulkAttendanceInput
+ * @returns {Promise<Object>} { rows, errors } where rows are
+ *   { index, student_id, student_number, status, reason, only_if_missing, error }
+ */
+const planBulkAttendance = async (session, { changes, action }) => {
+  const { data: enrollments, error: enrollmentsError } = await supabase
+    .from('enrollments')
+    .select('student_id, students!inner(student_id)')
+    .eq('class_instance_id', session.class_instance_id)
+    .eq('status', 'active');
+
+  if (enrollmentsError) throw enrollmentsError;
+
+  const { data: records, error: recordsError } = await supabase
+    .from('attendance_records')
+    .select('student_id')
+    .eq('session_id', session.id);
+
+  if (recordsError) throw recordsError;
+
+  const studentNumbers = new Map(enrollments.map(enrollment => [enrollment.student_id, enrollment.students.student_id]));
+  const studentIdsByNumber = new Map(enrollments.map(enrollment => [enrollment.students.student_id, enrollment.student_id]));
+  const recordedStudentIds = new Set(records.map(record => record.student_id));
+  const seen = new Set();
+
+  const rows = changes.map(change => {
+    const studentId = change.student_id || studentIdsByNumber.get(change.student_number) || null;
+    const row = {
+      index: change.index,
+      student_id: studentId,
+      student_number: studentNumbers.get(studentId) || change.student_number,
+      status: change.status,
+      reason: change.reason || 'Professor bulk update',
+      only_if_missing: false,
+      error: null
+    };
+
+    if (!change.student_id && !change.student_number) {
+      row.error = 'student_id or student_number is required';
+    } else if (!studentNumbers.has(studentId)) {
+      row.error = 'Student is not enrolled in this class';
+    } else if (!MANUAL_ATTENDANCE_STATUSES.includes(change.status)) {
+      row.error = `status must be one of ${MANUAL_ATTENDANCE_STATUSES.join(', ')}`;
+    } else if (seen.has(studentId)) {
+      row.error = 'Student appears more than once in changes';
+    }
+
+    if (studentId) seen.add(studentId);
+    return row;
+  });
+
+  if (action) {
+    for (const enrollment of enrollments) {
+      if (seen.has(enrollment.student_id)) continue;
+      if (action.scope === 'unrecorded' && recordedStudentIds.has(enrollment.student_id)) continue;
+
+      rows.push({
+        index: null,
+        student_id: enrollment.student_id,
+        student_number: enrollment.students.student_id,
+        status: action.status,
+        reason: action.reason || 'Professor bulk update',
+        only_if_missing: action.scope === 'unrecorded',
+        error: null
+      });
+    }
+  }
+
+  return { rows, errors: rows.filter(row => row.error).length };
+};
+
+/**
+ * Write a planned bulk edit in one transaction
+ * @param {string} sessionId - The session ID
+ * @param {string} actorId - Professor making the changes
+ * @param {Array} rows - Error-free rows from planBulkAttendance
+ * @returns {Promise<Object>} { success, results } or { success: false, code, error }
+ */
+const applyBulkAttendance = async (sessionId, actorId, rows) => {
+  const { data: applied, error } = await supabase
+    .rpc('apply_attendance_changes', {
+      p_session_id: sessionId,
+      p_actor_id: actorId,
+      p_changes: rows.map(row => ({
+        student_id: row.student_id,
+        status: row.status,
+        reason: row.reason,
+        only_if_missing: row.only_if_missing
+      }))
+    });
+
+  // A student scanned in between planning and writing; nothing was applied
+  if (error && error.code === '23505') {
+    return {
+      success: false,
+      code: 'ATTENDANCE_CHANGED',
+      error: 'Attendance changed while these edits were being applied; nothing was saved, try again'
+    };
+  }
+
+  if (error) throw error;
+
+  const results = rows.map((row, position) => ({
+    index: row.index,
+    student_id: row.student_id,
+    student_number: row.student_number,
+    attendance_record_id: applied[position].attendance_record_id,
+    previous_status: applied[position].previous_status,
+    status: applied[position].status,
+    outcome: applied[position].outcome
+  }));
+
+  return { success: true, results };
+};
+
+module.exports = {
+  MANUAL_ATTENDANCE_STATUSES,
+  BULK_ACTION_SCOPES,
+  validateBulkAttendanceInput,
+  planBulkAttendance,
+  applyBulkAttendance
+};
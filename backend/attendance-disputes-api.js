@@ -0,0 +1,441 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const {
+  DISPUTE_STATUSES,
+  DISPUTABLE_STATUSES,
+  DISPUTE_RESOLUTION_STATUSES,
+  validateDisputeInput,
+  getDisputeDeadline,
+  uploadDisputeDocuments,
+  removeDisputeDocuments,
+  resolveDispute
+} = require('./attendance-disputes.js');
+const { resolvePolicySafe } = require('./attendance-policy.js');
+const { getDocumentUrl } = require('./document-storage.js');
+const { sendUserNotifications } = require('./class-notifications.js');
+const { ROLES, authorize, getTaughtClassIds } = require('./authorization.js');
+require('dotenv').config({ path: '.env.local' });
+
+const router = express.Router();
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ATTENDANCE DISPUTES
+// =====================================================
+
+const DISPUTE_SELECT = `
+  *,
+  class_instances!inner(id, class_code, professor_id, courses(code, name)),
+  class_sessions(id, session_number, date, start_time, end_time),
+  students(student_id, users(first_name, last_name, email)),
+  attendance_dispute_documents(id, file_name, content_type, size_bytes, uploaded_at)
+`;
+
+/**
+ * Load a dispute with its class, session and evidence
+ * @param {string} disputeId - The dispute ID
+ * @returns {Promise<Object|null>}
+ */
+const fetchDispute = async (disputeId) => {
+  const { data, error } = await supabase
+    .from('attendance_disputes')
+    .select(DISPUTE_SELECT)
+    .eq('id', disputeId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Dispute an attendance record
+ * POST /api/attendance/:recordId/disputes
+ */
+router.post('/api/attendance/:recordId/disputes', authorize({ record: 'recordId', as: ['self'] }), async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const student_id = req.user.id;
+
+    const validation = validateDisputeInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+    const { reason, documents } = validation.values;
+
+    const { data: record, error: recordError } = await supabase
+      .from('attendance_records')
+      .select(`
+        id,
+        student_id,
+        status,
+        session_id,
+        class_sessions!inner(id, date, start_time, end_time, status, class_instance_id)
+      `)
+      .eq('id', recordId)
+      .maybeSingle();
+
+    if (recordError) throw recordError;
+
+    if (!record || record.student_id !== student_id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attendance record not found'
+      });
+    }
+
+    const session = record.class_sessions;
+
+    if (session.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Attendance can only be disputed once the session has closed',
+        code: 'SESSION_NOT_COMPLETED'
+      });
+    }
+
+    if (!DISPUTABLE_STATUSES.includes(record.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Records marked ${record.status} can't be disputed`,
+        code: 'NOT_DISPUTABLE'
+      });
+    }
+
+    const policy = await resolvePolicySafe(session.class_instance_id);
+    const deadline = getDisputeDeadline(session, policy);
+
+    if (new Date() > deadline) {
+      return res.status(409).json({
+        success: false,
+        error: `The dispute window for this session closed at ${deadline.toISOString()}`,
+        code: 'DISPUTE_WINDOW_CLOSED'
+      });
+    }
+
+    // A rejected dispute isn't reopened; an expired one can be filed again
+    const { data: earlier, error: earlierError } = await supabase
+      .from('attendance_disputes')
+      .select('id, status')
+      .eq('attendance_record_id', recordId)
+      .in('status', ['open', 'accepted', 'rejected']);
+
+    if (earlierError) throw earlierError;
+
+    if (earlier.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This record already has a dispute (${earlier[0].status})`,
+        code: 'DISPUTE_EXISTS'
+      });
+    }
+
+    const { data: dispute, error: insertError } = await supabase
+      .from('attendance_disputes')
+      .insert({
+        attendance_record_id: recordId,
+        session_id: session.id,
+        class_instance_id: session.class_instance_id,
+        student_id,
+        disputed_status: record.status,
+        reason,
+        expires_at: new Date(Date.now() + policy.dispute_review_hours * 60 * 60 * 1000).toISOString()
+      })
+      .select()
+      .single();
+
+    // The open-dispute index caught a double submit
+    if (insertError && insertError.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: 'This record already has an open dispute',
+        code: 'DISPUTE_EXISTS'
+      });
+    }
+
+    if (insertError) throw insertError;
+
+    try {
+      await uploadDisputeDocuments(dispute.id, documents);
+    } catch (error) {
+      await removeDisputeDocuments(dispute.id);
+      await supabase.from('attendance_disputes').delete().eq('id', dispute.id);
+      throw error;
+    }
+
+    const saved = await fetchDispute(dispute.id);
+    const courseCode = saved.class_instances.courses.code;
+
+    console.log(`⚖️ Attendance dispute ${saved.id} opened for record ${recordId}`);
+
+    await sendUserNotifications([{
+      user_id: saved.class_instances.professor_id,
+      type: 'dispute_opened',
+      title: `Attendance dispute for ${courseCode}`,
+      message: `${saved.students.users.first_name} ${saved.students.users.last_name} disputes being marked ${record.status} on ${session.date}: ${reason}`,
+      class_id: session.class_instance_id,
+      session_id: session.id,
+      link: '/professor/attendance-disputes',
+      priority: 'medium',
+      metadata: {
+        disputeId: saved.id,
+        attendanceRecordId: recordId
+      }
+    }]);
+
+    res.status(201).json({
+      success: true,
+      data: saved
+    });
+  } catch (error) {
+    console.error('❌ Error opening attendance dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * A student's disputes, newest first
+ * GET /api/students/:studentId/attendance-disputes
+ */
+router.get('/api/students/:studentId/attendance-disputes', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { status } = req.query;
+
+    let query = supabase
+      .from('attendance_disputes')
+      .select(DISPUTE_SELECT)
+      .eq('student_id', studentId);
+
+    // Teaching staff only see the student's disputes in classes they teach
+    if (studentId !== req.user.id && req.user.role !== ROLES.ADMIN) {
+      const classIds = await getTaughtClassIds(req.user);
+
+      if (classIds.length === 0) {
+        return res.json({ success: true, data: [], count: 0 });
+      }
+
+      query = query.in('class_instance_id', classIds);
+    }
+
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching student disputes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Dispute queue for a professor's classes, soonest to expire first
+ * GET /api/professors/:professorId/attendance-disputes
+ */
+router.get('/api/professors/:professorId/attendance-disputes', authorize({ professor: 'professorId', as: ['self', 'admin'] }), async (req, res) => {
+  try {
+    const { professorId } = req.params;
+    const { status = 'open', class_id } = req.query;
+
+    let query = supabase
+      .from('attendance_disputes')
+      .select(DISPUTE_SELECT)
+      .eq('class_instances.professor_id', professorId);
+
+    if (status !== 'all') {
+      if (!DISPUTE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of ${DISPUTE_STATUSES.join(', ')} or all`
+        });
+      }
+      query = query.eq('status', status);
+    }
+
+    if (class_id && class_id !== 'all') {
+      query = query.eq('class_instance_id', class_id);
+    }
+
+    const { data, error } = await query.order('expires_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching dispute queue:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Short-lived link to a dispute's evidence
+ * GET /api/attendance-disputes/:disputeId/documents/:documentId
+ */
+router.get('/api/attendance-disputes/:disputeId/documents/:documentId', authorize({ dispute: 'disputeId', as: ['staff', 'self'] }), async (req, res) => {
+  try {
+    const { disputeId, documentId } = req.params;
+
+    const { data: document, error } = await supabase
+      .from('attendance_dispute_documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('dispute_id', disputeId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const url = await getDocumentUrl(document.storage_path);
+
+    res.json({
+      success: true,
+      data: {
+        id: document.id,
+        file_name: document.file_name,
+        content_type: document.content_type,
+        url
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching dispute document:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Accept or reject a dispute. Accepting gives the record the chosen status
+ * (present by default); either way the student is notified.
+ * POST /api/attendance-disputes/:disputeId/resolve
+ */
+router.post('/api/attendance-disputes/:disputeId/resolve', authorize({ dispute: 'disputeId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const professor_id = req.user.id;
+    const { decision, comment, status = 'present' } = req.body;
+
+    if (!['accepted', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be accepted or rejected'
+      });
+    }
+
+    if (decision === 'accepted' && !DISPUTE_RESOLUTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${DISPUTE_RESOLUTION_STATUSES.join(', ')}`
+      });
+    }
+
+    if (decision === 'rejected' && !comment) {
+      return res.status(400).json({
+        success: false,
+        error: 'A comment is required when rejecting a dispute'
+      });
+    }
+
+    const dispute = await fetchDispute(disputeId);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispute not found'
+      });
+    }
+
+    if (dispute.status !== 'open' || new Date(dispute.expires_at) < new Date()) {
+      return res.status(409).json({
+        success: false,
+        error: dispute.status === 'open' ? 'This dispute has expired' : `This dispute was already ${dispute.status}`
+      });
+    }
+
+    // The decision and the record's new status land together, and only if
+    // the dispute is still open
+    const resolution = await resolveDispute(disputeId, professor_id, decision, status, comment);
+
+    if (!resolution.success) {
+      return res.status(409).json({
+        success: false,
+        error: 'This dispute changed while this request was running; reload and try again'
+      });
+    }
+
+    const resolved = resolution.dispute;
+    const attendanceRecord = resolution.record;
+
+    const courseCode = dispute.class_instances.courses.code;
+    const date = dispute.class_sessions.date;
+
+    console.log(`⚖️ Attendance dispute ${disputeId} ${decision} by ${professor_id}`);
+
+    await sendUserNotifications([{
+      user_id: dispute.student_id,
+      type: 'dispute_resolved',
+      title: `Attendance dispute ${decision} for ${courseCode}`,
+      message: decision === 'accepted'
+        ? `Your attendance for ${courseCode} on ${date} is now ${status}.${comment ? ` ${comment}` : ''}`
+        : `Your dispute for ${courseCode} on ${date} was rejected: ${comment}`,
+      class_id: dispute.class_instance_id,
+      session_id: dispute.session_id,
+      link: '/student/attendance',
+      priority: 'high',
+      metadata: {
+        disputeId,
+        decision
+      }
+    }]);
+
+    res.json({
+      success: true,
+      data: { ...dispute, ...resolved },
+      attendance_record: attendanceRecord
+    });
+  } catch (error) {
+    console.error('❌ Error resolving attendance dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
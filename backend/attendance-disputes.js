@@ -0,0 +1,177 @@
+const { createClient } = require('@supabase/supabase-js');
+const { validateDocuments, storeDocuments, removeDocuments } = require('./document-storage.js');
+const { registerJobHandler, scheduleJob } = require('./job-scheduler.js');
+const { sendUserNotifications } = require('./class-notifications.js');
+const { getSessionEnd } = require('./institution-time.js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ATTENDANCE DISPUTES
+// =====================================================
+// A student disputes one of their attendance records within the class's
+// dispute window (attendance policy) and may attach evidence. Disputes are
+// open until the professor accepts or rejects them, or until they expire.
+
+const DISPUTE_STATUSES = ['open', 'accepted', 'rejected', 'expired'];
+
+// Records a student can dispute, and what an accepted dispute can turn them into
+const DISPUTABLE_STATUSES = ['absent', 'late', 'left_early'];
+const DISPUTE_RESOLUTION_STATUSES = ['present', 'late', 'excused'];
+
+// How often open disputes are checked for expiry
+const DISPUTE_EXPIRY_SWEEP_MINUTES = 15;
+
+/**
+ * Check a dispute from a request body
+ * @param {Object} body - { reason, documents }
+ * @returns {Object} { valid, values, error }
+ */
+const validateDisputeInput = (body = {}) => {
+  const reason = body.reason ? String(body.reason).trim() : '';
+
+  if (!reason) {
+    return { valid: false, error: 'reason is required' };
+  }
+
+  const documentCheck = validateDocuments(body.documents);
+  if (!documentCheck.valid) return documentCheck;
+
+  return { valid: true, values: { reason, documents: documentCheck.values } };
+};
+
+/**
+ * Last moment a session's records can be disputed
+ * @param {Object} session - class_sessions row with date and end_time
+ * @param {Object} policy - Resolved attendance policy
+ * @returns {Date}
+ */
+const getDisputeDeadline = (session, policy) =>
+  new Date(getSessionEnd(session).getTime() + policy.dispute_window_hours * 60 * 60 * 1000);
+
+const getDisputeDocumentsFolder = (disputeId) => `disputes/${disputeId}`;
+
+/**
+ * Store a dispute's evidence and record it
+ * @param {string} disputeId - The dispute ID
+ * @param {Array} documents - Decoded documents from validateDisputeInput
+ * @returns {Promise<Array>} attendance_dispute_documents rows
+ */
+const uploadDisputeDocuments = async (disputeId, documents) => {
+  if (documents.length === 0) return [];
+
+  const stored = await storeDocuments(getDisputeDocumentsFolder(disputeId), documents);
+
+  const { data, error } = await supabase
+    .from('attendance_dispute_documents')
+    .insert(stored.map(document => ({ ...document, dispute_id: disputeId })))
+    .select('id, file_name, content_type, size_bytes, uploaded_at');
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Remove whatever a failed submission left in storage
+ * @param {string} disputeId - The dispute ID
+ * @returns {Promise<void>}
+ */
+const removeDisputeDocuments = (disputeId) => removeDocuments(getDisputeDocumentsFolder(disputeId));
+
+/**
+ * Record the professor's decision on an open dispute. Acceptance gives the
+ * disputed record the accepted status in the same transaction
+ * (resolve_attendance_dispute).
+ * @param {string} disputeId - The dispute ID
+ * @param {string} resolverId - Professor resolving the dispute
+ * @param {string} decision - 'accepted' | 'rejected'
+ * @param {string} status - Status the record gets when accepted
+ * @param {string|null} comment - Resolution comment
+ * @returns {Promise<Object>} { success, dispute, record } or { success: false, code } when
+ *   the dispute was resolved in the meantime
+ */
+const resolveDispute = async (disputeId, resolverId, decision, status, comment) => {
+  const { data, error } = await supabase
+    .rpc('resolve_attendance_dispute', {
+      p_dispute_id: disputeId,
+      p_resolver_id: resolverId,
+      p_decision: decision,
+      p_resolved_status: status,
+      p_comment: comment || null,
+      p_change_reason: comment ? `Dispute accepted: ${comment}` : 'Dispute accepted'
+    });
+
+  if (error) throw error;
+
+  if (data.result !== 'ok') {
+    return { success: false, code: data.result };
+  }
+
+  return { success: true, dispute: data.dispute, record: data.record };
+};
+
+/**
+ * Job handler: expire open disputes past their review deadline and tell
+ * the students
+ * @returns {Promise<Object>} { rescheduleAt }
+ */
+const expireDisputes = async () => {
+  const now = new Date().toISOString();
+
+  const { data: expired, error } = await supabase
+    .from('attendance_disputes')
+    .update({ status: 'expired', resolved_at: now, updated_at: now })
+    .eq('status', 'open')
+    .lt('expires_at', now)
+    .select('id, student_id, class_instance_id, session_id, class_sessions(date), class_instances(courses(code))');
+
+  if (error) throw error;
+
+  if (expired.length > 0) {
+    console.log(`⌛ Expired ${expired.length} unresolved attendance disputes`);
+
+    await sendUserNotifications(expired.map(dispute => ({
+      user_id: dispute.student_id,
+      type: 'dispute_resolved',
+      title: `Attendance dispute expired for ${dispute.class_instances.courses.code}`,
+      message: `Your dispute for ${dispute.class_instances.courses.code} on ${dispute.class_sessions.date} wasn't reviewed in time and has expired. Contact your professor if you still need it changed.`,
+      class_id: dispute.class_instance_id,
+      session_id: dispute.session_id,
+      link: '/student/attendance',
+      priority: 'medium',
+      metadata: {
+        disputeId: dispute.id,
+        decision: 'expired'
+      }
+    })));
+  }
+
+  return { rescheduleAt: new Date(Date.now() + DISPUTE_EXPIRY_SWEEP_MINUTES * 60 * 1000) };
+};
+
+registerJobHandler('expire_attendance_disputes', expireDisputes);
+
+/**
+ * Keep the expiry sweep running (one copy across instances)
+ * @returns {Promise<void>}
+ */
+const scheduleDisputeExpirySweep = async () => {
+  await scheduleJob('expire_attendance_disputes', null, new Date(), {}, { replace: false });
+};
+
+module.exports = {
+  DISPUTE_STATUSES,
+  DISPUTABLE_STATUSES,
+  DISPUTE_RESOLUTION_STATUSES,
+  validateDisputeInput,
+  getDisputeDeadline,
+  uploadDisputeDocuments,
+  removeDisputeDocuments,
+  resolveDispute,
+  scheduleDisputeExpirySweep
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const {
+  DEFAULT_GRADE_RULES,
+  validateGradeRulesInput,
+  resolveGradeRules,
+  saveGradeRules,
+  computeClassAttendanceGrades
+} = require('./attendance-grading.js');
+const { authorize } = require('./authorization.js');
+require('dotenv').config({ path: '.env.local' });
+
+const router = express.Router();
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ATTENDANCE GRADE COMPONENT
+// =====================================================
+
+/**
+ * A class's grade rules and every student's attendance grade
+ * GET /api/class-instances/:instanceId/attendance-grading
+ */
+router.get('/api/class-instances/:instanceId/attendance-grading', authorize({ class: 'instanceId', as: ['staff'] }), async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const grades = await computeClassAttendanceGrades(instanceId);
+
+    res.json({
+      success: true,
+      ...grades,
+      defaults: DEFAULT_GRADE_RULES
+    });
+  } catch (error) {
+    console.error('❌ Error fetching attendance grades:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Score the class with draft rules without saving them
+ * POST /api/class-instances/:instanceId/attendance-grading/preview
+ */
+router.post('/api/class-instances/:instanceId/attendance-grading/preview', authorize({ class: 'instanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const validation = validateGradeRulesInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const current = await resolveGradeRules(instanceId);
+    const grades = await computeClassAttendanceGrades(instanceId, { ...current, ...validation.values });
+
+    res.json({
+      success: true,
+      preview: true,
+      current_rules: current,
+      ...grades
+    });
+  } catch (error) {
+    console.error('❌ Error previewing attendance grades:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Save a class's grade rules
+ * PUT /api/class-instances/:instanceId/attendance-grading
+ */
+router.put('/api/class-instances/:instanceId/attendance-grading', authorize({ class: 'instanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const professor_id = req.user.id;
+
+    const validation = validateGradeRulesInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const rules = await saveGradeRules(instanceId, validation.values, professor_id);
+
+    console.log('🎓 Attendance grade rules updated for class:', instanceId);
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('❌ Error updating attendance grade rules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replace a student's computed attendance score
+ * PUT /api/enrollments/:enrollmentId/attendance-grade
+ */
+router.put('/api/enrollments/:enrollmentId/attendance-grade', authorize({ enrollment: 'enrollmentId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+    const professor_id = req.user.id;
+    const { reason } = req.body;
+    const scorePercent = Number(req.body.score_percent);
+
+    if (req.body.score_percent === undefined || req.body.score_percent === null ||
+        !Number.isFinite(scorePercent) || scorePercent < 0 || scorePercent > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'score_percent must be a number between 0 and 100'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required when overriding an attendance grade'
+      });
+    }
+
+    const { data: override, error } = await supabase
+      .from('attendance_grade_overrides')
+      .upsert({
+        enrollment_id: enrollmentId,
+        score_percent: scorePercent,
+        reason: String(reason).trim(),
+        overridden_by: professor_id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'enrollment_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🎓 Attendance grade overridden for enrollment ${enrollmentId}: ${scorePercent}%`);
+
+    res.json({
+      success: true,
+      override
+    });
+  } catch (error) {
+    console.error('❌ Error overriding attendance grade:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Go back to the computed attendance score
+ * DELETE /api/enrollments/:enrollmentId/attendance-grade
+ */
+router.delete('/api/enrollments/:enrollmentId/attendance-grade', authorize({ enrollment: 'enrollmentId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { enrollmentId } = req.params;
+
+    const { error } = await supabase
+      .from('attendance_grade_overrides')
+      .delete()
+      .eq('enrollment_id', enrollmentId);
+
+    if (error) throw error;
+
+    console.log(`🎓 Attendance grade override cleared for enrollment ${enrollmentId}`);
+
+    res.json({
+      success: true,
+      message: 'Attendance grade override removed'
+    });
+  } catch (error) {
+    console.error('❌ Error clearing attendance grade override:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
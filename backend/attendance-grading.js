@@ -0,0 +1,330 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getAttendanceCredit } = require('./attendance-policy.js');
+const { getCountedSessionTypes, sessionCounts } = require('./session-types.js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ATTENDANCE GRADE COMPONENT
+// =====================================================
+// Each class turns attendance into a score out of 100 with its grade rules
+// (e.g. "late = half credit, 3 free absences, excused doesn't count"); the
+// score is worth weight_percent of the final grade. Only completed sessions
+// of the types the class counts are scored. A professor can replace a
+// student's computed score with an override.
+
+/**
+ * Built-in rules, used when a class has no attendance_grade_rules row.
+ * They score attendance the same way the analytics rate does.
+ */
+const DEFAULT_GRADE_RULES = {
+  weight_percent: 10,              // share of the final grade
+  late_credit_percent: 100,        // credit for a late check-in
+  left_early_credit_percent: null, // credit for leaving early (null = the credit stored on the record)
+  free_absences: 0,                // this many absences are credited in full
+  excused_mode: 'present'          // 'present' = full credit, 'exclude' = the session isn't scored
+};
+
+const GRADE_RULE_FIELDS = Object.keys(DEFAULT_GRADE_RULES);
+
+const GRADE_RULE_LIMITS = {
+  weight_percent: { min: 0, max: 100, decimals: true },
+  late_credit_percent: { min: 0, max: 100 },
+  left_early_credit_percent: { min: 0, max: 100, nullable: true },
+  free_absences: { min: 0, max: 50 }
+};
+
+const EXCUSED_MODES = ['present', 'exclude'];
+
+/**
+ * Check grade rule changes from a request body. Fields left out are
+ * untouched; only left_early_credit_percent can be cleared with null.
+ * @param {Object} body - Request body
+ * @returns {Object} { valid, values, error }
+ */
+const validateGradeRulesInput = (body = {}) => {
+  const values = {};
+
+  for (const field of GRADE_RULE_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (field === 'excused_mode') {
+      if (!EXCUSED_MODES.includes(body[field])) {
+        return { valid: false, error: `excused_mode must be one of ${EXCUSED_MODES.join(', ')}` };
+      }
+      values[field] = body[field];
+      continue;
+    }
+
+    const { min, max, decimals, nullable } = GRADE_RULE_LIMITS[field];
+
+    if (body[field] === null || body[field] === '') {
+      if (!nullable) {
+        return { valid: false, error: `${field} can't be empty` };
+      }
+      values[field] = null;
+      continue;
+    }
+
+    const value = Number(body[field]);
+
+    if (!Number.isFinite(value) || (!decimals && !Number.isInteger(value)) || value < min || value > max) {
+      return {
+        valid: false,
+        error: `${field} must be a ${decimals ? 'number' : 'whole number'} between ${min} and ${max}`
+      };
+    }
+
+    values[field] = value;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { valid: false, error: `At least one of ${GRADE_RULE_FIELDS.join(', ')} is required` };
+  }
+
+  return { valid: true, values };
+};
+
+/**
+ * Only the rule columns of a row, with defaults for a class without one
+ * @param {Object|null} row - attendance_grade_rules row
+ * @returns {Object}
+ */
+const pickGradeRules = (row) => {
+  if (!row) return { ...DEFAULT_GRADE_RULES };
+
+  return Object.fromEntries(GRADE_RULE_FIELDS.map(field => [
+    field,
+    field === 'weight_percent' ? Number(row[field]) : row[field]
+  ]));
+};
+
+/**
+ * Rules in force for a class
+ * @param {string} classInstanceId - The class instance ID
+ * @returns {Promise<Object>}
+ */
+const resolveGradeRules = async (classInstanceId) => {
+  const { data: row, error } = await supabase
+    .from('attendance_grade_rules')
+    .select('*')
+    .eq('class_instance_id', classInstanceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return pickGradeRules(row);
+};
+
+/**
+ * Save a class's rules (merged over whatever is in force now)
+ * @param {string} classInstanceId - The class instance ID
+ * @param {Object} values - From validateGradeRulesInput
+ * @param {string} updatedBy - User making the change
+ * @returns {Promise<Object>} The rules now in force
+ */
+const saveGradeRules = async (classInstanceId, values, updatedBy) => {
+  const current = await resolveGradeRules(classInstanceId);
+
+  const { data: row, error } = await supabase
+    .from('attendance_grade_rules')
+    .upsert({
+      class_instance_id: classInstanceId,
+      ...current,
+      ...values,
+      updated_by: updatedBy || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'class_instance_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return pickGradeRules(row);
+};
+
+/**
+ * Score one student's attendance. Sessions without a record count as absent.
+ * @param {Array} sessions - Scored sessions (completed, counted types), each { id }
+ * @param {Array} records - The student's attendance_records (status, credit_percent, session_id)
+ * @param {Object} rules - Resolved grade rules
+ * @returns {Object} Counts, earned and possible sessions, score_percent (null when nothing is scored)
+ *   and points (score_percent weighted by weight_percent)
+ */
+const scoreAttendance = (sessions, records, rules) => {
+  const recordsBySession = new Map(records.map(record => [record.session_id, record]));
+  const counts = { present: 0, late: 0, left_early: 0, excused: 0, absent: 0 };
+  let earned = 0;
+  let possible = 0;
+  let forgivenAbsences = 0;
+
+  // Oldest first, so the free absences are the first ones
+  sessions.forEach(session => {
+    const record = recordsBySession.get(session.id);
+    const status = record && counts[record.status] !== undefined ? record.status : 'absent';
+    counts[status]++;
+
+    if (status === 'excused' && rules.excused_mode === 'exclude') return;
+
+    possible++;
+
+    if (status === 'present' || status === 'excused') {
+      earned += 1;
+    } else if (status === 'late') {
+      earned += rules.late_credit_percent / 100;
+    } else if (status === 'left_early') {
+      earned += rules.left_early_credit_percent === null
+        ? getAttendanceCredit(record)
+        : rules.left_early_credit_percent / 100;
+    } else if (forgivenAbsences < rules.free_absences) {
+      forgivenAbsences++;
+      earned += 1;
+    }
+  });
+
+  const scorePercent = possible > 0 ? Math.round((earned / possible) * 10000) / 100 : null;
+
+  return {
+    ...counts,
+    forgiven_absences: forgivenAbsences,
+    scored_sessions: possible,
+    earned_sessions: Math.round(earned * 100) / 100,
+    score_percent: scorePercent,
+    points: scorePercent === null ? null : Math.round(scorePercent * rules.weight_percent) / 100
+  };
+};
+
+/**
+ * Combine a computed score with the student's override, if any
+ * @param {Object} computed - From scoreAttendance
+ * @param {Object|null} override - attendance_grade_overrides row
+ * @param {Object} rules - Resolved grade rules
+ * @returns {Object} { computed, override, score_percent, points, weight_percent }
+ */
+const buildAttendanceGrade = (computed, override, rules) => {
+  const scorePercent = override ? Number(override.score_percent) : computed.score_percent;
+
+  return {
+    computed,
+    override: override ? {
+      score_percent: Number(override.score_percent),
+      reason: override.reason,
+      overridden_by: override.overridden_by,
+      updated_at: override.updated_at
+    } : null,
+    score_percent: scorePercent,
+    points: scorePercent === null ? null : Math.round(scorePercent * rules.weight_percent) / 100,
+    weight_percent: rules.weight_percent
+  };
+};
+
+/**
+ * Completed sessions of a class that its grade is scored on, oldest first
+ * @param {Object} classInstance - class_instances row with counted_session_types
+ * @param {Array} sessions - class_sessions rows (status, date, session_type)
+ * @returns {Array}
+ */
+const getScoredSessions = (classInstance, sessions) => {
+  const countedTypes = getCountedSessionTypes(classInstance);
+
+  return sessions
+    .filter(session => session.status === 'completed' && sessionCounts(session, countedTypes))
+    .sort((a, b) => `${a.date} ${a.start_time || ''}`.localeCompare(`${b.date} ${b.start_time || ''}`));
+};
+
+/**
+ * Overrides for a class's enrollments, keyed by enrollment ID
+ * @param {Array<string>} enrollmentIds - Enrollment IDs
+ * @returns {Promise<Map>}
+ */
+const fetchGradeOverrides = async (enrollmentIds) => {
+  if (enrollmentIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from('attendance_grade_overrides')
+    .select('*')
+    .in('enrollment_id', enrollmentIds);
+
+  if (error) throw error;
+  return new Map(data.map(override => [override.enrollment_id, override]));
+};
+
+/**
+ * Attendance grade for every active student in a class
+ * @param {string} classInstanceId - The class instance ID
+ * @param {Object} [rules] - Rules to score with (defaults to the class's own; pass draft rules to preview)
+ * @returns {Promise<Object>} { rules, scored_sessions, students }
+ */
+const computeClassAttendanceGrades = async (classInstanceId, rules) => {
+  const gradeRules = rules || await resolveGradeRules(classInstanceId);
+
+  const { data: classInstance, error: classError } = await supabase
+    .from('class_instances')
+    .select('id, counted_session_types')
+    .eq('id', classInstanceId)
+    .single();
+
+  if (classError) throw classError;
+
+  const { data: sessions, error: sessionsError } = await supabase
+    .from('class_sessions')
+    .select('id, date, start_time, status, session_type')
+    .eq('class_instance_id', classInstanceId)
+    .eq('status', 'completed');
+
+  if (sessionsError) throw sessionsError;
+
+  const scoredSessions = getScoredSessions(classInstance, sessions);
+
+  const { data: enrollments, error: enrollmentsError } = await supabase
+    .from('enrollments')
+    .select('id, student_id, students!inner(student_id, users!inner(first_name, last_name, email))')
+    .eq('class_instance_id', classInstanceId)
+    .eq('status', 'active');
+
+  if (enrollmentsError) throw enrollmentsError;
+
+  const { data: records, error: recordsError } = scoredSessions.length > 0
+    ? await supabase
+      .from('attendance_records')
+      .select('session_id, student_id, status, credit_percent')
+      .in('session_id', scoredSessions.map(session => session.id))
+    : { data: [], error: null };
+
+  if (recordsError) throw recordsError;
+
+  const overrides = await fetchGradeOverrides(enrollments.map(enrollment => enrollment.id));
+
+  const students = enrollments.map(enrollment => {
+    const studentRecords = records.filter(record => record.student_id === enrollment.student_id);
+    const computed = scoreAttendance(scoredSessions, studentRecords, gradeRules);
+
+    return {
+      enrollment_id: enrollment.id,
+      user_id: enrollment.student_id,
+      student_id: enrollment.students.student_id,
+      first_name: enrollment.students.users.first_name,
+      last_name: enrollment.students.users.last_name,
+      email: enrollment.students.users.email,
+      attendance_grade: buildAttendanceGrade(computed, overrides.get(enrollment.id) || null, gradeRules)
+    };
+  });
+
+  return { rules: gradeRules, scored_sessions: scoredSessions.length, students };
+};
+
+module.exports = {
+  DEFAULT_GRADE_RULES,
+  GRADE_RULE_FIELDS,
+  validateGradeRulesInput,
+  resolveGradeRules,
+  saveGradeRules,
+  scoreAttendance,
+  buildAttendanceGrade,
+  getScoredSessions,
+  fetchGradeOverrides,
+  computeClassAttendanceGrades
+};
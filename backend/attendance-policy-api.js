@@ -0,0 +1,319 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const {
+  DEFAULT_POLICY,
+  POLICY_FIELDS,
+  validatePolicyInput,
+  resolvePolicy
+} = require('./attendance-policy.js');
+const { ROLES, authorize } = require('./authorization.js');
+require('dotenv').config({ path: '.env.local' });
+
+const router = express.Router();
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ATTENDANCE POLICIES
+// =====================================================
+
+/**
+ * A student can't be late after they've already been marked absent
+ * @param {Object} policy - Policy fields (resolved or a single row)
+ * @returns {string|null} Error message, or null when consistent
+ */
+const checkCutoffOrder = (policy) => {
+  if (policy.absent_after_minutes !== null && policy.absent_after_minutes !== undefined &&
+      policy.late_after_minutes !== null && policy.late_after_minutes !== undefined &&
+      policy.absent_after_minutes < policy.late_after_minutes) {
+    return 'absent_after_minutes must not be earlier than late_after_minutes';
+  }
+  return null;
+};
+
+/**
+ * Only the policy columns of a row
+ * @param {Object|null} row - attendance_policies row
+ * @returns {Object}
+ */
+const pickPolicyFields = (row) => Object.fromEntries(
+  POLICY_FIELDS.map(field => [field, row ? row[field] : null])
+);
+
+/**
+ * Create or update the policy row for one scope
+ * @param {Object} target - { scope, department_id, class_instance_id }
+ * @param {Object} values - Validated policy fields
+ * @param {string} [updatedBy] - User making the change
+ * @returns {Promise<Object>} The saved row
+ */
+const savePolicyRow = async (target, values, updatedBy) => {
+  let query = supabase
+    .from('attendance_policies')
+    .select('id')
+    .eq('scope', target.scope);
+
+  if (target.scope === 'department') query = query.eq('department_id', target.department_id);
+  if (target.scope === 'class') query = query.eq('class_instance_id', target.class_instance_id);
+
+  const { data: existing, error: fetchError } = await query.maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const fields = {
+    ...values,
+    updated_by: updatedBy || null,
+    updated_at: new Date().toISOString()
+  };
+
+  const { data, error } = existing
+    ? await supabase
+      .from('attendance_policies')
+      .update(fields)
+      .eq('id', existing.id)
+      .select()
+      .single()
+    : await supabase
+      .from('attendance_policies')
+      .insert({ ...target, ...fields })
+      .select()
+      .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Load a scope's own row
+ * @param {string} column - Filter column
+ * @param {string} value - Filter value
+ * @returns {Promise<Object|null>}
+ */
+const fetchPolicyRow = async (column, value) => {
+  const { data, error } = await supabase
+    .from('attendance_policies')
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Policy in force for a class, plus the overrides set on the class itself
+ * GET /api/class-instances/:instanceId/attendance-policy
+ */
+router.get('/api/class-instances/:instanceId/attendance-policy', authorize({ class: 'instanceId', as: ['staff'] }), async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+
+    const { sources, ...policy } = await resolvePolicy(instanceId);
+    const classRow = await fetchPolicyRow('class_instance_id', instanceId);
+
+    res.json({
+      success: true,
+      policy,
+      sources,
+      overrides: pickPolicyFields(classRow),
+      defaults: DEFAULT_POLICY
+    });
+  } catch (error) {
+    console.error('❌ Error fetching attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Override policy fields for a class (null clears an override)
+ * PUT /api/class-instances/:instanceId/attendance-policy
+ */
+router.put('/api/class-instances/:instanceId/attendance-policy', authorize({ class: 'instanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const professor_id = req.user.id;
+
+    const validation = validatePolicyInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    // Check the cutoffs as they'll resolve once this override is applied
+    const current = await resolvePolicy(instanceId);
+    const cutoffError = checkCutoffOrder({ ...current, ...validation.values });
+    if (cutoffError) {
+      return res.status(400).json({
+        success: false,
+        error: cutoffError
+      });
+    }
+
+    await savePolicyRow(
+      { scope: 'class', class_instance_id: instanceId },
+      validation.values,
+      professor_id
+    );
+
+    const { sources: updatedSources, ...policy } = await resolvePolicy(instanceId);
+
+    console.log('📋 Attendance policy updated for class:', instanceId);
+
+    res.json({
+      success: true,
+      policy,
+      sources: updatedSources
+    });
+  } catch (error) {
+    console.error('❌ Error updating attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Department-wide defaults
+ * GET /api/departments/:departmentId/attendance-policy
+ */
+router.get('/api/departments/:departmentId/attendance-policy', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.ADMIN] }, { department: 'departmentId', as: ['department_admin'] }), async (req, res) => {
+  try {
+    const { departmentId } = req.params;
+    const row = await fetchPolicyRow('department_id', departmentId);
+
+    res.json({
+      success: true,
+      overrides: pickPolicyFields(row)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching department attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Set department-wide defaults
+ * PUT /api/departments/:departmentId/attendance-policy
+ */
+router.put('/api/departments/:departmentId/attendance-policy', authorize({ roles: [ROLES.ADMIN] }, { department: 'departmentId', as: ['department_admin'] }), async (req, res) => {
+  try {
+    const { departmentId } = req.params;
+
+    const validation = validatePolicyInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const existing = await fetchPolicyRow('department_id', departmentId);
+    const cutoffError = checkCutoffOrder({ ...pickPolicyFields(existing), ...validation.values });
+    if (cutoffError) {
+      return res.status(400).json({
+        success: false,
+        error: cutoffError
+      });
+    }
+
+    const row = await savePolicyRow(
+      { scope: 'department', department_id: departmentId },
+      validation.values,
+      req.user.id
+    );
+
+    console.log('📋 Attendance policy updated for department:', departmentId);
+
+    res.json({
+      success: true,
+      overrides: pickPolicyFields(row)
+    });
+  } catch (error) {
+    console.error('❌ Error updating department attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Institution-wide defaults
+ * GET /api/attendance-policy
+ */
+router.get('/api/attendance-policy', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const row = await fetchPolicyRow('scope', 'institution');
+
+    res.json({
+      success: true,
+      overrides: pickPolicyFields(row),
+      defaults: DEFAULT_POLICY
+    });
+  } catch (error) {
+    console.error('❌ Error fetching institution attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Set institution-wide defaults
+ * PUT /api/attendance-policy
+ */
+router.put('/api/attendance-policy', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const validation = validatePolicyInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const existing = await fetchPolicyRow('scope', 'institution');
+    const cutoffError = checkCutoffOrder({ ...pickPolicyFields(existing), ...validation.values });
+    if (cutoffError) {
+      return res.status(400).json({
+        success: false,
+        error: cutoffError
+      });
+    }
+
+    const row = await savePolicyRow(
+      { scope: 'institution' },
+      validation.values,
+      req.user.id
+    );
+
+    console.log('📋 Institution attendance policy updated');
+
+    res.json({
+      success: true,
+      overrides: pickPolicyFields(row)
+    });
+  } catch (error) {
+    console.error('❌ Error updating institution attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Built-in rules, used for any field no policy level sets.
+ * These match how attendance was scored before policies existed.
+ */
+const DEFAULT_POLICY = {
+  grace_minutes: 0,           // minutes_late is counted from start_time + grace
+  late_after_minutes: 5,      // scans more than this many minutes after start are late
+  absent_after_minutes: null, // scans after this are recorded as absent (null = never)
+  qr_lifetime_seconds: 30,    // how long each QR code is accepted
+  auto_close_minutes: 60,     // active sessions are completed after this long
+  left_early_credit_percent: 0, // credit for checking in but not out, when a session has a check-out
+  dispute_window_hours: 72,   // records can be disputed this long after the session ends (0 = never)
+  dispute_review_hours: 168   // open disputes expire if not resolved within this long
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+const POLICY_LIMITS = {
+  grace_minutes: { min: 0, max: 240 },
+  late_after_minutes: { min: 0, max: 240 },
+  absent_after_minutes: { min: 0, max: 600 },
+  qr_lifetime_seconds: { min: 10, max: 300 },
+  auto_close_minutes: { min: 5, max: 600 },
+  left_early_credit_percent: { min: 0, max: 100 },
+  dispute_window_hours: { min: 0, max: 720 },
+  dispute_review_hours: { min: 24, max: 1440 }
+};
+
+// Statuses that count as a full attendance
+const ATTENDED_STATUSES = ['present', 'late', 'excused'];
+
+/**
+ * Check and normalize a policy update. Fields sent as null are cleared so
+ * they inherit again; fields left out are untouched.
+ * @param {Object} body - Request body
+ * @returns {Object} { valid, values, error }
+ */
+const validatePolicyInput = (body = {}) => {
+  const values = {};
+
+  for (const field of POLICY_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] === null || body[field] === '') {
+      values[field] = null;
+      continue;
+    }
+
+    const value = Number(body[field]);
+    const { min, max } = POLICY_LIMITS[field];
+
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+
+    values[field] = value;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { valid: false, error: `At least one of ${POLICY_FIELDS.join(', ')} is required` };
+  }
+
+  return { valid: true, values };
+};
+
+/**
+ * Overlay the fields a policy level sets onto the inherited policy
+ * @param {Object} inherited - Policy resolved so far
+ * @param {Object|null} row - attendance_policies row
+ * @returns {Object}
+ */
+const applyPolicyRow = (inherited, row) => {
+  if (!row) return inherited;
+
+  const policy = { ...inherited };
+  POLICY_FIELDS.forEach(field => {
+    if (row[field] !== null && row[field] !== undefined) {
+      policy[field] = row[field];
+    }
+  });
+  return policy;
+};
+
+/**
+ * Resolve the policy in force for a class: built-in defaults, then the
+ * institution row, then the class's department, then the class itself
+ * @param {string} classInstanceId - The class instance ID
+ * @returns {Promise<Object>} Resolved policy with a `sources` map of where each field came from
+ */
+const resolvePolicy = async (classInstanceId) => {
+  const { data: classInstance, error: classError } = await supabase
+    .from('class_instances')
+    .select('id, courses(department_id)')
+    .eq('id', classInstanceId)
+    .single();
+
+  if (classError) throw classError;
+
+  const departmentId = classInstance.courses?.department_id || null;
+
+  let query = supabase
+    .from('attendance_policies')
+    .select('*');
+
+  query = departmentId
+    ? query.or(`scope.eq.institution,department_id.eq.${departmentId},class_instance_id.eq.${classInstanceId}`)
+    : query.or(`scope.eq.institution,class_instance_id.eq.${classInstanceId}`);
+
+  const { data: rows, error } = await query;
+
+  if (error) throw error;
+
+  const levels = ['institution', 'department', 'class'];
+  const sources = Object.fromEntries(POLICY_FIELDS.map(field => [field, 'default']));
+
+  const policy = levels.reduce((inherited, scope) => {
+    const row = rows.find(candidate => candidate.scope === scope);
+    if (row) {
+      POLICY_FIELDS.forEach(field => {
+        if (row[field] !== null && row[field] !== undefined) sources[field] = scope;
+      });
+    }
+    return applyPolicyRow(inherited, row);
+  }, { ...DEFAULT_POLICY });
+
+  return { ...policy, sources };
+};
+
+/**
+ * Resolve the policy for a session's class, falling back to the defaults
+ * if it can't be loaded so a policy lookup never blocks attendance
+ * @param {string} classInstanceId - The class instance ID
+ * @returns {Promise<Object>}
+ */
+const resolvePolicySafe = async (classInstanceId) => {
+  try {
+    return await resolvePolicy(classInstanceId);
+  } catch (error) {
+    console.error('❌ Error resolving attendance policy, using defaults:', error);
+    return { ...DEFAULT_POLICY };
+  }
+};
+
+/**
+ * Score a check-in against a policy
+ * @param {Object} policy - Resolved policy
+ * @param {Date} sessionStart - When the session was scheduled to start
+ * @param {Date} [checkInTime] - When the student checked in (defaults to now)
+ * @returns {Object} { status: 'present'|'late'|'absent', minutesLate, minutesAfterStart }
+ */
+const scoreCheckIn = (policy, sessionStart, checkInTime = new Date()) => {
+  const minutesAfterStart = Math.floor((checkInTime - sessionStart) / (1000 * 60));
+
+  let status = 'present';
+  if (policy.absent_after_minutes !== null && minutesAfterStart > policy.absent_after_minutes) {
+    status = 'absent';
+  } else if (minutesAfterStart > policy.late_after_minutes) {
+    status = 'late';
+  }
+
+  const minutesLate = status === 'present'
+    ? 0
+    : Math.max(0, minutesAfterStart - policy.grace_minutes);
+
+  return { status, minutesLate, minutesAfterStart };
+};
+
+/**
+ * How much of a session a record counts for: 1 for attended statuses,
+ * the credit fixed at close time for left_early, 0 otherwise
+ * @param {Object} record - attendance_records row with status and credit_percent
+ * @returns {number} Between 0 and 1
+ */
+const getAttendanceCredit = (record) => {
+  if (!record) return 0;
+  if (ATTENDED_STATUSES.includes(record.status)) return 1;
+  if (record.status === 'left_early') return (record.credit_percent || 0) / 100;
+  return 0;
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  POLICY_FIELDS,
+  ATTENDED_STATUSES,
+  validatePolicyInput,
+  resolvePolicy,
+  resolvePolicySafe,
+  scoreCheckIn,
+  getAttendanceCredit
+};
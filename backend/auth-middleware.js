@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// REQUEST AUTHENTICATION
+// =====================================================
+// API requests carry the caller's Supabase access token as
+// "Authorization: Bearer <token>". The token is verified here and the
+// caller's users row is attached as req.user, so routes take the student
+// or professor from the token instead of IDs sent in the body or query.
+//
+// HS256 tokens are verified locally: Supabase's with SUPABASE_JWT_SECRET
+// (only signed-in users' tokens: aud and role 'authenticated', not the
+// anon or service role keys), and tokens minted by signLocalToken with
+// AUTH_LOCAL_SIGNING_KEY (tests and scripts; ignored when NODE_ENV is
+// production). Anything else is checked with Supabase Auth.
+
+// A user's row is reused for this long before it is looked up again
+const USER_CACHE_SECONDS = 60;
+
+// Audience and role Supabase puts on a signed-in user's access token
+const SUPABASE_USER_AUDIENCE = 'authenticated';
+
+// Issuer of tokens minted by signLocalToken
+const LOCAL_TOKEN_ISSUER = 'fsas-local';
+
+const userCache = new Map();
+
+const base64UrlEncode = (value) => Buffer.from(value).toString('base64url');
+
+const signHS256 = (input, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(input)
+  .digest('base64url');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+let warnedAboutLocalKey = false;
+
+/**
+ * Secrets an HS256 token may be signed with, and who signs with each
+ * @returns {Array<Object>} [{ secret, signer: 'supabase'|'local' }]
+ */
+const getSigningSecrets = () => {
+  const secrets = [];
+
+  if (process.env.SUPABASE_JWT_SECRET) {
+    secrets.push({ secret: process.env.SUPABASE_JWT_SECRET, signer: 'supabase' });
+  }
+
+  if (process.env.AUTH_LOCAL_SIGNING_KEY) {
+    if (isProduction()) {
+      if (!warnedAboutLocalKey) {
+        console.warn('⚠️ AUTH_LOCAL_SIGNING_KEY is set but ignored in production');
+        warnedAboutLocalKey = true;
+      }
+    } else {
+      secrets.push({ secret: process.env.AUTH_LOCAL_SIGNING_KEY, signer: 'local' });
+    }
+  }
+
+  return secrets;
+};
+
+/**
+ * Does a claim (a string or a list of strings) include a value?
+ * @param {*} claim
+ * @param {string} value
+ * @returns {boolean}
+ */
+const claimIncludes = (claim, value) => Array.isArray(claim) ? claim.includes(value) : claim === value;
+
+/**
+ * Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT from the client
+ * @returns {Promise<Object>} { valid, userId, code, error }
+ */
+const verifyAccessToken = async (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  let header;
+  let claims;
+
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (error) {
+    return { valid: false, code: 'TOKEN_INVALID', error: 'Malformed access token' };
+  }
+
+  const secrets = getSigningSecrets();
+
+  if (header.alg === 'HS256' && secrets.length > 0) {
+    const expected = Buffer.from(parts[2] || '');
+    const signedWith = secrets.find(({ secret }) => {
+      const signature = Buffer.from(signHS256(`${parts[0]}.${parts[1]}`, secret));
+      return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+    });
+
+    if (!signedWith) {
+      return { valid: false, code: 'TOKEN_INVALID', error: 'Invalid access token signature' };
+    }
+
+    // The anon and service role keys are signed with the same secret
+    if (signedWith.signer === 'supabase' &&
+        (!claimIncludes(claims.aud, SUPABASE_USER_AUDIENCE) || claims.role !== SUPABASE_USER_AUDIENCE)) {
+      return { valid: false, code: 'TOKEN_INVALID', error: 'Not a user access token' };
+    }
+
+    if (signedWith.signer === 'local' && claims.iss !== LOCAL_TOKEN_ISSUER) {
+      return { valid: false, code: 'TOKEN_INVALID', error: 'Not a user access token' };
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+      return { valid: false, code: 'TOKEN_EXPIRED', error: 'Access token has expired' };
+    }
+
+    if (!claims.sub) {
+      return { valid: false, code: 'TOKEN_INVALID', error: 'Access token has no subject' };
+    }
+
+    return { valid: true, userId: claims.sub, issuedAt: claims.iat };
+  }
+
+  // Supabase Auth itself refuses tokens whose session was revoked
+  const { data, error } = await supabase.auth.getUser(token);
+
+  if (error || !data || !data.user) {
+    return { valid: false, code: 'TOKEN_INVALID', error: 'Invalid or expired access token' };
+  }
+
+  return { valid: true, userId: data.user.id };
+};
+
+/**
+ * The caller's users row, with their student number if they are a student
+ * @param {string} userId - users.id
+ * @returns {Promise<Object|null>} { id, email, role, first_name, last_name, is_active, sessions_revoked_at, student_number }
+ */
+const loadUser = async (userId) => {
+  const cached = userCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, role, first_name, last_name, is_active, sessions_revoked_at')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) return null;
+
+  let studentNumber = null;
+  if (user.role === 'student') {
+    const { data: student, error: studentError } = await supabase
+      .from('students')
+      .select('student_id')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (studentError) throw studentError;
+    studentNumber = student ? student.student_id : null;
+  }
+
+  const resolved = { ...user, student_number: studentNumber };
+  userCache.set(userId, { user: resolved, expiresAt: Date.now() + USER_CACHE_SECONDS * 1000 });
+  return resolved;
+};
+
+/**
+ * Drop a user's cached row so the next request looks it up again
+ * @param {string} userId - users.id
+ */
+const forgetUser = (userId) => {
+  userCache.delete(userId);
+};
+
+/**
+ * Was the token issued before the user was signed out everywhere (after a
+ * password reset)? iat has one-second precision, so a token from the same
+ * second counts as revoked.
+ * @param {Object} user - From loadUser
+ * @param {Object} verification - From verifyAccessToken
+ * @returns {boolean}
+ */
+const isTokenRevoked = (user, verification) => {
+  if (!user.sessions_revoked_at || typeof verification.issuedAt !== 'number') return false;
+  return verification.issuedAt <= Math.floor(new Date(user.sessions_revoked_at).getTime() / 1000);
+};
+
+/**
+ * Middleware: reject requests without a valid access token and attach the
+ * caller as req.user
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign in required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const verification = await verifyAccessToken(token);
+
+    if (!verification.valid) {
+      return res.status(401).json({
+        success: false,
+        error: verification.error,
+        code: verification.code
+      });
+    }
+
+    const user = await loadUser(verification.userId);
+
+    if (!user || user.is_active === false) {
+      console.log('🔒 Token for an unknown or inactive account:', verification.userId);
+      return res.status(403).json({
+        success: false,
+        error: 'This account is not active',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    if (isTokenRevoked(user, verification)) {
+      return res.status(401).json({
+        success: false,
+        error: 'This session has been signed out. Please sign in again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request'
+    });
+  }
+};
+
+/**
+ * Mint an access token with AUTH_LOCAL_SIGNING_KEY (tests and scripts;
+ * not available in production)
+ * @param {string} userId - users.id to sign in as
+ * @param {Object} options - { expiresInSeconds }
+ * @returns {string}
+ */
+const signLocalToken = (userId, { expiresInSeconds = 60 * 60 } = {}) => {
+  if (isProduction()) {
+    throw new Error('Local access tokens are not available in production');
+  }
+
+  const secret = process.env.AUTH_LOCAL_SIGNING_KEY;
+  if (!secret) {
+    throw new Error('AUTH_LOCAL_SIGNING_KEY is not set');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const claims = base64UrlEncode(JSON.stringify({ sub: userId, iat: now, exp: now + expiresInSeconds, iss: LOCAL_TOKEN_ISSUER }));
+
+  return `${header}.${claims}.${signHS256(`${header}.${claims}`, secret)}`;
+};
+
+module.exports = {
+  getBearerToken,
+  verifyAccessToken,
+  loadUser,
+  forgetUser,
+  isTokenRevoked,
+  authenticate,
+  signLocalToken
+};
@@ -0,0 +1,512 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ROUTE AUTHORIZATION
+// =====================================================
+// Every route declares who may call it with authorize(rule, ...); the
+// request goes through if any rule allows it. A rule either names roles
+// allowed outright ({ roles: ['professor'] }) or names a resource from the
+// request and the relationships to it that grant access:
+//
+//   authorize({ session: 'sessionId', as: ['staff', 'student'] })
+//
+// loads the session in req.params.sessionId and lets through the class's
+// staff and its enrolled students. Relationships:
+//   owner            professor teaching the class
+//   ta               teaching assistant assigned to the class
+//   department_admin admin of the department offering the class
+//   student          student actively enrolled in the class
+//   self             the student the resource belongs to / the professor named
+//                    (for a legacyClass, the professor teaching it)
+//   teacher          owner, TA or department admin of any class the student is in
+//   admin            system admin
+//   staff            shorthand for owner, ta, department_admin and admin
+//
+// Routes without a rule are caught at startup by findUnprotectedRoutes.
+
+const ROLES = {
+  STUDENT: 'student',
+  PROFESSOR: 'professor',
+  TA: 'ta',
+  DEPARTMENT_ADMIN: 'department_admin',
+  ADMIN: 'admin'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+const RELATION_SHORTHANDS = {
+  staff: ['owner', 'ta', 'department_admin', 'admin']
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Resolve a student given by users.id or by student number
+ * @param {string} value - UUID or students.student_id
+ * @returns {Promise<string|null>} students.user_id
+ */
+const resolveStudentUserId = async (value) => {
+  const column = UUID_PATTERN.test(value) ? 'user_id' : 'student_id';
+
+  const { data, error } = await supabase
+    .from('students')
+    .select('user_id')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.user_id : null;
+};
+
+/**
+ * What each kind of resource points at: { classInstanceId, studentId,
+ * professorId, departmentId }, or null when it doesn't exist
+ */
+const RESOURCE_LOADERS = {
+  class: async (id) => {
+    const { data, error } = await supabase
+      .from('class_instances')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { classInstanceId: data.id };
+  },
+
+  session: async (id) => {
+    const { data, error } = await supabase
+      .from('class_sessions')
+      .select('class_instance_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { classInstanceId: data.class_instance_id };
+  },
+
+  enrollment: async (id) => {
+    const { data, error } = await supabase
+      .from('enrollments')
+      .select('class_instance_id, student_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { classInstanceId: data.class_instance_id, studentId: data.student_id };
+  },
+
+  record: async (id) => {
+    const { data, error } = await supabase
+      .from('attendance_records')
+      .select('student_id, class_sessions!inner(class_instance_id)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { classInstanceId: data.class_sessions.class_instance_id, studentId: data.student_id };
+  },
+
+  flag: async (id) => {
+    const { data, error } = await supabase
+      .from('attendance_flags')
+      .select('student_id, class_sessions!inner(class_instance_id)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { classInstanceId: data.class_sessions.class_instance_id, studentId: data.student_id };
+  },
+
+  dispute: async (id) => {
+    const { data, error } = await supabase
+      .from('attendance_disputes')
+      .select('class_instance_id, student_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { classInstanceId: data.class_instance_id, studentId: data.student_id };
+  },
+
+  excuseRequest: async (id) => {
+    const { data, error } = await supabase
+      .from('excuse_requests')
+      .select('class_instance_id, student_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { classInstanceId: data.class_instance_id, studentId: data.student_id };
+  },
+
+  // Rows of the older classes table, still served by a few server routes
+  legacyClass: async (id) => {
+    const { data, error } = await supabase
+      .from('classes')
+      .select('professor_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { professorId: data.professor_id };
+  },
+
+  student: async (value) => {
+    const studentId = await resolveStudentUserId(value);
+    return studentId && { studentId };
+  },
+
+  professor: async (id) => ({ professorId: id }),
+
+  department: async (id) => ({ departmentId: id })
+};
+
+const RESOURCE_KINDS = Object.keys(RESOURCE_LOADERS);
+
+/**
+ * Could this be the resource's ID? Everything but students (who may also be
+ * named by student number) is keyed by UUID, and Postgres rejects a query
+ * comparing a UUID column with anything else.
+ * @param {string} kind - Resource kind
+ * @param {string} id - ID from the request
+ * @returns {boolean}
+ */
+const isResourceId = (kind, id) => kind === 'student' || UUID_PATTERN.test(id);
+
+/**
+ * Departments a department admin looks after
+ * @param {string} userId - users.id
+ * @returns {Promise<Array<string>>}
+ */
+const getAdminDepartmentIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('department_admins')
+    .select('department_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data.map(row => row.department_id);
+};
+
+/**
+ * Classes a teaching assistant is assigned to
+ * @param {string} userId - users.id
+ * @returns {Promise<Array<string>>}
+ */
+const getAssistedClassIds = async (userId) => {
+  const { data, error } = await supabase
+    .from('class_teaching_assistants')
+    .select('class_instance_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data.map(row => row.class_instance_id);
+};
+
+/**
+ * How the caller relates to a class
+ * @param {Object} user - req.user
+ * @param {string} classInstanceId - The class instance ID
+ * @returns {Promise<Set<string>>}
+ */
+const getClassRelations = async (user, classInstanceId) => {
+  const relations = new Set();
+
+  const { data: classInstance, error } = await supabase
+    .from('class_instances')
+    .select('id, professor_id, courses(department_id)')
+    .eq('id', classInstanceId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!classInstance) return relations;
+
+  if (classInstance.professor_id === user.id) relations.add('owner');
+
+  if (user.role === ROLES.TA && (await getAssistedClassIds(user.id)).includes(classInstanceId)) {
+    relations.add('ta');
+  }
+
+  if (user.role === ROLES.DEPARTMENT_ADMIN && classInstance.courses &&
+      (await getAdminDepartmentIds(user.id)).includes(classInstance.courses.department_id)) {
+    relations.add('department_admin');
+  }
+
+  if (user.role === ROLES.STUDENT) {
+    const { data: enrollment, error: enrollmentError } = await supabase
+      .from('enrollments')
+      .select('id')
+      .eq('class_instance_id', classInstanceId)
+      .eq('student_id', user.id)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (enrollmentError) throw enrollmentError;
+    if (enrollment) relations.add('student');
+  }
+
+  return relations;
+};
+
+/**
+ * Does the caller teach (own, assist or administer) any class the student is in?
+ * @param {Object} user - req.user
+ * @param {string} studentId - students.user_id
+ * @returns {Promise<boolean>}
+ */
+const teachesStudent = async (user, studentId) => {
+  if (![ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN].includes(user.role)) return false;
+
+  const { data: enrollments, error } = await supabase
+    .from('enrollments')
+    .select('class_instance_id, class_instances!inner(professor_id, courses(department_id))')
+    .eq('student_id', studentId);
+
+  if (error) throw error;
+
+  if (enrollments.some(enrollment => enrollment.class_instances.professor_id === user.id)) return true;
+
+  if (user.role === ROLES.TA) {
+    const assisted = await getAssistedClassIds(user.id);
+    return enrollments.some(enrollment => assisted.includes(enrollment.class_instance_id));
+  }
+
+  if (user.role === ROLES.DEPARTMENT_ADMIN) {
+    const departments = await getAdminDepartmentIds(user.id);
+    return enrollments.some(enrollment =>
+      enrollment.class_instances.courses && departments.includes(enrollment.class_instances.courses.department_id));
+  }
+
+  return false;
+};
+
+/**
+ * Classes the caller teaches: owns, assists or administers as department admin
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<string>>} class_instances.id
+ */
+const getTaughtClassIds = async (user) => {
+  const classIds = new Set();
+
+  const { data: owned, error } = await supabase
+    .from('class_instances')
+    .select('id')
+    .eq('professor_id', user.id);
+
+  if (error) throw error;
+  owned.forEach(classInstance => classIds.add(classInstance.id));
+
+  if (user.role === ROLES.TA) {
+    (await getAssistedClassIds(user.id)).forEach(classId => classIds.add(classId));
+  }
+
+  if (user.role === ROLES.DEPARTMENT_ADMIN) {
+    const departments = await getAdminDepartmentIds(user.id);
+
+    if (departments.length > 0) {
+      const { data: administered, error: departmentError } = await supabase
+        .from('class_instances')
+        .select('id, courses!inner(department_id)')
+        .in('courses.department_id', departments);
+
+      if (departmentError) throw departmentError;
+      administered.forEach(classInstance => classIds.add(classInstance.id));
+    }
+  }
+
+  return [...classIds];
+};
+
+/**
+ * Students the caller may look up: those actively enrolled in a class they
+ * teach, or everyone for a system admin
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<string>|null>} students.user_id, or null for no limit
+ */
+const getTaughtStudentIds = async (user) => {
+  if (user.role === ROLES.ADMIN) return null;
+
+  const classIds = await getTaughtClassIds(user);
+  if (classIds.length === 0) return [];
+
+  const { data: enrollments, error } = await supabase
+    .from('enrollments')
+    .select('student_id')
+    .in('class_instance_id', classIds)
+    .eq('status', 'active');
+
+  if (error) throw error;
+  return [...new Set(enrollments.map(enrollment => enrollment.student_id))];
+};
+
+/**
+ * Every relationship the caller has to a loaded resource
+ * @param {Object} user - req.user
+ * @param {Object} target - From a resource loader
+ * @returns {Promise<Set<string>>}
+ */
+const getRelations = async (user, target) => {
+  const relations = target.classInstanceId
+    ? await getClassRelations(user, target.classInstanceId)
+    : new Set();
+
+  if (user.role === ROLES.ADMIN) relations.add('admin');
+
+  if (target.studentId && target.studentId === user.id) relations.add('self');
+  if (target.professorId && target.professorId === user.id) relations.add('self');
+
+  if (target.departmentId && user.role === ROLES.DEPARTMENT_ADMIN &&
+      (await getAdminDepartmentIds(user.id)).includes(target.departmentId)) {
+    relations.add('department_admin');
+  }
+
+  if (target.studentId && !target.classInstanceId && await teachesStudent(user, target.studentId)) {
+    relations.add('teacher');
+  }
+
+  return relations;
+};
+
+/**
+ * How the caller relates to one resource
+ * @param {Object} user - req.user (or a socket's signed-in user)
+ * @param {string} kind - Resource kind, e.g. 'session'
+ * @param {string} id - The resource's ID
+ * @returns {Promise<Set<string>|null>} null when the resource doesn't exist
+ */
+const getResourceRelations = async (user, kind, id) => {
+  const target = id && isResourceId(kind, String(id)) ? await RESOURCE_LOADERS[kind](String(id)) : null;
+  return target ? getRelations(user, target) : null;
+};
+
+/**
+ * Relationships a rule accepts, with shorthands expanded
+ * @param {Array<string>} as - Relationships named in the rule
+ * @returns {Array<string>}
+ */
+const expandRelations = (as = []) => as.flatMap(relation => RELATION_SHORTHANDS[relation] || [relation]);
+
+/**
+ * Middleware factory: let the request through if any rule allows it
+ * @param {...Object} rules - { roles } or { <resource kind>: paramName, from, as }
+ *   where from is 'params' (default), 'body' or 'query'
+ * @returns {Function} Express middleware
+ */
+const authorize = (...rules) => {
+  rules.forEach(rule => {
+    const kinds = Object.keys(rule).filter(key => RESOURCE_KINDS.includes(key));
+    if (!rule.roles && kinds.length !== 1) {
+      throw new Error(`An access rule needs roles or exactly one resource: ${JSON.stringify(rule)}`);
+    }
+  });
+
+  const middleware = async (req, res, next) => {
+    try {
+      const user = req.user;
+      let resourceFound = false;
+
+      for (const rule of rules) {
+        if (rule.roles) {
+          if (rule.roles.includes(user.role)) return next();
+          continue;
+        }
+
+        const kind = Object.keys(rule).find(key => RESOURCE_KINDS.includes(key));
+        const source = req[rule.from || 'params'] || {};
+
+        const relations = await getResourceRelations(user, kind, source[rule[kind]]);
+        if (!relations) continue;
+
+        resourceFound = true;
+
+        if (expandRelations(rule.as).some(relation => relations.has(relation))) return next();
+      }
+
+      if (!resourceFound && rules.every(rule => !rule.roles)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      console.log('🚫 Access denied:', { userId: user.id, role: user.role, method: req.method, path: req.originalUrl });
+
+      res.status(403).json({
+        success: false,
+        error: 'You do not have access to this resource',
+        code: 'FORBIDDEN'
+      });
+    } catch (error) {
+      console.error('❌ Error checking access:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check access'
+      });
+    }
+  };
+
+  middleware.accessRules = rules;
+  return middleware;
+};
+
+/**
+ * Marks a route that needs no signed-in user (the health check, password reset)
+ */
+const publicRoute = (req, res, next) => next();
+publicRoute.accessRules = 'public';
+
+/**
+ * The access matrix: every route on the app with the rules guarding it
+ * @param {Object} app - Express app
+ * @returns {Array<Object>} { method, path, rules } with rules null when unguarded
+ */
+const listRouteAccess = (app) => {
+  const routes = [];
+
+  const collect = (stack) => stack.forEach(layer => {
+    if (layer.route) {
+      const guard = layer.route.stack.find(handler => handler.handle.accessRules);
+      Object.keys(layer.route.methods).forEach(method => routes.push({
+        method: method.toUpperCase(),
+        path: layer.route.path,
+        rules: guard ? guard.handle.accessRules : null
+      }));
+    } else if (layer.handle && layer.handle.stack) {
+      collect(layer.handle.stack);
+    }
+  });
+
+  collect(app._router ? app._router.stack : []);
+  return routes;
+};
+
+/**
+ * Routes registered without authorize() or publicRoute
+ * @param {Object} app - Express app
+ * @returns {Array<string>} "METHOD /path" for each
+ */
+const findUnprotectedRoutes = (app) => listRouteAccess(app)
+  .filter(route => route.rules === null)
+  .map(route => `${route.method} ${route.path}`);
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  authorize,
+  publicRoute,
+  getClassRelations,
+  getResourceRelations,
+  getTaughtClassIds,
+  getTaughtStudentIds,
+  listRouteAccess,
+  findUnprotectedRoutes
+};
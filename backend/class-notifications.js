@@ -0,0 +1,128 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// CLASS SCHEDULE NOTIFICATIONS
+// =====================================================
+// Cancellations and moves reach a class's students and professor twice:
+// a notifications row (the inbox) and a Socket.io push to each user's
+// `user-<id>` room so open pages update straight away.
+
+/**
+ * Student IDs actively enrolled in a class
+ * @param {string} classInstanceId - The class instance ID
+ * @returns {Promise<Array<string>>}
+ */
+const getActiveStudentIds = async (classInstanceId) => {
+  const { data, error } = await supabase
+    .from('enrollments')
+    .select('student_id')
+    .eq('class_instance_id', classInstanceId)
+    .eq('status', 'active');
+
+  if (error) throw error;
+  return (data || []).map(enrollment => enrollment.student_id);
+};
+
+/**
+ * Insert notifications and push each one to its recipient's `user-<id>`
+ * room. Never throws: a failed notification must not undo the change it
+ * reports.
+ * @param {Array<Object>} rows - notifications rows to insert
+ * @returns {Promise<Array>} The notifications sent (empty on failure)
+ */
+const sendUserNotifications = async (rows) => {
+  if (rows.length === 0) return [];
+
+  try {
+    const { data: notifications, error } = await supabase
+      .from('notifications')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+
+    if (global.io) {
+      notifications.forEach(notification => {
+        global.io.to(`user-${notification.user_id}`).emit('notification', notification);
+      });
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error(`❌ Error sending ${rows[0].type} notifications:`, error);
+    return [];
+  }
+};
+
+/**
+ * Notify a class's students and professor that sessions changed. Never
+ * throws: a failed notification must not undo the schedule change.
+ * @param {Object} classInstance - { id, professor_id }
+ * @param {Array} sessions - Affected class_sessions rows
+ * @param {Object} notice - { type, title, message, metadata }
+ * @returns {Promise<number>} Number of notifications sent
+ */
+const notifySessionChange = async (classInstance, sessions, { type, title, message, metadata = {} }) => {
+  if (sessions.length === 0) return 0;
+
+  try {
+    const studentIds = await getActiveStudentIds(classInstance.id);
+
+    const recipients = [
+      ...studentIds.map(user_id => ({ user_id, link: '/student/classes' })),
+      { user_id: classInstance.professor_id, link: `/professor/classes/${classInstance.id}` }
+    ];
+
+    const notifications = await sendUserNotifications(recipients.map(({ user_id, link }) => ({
+      user_id,
+      type,
+      title,
+      message,
+      class_id: classInstance.id,
+      session_id: sessions.length === 1 ? sessions[0].id : null,
+      link,
+      priority: 'high',
+      metadata: {
+        ...metadata,
+        sessionIds: sessions.map(session => session.id)
+      }
+    })));
+
+    if (global.io) {
+      global.io.to(`professor-${classInstance.professor_id}`).emit('sessions_updated', {
+        classInstanceId: classInstance.id,
+        type,
+        sessions
+      });
+
+      sessions.forEach(session => {
+        global.io.to([`session-${session.id}`, `session-status-${session.id}`]).emit('session_status_update', {
+          sessionId: session.id,
+          status: session.status,
+          date: session.date,
+          start_time: session.start_time,
+          end_time: session.end_time
+        });
+      });
+    }
+
+    console.log(`📢 ${type} notifications sent to ${notifications.length} users for class ${classInstance.id}`);
+    return notifications.length;
+  } catch (error) {
+    console.error(`❌ Error sending ${type} notifications:`, error);
+    return 0;
+  }
+};
+
+module.exports = {
+  getActiveStudentIds,
+  sendUserNotifications,
+  notifySessionChange
+};
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Maximum number of trusted devices per student
+ * @returns {number}
+ */
+const getMaxTrustedDevices = () => parseInt(process.env.MAX_TRUSTED_DEVICES, 10) || 2;
+
+/**
+ * Whether scans sharing an IP address should be flagged. Campus Wi-Fi
+ * behind a single NAT address makes this noisy, so it can be turned off.
+ * @returns {boolean}
+ */
+const isSharedIpDetectionEnabled = () => process.env.FLAG_SHARED_IP !== 'false';
+
+// Prefix of the message a device signs for an offline capture
+const CAPTURE_SIGNATURE_VERSION = 'offline-capture/v1';
+
+/**
+ * Hash the identifier the client generated so the raw value never lands in the database
+ * @param {string} rawDeviceId - Identifier stored on the device at first login
+ * @returns {string|null} Hex digest, or null when no usable identifier was sent
+ */
+const hashDeviceId = (rawDeviceId) => {
+  if (typeof rawDeviceId !== 'string' || rawDeviceId.trim().length < 16) return null;
+  return crypto.createHash('sha256').update(rawDeviceId.trim()).digest('hex');
+};
+
+/**
+ * Parse the public key a device registered for signing offline captures
+ * @param {*} publicKey - Base64 SPKI (DER) of an ECDSA P-256 key
+ * @returns {crypto.KeyObject|null} The key, or null when it isn't one
+ */
+const parseDevicePublicKey = (publicKey) => {
+  if (typeof publicKey !== 'string' || !publicKey) return null;
+
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== 'prime256v1') return null;
+    return key;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The message a device signs when it captures a code offline: the
+ * version, the scanned QR text and the capture time exactly as submitted,
+ * one per line
+ * @param {string} qrText - QR payload as scanned
+ * @param {string} capturedAt - Capture time as sent in the scan request
+ * @returns {string}
+ */
+const getCaptureSigningMessage = (qrText, capturedAt) => [CAPTURE_SIGNATURE_VERSION, qrText, capturedAt].join('\n');
+
+/**
+ * Register a device for a student, enforcing the trusted-device cap. A
+ * device's signing key is kept once set; replacing it means removing the
+ * device and registering it again.
+ * @param {string} studentUserId - students.user_id
+ * @param {string} rawDeviceId - Identifier generated by the client
+ * @param {Object} info - { label, userAgent, publicKey }
+ * @returns {Promise<Object>} { success, device, code, error }
+ */
+const registerDevice = async (studentUserId, rawDeviceId, { label, userAgent, publicKey } = {}) => {
+  const deviceId = hashDeviceId(rawDeviceId);
+  if (!deviceId) {
+    return { success: false, code: 'DEVICE_ID_INVALID', error: 'A device identifier of at least 16 characters is required' };
+  }
+
+  if (publicKey !== undefined && publicKey !== null && !parseDevicePublicKey(publicKey)) {
+    return { success: false, code: 'DEVICE_KEY_INVALID', error: 'publicKey must be a base64 SPKI ECDSA P-256 public key' };
+  }
+
+  const { data: devices, error: devicesError } = await supabase
+    .from('student_devices')
+    .select('*')
+    .eq('student_id', studentUserId)
+    .is('revoked_at', null);
+
+  if (devicesError) throw devicesError;
+
+  const existingDevice = devices.find(device => device.device_id === deviceId);
+
+  if (existingDevice) {
+    const { data: updatedDevice, error: updateError } = await supabase
+      .from('student_devices')
+      .update({
+        last_seen_at: new Date().toISOString(),
+        user_agent: userAgent || existingDevice.user_agent,
+        label: label || existingDevice.label,
+        public_key: existingDevice.public_key || publicKey || null
+      })
+      .eq('id', existingDevice.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    return { success: true, device: updatedDevice };
+  }
+
+  const trustedCount = devices.filter(device => device.is_trusted).length;
+  if (trustedCount >= getMaxTrustedDevices()) {
+    return {
+      success: false,
+      code: 'DEVICE_LIMIT_REACHED',
+      error: `You already have ${trustedCount} trusted devices. Remove one before adding another.`
+    };
+  }
+
+  // A previously revoked device can be re-registered
+  const { data: device, error: insertError } = await supabase
+    .from('student_devices')
+    .upsert({
+      student_id: studentUserId,
+      device_id: deviceId,
+      label: label || null,
+      user_agent: userAgent || null,
+      is_trusted: true,
+      public_key: publicKey || null,
+      first_seen_at: new Date().toISOString(),
+      last_seen_at: new Date().toISOString(),
+      revoked_at: null
+    }, { onConflict: 'student_id,device_id' })
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+  return { success: true, device };
+};
+
+/**
+ * Look up the device used for a scan
+ * @param {string} studentUserId - students.user_id
+ * @param {string} rawDeviceId - Identifier sent with the scan
+ * @returns {Promise<Object>} { deviceId, trusted }
+ */
+const resolveScanDevice = async (studentUserId, rawDeviceId) => {
+  const deviceId = hashDeviceId(rawDeviceId);
+  if (!deviceId) return { deviceId: null, trusted: false };
+
+  const { data: device, error } = await supabase
+    .from('student_devices')
+    .select('id, is_trusted')
+    .eq('student_id', studentUserId)
+    .eq('device_id', deviceId)
+    .is('revoked_at', null)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  if (device) {
+    await supabase
+      .from('student_devices')
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('id', device.id);
+  }
+
+  return { deviceId, trusted: !!(device && device.is_trusted) };
+};
+
+/**
+ * Check that an offline capture was signed by the student's trusted device.
+ * The capture time comes from the device, so it is only believed when the
+ * key the device registered signed it together with the scanned code.
+ * @param {string} studentUserId - students.user_id
+ * @param {string} rawDeviceId - Identifier sent with the scan
+ * @param {Object} capture - { qrText, capturedAt, signature } with capturedAt
+ *   as sent and signature the base64 (IEEE P1363) ECDSA signature
+ * @returns {Promise<boolean>}
+ */
+const verifyCaptureSignature = async (studentUserId, rawDeviceId, { qrText, capturedAt, signature }) => {
+  const deviceId = hashDeviceId(rawDeviceId);
+  if (!deviceId || typeof signature !== 'string' || !signature) return false;
+
+  const { data: device, error } = await supabase
+    .from('student_devices')
+    .select('id, public_key')
+    .eq('student_id', studentUserId)
+    .eq('device_id', deviceId)
+    .eq('is_trusted', true)
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const key = device && parseDevicePublicKey(device.public_key);
+  if (!key) return false;
+
+  return crypto.verify(
+    'sha256',
+    Buffer.from(getCaptureSigningMessage(qrText, capturedAt)),
+    { key, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64')
+  );
+};
+
+/**
+ * Record flags for a scan; duplicates of the same flag on a record are ignored
+ * @param {Array<Object>} flags - attendance_flags rows
+ * @returns {Promise<void>}
+ */
+const recordFlags = async (flags) => {
+  if (flags.length === 0) return;
+
+  const { error } = await supabase
+    .from('attendance_flags')
+    .upsert(flags, { onConflict: 'attendance_record_id,flag_type', ignoreDuplicates: true });
+
+  if (error) throw error;
+};
+
+/**
+ * Flag a scan that reached the server after its QR code expired (captured
+ * offline and submitted once the device reconnected)
+ * @param {Object} record - attendance_records row
+ * @param {Object} details - { captured_at, submitted_at, phase }
+ * @returns {Promise<void>}
+ */
+const flagOfflineSubmission = (record, details) => recordFlags([{
+  session_id: record.session_id,
+  attendance_record_id: record.id,
+  student_id: record.student_id,
+  flag_type: 'offline_submission',
+  details
+}]);
+
+/**
+ * Flag a freshly recorded scan if its device or IP address already checked
+ * in a different student for the same session. Both sides get flagged.
+ * @param {Object} record - The inserted attendance_records row
+ * @param {Object} context - { trustedDevice, geofenceFlagged, distance, offline }
+ *   where offline holds the details of a scan submitted after its code expired
+ * @returns {Promise<Array<string>>} Flag types raised on this record
+ */
+const detectSuspiciousScan = async (record, { trustedDevice, geofenceFlagged, distance, offline } = {}) => {
+  const flags = [];
+  const raised = new Set();
+
+  const flag = (target, flagType, details) => {
+    flags.push({
+      session_id: record.session_id,
+      attendance_record_id: target.id,
+      student_id: target.student_id,
+      flag_type: flagType,
+      details
+    });
+    if (target.id === record.id) raised.add(flagType);
+  };
+
+  const { data: sessionRecords, error } = await supabase
+    .from('attendance_records')
+    .select('id, student_id, device_fingerprint, ip_address')
+    .eq('session_id', record.session_id)
+    .neq('student_id', record.student_id);
+
+  if (error) throw error;
+
+  const checks = [
+    { flagType: 'shared_device', field: 'device_fingerprint', enabled: !!record.device_fingerprint && record.device_fingerprint !== 'unknown' },
+    { flagType: 'shared_ip', field: 'ip_address', enabled: !!record.ip_address && isSharedIpDetectionEnabled() }
+  ];
+
+  for (const { flagType, field, enabled } of checks) {
+    if (!enabled) continue;
+    const matches = sessionRecords.filter(other => other[field] === record[field]);
+    if (matches.length === 0) continue;
+
+    const studentIds = [record.student_id, ...matches.map(other => other.student_id)];
+    flag(record, flagType, { [field]: record[field], students: studentIds });
+    matches.forEach(other => flag(other, flagType, { [field]: record[field], students: studentIds }));
+  }
+
+  if (trustedDevice === false) {
+    flag(record, 'untrusted_device', { device_fingerprint: record.device_fingerprint });
+  }
+
+  if (geofenceFlagged) {
+    flag(record, 'out_of_range', { distance_from_room: distance ?? null });
+  }
+
+  if (offline) {
+    flag(record, 'offline_submission', offline);
+  }
+
+  await recordFlags(flags);
+  return [...raised];
+};
+
+module.exports = {
+  getMaxTrustedDevices,
+  hashDeviceId,
+  registerDevice,
+  resolveScanDevice,
+  getCaptureSigningMessage,
+  verifyCaptureSignature,
+  flagOfflineSubmission,
+  detectSuspiciousScan
+};
@@ -0,0 +1,289 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { registerDevice } = require('./device-registry.js');
+const { ROLES, authorize } = require('./authorization.js');
+require('dotenv').config({ path: '.env.local' });
+
+const router = express.Router();
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// STUDENT DEVICE REGISTRY
+// =====================================================
+
+/**
+ * Register the device a student just logged in on
+ * POST /api/devices/register
+ */
+router.post('/api/devices/register', authorize({ roles: [ROLES.STUDENT] }), async (req, res) => {
+  try {
+    const studentId = req.user.student_number;
+    const { deviceId, label, publicKey } = req.body;
+
+    if (!studentId || !deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'A student account and device ID are required'
+      });
+    }
+
+    const { data: studentRecord, error: studentError } = await supabase
+      .from('students')
+      .select('user_id')
+      .eq('student_id', studentId)
+      .single();
+
+    if (studentError || !studentRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student record not found'
+      });
+    }
+
+    const result = await registerDevice(studentRecord.user_id, deviceId, {
+      label,
+      userAgent: req.headers['user-agent'],
+      publicKey
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'DEVICE_LIMIT_REACHED' ? 409 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    console.log('📱 Device registered for student:', studentId);
+
+    res.json({
+      success: true,
+      device: {
+        id: result.device.id,
+        label: result.device.label,
+        is_trusted: result.device.is_trusted,
+        can_sign_captures: !!result.device.public_key,
+        first_seen_at: result.device.first_seen_at,
+        last_seen_at: result.device.last_seen_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error registering device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * List a student's registered devices
+ * GET /api/students/:studentId/devices
+ */
+router.get('/api/students/:studentId/devices', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const { data: studentRecord, error: studentError } = await supabase
+      .from('students')
+      .select('user_id')
+      .eq('student_id', studentId)
+      .single();
+
+    if (studentError || !studentRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student record not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('student_devices')
+      .select('id, label, user_agent, is_trusted, first_seen_at, last_seen_at')
+      .eq('student_id', studentRecord.user_id)
+      .is('revoked_at', null)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching student devices:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Remove a device so another one can be trusted
+ * DELETE /api/students/:studentId/devices/:deviceId
+ */
+router.delete('/api/students/:studentId/devices/:deviceId', authorize({ student: 'studentId', as: ['self', 'admin'] }), async (req, res) => {
+  try {
+    const { studentId, deviceId } = req.params;
+
+    const { data: studentRecord, error: studentError } = await supabase
+      .from('students')
+      .select('user_id')
+      .eq('student_id', studentId)
+      .single();
+
+    if (studentError || !studentRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student record not found'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('student_devices')
+      .update({
+        revoked_at: new Date().toISOString(),
+        is_trusted: false
+      })
+      .eq('id', deviceId)
+      .eq('student_id', studentRecord.user_id)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device removed successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error removing device:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// =====================================================
+// FLAGGED SCAN REVIEW
+// =====================================================
+
+/**
+ * Flagged scans for a class, for its professor to review
+ * GET /api/class-instances/:instanceId/flagged-scans
+ */
+router.get('/api/class-instances/:instanceId/flagged-scans', authorize({ class: 'instanceId', as: ['staff'] }), async (req, res) => {
+  try {
+    const { instanceId } = req.params;
+    const { status = 'open', session_id } = req.query;
+
+    let query = supabase
+      .from('attendance_flags')
+      .select(`
+        *,
+        class_sessions!inner(
+          id,
+          session_number,
+          date,
+          class_instance_id
+        ),
+        attendance_records(
+          id,
+          status,
+          scanned_at,
+          ip_address,
+          distance_from_room
+        ),
+        students(
+          student_id,
+          users(first_name, last_name, email)
+        )
+      `)
+      .eq('class_sessions.class_instance_id', instanceId)
+      .order('created_at', { ascending: false });
+
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (session_id) {
+      query = query.eq('session_id', session_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching flagged scans:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Dismiss or confirm a flagged scan
+ * PATCH /api/attendance-flags/:flagId
+ */
+router.patch('/api/attendance-flags/:flagId', authorize({ flag: 'flagId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { flagId } = req.params;
+    const professor_id = req.user.id;
+    const { status, review_notes } = req.body;
+
+    if (!['dismissed', 'confirmed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A status of dismissed or confirmed is required'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('attendance_flags')
+      .update({
+        status,
+        review_notes: review_notes || null,
+        reviewed_by: professor_id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', flagId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      flag: data
+    });
+  } catch (error) {
+    console.error('❌ Error reviewing flag:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
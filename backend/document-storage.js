@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// SUPPORTING DOCUMENTS
+// =====================================================
+// Files students attach to excuse requests and attendance disputes. They
+// arrive base64-encoded in the JSON body, are kept in a private storage
+// bucket and are only read through short-lived signed URLs.
+
+const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/heic'];
+const MAX_DOCUMENTS = 5;
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// How long a document link handed to a reviewer stays valid
+const DOCUMENT_URL_SECONDS = 300;
+
+const getDocumentsBucket = () => process.env.ATTENDANCE_DOCUMENTS_BUCKET || 'attendance-documents';
+
+/**
+ * Decode one uploaded document
+ * @param {Object} document - { file_name, content_type, data } with data as base64 or a data URL
+ * @returns {Object} { valid, value: { file_name, content_type, buffer }, error }
+ */
+const decodeDocument = (document = {}) => {
+  const { file_name, content_type, data } = document;
+
+  if (!file_name || !content_type || typeof data !== 'string') {
+    return { valid: false, error: 'Each document needs file_name, content_type and data' };
+  }
+
+  if (!DOCUMENT_TYPES.includes(content_type)) {
+    return { valid: false, error: `${file_name}: documents must be one of ${DOCUMENT_TYPES.join(', ')}` };
+  }
+
+  const buffer = Buffer.from(data.replace(/^data:[^;]+;base64,/, ''), 'base64');
+
+  if (buffer.length === 0) {
+    return { valid: false, error: `${file_name}: document is empty` };
+  }
+
+  if (buffer.length > MAX_DOCUMENT_BYTES) {
+    return { valid: false, error: `${file_name}: documents must be ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB or smaller` };
+  }
+
+  return { valid: true, value: { file_name: String(file_name).slice(0, 255), content_type, buffer } };
+};
+
+/**
+ * Check and decode the documents in a request body
+ * @param {*} documents - Request value (optional)
+ * @returns {Object} { valid, values, error }
+ */
+const validateDocuments = (documents = []) => {
+  if (!Array.isArray(documents) || documents.length > MAX_DOCUMENTS) {
+    return { valid: false, error: `Attach at most ${MAX_DOCUMENTS} documents` };
+  }
+
+  const values = [];
+  for (const document of documents) {
+    const result = decodeDocument(document);
+    if (!result.valid) return result;
+    values.push(result.value);
+  }
+
+  return { valid: true, values };
+};
+
+/**
+ * Upload decoded documents under a folder
+ * @param {string} folder - e.g. 'excuses/<request id>'
+ * @param {Array} documents - From validateDocuments
+ * @returns {Promise<Array>} { file_name, content_type, size_bytes, storage_path } for each
+ */
+const storeDocuments = async (folder, documents) => {
+  const bucket = getDocumentsBucket();
+  const stored = [];
+
+  for (const document of documents) {
+    const extension = document.file_name.includes('.') ? document.file_name.split('.').pop().toLowerCase() : 'bin';
+    const storagePath = `${folder}/${crypto.randomUUID()}.${extension}`;
+
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(storagePath, document.buffer, { contentType: document.content_type });
+
+    if (error) throw error;
+
+    stored.push({
+      file_name: document.file_name,
+      content_type: document.content_type,
+      size_bytes: document.buffer.length,
+      storage_path: storagePath
+    });
+  }
+
+  return stored;
+};
+
+/**
+ * Remove everything stored under a folder (cleanup after a failed submission)
+ * @param {string} folder - Folder passed to storeDocuments
+ * @returns {Promise<void>}
+ */
+const removeDocuments = async (folder) => {
+  const bucket = getDocumentsBucket();
+
+  const { data: objects, error } = await supabase.storage.from(bucket).list(folder);
+  if (error || !objects || objects.length === 0) return;
+
+  await supabase.storage
+    .from(bucket)
+    .remove(objects.map(object => `${folder}/${object.name}`));
+};
+
+/**
+ * Short-lived link to read a stored document
+ * @param {string} storagePath - storage_path of the document row
+ * @returns {Promise<string>}
+ */
+const getDocumentUrl = async (storagePath) => {
+  const { data, error } = await supabase.storage
+    .from(getDocumentsBucket())
+    .createSignedUrl(storagePath, DOCUMENT_URL_SECONDS);
+
+  if (error) throw error;
+  return data.signedUrl;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  MAX_DOCUMENTS,
+  MAX_DOCUMENT_BYTES,
+  validateDocuments,
+  storeDocuments,
+  removeDocuments,
+  getDocumentUrl
+};
@@ -0,0 +1,435 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const {
+  EXCUSE_STATUSES,
+  validateExcuseRequestInput,
+  uploadExcuseDocuments,
+  removeExcuseDocuments,
+  reviewExcuseRequest
+} = require('./excuse-requests.js');
+const { getDocumentUrl } = require('./document-storage.js');
+const { sendUserNotifications } = require('./class-notifications.js');
+const { ROLES, authorize, getTaughtClassIds } = require('./authorization.js');
+require('dotenv').config({ path: '.env.local' });
+
+const router = express.Router();
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// EXCUSED-ABSENCE REQUESTS
+// =====================================================
+
+const EXCUSE_REQUEST_SELECT = `
+  *,
+  class_instances!inner(id, class_code, professor_id, courses(code, name)),
+  students(student_id, users(first_name, last_name, email)),
+  excuse_request_sessions(session_id, class_sessions(id, session_number, date, start_time, end_time, status)),
+  excuse_request_documents(id, file_name, content_type, size_bytes, uploaded_at)
+`;
+
+/**
+ * Load an excuse request with its class, sessions and documents
+ * @param {string} requestId - The excuse request ID
+ * @returns {Promise<Object|null>}
+ */
+const fetchExcuseRequest = async (requestId) => {
+  const { data, error } = await supabase
+    .from('excuse_requests')
+    .select(EXCUSE_REQUEST_SELECT)
+    .eq('id', requestId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Readable list of the session dates a request covers
+ * @param {Object} excuseRequest - Request loaded with EXCUSE_REQUEST_SELECT
+ * @returns {string}
+ */
+const describeExcuseSessions = (excuseRequest) => excuseRequest.excuse_request_sessions
+  .map(link => link.class_sessions?.date)
+  .filter(Boolean)
+  .sort()
+  .join(', ');
+
+/**
+ * Submit an excuse request for one or more sessions of a class
+ * POST /api/excuse-requests
+ */
+router.post('/api/excuse-requests', authorize({ class: 'class_instance_id', from: 'body', as: ['student'] }), async (req, res) => {
+  try {
+    const student_id = req.user.id;
+    const { class_instance_id } = req.body;
+
+    if (!class_instance_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'class_instance_id is required'
+      });
+    }
+
+    const validation = validateExcuseRequestInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+    const { category, description, session_ids, documents } = validation.values;
+
+    const { data: enrollment, error: enrollmentError } = await supabase
+      .from('enrollments')
+      .select('id')
+      .eq('student_id', student_id)
+      .eq('class_instance_id', class_instance_id)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (enrollmentError) throw enrollmentError;
+
+    if (!enrollment) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not enrolled in this class'
+      });
+    }
+
+    const { data: sessions, error: sessionsError } = await supabase
+      .from('class_sessions')
+      .select('id, date, status')
+      .eq('class_instance_id', class_instance_id)
+      .in('id', session_ids);
+
+    if (sessionsError) throw sessionsError;
+
+    if (sessions.length !== session_ids.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every session must belong to this class'
+      });
+    }
+
+    const cancelled = sessions.filter(session => session.status === 'cancelled');
+    if (cancelled.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Cancelled sessions don't need an excuse (${cancelled.map(session => session.date).join(', ')})`
+      });
+    }
+
+    // One open or approved request per session
+    const { data: covered, error: coveredError } = await supabase
+      .from('excuse_request_sessions')
+      .select('session_id, excuse_requests!inner(id, status, student_id)')
+      .in('session_id', session_ids)
+      .eq('excuse_requests.student_id', student_id)
+      .in('excuse_requests.status', ['pending', 'approved']);
+
+    if (coveredError) throw coveredError;
+
+    if (covered.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Some of these sessions already have a pending or approved excuse request',
+        session_ids: covered.map(link => link.session_id)
+      });
+    }
+
+    const { data: excuseRequest, error: insertError } = await supabase
+      .from('excuse_requests')
+      .insert({
+        student_id,
+        class_instance_id,
+        category,
+        description
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    try {
+      const { error: linkError } = await supabase
+        .from('excuse_request_sessions')
+        .insert(session_ids.map(session_id => ({ excuse_request_id: excuseRequest.id, session_id })));
+
+      if (linkError) throw linkError;
+
+      await uploadExcuseDocuments(excuseRequest.id, documents);
+    } catch (error) {
+      // Don't leave a request the professor can't see the documents for
+      await removeExcuseDocuments(excuseRequest.id);
+      await supabase.from('excuse_requests').delete().eq('id', excuseRequest.id);
+      throw error;
+    }
+
+    const saved = await fetchExcuseRequest(excuseRequest.id);
+    const courseCode = saved.class_instances.courses.code;
+
+    console.log(`📝 Excuse request ${saved.id} submitted for ${session_ids.length} sessions of ${courseCode}`);
+
+    await sendUserNotifications([{
+      user_id: saved.class_instances.professor_id,
+      type: 'excuse_submitted',
+      title: `New excuse request for ${courseCode}`,
+      message: `${saved.students.users.first_name} ${saved.students.users.last_name} asked to be excused (${category.replace('_', ' ')}) from ${describeExcuseSessions(saved)}.`,
+      class_id: class_instance_id,
+      link: '/professor/excuse-requests',
+      priority: 'medium',
+      metadata: {
+        excuseRequestId: saved.id,
+        category,
+        sessionIds: session_ids
+      }
+    }]);
+
+    res.status(201).json({
+      success: true,
+      data: saved
+    });
+  } catch (error) {
+    console.error('❌ Error submitting excuse request:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * A student's excuse requests, newest first
+ * GET /api/students/:studentId/excuse-requests
+ */
+router.get('/api/students/:studentId/excuse-requests', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { status } = req.query;
+
+    let query = supabase
+      .from('excuse_requests')
+      .select(EXCUSE_REQUEST_SELECT)
+      .eq('student_id', studentId);
+
+    // Teaching staff only see the student's requests in classes they teach
+    if (studentId !== req.user.id && req.user.role !== ROLES.ADMIN) {
+      const classIds = await getTaughtClassIds(req.user);
+
+      if (classIds.length === 0) {
+        return res.json({ success: true, data: [], count: 0 });
+      }
+
+      query = query.in('class_instance_id', classIds);
+    }
+
+    if (status && status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching student excuse requests:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Review queue for a professor's classes, oldest first
+ * GET /api/professors/:professorId/excuse-requests
+ */
+router.get('/api/professors/:professorId/excuse-requests', authorize({ professor: 'professorId', as: ['self', 'admin'] }), async (req, res) => {
+  try {
+    const { professorId } = req.params;
+    const { status = 'pending', class_id } = req.query;
+
+    let query = supabase
+      .from('excuse_requests')
+      .select(EXCUSE_REQUEST_SELECT)
+      .eq('class_instances.professor_id', professorId);
+
+    if (status !== 'all') {
+      if (!EXCUSE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of ${EXCUSE_STATUSES.join(', ')} or all`
+        });
+      }
+      query = query.eq('status', status);
+    }
+
+    if (class_id && class_id !== 'all') {
+      query = query.eq('class_instance_id', class_id);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching excuse review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Short-lived link to one of a request's documents
+ * GET /api/excuse-requests/:requestId/documents/:documentId
+ */
+router.get('/api/excuse-requests/:requestId/documents/:documentId', authorize({ excuseRequest: 'requestId', as: ['staff', 'self'] }), async (req, res) => {
+  try {
+    const { requestId, documentId } = req.params;
+
+    const { data: document, error } = await supabase
+      .from('excuse_request_documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('excuse_request_id', requestId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const url = await getDocumentUrl(document.storage_path);
+
+    res.json({
+      success: true,
+      data: {
+        id: document.id,
+        file_name: document.file_name,
+        content_type: document.content_type,
+        url
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching excuse document:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Approve or deny an excuse request. Approval marks the student excused
+ * for the request's sessions; either way the student is notified.
+ * POST /api/excuse-requests/:requestId/review
+ */
+router.post('/api/excuse-requests/:requestId/review', authorize({ excuseRequest: 'requestId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const professor_id = req.user.id;
+    const { decision, comment } = req.body;
+
+    if (!['approved', 'denied'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be approved or denied'
+      });
+    }
+
+    if (decision === 'denied' && !comment) {
+      return res.status(400).json({
+        success: false,
+        error: 'A comment is required when denying a request'
+      });
+    }
+
+    const excuseRequest = await fetchExcuseRequest(requestId);
+
+    if (!excuseRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Excuse request not found'
+      });
+    }
+
+    if (excuseRequest.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `This request was already ${excuseRequest.status}`
+      });
+    }
+
+    // The decision and the excused records land together, and only if
+    // nobody reviewed the request in the meantime
+    const review = await reviewExcuseRequest(excuseRequest, professor_id, decision, comment);
+
+    if (!review.success) {
+      return res.status(409).json({
+        success: false,
+        error: 'This request was reviewed while this request was running; reload and try again'
+      });
+    }
+
+    const reviewed = review.request;
+    const attendanceRecords = review.records;
+    const sessionIds = excuseRequest.excuse_request_sessions.map(link => link.session_id);
+
+    const courseCode = excuseRequest.class_instances.courses.code;
+    const dates = describeExcuseSessions(excuseRequest);
+
+    console.log(`📝 Excuse request ${requestId} ${decision} by ${professor_id}`);
+
+    await sendUserNotifications([{
+      user_id: excuseRequest.student_id,
+      type: 'excuse_reviewed',
+      title: `Excuse request ${decision} for ${courseCode}`,
+      message: decision === 'approved'
+        ? `You are excused from ${courseCode} on ${dates}.${comment ? ` ${comment}` : ''}`
+        : `Your excuse request for ${courseCode} on ${dates} was denied: ${comment}`,
+      class_id: excuseRequest.class_instance_id,
+      link: '/student/attendance',
+      priority: 'high',
+      metadata: {
+        excuseRequestId: requestId,
+        decision,
+        sessionIds
+      }
+    }]);
+
+    res.json({
+      success: true,
+      data: { ...excuseRequest, ...reviewed },
+      attendance_records: attendanceRecords
+    });
+  } catch (error) {
+    console.error('❌ Error reviewing excuse request:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
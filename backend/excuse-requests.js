@@ -0,0 +1,132 @@
+const { createClient } = require('@supabase/supabase-js');
+const { validateDocuments, storeDocuments, removeDocuments } = require('./document-storage.js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// EXCUSED-ABSENCE REQUESTS
+// =====================================================
+// Students ask to be excused from sessions and attach supporting documents
+// (see document-storage.js). The class's professor approves or denies;
+// approval marks the sessions 'excused' in attendance_records.
+
+const EXCUSE_CATEGORIES = ['illness', 'athletics', 'religious_observance', 'family'];
+const EXCUSE_STATUSES = ['pending', 'approved', 'denied'];
+
+const MAX_EXCUSE_SESSIONS = 20;
+
+/**
+ * Check an excuse request from a request body
+ * @param {Object} body - { category, description, session_ids, documents }
+ * @returns {Object} { valid, values, error }
+ */
+const validateExcuseRequestInput = (body = {}) => {
+  const { category, description, session_ids, documents = [] } = body;
+
+  if (!EXCUSE_CATEGORIES.includes(category)) {
+    return { valid: false, error: `category must be one of ${EXCUSE_CATEGORIES.join(', ')}` };
+  }
+
+  if (!Array.isArray(session_ids) || session_ids.length === 0) {
+    return { valid: false, error: 'session_ids must list at least one session' };
+  }
+
+  const sessionIds = [...new Set(session_ids)];
+  if (sessionIds.length > MAX_EXCUSE_SESSIONS) {
+    return { valid: false, error: `An excuse request can cover at most ${MAX_EXCUSE_SESSIONS} sessions` };
+  }
+
+  const documentCheck = validateDocuments(documents);
+  if (!documentCheck.valid) return documentCheck;
+
+  return {
+    valid: true,
+    values: {
+      category,
+      description: description ? String(description).trim() : null,
+      session_ids: sessionIds,
+      documents: documentCheck.values
+    }
+  };
+};
+
+const getExcuseDocumentsFolder = (excuseRequestId) => `excuses/${excuseRequestId}`;
+
+/**
+ * Store a request's documents and record them
+ * @param {string} excuseRequestId - The excuse request ID
+ * @param {Array} documents - Decoded documents from validateExcuseRequestInput
+ * @returns {Promise<Array>} excuse_request_documents rows
+ */
+const uploadExcuseDocuments = async (excuseRequestId, documents) => {
+  if (documents.length === 0) return [];
+
+  const stored = await storeDocuments(getExcuseDocumentsFolder(excuseRequestId), documents);
+
+  const { data, error } = await supabase
+    .from('excuse_request_documents')
+    .insert(stored.map(document => ({ ...document, excuse_request_id: excuseRequestId })))
+    .select('id, file_name, content_type, size_bytes, uploaded_at');
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Remove whatever a failed submission left in storage
+ * @param {string} excuseRequestId - The excuse request ID
+ * @returns {Promise<void>}
+ */
+const removeExcuseDocuments = (excuseRequestId) => removeDocuments(getExcuseDocumentsFolder(excuseRequestId));
+
+/**
+ * Record the professor's decision on a pending request. Approval marks the
+ * request's sessions excused in the same transaction
+ * (review_excuse_request): sessions the student attended (present or late)
+ * are left as they are; sessions without a record yet (not closed, or in
+ * the future) get an 'excused' record.
+ * @param {Object} excuseRequest - excuse_requests row
+ * @param {string} reviewerId - Professor reviewing the request
+ * @param {string} decision - 'approved' | 'denied'
+ * @param {string|null} comment - Review comment
+ * @returns {Promise<Object>} { success, request, records } or { success: false, code } when
+ *   the request was reviewed in the meantime
+ */
+const reviewExcuseRequest = async (excuseRequest, reviewerId, decision, comment) => {
+  const { data, error } = await supabase
+    .rpc('review_excuse_request', {
+      p_request_id: excuseRequest.id,
+      p_reviewer_id: reviewerId,
+      p_decision: decision,
+      p_comment: comment || null,
+      p_change_reason: comment
+        ? `Excused absence approved (${excuseRequest.category}): ${comment}`
+        : `Excused absence approved (${excuseRequest.category})`
+    });
+
+  if (error) throw error;
+
+  if (data.result !== 'ok') {
+    return { success: false, code: data.result };
+  }
+
+  if (decision === 'approved') {
+    console.log(`📝 Excused ${data.records.length} sessions for excuse request ${excuseRequest.id}`);
+  }
+
+  return { success: true, request: data.request, records: data.records };
+};
+
+module.exports = {
+  EXCUSE_CATEGORIES,
+  EXCUSE_STATUSES,
+  validateExcuseRequestInput,
+  uploadExcuseDocuments,
+  removeExcuseDocuments,
+  reviewExcuseRequest
+};
@@ -6,8 +6,16 @@
 
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
-const QRCode = require('qrcode');
-const crypto = require('crypto');
+const QRCodeGenerator = require('./qr-code-generator.js');
+const { recordIssuedNonce, revokeSessionNonces, withoutQRSecrets } = require('./qr-nonce-ledger.js');
+const { cancelJobs } = require('./job-scheduler.js');
+const { getTransitionErrorStatus, transitionSession } = require('./session-state.js');
+const { GEOFENCE_MODES } = require('./geofence.js');
+const { resolvePolicySafe, getAttendanceCredit } = require('./attendance-policy.js');
+const { getInstitutionToday, addDays } = require('./institution-time.js');
+const { validateCountedSessionTypes, getCountedSessionTypes } = require('./session-types.js');
+const { stampAttendanceChange } = require('./attendance-audit.js');
+const { ALL_ROLES, ROLES, authorize } = require('./authorization.js');
 require('dotenv').config({ path: '.env.local' });
 
 const router = express.Router();
@@ -23,11 +31,10 @@ const supabase = createClient(
 // =====================================================
 
 // Create a new class instance
-router.post('/api/class-instances', async (req, res) => {
+router.post('/api/class-instances', authorize({ roles: [ROLES.PROFESSOR] }), async (req, res) => {
   try {
     const { 
       course_id, 
-      professor_id, 
       academic_period_id, 
       days_of_week, 
       start_time, 
@@ -37,6 +44,7 @@ router.post('/api/class-instances', async (req, res) => {
       room_location,
       max_students 
     } = req.body;
+    const professor_id = req.user.id;
     
     console.log('📚 Creating new class instance:', { 
       course_id, professor_id, academic_period_id, days_of_week 
@@ -73,9 +81,8 @@ router.post('/api/class-instances', async (req, res) => {
     console.log('🔑 Generated class code:', classCode);
 
     // Calculate enrollment deadline (2 weeks from first class date)
-    const enrollmentDeadline = new Date(first_class_date);
-    enrollmentDeadline.setDate(enrollmentDeadline.getDate() + 14);
-    console.log('📅 Enrollment deadline:', enrollmentDeadline.toISOString().split('T')[0]);
+    const enrollmentDeadline = addDays(first_class_date, 14);
+    console.log('📅 Enrollment deadline:', enrollmentDeadline);
 
     // Create class instance
     const { data: classInstance, error: createError } = await supabase
@@ -93,7 +100,7 @@ router.post('/api/class-instances', async (req, res) => {
         last_class_date,
         room_location,
         max_students: max_students || 30,
-        enrollment_deadline: enrollmentDeadline.toISOString().split('T')[0]
+        enrollment_deadline: enrollmentDeadline
       })
       .select(`
         *,
@@ -167,7 +174,7 @@ router.post('/api/class-instances', async (req, res) => {
 });
 
 // Get class instances for a professor
-router.get('/api/professors/:professorId/class-instances', async (req, res) => {
+router.get('/api/professors/:professorId/class-instances', authorize({ professor: 'professorId', as: ['self', 'admin'] }), async (req, res) => {
   try {
     const { professorId } = req.params;
     const { period_id, include_sessions } = req.query;
@@ -211,7 +218,7 @@ router.get('/api/professors/:professorId/class-instances', async (req, res) => {
             total_sessions: sessions.length,
             completed_sessions: sessions.filter(s => s.status === 'completed').length,
             cancelled_sessions: sessions.filter(s => s.status === 'cancelled').length,
-            upcoming_sessions: sessions.filter(s => s.status === 'scheduled' && s.date >= new Date().toISOString().split('T')[0]).length
+            upcoming_sessions: sessions.filter(s => s.status === 'scheduled' && s.date >= getInstitutionToday()).length
           };
         }
         
@@ -242,7 +249,7 @@ router.get('/api/professors/:professorId/class-instances', async (req, res) => {
 });
 
 // Get specific class instance with full details
-router.get('/api/class-instances/:instanceId', async (req, res) => {
+router.get('/api/class-instances/:instanceId', authorize({ class: 'instanceId', as: ['staff', 'student'] }), async (req, res) => {
   try {
     const { instanceId } = req.params;
     
@@ -285,7 +292,7 @@ router.get('/api/class-instances/:instanceId', async (req, res) => {
       class_instance: {
         ...classInstance,
         enrollments: enrollments || [],
-        sessions: sessions || []
+        sessions: (sessions || []).map(withoutQRSecrets)
       }
     });
     
@@ -299,7 +306,7 @@ router.get('/api/class-instances/:instanceId', async (req, res) => {
 });
 
 // Update class instance (for modifying sessions, etc.)
-router.put('/api/class-instances/:instanceId', async (req, res) => {
+router.put('/api/class-instances/:instanceId', authorize({ class: 'instanceId', as: ['owner'] }), async (req, res) => {
   try {
     const { instanceId } = req.params;
     const updateData = req.body;
@@ -332,7 +339,7 @@ router.put('/api/class-instances/:instanceId', async (req, res) => {
 // =====================================================
 
 // Get sessions for a class instance
-router.get('/api/class-instances/:instanceId/sessions', async (req, res) => {
+router.get('/api/class-instances/:instanceId/sessions', authorize({ class: 'instanceId', as: ['staff', 'student'] }), async (req, res) => {
   try {
     const { instanceId } = req.params;
     const { status, include_attendance } = req.query;
@@ -398,7 +405,7 @@ router.get('/api/class-instances/:instanceId/sessions', async (req, res) => {
         }
         
         return {
-          ...session,
+          ...withoutQRSecrets(session),
           attendance_count: attendedCount,
           total_enrolled: totalEnrolled,
           ...(attendance && { attendance })
@@ -421,19 +428,59 @@ router.get('/api/class-instances/:instanceId/sessions', async (req, res) => {
   }
 });
 
-// Update session (cancel, reschedule, etc.)
-router.put('/api/sessions/:sessionId', async (req, res) => {
+// Update session (cancel, reinstate, reschedule, etc.)
+// Opening, pausing and closing have side effects (QR codes, timers, absentee
+// backfill) and go through their own endpoints in the session management API.
+router.put('/api/sessions/:sessionId', authorize({ session: 'sessionId', as: ['owner'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { status, notes, date, start_time, end_time } = req.body;
+    const { status, notes, date, start_time, end_time, reason } = req.body;
+    const professor_id = req.user.id;
     
     const updateData = {};
-    if (status) updateData.status = status;
     if (notes !== undefined) updateData.notes = notes;
     if (date) updateData.date = date;
     if (start_time) updateData.start_time = start_time;
     if (end_time) updateData.end_time = end_time;
     
+    if (status && !['cancelled', 'scheduled'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Use the /activate, /pause, /resume or /complete endpoints to change a session to ${status}`,
+        code: 'INVALID_TRANSITION'
+      });
+    }
+    
+    if (status) {
+      const transition = await transitionSession(sessionId, status, {
+        actorId: professor_id,
+        reason: reason || notes,
+        fields: {
+          ...updateData,
+          ...(status === 'cancelled' ? { qr_expires_at: null } : {})
+        }
+      });
+      
+      if (!transition.success) {
+        return res.status(getTransitionErrorStatus(transition)).json({
+          success: false,
+          error: transition.error,
+          code: transition.code
+        });
+      }
+      
+      // A cancelled session stops rotating and its outstanding codes stop working
+      if (status === 'cancelled') {
+        await cancelJobs(sessionId);
+        await revokeSessionNonces(sessionId);
+      }
+      
+      return res.json({
+        success: true,
+        session: transition.session
+      });
+    }
+    
     const { data, error } = await supabase
       .from('class_sessions')
       .update(updateData)
@@ -458,71 +505,57 @@ router.put('/api/sessions/:sessionId', async (req, res) => {
 });
 
 // Generate QR code for session
-router.get('/api/sessions/:sessionId/qr', async (req, res) => {
+router.get('/api/sessions/:sessionId/qr', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    // Verify session exists and is not cancelled
+    // QR codes are only handed out for a session that has been started
     const { data: session, error: sessionError } = await supabase
       .from('class_sessions')
       .select('*')
       .eq('id', sessionId)
-      .eq('status', 'scheduled')
-      .single();
+      .maybeSingle();
+    
+    if (sessionError) throw sessionError;
     
-    if (sessionError || !session) {
+    if (!session) {
       return res.status(404).json({
         success: false,
-        error: 'Session not found or cancelled'
+        error: 'Session not found'
       });
     }
     
-    // Generate QR code
-    const timestamp = Date.now();
-    const nonce = crypto.randomBytes(16).toString('hex');
-    const qrCodeSecret = crypto.randomBytes(32).toString('hex');
-    
-    const data = `${sessionId}-${timestamp}-${nonce}-${qrCodeSecret}`;
-    const signature = crypto
-      .createHmac('sha256', process.env.QR_SECRET || 'fsas_qr_secret_key_2024_secure')
-      .update(data)
-      .digest('hex');
-
-    const qrData = {
-      sessionId,
-      timestamp,
-      nonce,
-      signature
-    };
-
-    const qrCodeImage = await QRCode.toDataURL(JSON.stringify(qrData), {
-      errorCorrectionLevel: 'M',
-      margin: 1,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      width: 256
-    });
-
-    const expiresAt = new Date(timestamp + (30 * 1000)); // 30 seconds
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: session.status === 'scheduled'
+          ? 'Session has not started yet; activate it before generating a QR code'
+          : `Session is ${session.status}; QR codes are only issued for active sessions`,
+        code: 'SESSION_NOT_ACTIVE'
+      });
+    }
+    
+    // Generate QR code with the shared generator, living as long as the class's policy allows
+    const policy = await resolvePolicySafe(session.class_instance_id);
+    const qrData = await QRCodeGenerator.generateSecureQR(sessionId, policy.qr_lifetime_seconds);
 
     // Update session with QR data
     await supabase
       .from('class_sessions')
       .update({
-        qr_secret: qrCodeSecret,
-        qr_expires_at: expiresAt.toISOString(),
-        is_active: true,
-        status: 'active'
+        qr_secret: qrData.secret,
+        qr_expires_at: qrData.expires_at,
+        qr_lifetime_seconds: policy.qr_lifetime_seconds
       })
       .eq('id', sessionId);
     
+    await recordIssuedNonce(qrData.qr_data, qrData.secret);
+    
     res.json({
       success: true,
       data: {
-        qr_code: qrCodeImage,
-        expires_at: expiresAt.toISOString(),
+        qr_code: qrData.qr_code,
+        expires_at: qrData.expires_at,
         session_id: sessionId
       }
     });
@@ -541,10 +574,11 @@ router.get('/api/sessions/:sessionId/qr', async (req, res) => {
 // =====================================================
 
 // Enroll students in a class instance
-router.post('/api/class-instances/:instanceId/enroll', async (req, res) => {
+router.post('/api/class-instances/:instanceId/enroll', authorize({ class: 'instanceId', as: ['owner'] }), async (req, res) => {
   try {
     const { instanceId } = req.params;
-    const { student_ids, enrolled_by, enrollment_method = 'manual' } = req.body;
+    const { student_ids, enrollment_method = 'manual' } = req.body;
+    const enrolled_by = req.user.id;
     
     if (!Array.isArray(student_ids) || student_ids.length === 0) {
       return res.status(400).json({
@@ -619,14 +653,22 @@ router.post('/api/class-instances/:instanceId/enroll', async (req, res) => {
 });
 
 // Self-enrollment with class code
-router.post('/api/enroll/self', async (req, res) => {
+router.post('/api/enroll/self', authorize({ roles: [ROLES.STUDENT] }), async (req, res) => {
   try {
-    const { class_code, student_id } = req.body;
+    const { class_code } = req.body;
+    const student_id = req.user.id;
+    
+    if (req.user.role !== 'student') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only students can enroll themselves in a class'
+      });
+    }
     
-    if (!class_code || !student_id) {
+    if (!class_code) {
       return res.status(400).json({
         success: false,
-        error: 'Class code and student ID are required'
+        error: 'Class code is required'
       });
     }
     
@@ -712,7 +754,7 @@ router.post('/api/enroll/self', async (req, res) => {
 });
 
 // Unenroll student from class instance
-router.post('/api/class-instances/:instanceId/unenroll', async (req, res) => {
+router.post('/api/class-instances/:instanceId/unenroll', authorize({ class: 'instanceId', as: ['owner'] }), async (req, res) => {
   try {
     console.log('🔔 INSTANCE UNENROLLMENT ENDPOINT CALLED:', req.params.instanceId);
     const { instanceId } = req.params;
@@ -806,102 +848,23 @@ router.post('/api/class-instances/:instanceId/unenroll', async (req, res) => {
 // ATTENDANCE MANAGEMENT
 // =====================================================
 
-// Record attendance
-router.post('/api/sessions/:sessionId/attendance', async (req, res) => {
+// Update attendance status (professor can change absent to excused)
+router.put('/api/attendance/:recordId', authorize({ record: 'recordId', as: ['owner'] }), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const { student_id, device_fingerprint, ip_address, qr_secret_used } = req.body;
-    
-    // Verify session is active and not cancelled
-    const { data: session, error: sessionError } = await supabase
-      .from('class_sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .eq('is_active', true)
-      .neq('status', 'cancelled')
-      .single();
-    
-    if (sessionError || !session) {
-      return res.status(400).json({
-        success: false,
-        error: 'Session is not active or cancelled'
-      });
-    }
-    
-    // Verify student is enrolled in the class
-    const { data: enrollment, error: enrollmentError } = await supabase
-      .from('enrollments')
-      .select('id')
-      .eq('student_id', student_id)
-      .eq('class_instance_id', session.class_instance_id)
-      .eq('status', 'active')
-      .single();
+    const { recordId } = req.params;
+    const { status, reason } = req.body;
+    const professor_id = req.user.id;
     
-    if (enrollmentError || !enrollment) {
+    if (!['present', 'late', 'absent', 'excused', 'left_early'].includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Student not enrolled in this class'
+        error: 'Invalid status. Must be one of: present, late, absent, excused, left_early'
       });
     }
     
-    // Calculate status and minutes late based on class start time
-    // Note: This is based on the scheduled class start time, NOT when the professor started the session
-    const sessionStart = new Date(`${session.date}T${session.start_time}`);
-    const now = new Date();
-    const minutesLate = Math.max(0, Math.floor((now - sessionStart) / (1000 * 60)));
-    
-    let status = 'present';
-    if (minutesLate > 5) {
-      status = 'late';
-    }
-    
-    const { data, error } = await supabase
-      .from('attendance_records')
-      .insert({
-        session_id: sessionId,
-        student_id,
-        status,
-        minutes_late: minutesLate,
-        device_fingerprint,
-        ip_address,
-        qr_secret_used
-      })
-      .select(`
-        *,
-        students!inner(
-          student_id,
-          users!inner(first_name, last_name, email)
-        )
-      `)
-      .single();
-    
-    if (error) throw error;
-    
-    res.json({
-      success: true,
-      attendance_record: data
-    });
-    
-  } catch (error) {
-    console.error('Error recording attendance:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Update attendance status (professor can change absent to excused)
-router.put('/api/attendance/:recordId', async (req, res) => {
-  try {
-    const { recordId } = req.params;
-    const { status, changed_by, reason } = req.body;
-    
     const updateData = {
       status,
-      status_changed_by: changed_by,
-      status_changed_at: new Date().toISOString(),
-      status_change_reason: reason
+      ...stampAttendanceChange('manual', { actorId: professor_id, reason })
     };
     
     const { data, error } = await supabase
@@ -934,7 +897,7 @@ router.put('/api/attendance/:recordId', async (req, res) => {
 });
 
 // Get attendance for a session
-router.get('/api/sessions/:sessionId/attendance', async (req, res) => {
+router.get('/api/sessions/:sessionId/attendance', authorize({ session: 'sessionId', as: ['staff'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -972,7 +935,7 @@ router.get('/api/sessions/:sessionId/attendance', async (req, res) => {
 // =====================================================
 
 // Get class attendance summary
-router.get('/api/class-instances/:instanceId/analytics', async (req, res) => {
+router.get('/api/class-instances/:instanceId/analytics', authorize({ class: 'instanceId', as: ['staff'] }), async (req, res) => {
   try {
     const { instanceId } = req.params;
     
@@ -985,24 +948,37 @@ router.get('/api/class-instances/:instanceId/analytics', async (req, res) => {
     
     if (summaryError) throw summaryError;
     
+    // Sessions that count toward attendance for this class
+    const { data: classInstance, error: classError } = await supabase
+      .from('class_instances')
+      .select('counted_session_types')
+      .eq('id', instanceId)
+      .single();
+    
+    if (classError) throw classError;
+    
+    const { data: countedSessions, error: sessionsError } = await supabase
+      .from('class_sessions')
+      .select('id')
+      .eq('class_instance_id', instanceId)
+      .neq('status', 'cancelled')
+      .in('session_type', getCountedSessionTypes(classInstance));
+    
+    if (sessionsError) throw sessionsError;
+    
     // Get individual student analytics
     const { data: studentAnalytics, error: studentError } = await supabase
       .from('attendance_records')
       .select(`
         student_id,
         status,
+        credit_percent,
         students!inner(
           student_id,
           users!inner(first_name, last_name, email)
         )
       `)
-      .in('session_id', 
-        supabase
-          .from('class_sessions')
-          .select('id')
-          .eq('class_instance_id', instanceId)
-          .neq('status', 'cancelled')
-      );
+      .in('session_id', countedSessions.map(session => session.id));
     
     if (studentError) throw studentError;
     
@@ -1017,17 +993,22 @@ router.get('/api/class-instances/:instanceId/analytics', async (req, res) => {
           present: 0,
           late: 0,
           absent: 0,
-          excused: 0
+          excused: 0,
+          left_early: 0,
+          left_early_credit: 0
         };
       }
       studentStats[studentId].total_sessions++;
       studentStats[studentId][record.status]++;
+      if (record.status === 'left_early') {
+        studentStats[studentId].left_early_credit += getAttendanceCredit(record);
+      }
     });
     
-    // Calculate percentages
+    // Calculate percentages (left-early sessions add their partial credit)
     Object.values(studentStats).forEach(stats => {
       if (stats.total_sessions > 0) {
-        stats.attendance_rate = Math.round(((stats.present + stats.late) / stats.total_sessions) * 100);
+        stats.attendance_rate = Math.round(((stats.present + stats.late + stats.left_early_credit) / stats.total_sessions) * 100);
       } else {
         stats.attendance_rate = 0;
       }
@@ -1049,7 +1030,7 @@ router.get('/api/class-instances/:instanceId/analytics', async (req, res) => {
 });
 
 // Get student attendance history
-router.get('/api/students/:studentId/attendance-history', async (req, res) => {
+router.get('/api/students/:studentId/attendance-history', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { class_instance_id, period_id } = req.query;
@@ -1105,7 +1086,7 @@ router.get('/api/students/:studentId/attendance-history', async (req, res) => {
 // =====================================================
 
 // Refresh materialized view
-router.post('/api/refresh-analytics', async (req, res) => {
+router.post('/api/refresh-analytics', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .rpc('refresh_materialized_view', { view_name: 'class_attendance_summary' });
@@ -1127,7 +1108,7 @@ router.post('/api/refresh-analytics', async (req, res) => {
 });
 
 // Get available courses
-router.get('/api/courses', async (req, res) => {
+router.get('/api/courses', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('courses')
@@ -1153,7 +1134,7 @@ router.get('/api/courses', async (req, res) => {
 });
 
 // Get academic periods
-router.get('/api/academic-periods', async (req, res) => {
+router.get('/api/academic-periods', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('academic_periods')
@@ -1179,17 +1160,10 @@ router.get('/api/academic-periods', async (req, res) => {
 });
 
 // Toggle pin status for a class instance
-router.patch('/api/class-instances/:classInstanceId/pin', async (req, res) => {
+router.patch('/api/class-instances/:classInstanceId/pin', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
   try {
     const { classInstanceId } = req.params;
-    const { professor_id } = req.body;
-    
-    if (!professor_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Professor ID is required'
-      });
-    }
+    const professor_id = req.user.id;
     
     // Use the toggle_class_pin function
     const { data, error } = await supabase
@@ -1225,7 +1199,7 @@ router.patch('/api/class-instances/:classInstanceId/pin', async (req, res) => {
 });
 
 // Get students enrolled in a class instance
-router.get('/api/class-instances/:classInstanceId/students', async (req, res) => {
+router.get('/api/class-instances/:classInstanceId/students', authorize({ class: 'classInstanceId', as: ['staff'] }), async (req, res) => {
   try {
     const { classInstanceId } = req.params;
     
@@ -1276,15 +1250,16 @@ router.get('/api/class-instances/:classInstanceId/students', async (req, res) =>
 });
 
 // Enroll a student in a class instance
-router.post('/api/class-instances/:classInstanceId/enroll', async (req, res) => {
+router.post('/api/class-instances/:classInstanceId/enroll', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
   try {
     const { classInstanceId } = req.params;
-    const { student_email, professor_id } = req.body;
+    const { student_email } = req.body;
+    const professor_id = req.user.id;
     
-    if (!student_email || !professor_id) {
+    if (!student_email) {
       return res.status(400).json({
         success: false,
-        error: 'Student email and professor ID are required'
+        error: 'Student email is required'
       });
     }
     
@@ -1428,7 +1403,7 @@ router.post('/api/class-instances/:classInstanceId/enroll', async (req, res) =>
 });
 
 // Get all students for enrollment
-router.get('/api/students/all', async (req, res) => {
+router.get('/api/students/all', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
     
@@ -1475,7 +1450,7 @@ router.get('/api/students/all', async (req, res) => {
 });
 
 // Search students for enrollment
-router.get('/api/students/search', async (req, res) => {
+router.get('/api/students/search', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
   try {
     const { q, limit = 20 } = req.query;
     
@@ -1565,10 +1540,11 @@ router.get('/api/students/search', async (req, res) => {
 });
 
 // Bulk enroll students in a class instance
-router.post('/api/class-instances/:classInstanceId/bulk-enroll', async (req, res) => {
+router.post('/api/class-instances/:classInstanceId/bulk-enroll', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
   try {
     const { classInstanceId } = req.params;
-    const { student_ids, professor_id } = req.body;
+    const { student_ids } = req.body;
+    const professor_id = req.user.id;
 
     if (!student_ids || !Array.isArray(student_ids) || student_ids.length === 0) {
       return res.status(400).json({
@@ -1577,14 +1553,6 @@ router.post('/api/class-instances/:classInstanceId/bulk-enroll', async (req, res
       });
     }
 
-    if (!professor_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Professor ID is required'
-      });
-    }
-
-    // Verify the professor owns this class
     const { data: classInstance, error: classError } = await supabase
       .from('class_instances')
       .select(`
@@ -1607,13 +1575,12 @@ router.post('/api/class-instances/:classInstanceId/bulk-enroll', async (req, res
         )
       `)
       .eq('id', classInstanceId)
-      .eq('professor_id', professor_id)
       .single();
 
     if (classError || !classInstance) {
       return res.status(404).json({
         success: false,
-        error: 'Class not found or access denied'
+        error: 'Class not found'
       });
     }
 
@@ -1701,7 +1668,7 @@ router.post('/api/class-instances/:classInstanceId/bulk-enroll', async (req, res
         student_id: student_id,
         academic_period_id: classInstance.academic_period_id,
         enrolled_by: professor_id,
-        enrollment_date: new Date().toISOString().split('T')[0], // YYYY-MM-DD format
+        enrollment_date: getInstitutionToday(), // YYYY-MM-DD at the institution
         status: 'active',
         created_at: new Date().toISOString()
       }));
@@ -1818,19 +1785,20 @@ router.post('/api/class-instances/:classInstanceId/bulk-enroll', async (req, res
 });
 
 // Unenroll a student from a class instance
-router.post('/api/class-instances/:classInstanceId/unenroll', async (req, res) => {
+router.post('/api/class-instances/:classInstanceId/unenroll', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
   try {
     console.log('🔔 UNENROLLMENT ENDPOINT CALLED:', req.params.classInstanceId);
     const { classInstanceId } = req.params;
-    const { student_id, professor_id } = req.body;
+    const { student_id } = req.body;
+    const professor_id = req.user.id;
     
     console.log('📝 Unenrollment request:', { classInstanceId, student_id, professor_id });
     
-    if (!student_id || !professor_id) {
+    if (!student_id) {
       console.log('❌ Missing required fields');
       return res.status(400).json({
         success: false,
-        error: 'Student ID and professor ID are required'
+        error: 'Student ID is required'
       });
     }
     
@@ -1918,30 +1886,21 @@ router.post('/api/class-instances/:classInstanceId/unenroll', async (req, res) =
 });
 
 // Delete a class instance
-router.delete('/api/class-instances/:classInstanceId', async (req, res) => {
+router.delete('/api/class-instances/:classInstanceId', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
   try {
     const { classInstanceId } = req.params;
-    const { professor_id } = req.body;
-
-    if (!professor_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Professor ID is required'
-      });
-    }
+    const professor_id = req.user.id;
 
-    // Verify the class instance belongs to the professor
     const { data: classInstance, error: classError } = await supabase
       .from('class_instances')
       .select('id, professor_id, class_code, courses(name)')
       .eq('id', classInstanceId)
-      .eq('professor_id', professor_id)
       .single();
 
     if (classError || !classInstance) {
       return res.status(404).json({
         success: false,
-        error: 'Class not found or access denied'
+        error: 'Class not found'
       });
     }
 
@@ -2020,15 +1979,15 @@ router.delete('/api/class-instances/:classInstanceId', async (req, res) => {
 });
 
 // Update class instance status
-router.patch('/api/class-instances/:classInstanceId/status', async (req, res) => {
+router.patch('/api/class-instances/:classInstanceId/status', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
   try {
     const { classInstanceId } = req.params;
-    const { professor_id, status } = req.body;
+    const { status } = req.body;
 
-    if (!professor_id || !status) {
+    if (!status) {
       return res.status(400).json({
         success: false,
-        error: 'Professor ID and status are required'
+        error: 'Status is required'
       });
     }
 
@@ -2039,21 +1998,6 @@ router.patch('/api/class-instances/:classInstanceId/status', async (req, res) =>
       });
     }
 
-    // Verify the class instance belongs to the professor
-    const { data: classInstance, error: classError } = await supabase
-      .from('class_instances')
-      .select('id, professor_id, class_code, courses(name)')
-      .eq('id', classInstanceId)
-      .eq('professor_id', professor_id)
-      .single();
-
-    if (classError || !classInstance) {
-      return res.status(404).json({
-        success: false,
-        error: 'Class not found or access denied'
-      });
-    }
-
     // Update the status
     const { error: updateError } = await supabase
       .from('class_instances')
@@ -2082,4 +2026,207 @@ router.patch('/api/class-instances/:classInstanceId/status', async (req, res) =>
   }
 });
 
+// Choose what happens to scans from outside the classroom
+router.patch('/api/class-instances/:classInstanceId/geofence', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { classInstanceId } = req.params;
+    const { geofence_mode } = req.body;
+
+    if (!geofence_mode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Geofence mode is required'
+      });
+    }
+
+    if (!GEOFENCE_MODES.includes(geofence_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Geofence mode must be one of: ${GEOFENCE_MODES.join(', ')}`
+      });
+    }
+
+    const { data, error: updateError } = await supabase
+      .from('class_instances')
+      .update({
+        geofence_mode,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', classInstanceId)
+      .select('id, geofence_mode')
+      .single();
+
+    if (updateError) throw updateError;
+
+    res.json({
+      success: true,
+      class_instance: data,
+      message: `Out-of-range scans will now be ${geofence_mode === 'allow' ? 'allowed' : geofence_mode === 'flag' ? 'flagged for review' : 'rejected'}`
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating geofence mode:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Choose how the classroom display rotates QR codes
+router.patch('/api/class-instances/:classInstanceId/qr-mode', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { classInstanceId } = req.params;
+    const { qr_mode } = req.body;
+
+    if (!qr_mode) {
+      return res.status(400).json({
+        success: false,
+        error: 'QR mode is required'
+      });
+    }
+
+    if (!['rotating', 'totp'].includes(qr_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'QR mode must be one of: rotating, totp'
+      });
+    }
+
+    // Takes effect from the next session activation
+    const { data, error: updateError } = await supabase
+      .from('class_instances')
+      .update({
+        qr_mode,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', classInstanceId)
+      .select('id, qr_mode')
+      .single();
+
+    if (updateError) throw updateError;
+
+    res.json({
+      success: true,
+      class_instance: data,
+      message: `QR mode set to ${qr_mode}. It applies from the next session you start.`
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating QR mode:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Opt a class in or out of opening and closing its sessions automatically
+router.patch('/api/class-instances/:classInstanceId/auto-sessions', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { classInstanceId } = req.params;
+    const { enabled, open_minutes_before, close_buffer_minutes } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled (true/false) is required'
+      });
+    }
+
+    const updateData = {
+      auto_session_enabled: enabled,
+      updated_at: new Date().toISOString()
+    };
+
+    if (open_minutes_before !== undefined) {
+      const minutes = Number(open_minutes_before);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > 120) {
+        return res.status(400).json({
+          success: false,
+          error: 'open_minutes_before must be a whole number between 0 and 120'
+        });
+      }
+      updateData.auto_open_minutes_before = minutes;
+    }
+
+    if (close_buffer_minutes !== undefined) {
+      const minutes = Number(close_buffer_minutes);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > 240) {
+        return res.status(400).json({
+          success: false,
+          error: 'close_buffer_minutes must be a whole number between 0 and 240'
+        });
+      }
+      updateData.auto_close_buffer_minutes = minutes;
+    }
+
+    const { data, error: updateError } = await supabase
+      .from('class_instances')
+      .update(updateData)
+      .eq('id', classInstanceId)
+      .select('id, auto_session_enabled, auto_open_minutes_before, auto_close_buffer_minutes')
+      .single();
+
+    if (updateError) throw updateError;
+
+    res.json({
+      success: true,
+      class_instance: data,
+      message: data.auto_session_enabled
+        ? `Sessions will open ${data.auto_open_minutes_before} minutes before class and close ${data.auto_close_buffer_minutes} minutes after it ends.`
+        : 'Sessions will only open when you start them.'
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating automatic sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+
+// Choose which session types count toward the class's attendance percentage
+router.patch('/api/class-instances/:classInstanceId/counted-session-types', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { classInstanceId } = req.params;
+    const { counted_session_types } = req.body;
+
+    const validation = validateCountedSessionTypes(counted_session_types);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const { data, error: updateError } = await supabase
+      .from('class_instances')
+      .update({
+        counted_session_types: validation.values,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', classInstanceId)
+      .select('id, counted_session_types')
+      .single();
+
+    if (updateError) throw updateError;
+
+    res.json({
+      success: true,
+      class_instance: data,
+      message: `Attendance percentages count ${data.counted_session_types.join(', ') || 'no'} sessions.`
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating counted session types:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,230 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// GPS fixes worse than this are treated as unverifiable. The accuracy is
+// reported by the client, so it never widens the room either.
+const MAX_USABLE_ACCURACY_METERS = 150;
+
+const GEOFENCE_MODES = ['reject', 'flag', 'allow'];
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distance in meters
+ */
+const distanceInMeters = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Ray-casting point-in-polygon test (fine at room scale)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Array<Array<number>>} polygon - [[lat, lng], ...]
+ * @returns {boolean}
+ */
+const isInsidePolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (lngI > lng) !== (lngJ > lng) &&
+      lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Normalize the position reported by the client
+ * @param {Object} location - { latitude, longitude, accuracy }
+ * @returns {Object|null} Parsed position or null when missing/invalid
+ */
+const parseReportedLocation = (location) => {
+  if (!location || typeof location !== 'object') return null;
+
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  const accuracy = location.accuracy !== undefined ? Number(location.accuracy) : null;
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return {
+    latitude,
+    longitude,
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null
+  };
+};
+
+/**
+ * Look up the boundary for a room, falling back to the campus-wide point
+ * from CLASSROOM_LAT / CLASSROOM_LNG / GEOFENCE_RADIUS when the room has
+ * not been mapped yet
+ * @param {string} roomLocation - class_sessions.room_location
+ * @returns {Promise<Object|null>} Room boundary or null if none is known
+ */
+const getRoomBoundary = async (roomLocation) => {
+  if (roomLocation) {
+    const { data: room, error } = await supabase
+      .from('rooms')
+      .select('*')
+      .eq('room_location', roomLocation)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (room) return room;
+  }
+
+  const latitude = parseFloat(process.env.CLASSROOM_LAT);
+  const longitude = parseFloat(process.env.CLASSROOM_LNG);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+  return {
+    room_location: roomLocation || null,
+    latitude,
+    longitude,
+    radius_meters: parseInt(process.env.GEOFENCE_RADIUS, 10) || 100,
+    polygon: null,
+    is_fallback: true
+  };
+};
+
+/**
+ * Check a reported position against a room boundary
+ * @param {Object} room - Row from the rooms table (or fallback)
+ * @param {Object|null} position - Output of parseReportedLocation
+ * @returns {Object} { result: 'inside'|'outside'|'unknown', distance, imprecise }
+ */
+const checkPosition = (room, position) => {
+  if (!room || !position) {
+    return { result: 'unknown', distance: null, imprecise: false };
+  }
+
+  if (position.accuracy !== null && position.accuracy > MAX_USABLE_ACCURACY_METERS) {
+    return { result: 'unknown', distance: null, imprecise: true };
+  }
+
+  if (Array.isArray(room.polygon) && room.polygon.length >= 3) {
+    if (isInsidePolygon(position.latitude, position.longitude, room.polygon)) {
+      return { result: 'inside', distance: null, imprecise: false };
+    }
+    // Report how far the fix is from the nearest vertex
+    const nearestVertex = Math.min(...room.polygon.map(([lat, lng]) =>
+      distanceInMeters(position.latitude, position.longitude, lat, lng)
+    ));
+    return {
+      result: 'outside',
+      distance: Math.round(nearestVertex * 100) / 100,
+      imprecise: false
+    };
+  }
+
+  const distance = distanceInMeters(
+    position.latitude,
+    position.longitude,
+    Number(room.latitude),
+    Number(room.longitude)
+  );
+
+  return {
+    result: distance <= (room.radius_meters || 0) ? 'inside' : 'outside',
+    distance: Math.round(distance * 100) / 100,
+    imprecise: false
+  };
+};
+
+/**
+ * Decide what to do with a scan given the class's geofence mode
+ * @param {string} mode - 'reject' | 'flag' | 'allow'
+ * @param {string} roomLocation - class_sessions.room_location
+ * @param {Object} location - Raw location from the request body
+ * @returns {Promise<Object>} { allowed, flagged, result, distance, position, error, code }
+ */
+const evaluateScanLocation = async (mode, roomLocation, location) => {
+  const geofenceMode = GEOFENCE_MODES.includes(mode) ? mode : 'allow';
+  const position = parseReportedLocation(location);
+
+  if (geofenceMode === 'allow') {
+    return { allowed: true, flagged: false, result: 'unknown', distance: null, position };
+  }
+
+  const room = await getRoomBoundary(roomLocation);
+
+  // An unmapped room can't be enforced; let the scan through for review instead
+  if (!room) {
+    console.warn('⚠️ No geofence boundary configured for room:', roomLocation);
+    return { allowed: true, flagged: true, result: 'unknown', distance: null, position };
+  }
+
+  const { result, distance, imprecise } = checkPosition(room, position);
+
+  if (result === 'inside') {
+    return { allowed: true, flagged: false, result, distance, position };
+  }
+
+  if (geofenceMode === 'flag') {
+    return { allowed: true, flagged: true, result, distance, position };
+  }
+
+  if (!position) {
+    return {
+      allowed: false,
+      flagged: false,
+      result,
+      distance,
+      position,
+      code: 'LOCATION_REQUIRED',
+      error: 'Location access is required to check in for this class.'
+    };
+  }
+
+  if (imprecise) {
+    return {
+      allowed: false,
+      flagged: false,
+      result,
+      distance,
+      position,
+      code: 'LOCATION_TOO_IMPRECISE',
+      error: 'Your location is too imprecise to confirm you are in the classroom. Turn on precise location or move near a window and try again.'
+    };
+  }
+
+  return {
+    allowed: false,
+    flagged: false,
+    result,
+    distance,
+    position,
+    code: 'LOCATION_OUT_OF_RANGE',
+    error: 'You appear to be outside the classroom. Move closer and try again.'
+  };
+};
+
+module.exports = {
+  GEOFENCE_MODES,
+  distanceInMeters,
+  isInsidePolygon,
+  parseReportedLocation,
+  getRoomBoundary,
+  checkPosition,
+  evaluateScanLocation
+};
@@ -0,0 +1,253 @@
+// =====================================================
+// INSTITUTION DATE/TIME
+// =====================================================
+// class_sessions store a wall-clock date and time (e.g. 2025-03-09 18:30)
+// that mean "in the institution's timezone", not the server's and not UTC.
+// Everything that turns those into instants, or works out what "today" is,
+// goes through here so evening classes and DST weekends agree everywhere.
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Check that a string is an IANA timezone this runtime knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+let warnedAboutTimeZone = false;
+
+/**
+ * The institution's IANA timezone (INSTITUTION_TIMEZONE)
+ * @returns {string}
+ */
+const getInstitutionTimeZone = () => {
+  const configured = process.env.INSTITUTION_TIMEZONE;
+  if (!configured) return DEFAULT_TIME_ZONE;
+
+  if (!isValidTimeZone(configured)) {
+    if (!warnedAboutTimeZone) {
+      console.warn(`⚠️ INSTITUTION_TIMEZONE "${configured}" is not a valid IANA timezone, using ${DEFAULT_TIME_ZONE}`);
+      warnedAboutTimeZone = true;
+    }
+    return DEFAULT_TIME_ZONE;
+  }
+
+  return configured;
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone = getInstitutionTimeZone()) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  // Some runtimes still render midnight as 24
+  if (parts.hour === 24) parts.hour = 0;
+  return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {number} Milliseconds to add to UTC to get wall-clock time
+ */
+const getTimeZoneOffsetMs = (date, timeZone = getInstitutionTimeZone()) => {
+  const p = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Turn an institution wall-clock date and time into an instant.
+ * A time skipped by a spring-forward change resolves to the same clock
+ * reading after the jump (02:30 -> 03:30); a time repeated by a fall-back
+ * change resolves to its first occurrence.
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {string} [timeString] - 'HH:MM' or 'HH:MM:SS' (defaults to midnight)
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateString, timeString = '00:00:00', timeZone = getInstitutionTimeZone()) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour = 0, minute = 0, second = 0] = timeString.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, Math.floor(second));
+
+  // The offsets in force a day either side cover any DST change on this date
+  const offsets = new Set([
+    getTimeZoneOffsetMs(new Date(wallClockAsUtc - DAY_MS), timeZone),
+    getTimeZoneOffsetMs(new Date(wallClockAsUtc + DAY_MS), timeZone)
+  ]);
+  const candidates = [...offsets].map(offset => ({ offset, instant: wallClockAsUtc - offset }));
+
+  // A candidate is real if the zone actually uses its offset at that instant
+  const valid = candidates
+    .filter(({ offset, instant }) => getTimeZoneOffsetMs(new Date(instant), timeZone) === offset)
+    .map(({ instant }) => instant);
+
+  if (valid.length > 0) {
+    return new Date(Math.min(...valid));
+  }
+
+  // The wall-clock time doesn't exist (spring forward)
+  return new Date(Math.max(...candidates.map(({ instant }) => instant)));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Institution calendar date of an instant
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const toInstitutionDate = (date = new Date()) => {
+  const p = getZonedParts(date);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+/**
+ * Institution wall-clock time of an instant
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} 'HH:MM:SS'
+ */
+const toInstitutionTime = (date = new Date()) => {
+  const p = getZonedParts(date);
+  return `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+};
+
+/**
+ * Today's date at the institution
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const getInstitutionToday = () => toInstitutionDate(new Date());
+
+/**
+ * Calendar arithmetic on a 'YYYY-MM-DD' string (no timezone involved)
+ * @param {string} dateString
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Calendar month arithmetic, clamped to the end of shorter months
+ * @param {string} dateString
+ * @param {number} months - May be negative
+ * @returns {string}
+ */
+const addMonths = (dateString, months) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().split('T')[0];
+};
+
+/**
+ * Weekday name of a calendar date
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @returns {string} 'Monday', ...
+ */
+const getDayName = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * First date of a named range ending today ('today', 'week', 'month')
+ * @param {string} range
+ * @returns {string|null} 'YYYY-MM-DD', or null for an unknown range
+ */
+const getRangeStartDate = (range) => {
+  const today = getInstitutionToday();
+  switch (range) {
+    case 'today':
+      return today;
+    case 'week':
+      return addDays(today, -7);
+    case 'month':
+      return addMonths(today, -1);
+    default:
+      return null;
+  }
+};
+
+/**
+ * When a session starts
+ * @param {Object} session - { date, start_time }
+ * @returns {Date}
+ */
+const getSessionStart = (session) => zonedTimeToUtc(session.date, session.start_time);
+
+/**
+ * When a session ends
+ * @param {Object} session - { date, end_time }
+ * @returns {Date}
+ */
+const getSessionEnd = (session) => zonedTimeToUtc(session.date, session.end_time);
+
+/**
+ * Human-readable institution time for notifications
+ * @param {Date} date
+ * @returns {string} e.g. '6:45 PM'
+ */
+const formatInstitutionTime = (date) => date.toLocaleTimeString('en-US', {
+  timeZone: getInstitutionTimeZone(),
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+module.exports = {
+  DAY_NAMES,
+  isValidTimeZone,
+  getInstitutionTimeZone,
+  getTimeZoneOffsetMs,
+  zonedTimeToUtc,
+  toInstitutionDate,
+  toInstitutionTime,
+  getInstitutionToday,
+  addDays,
+  addMonths,
+  getDayName,
+  getRangeStartDate,
+  getSessionStart,
+  getSessionEnd,
+  formatInstitutionTime
+};
@@ -0,0 +1,7 @@
+// Backend tests run under Node; the root jest.config.js covers the
+// Next.js frontend (jsdom, src/)
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js'],
+  clearMocks: true
+};
@@ -0,0 +1,347 @@
+const os = require('os');
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// DURABLE JOB SCHEDULER
+// =====================================================
+// Jobs live in scheduled_jobs so they survive restarts and deploys. Every
+// backend instance polls for due jobs; claim_due_jobs leases each one to a
+// single worker, and a job whose worker died is re-claimed once the lease
+// runs out. Handlers should therefore be safe to run twice.
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+const CLAIM_BATCH_SIZE = 10;
+
+const handlers = new Map();
+
+let pollTimer = null;
+let polling = false;
+let lastPollAt = null;
+let lastPollError = null;
+
+/**
+ * How often each instance checks for due jobs
+ * @returns {number} Milliseconds
+ */
+const getPollIntervalMs = () => parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+
+/**
+ * How long a claimed job stays leased to its worker
+ * @returns {number} Seconds
+ */
+const getLeaseSeconds = () => parseInt(process.env.JOB_LEASE_SECONDS, 10) || 60;
+
+/**
+ * Register the function that runs a job type. A handler may return
+ * { rescheduleAt, payload } to run again later (recurring jobs).
+ * @param {string} jobType - scheduled_jobs.job_type
+ * @param {Function} handler - async (job) => result
+ */
+const registerJobHandler = (jobType, handler) => {
+  handlers.set(jobType, handler);
+};
+
+/**
+ * Cancel a session's outstanding jobs
+ * @param {string|null} sessionId - The session ID (null for jobs not tied to one)
+ * @param {string} [jobType] - Only cancel this type
+ * @returns {Promise<void>}
+ */
+const cancelJobs = async (sessionId, jobType) => {
+  let query = supabase
+    .from('scheduled_jobs')
+    .update({
+      status: 'cancelled',
+      locked_by: null,
+      locked_until: null,
+      updated_at: new Date().toISOString()
+    })
+    .in('status', ['pending', 'running']);
+
+  query = sessionId ? query.eq('session_id', sessionId) : query.is('session_id', null);
+  if (jobType) query = query.eq('job_type', jobType);
+
+  const { error } = await query;
+
+  if (error) {
+    console.error('❌ Error cancelling scheduled jobs for session:', sessionId, error);
+  }
+};
+
+/**
+ * Schedule a job, usually for a session
+ * @param {string} jobType - scheduled_jobs.job_type
+ * @param {string|null} sessionId - The session ID (null for jobs not tied to one)
+ * @param {Date} runAt - When the job is due
+ * @param {Object} [payload] - Handler input
+ * @param {Object} [options] - { replace: false keeps an already outstanding job }
+ * @returns {Promise<Object|null>} The job, or null if one was already outstanding
+ */
+const scheduleJob = async (jobType, sessionId, runAt, payload = {}, { replace = true } = {}) => {
+  if (replace) {
+    await cancelJobs(sessionId, jobType);
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .insert({
+      job_type: jobType,
+      session_id: sessionId,
+      payload,
+      run_at: runAt.toISOString()
+    })
+    .select()
+    .single();
+
+  // Another instance scheduled it first
+  if (error && error.code === '23505') {
+    return null;
+  }
+
+  if (error) throw error;
+
+  console.log(`🗓️ Scheduled ${jobType}${sessionId ? ` for session ${sessionId}` : ''} at ${data.run_at}`);
+  return data;
+};
+
+/**
+ * Record a job's outcome, as long as this worker still holds its lease
+ * @param {Object} job - The claimed job
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<void>}
+ */
+const settleJob = async (job, fields) => {
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .update({
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .eq('status', 'running')
+    .eq('locked_by', WORKER_ID);
+
+  if (error) {
+    console.error('❌ Error updating scheduled job:', job.id, error);
+  }
+};
+
+/**
+ * Run one claimed job and record the result
+ * @param {Object} job - scheduled_jobs row
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.job_type);
+
+  if (!handler) {
+    await settleJob(job, {
+      status: 'failed',
+      last_error: `No handler registered for ${job.job_type}`,
+      locked_by: null,
+      locked_until: null
+    });
+    return;
+  }
+
+  try {
+    const result = await handler(job);
+
+    if (result && result.rescheduleAt) {
+      await settleJob(job, {
+        status: 'pending',
+        run_at: result.rescheduleAt.toISOString(),
+        payload: result.payload || job.payload,
+        attempts: 0,
+        last_error: null,
+        locked_by: null,
+        locked_until: null
+      });
+      return;
+    }
+
+    await settleJob(job, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      last_error: null,
+      locked_by: null,
+      locked_until: null
+    });
+  } catch (error) {
+    console.error(`❌ Scheduled job ${job.job_type} failed (attempt ${job.attempts}):`, error);
+
+    const exhausted = job.attempts >= job.max_attempts;
+    await settleJob(job, {
+      status: exhausted ? 'failed' : 'pending',
+      // Back off a little more after each failure
+      run_at: new Date(Date.now() + job.attempts * 30 * 1000).toISOString(),
+      last_error: error.message || String(error),
+      locked_by: null,
+      locked_until: null
+    });
+  }
+};
+
+/**
+ * Claim and run whatever is due
+ * @returns {Promise<number>} Number of jobs run
+ */
+const runDueJobs = async () => {
+  if (polling) return 0;
+  polling = true;
+  lastPollAt = new Date();
+
+  try {
+    const { data: jobs, error } = await supabase
+      .rpc('claim_due_jobs', {
+        p_worker_id: WORKER_ID,
+        p_limit: CLAIM_BATCH_SIZE,
+        p_lease_seconds: getLeaseSeconds()
+      });
+
+    if (error) throw error;
+
+    for (const job of jobs || []) {
+      await runJob(job);
+    }
+
+    lastPollError = null;
+    return (jobs || []).length;
+  } catch (error) {
+    lastPollError = error.message || String(error);
+    console.error('❌ Error polling scheduled jobs:', error);
+    return 0;
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling. Overdue jobs left behind by a previous process are picked
+ * up on the first poll.
+ */
+const startJobRunner = () => {
+  if (pollTimer) return;
+
+  console.log(`🗓️ Job runner started (worker ${WORKER_ID}, every ${getPollIntervalMs()}ms)`);
+  pollTimer = setInterval(runDueJobs, getPollIntervalMs());
+  runDueJobs();
+};
+
+/**
+ * Stop polling (jobs stay in the table for the next process)
+ */
+const stopJobRunner = () => {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  console.log('⏹️ Job runner stopped');
+};
+
+/**
+ * Snapshot of the scheduler for the admin status endpoint
+ * @param {Object} [filters] - { status, job_type, limit }
+ * @returns {Promise<Object>}
+ */
+const getJobStatus = async ({ status, job_type, limit = 50 } = {}) => {
+  const { data: outstanding, error: countError } = await supabase
+    .from('scheduled_jobs')
+    .select('job_type, status, run_at')
+    .in('status', ['pending', 'running', 'failed']);
+
+  if (countError) throw countError;
+
+  const counts = {};
+  outstanding.forEach(job => {
+    counts[job.job_type] = counts[job.job_type] || { pending: 0, running: 0, failed: 0 };
+    counts[job.job_type][job.status] += 1;
+  });
+
+  const now = Date.now();
+  const overdue = outstanding.filter(job =>
+    job.status === 'pending' && new Date(job.run_at).getTime() < now - getPollIntervalMs() * 2
+  ).length;
+
+  let query = supabase
+    .from('scheduled_jobs')
+    .select('*')
+    .order('updated_at', { ascending: false })
+    .limit(Math.min(parseInt(limit, 10) || 50, 200));
+
+  if (status && status !== 'all') query = query.eq('status', status);
+  if (job_type) query = query.eq('job_type', job_type);
+
+  const { data: jobs, error } = await query;
+
+  if (error) throw error;
+
+  return {
+    worker: {
+      id: WORKER_ID,
+      running: !!pollTimer,
+      poll_interval_ms: getPollIntervalMs(),
+      lease_seconds: getLeaseSeconds(),
+      last_poll_at: lastPollAt ? lastPollAt.toISOString() : null,
+      last_poll_error: lastPollError,
+      handlers: [...handlers.keys()]
+    },
+    counts,
+    overdue,
+    jobs
+  };
+};
+
+/**
+ * Put a failed job back in the queue
+ * @param {string} jobId - scheduled_jobs.id
+ * @returns {Promise<Object>} { success, job } or { success: false, code } with code
+ *   NOT_FOUND when there's no such failed job, or ALREADY_QUEUED when another copy
+ *   of it is already pending or running
+ */
+const retryJob = async (jobId) => {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .update({
+      status: 'pending',
+      run_at: new Date().toISOString(),
+      attempts: 0,
+      last_error: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .eq('status', 'failed')
+    .select()
+    .maybeSingle();
+
+  // The job was scheduled again since it failed; only one copy may be outstanding
+  if (error && error.code === '23505') {
+    return { success: false, code: 'ALREADY_QUEUED' };
+  }
+
+  if (error) throw error;
+
+  if (!data) {
+    return { success: false, code: 'NOT_FOUND' };
+  }
+
+  return { success: true, job: data };
+};
+
+module.exports = {
+  getPollIntervalMs,
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  runDueJobs,
+  startJobRunner,
+  stopJobRunner,
+  getJobStatus,
+  retryJob
+};
@@ -0,0 +1,72 @@
+const express = require('express');
+const { getJobStatus, retryJob } = require('./job-scheduler.js');
+const { ROLES, authorize } = require('./authorization.js');
+
+const router = express.Router();
+
+// =====================================================
+// SCHEDULED JOB STATUS (ADMIN)
+// =====================================================
+
+/**
+ * Job runner state, outstanding job counts and recent jobs
+ * GET /api/admin/jobs
+ */
+router.get('/api/admin/jobs', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { status, job_type, limit } = req.query;
+    const data = await getJobStatus({ status, job_type, limit });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('❌ Error fetching job status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Re-queue a failed job
+ * POST /api/admin/jobs/:jobId/retry
+ */
+router.post('/api/admin/jobs/:jobId/retry', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const retry = await retryJob(jobId);
+
+    if (retry.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'Failed job not found'
+      });
+    }
+
+    if (retry.code === 'ALREADY_QUEUED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Another copy of this job is already pending or running',
+        code: retry.code
+      });
+    }
+
+    console.log('🔁 Scheduled job re-queued:', jobId);
+
+    res.json({
+      success: true,
+      job: retry.job
+    });
+  } catch (error) {
+    console.error('❌ Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
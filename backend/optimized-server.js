@@ -5,10 +5,23 @@ const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server: SocketIOServer } = require('socket.io');
 const { createClient } = require('@supabase/supabase-js');
-const QRCode = require('qrcode');
-const crypto = require('crypto');
 require('dotenv').config({ path: '.env.local' });
 
+// Shared QR implementation used by every issuer
+const QRKeyManager = require('./qr-key-manager.js');
+const { withoutQRSecrets } = require('./qr-nonce-ledger.js');
+const { getInstitutionTimeZone, getInstitutionToday, getDayName, zonedTimeToUtc } = require('./institution-time.js');
+const { getCountedSessionTypes, sessionCounts } = require('./session-types.js');
+
+// Import the authentication middleware (verifies the access token, sets req.user)
+const { authenticate, getBearerToken } = require('./auth-middleware.js');
+
+// Import the authorization layer (who may call each route)
+const { ALL_ROLES, ROLES, authorize, publicRoute, findUnprotectedRoutes, getTaughtStudentIds } = require('./authorization.js');
+
+// Import the socket handshake and room checks
+const { authenticateSocket, joinAuthorizedRoom } = require('./socket-auth.js');
+
 // Import the new class management API
 const classManagementAPI = require('./final-class-management-api.js');
 
@@ -24,6 +37,43 @@ const studentClassesAPI = require('./student-classes-api.js');
 // Import the student class detail API
 const studentClassDetailAPI = require('./student-class-detail-api.js');
 
+// Import the rooms API (geofence boundaries)
+const roomsAPI = require('./rooms-api.js');
+
+// Import the devices API (device registry and flagged scan review)
+const devicesAPI = require('./devices-api.js');
+
+// Import the attendance policy API (grace period, cutoffs, QR lifetime, auto-close)
+const attendancePolicyAPI = require('./attendance-policy-api.js');
+
+// Import the academic calendar API (holidays, breaks, substitution days)
+const academicCalendarAPI = require('./academic-calendar-api.js');
+
+// Import the excuse requests API (excused-absence requests and review queue)
+const excuseRequestsAPI = require('./excuse-requests-api.js');
+
+// Import the attendance disputes API (disputed records and the professor's queue)
+const attendanceDisputesAPI = require('./attendance-disputes-api.js');
+const { scheduleDisputeExpirySweep } = require('./attendance-disputes.js');
+const { scheduleScanSubmissionPurge } = require('./scan-idempotency.js');
+
+// Import the password reset flow (hashed single-use tokens, strength rules)
+const {
+  validateResetEmail,
+  requestPasswordReset,
+  findResetToken,
+  resetPasswordWithToken,
+  resetPasswordWithRecoverySession,
+  schedulePasswordResetPurge
+} = require('./password-reset.js');
+
+// Import the attendance grading API (grade rules, previews and overrides)
+const attendanceGradingAPI = require('./attendance-grading-api.js');
+
+// Import the jobs API (scheduled job status) and the job runner
+const jobsAPI = require('./jobs-api.js');
+const { startJobRunner, stopJobRunner } = require('./job-scheduler.js');
+
 // Import the student dashboard API (commented out - using frontend service instead)
 // const studentDashboardAPI = require('./student-dashboard-api.js');
 
@@ -42,55 +92,6 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// QR Code Generator Class
-class QRCodeGenerator {
-  static get QR_SECRET() {
-    return process.env.QR_SECRET || 'fsas_qr_secret_key_2024_secure';
-  }
-  
-  static get QR_EXPIRY_SECONDS() {
-    return 30;
-  }
-
-  static async generateSecureQR(sessionId) {
-    const timestamp = Date.now();
-    const nonce = crypto.randomBytes(16).toString('hex');
-    const qrCodeSecret = crypto.randomBytes(32).toString('hex');
-    
-    const data = `${sessionId}-${timestamp}-${nonce}-${qrCodeSecret}`;
-    
-    const signature = crypto
-      .createHmac('sha256', this.QR_SECRET)
-      .update(data)
-      .digest('hex');
-
-    const qrData = {
-      sessionId,
-      timestamp,
-      nonce,
-      signature
-    };
-
-    const qrCodeImage = await QRCode.toDataURL(JSON.stringify(qrData), {
-      errorCorrectionLevel: 'M',
-      margin: 1,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      width: 256
-    });
-
-    const expiresAt = new Date(timestamp + (this.QR_EXPIRY_SECONDS * 1000));
-
-    return {
-      qr_code: qrCodeImage,
-      expires_at: expiresAt.toISOString(),
-      session_id: sessionId
-    };
-  }
-}
-
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -122,8 +123,15 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Every API request needs a signed-in user except the health check and the
+// password reset flow
+const PUBLIC_API_PATHS = ['/health', '/auth/forgot-password', '/auth/validate-reset-token', '/auth/reset-password'];
+app.use('/api/', (req, res, next) => (
+  PUBLIC_API_PATHS.includes(req.path) ? next() : authenticate(req, res, next)
+));
+
 // Health check
-app.get('/api/health', (req, res) => {
+app.get('/api/health', publicRoute, (req, res) => {
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
@@ -140,6 +148,14 @@ app.use('/', sessionManagementAPI.router);
 app.use('/', attendanceAPI);
 app.use('/', studentClassesAPI);
 app.use('/', studentClassDetailAPI);
+app.use('/', roomsAPI);
+app.use('/', devicesAPI);
+app.use('/', attendancePolicyAPI);
+app.use('/', academicCalendarAPI);
+app.use('/', jobsAPI);
+app.use('/', excuseRequestsAPI);
+app.use('/', attendanceDisputesAPI);
+app.use('/', attendanceGradingAPI);
 // app.use('/', studentDashboardAPI); // Commented out - using frontend service instead
 
 // =====================================================
@@ -147,7 +163,7 @@ app.use('/', studentClassDetailAPI);
 // =====================================================
 
 // Get all users
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('users')
@@ -169,16 +185,28 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-// Get students
-app.get('/api/students', async (req, res) => {
+// Get students (admins see everyone, teaching staff the students in their classes)
+app.get('/api/students', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const studentIds = await getTaughtStudentIds(req.user);
+
+    if (studentIds && studentIds.length === 0) {
+      return res.json({ success: true, data: [], count: 0 });
+    }
+
+    let query = supabase
       .from('students')
       .select(`
         *,
         users!inner(first_name, last_name, email, role)
       `)
       .order('created_at', { ascending: false });
+
+    if (studentIds) {
+      query = query.in('user_id', studentIds);
+    }
+
+    const { data, error } = await query;
     
     if (error) throw error;
     
@@ -196,7 +224,7 @@ app.get('/api/students', async (req, res) => {
 });
 
 // Get professors
-app.get('/api/professors', async (req, res) => {
+app.get('/api/professors', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('professors')
@@ -226,7 +254,7 @@ app.get('/api/professors', async (req, res) => {
 // =====================================================
 
 // Get departments
-app.get('/api/departments', async (req, res) => {
+app.get('/api/departments', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('departments')
@@ -253,7 +281,7 @@ app.get('/api/departments', async (req, res) => {
 // =====================================================
 
 // Get academic periods
-app.get('/api/academic-periods', async (req, res) => {
+app.get('/api/academic-periods', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('academic_periods')
@@ -281,7 +309,7 @@ app.get('/api/academic-periods', async (req, res) => {
 // =====================================================
 
 // Get all sessions
-app.get('/api/sessions', async (req, res) => {
+app.get('/api/sessions', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('sessions')
@@ -307,7 +335,7 @@ app.get('/api/sessions', async (req, res) => {
 });
 
 // Get all classes with department and period info
-app.get('/api/classes', async (req, res) => {
+app.get('/api/classes', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('classes')
@@ -352,7 +380,7 @@ app.get('/api/classes', async (req, res) => {
 });
 
 // Get classes for a specific professor
-app.get('/api/professors/:professorId/classes', async (req, res) => {
+app.get('/api/professors/:professorId/classes', authorize({ professor: 'professorId', as: ['self', 'admin'] }), async (req, res) => {
   try {
     const { professorId } = req.params;
     
@@ -391,7 +419,7 @@ app.get('/api/professors/:professorId/classes', async (req, res) => {
         // Get all sessions for this class (active + completed)
         const { data: sessions, error: sessionsError } = await supabase
           .from('class_sessions')
-          .select('id, status')
+          .select('id, status, session_type')
           .eq('class_instance_id', classInstance.id);
         
         if (sessionsError) {
@@ -411,11 +439,12 @@ app.get('/api/professors/:professorId/classes', async (req, res) => {
           totalSessions = allSessions.length;
           activeSessions = activeSessionsList.length;
           
-          // Get attendance records for all sessions
+          // Get attendance records for the session types the class counts
+          const countedTypes = getCountedSessionTypes(classInstance);
           const { data: attendanceRecords, error: attendanceError } = await supabase
             .from('attendance_records')
             .select('status')
-            .in('session_id', allSessions.map(s => s.id));
+            .in('session_id', allSessions.filter(s => sessionCounts(s, countedTypes)).map(s => s.id));
           
           if (!attendanceError && attendanceRecords && attendanceRecords.length > 0) {
             const attendedCount = attendanceRecords.filter(a => 
@@ -468,7 +497,7 @@ app.get('/api/professors/:professorId/classes', async (req, res) => {
 // =====================================================
 
 // Get all enrollments
-app.get('/api/enrollments', async (req, res) => {
+app.get('/api/enrollments', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('enrollments')
@@ -503,15 +532,16 @@ app.get('/api/enrollments', async (req, res) => {
 });
 
 // Enroll student in class (professor adds student)
-app.post('/api/enrollments', async (req, res) => {
+app.post('/api/enrollments', authorize({ legacyClass: 'class_id', from: 'body', as: ['self'] }), async (req, res) => {
   try {
-    const { student_id, class_id, academic_period_id, enrolled_by } = req.body;
+    const { student_id, class_id, academic_period_id } = req.body;
+    const enrolled_by = req.user.id;
     
     // Validate required fields
-    if (!student_id || !class_id || !academic_period_id || !enrolled_by) {
+    if (!student_id || !class_id || !academic_period_id) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: student_id, class_id, academic_period_id, enrolled_by'
+        error: 'Missing required fields: student_id, class_id, academic_period_id'
       });
     }
     
@@ -522,7 +552,7 @@ app.post('/api/enrollments', async (req, res) => {
         class_id,
         academic_period_id,
         enrolled_by,
-        enrollment_date: new Date().toISOString().split('T')[0],
+        enrollment_date: getInstitutionToday(),
         status: 'active'
       })
       .select();
@@ -599,7 +629,7 @@ app.post('/api/enrollments', async (req, res) => {
 });
 
 // Get students enrolled in a specific class
-app.get('/api/classes/:classId/students', async (req, res) => {
+app.get('/api/classes/:classId/students', authorize({ legacyClass: 'classId', as: ['self', 'admin'] }), async (req, res) => {
   try {
     const { classId } = req.params;
     
@@ -632,7 +662,7 @@ app.get('/api/classes/:classId/students', async (req, res) => {
 });
 
 // Update student grade
-app.put('/api/enrollments/:enrollmentId/grade', async (req, res) => {
+app.put('/api/enrollments/:enrollmentId/grade', authorize({ enrollment: 'enrollmentId', as: ['owner'] }), async (req, res) => {
   try {
     const { enrollmentId } = req.params;
     const { final_grade } = req.body;
@@ -670,7 +700,7 @@ app.put('/api/enrollments/:enrollmentId/grade', async (req, res) => {
 // =====================================================
 
 // Get sessions for a class
-app.get('/api/classes/:classId/sessions', async (req, res) => {
+app.get('/api/classes/:classId/sessions', authorize({ class: 'classId', as: ['staff', 'student'] }), async (req, res) => {
   try {
     const { classId } = req.params;
     
@@ -684,7 +714,7 @@ app.get('/api/classes/:classId/sessions', async (req, res) => {
     
     res.json({
       success: true,
-      data,
+      data: data.map(withoutQRSecrets),
       count: data.length
     });
   } catch (error) {
@@ -695,132 +725,15 @@ app.get('/api/classes/:classId/sessions', async (req, res) => {
   }
 });
 
-// Generate QR code for session
-app.get('/api/sessions/:sessionId/qr', async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    
-    // Verify session exists
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .single();
-    
-    if (sessionError || !session) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session not found'
-      });
-    }
-    
-    // Generate QR code
-    const qrData = await QRCodeGenerator.generateSecureQR(sessionId);
-    
-    // Update session with QR data
-    await supabase
-      .from('sessions')
-      .update({
-        qr_secret: qrData.session_id,
-        qr_expires_at: qrData.expires_at,
-        is_active: true
-      })
-      .eq('id', sessionId);
-    
-    res.json({
-      success: true,
-      data: qrData
-    });
-  } catch (error) {
-    console.error('Error generating QR code:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to generate QR code'
-    });
-  }
-});
-
-// Activate session (start attendance)
-app.post('/api/sessions/:sessionId/activate', async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { notes } = req.body;
-    
-    console.log('🚀 Activating session:', sessionId);
-    console.log('🔍 Session activation endpoint called with sessionId:', sessionId);
-    
-    // Check if session exists and is scheduled
-    const { data: session, error: fetchError } = await supabase
-      .from('class_sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .eq('status', 'scheduled')
-      .single();
-    
-    if (fetchError || !session) {
-      return res.status(400).json({
-        success: false,
-        error: 'Session not found or already activated'
-      });
-    }
-    
-    // Generate initial QR code
-    const qrData = await QRCodeGenerator.generateSecureQR(sessionId);
-    
-    // Calculate session end time (1 hour from now)
-    const endTime = new Date(Date.now() + 60 * 60 * 1000);
-    
-    // Update session
-    const { data: updatedSession, error: updateError } = await supabase
-      .from('class_sessions')
-      .update({
-        status: 'active',
-        is_active: true,
-        qr_secret: qrData.secret,
-        qr_expires_at: qrData.expires_at,
-        notes: notes || null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', sessionId)
-      .select()
-      .single();
-    
-    if (updateError) throw updateError;
-    
-    console.log('✅ Session updated successfully, now calling notification function...');
-    
-    // Notify students about session activation
-    console.log('🔔 Calling notifyStudentsSessionActivated...');
-    try {
-      await notifyStudentsSessionActivated(sessionId);
-      console.log('✅ notifyStudentsSessionActivated completed');
-    } catch (notificationError) {
-      console.error('❌ Error in notifyStudentsSessionActivated:', notificationError);
-    }
-    
-    console.log('✅ Session activated successfully:', sessionId);
-    
-    res.json({
-      success: true,
-      session: updatedSession,
-      qr_code: qrData
-    });
-    
-  } catch (error) {
-    console.error('❌ Error activating session:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// Activating, pausing, resuming and completing sessions are handled by
+// session-management-api.js (mounted above) through the session state machine
 
 // =====================================================
 // ATTENDANCE ENDPOINTS (ENHANCED)
 // =====================================================
 
 // Get all attendance records
-app.get('/api/attendance', async (req, res) => {
+app.get('/api/attendance', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('attendance')
@@ -847,7 +760,7 @@ app.get('/api/attendance', async (req, res) => {
 });
 
 // Get QR usage records
-app.get('/api/qr-usage', async (req, res) => {
+app.get('/api/qr-usage', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('qr_usage')
@@ -874,7 +787,7 @@ app.get('/api/qr-usage', async (req, res) => {
 });
 
 // Get attendance for a session
-app.get('/api/sessions/:sessionId/attendance', async (req, res) => {
+app.get('/api/sessions/:sessionId/attendance', authorize({ session: 'sessionId', as: ['staff'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -909,110 +822,59 @@ app.get('/api/sessions/:sessionId/attendance', async (req, res) => {
 // PASSWORD RESET API ENDPOINTS
 // =====================================================
 
-// Forgot Password - Send reset email
-app.post('/api/auth/forgot-password', async (req, res) => {
-  try {
-    const { email, role } = req.body;
-    
-    console.log('🔐 Password reset request:', { email, role });
-    
-    // Validate input
-    if (!email || !role) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email and role are required'
-      });
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please enter a valid email address'
-      });
-    }
-
-    // Check if user exists in database with correct role
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id, email, role, is_active')
-      .eq('email', email.trim().toLowerCase())
-      .single();
+// Forgot Password - Send reset email. The answer is the same, and sent
+// before any lookup, whether or not the email belongs to an active account,
+// was throttled or failed to send.
+app.post('/api/auth/forgot-password', publicRoute, (req, res) => {
+  const { email } = req.body;
+  
+  const emailError = validateResetEmail(email);
+  if (emailError) {
+    return res.status(400).json({
+      success: false,
+      error: emailError
+    });
+  }
 
-    if (userError || !userData) {
-      console.log('🔐 User not found:', email);
-      return res.status(404).json({
-        success: false,
-        error: 'No account found with this email address'
-      });
-    }
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
 
-    if (userData.role !== role) {
-      console.log('🔐 Role mismatch:', userData.role, 'expected:', role);
-      return res.status(400).json({
-        success: false,
-        error: `This email is registered as a ${userData.role}. Please use the ${userData.role} forgot password page.`
-      });
-    }
+  const ip = req.ip;
+  setImmediate(() => {
+    requestPasswordReset(email, { ip })
+      .then(outcome => console.log('🔐 Password reset request:', outcome.sent ? `sent to user ${outcome.userId}` : `not sent (${outcome.reason})`))
+      .catch(error => console.error('🔐 Password reset error:', error));
+  });
+});
 
-    if (!userData.is_active) {
-      console.log('🔐 Account inactive:', email);
+// Validate Reset Token (so the reset page can say a link is stale up front)
+app.post('/api/auth/validate-reset-token', publicRoute, async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
       return res.status(400).json({
         success: false,
-        error: 'This account has been deactivated. Please contact support.'
-      });
-    }
-
-    // Send password reset email using Supabase Auth
-    const { error: resetError } = await supabase.auth.resetPasswordForEmail(email, {
-      redirectTo: `${process.env.NEXT_PUBLIC_FRONTEND_URL || 'http://localhost:3000'}/reset-password?type=${role}`,
-    });
-
-    if (resetError) {
-      console.error('🔐 Password reset error:', resetError);
-      return res.status(500).json({
-        success: false,
-        error: resetError.message
+        error: 'Token is required'
       });
     }
 
-    console.log('✅ Password reset email sent to:', email);
-    res.json({
-      success: true,
-      message: 'Password reset email sent successfully'
-    });
-
-  } catch (error) {
-    console.error('🔐 Password reset error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'An unexpected error occurred. Please try again.'
-    });
-  }
-});
+    const resetToken = await findResetToken(token);
 
-// Validate Reset Token
-app.post('/api/auth/validate-reset-token', async (req, res) => {
-  try {
-    const { token, type } = req.body;
-    
-    console.log('🔐 Validating reset token:', { hasToken: !!token, type });
-    
-    if (!token || !type) {
+    if (!resetToken) {
       return res.status(400).json({
         success: false,
-        error: 'Token and type are required'
+        error: 'This reset link is invalid or has expired',
+        code: 'RESET_TOKEN_INVALID'
       });
     }
-
-    // For now, we'll accept any token format
-    // In a production environment, you'd validate the JWT token
-    // and check if it's valid and not expired
     
     res.json({
       success: true,
-      message: 'Token is valid'
+      message: 'Token is valid',
+      expires_at: resetToken.expires_at
     });
 
   } catch (error) {
@@ -1024,39 +886,35 @@ app.post('/api/auth/validate-reset-token', async (req, res) => {
   }
 });
 
-// Reset Password - Update password
-app.post('/api/auth/reset-password', async (req, res) => {
+// Reset Password - Update password, with the reset token from the link or
+// the Supabase recovery session the link signed the browser in with
+app.post('/api/auth/reset-password', publicRoute, async (req, res) => {
   try {
-    const { token, password, type } = req.body;
-    
-    console.log('🔐 Password reset update:', { hasToken: !!token, type });
+    const { token, password } = req.body;
+    const recoverySession = getBearerToken(req);
     
     // Validate input
-    if (!token || !password || !type) {
+    if ((!token && !recoverySession) || !password) {
       return res.status(400).json({
         success: false,
-        error: 'Token, password, and type are required'
+        error: 'A reset token (or recovery session) and a password are required'
       });
     }
 
-    // Validate password
-    if (password.length < 6) {
+    const result = token
+      ? await resetPasswordWithToken(token, password)
+      : await resetPasswordWithRecoverySession(recoverySession, password);
+
+    if (!result.success) {
+      console.log('🔐 Password reset rejected:', result.code);
       return res.status(400).json({
         success: false,
-        error: 'Password must be at least 6 characters long'
+        error: result.error,
+        code: result.code
       });
     }
-
-    // In a production environment, you would:
-    // 1. Validate the JWT token
-    // 2. Extract user ID from token
-    // 3. Update password for that specific user
     
-    // For now, we'll return success
-    // The actual password update will be handled by Supabase Auth
-    // when the user clicks the reset link and is redirected
-    
-    console.log('✅ Password reset completed for type:', type);
+    console.log('✅ Password reset completed for user:', result.userId, result.sessionsRevoked ? '(signed out everywhere)' : '(sessions not revoked)');
     res.json({
       success: true,
       message: 'Password has been reset successfully'
@@ -1076,7 +934,7 @@ app.post('/api/auth/reset-password', async (req, res) => {
 // =====================================================
 
 // Get all available courses
-app.get('/api/courses', async (req, res) => {
+app.get('/api/courses', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
     console.log('📚 Fetching available courses');
     
@@ -1129,9 +987,10 @@ app.get('/api/courses', async (req, res) => {
 // =====================================================
 
 // Create a new class
-app.post('/api/classes', async (req, res) => {
+app.post('/api/classes', authorize({ roles: [ROLES.PROFESSOR] }), async (req, res) => {
   try {
-    const { course_id, professor_id, academic_period_id, room_location, max_students } = req.body;
+    const { course_id, academic_period_id, room_location, max_students } = req.body;
+    const professor_id = req.user.id;
     
     console.log('📚 Creating new class:', { course_id, professor_id, academic_period_id, room_location, max_students });
     
@@ -1196,7 +1055,7 @@ app.post('/api/classes', async (req, res) => {
 // =====================================================
 
 // Get professor dashboard data
-app.get('/api/professors/:professorId/dashboard', async (req, res) => {
+app.get('/api/professors/:professorId/dashboard', authorize({ professor: 'professorId', as: ['self', 'admin'] }), async (req, res) => {
   try {
     const { professorId } = req.params;
     
@@ -1220,6 +1079,7 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
         current_enrollment,
         is_active,
         created_at,
+        counted_session_types,
         courses(code, name, description, credits),
         academic_periods(name, year, semester)
       `)
@@ -1264,6 +1124,7 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
         end_time,
         is_active,
         status,
+        session_type,
         qr_expires_at
       `)
       .in('class_instance_id', classInstances.map(c => c.id));
@@ -1280,32 +1141,17 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
     const activeSessions = allSessions.filter(s => s.is_active === true);
     
     // Helper function to check if a class meets on a specific day
+    // "Today" is the institution's calendar date, not the server's or UTC
+    const todayDate = getInstitutionToday();
     const isClassToday = (classInstance) => {
-      const today = new Date();
-      const todayDayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
-      const todayDate = today.toISOString().split('T')[0];
-      
-      // Check if today is within the class period
-      const firstClassDate = new Date(classInstance.first_class_date);
-      const lastClassDate = new Date(classInstance.last_class_date);
-      
-      if (today < firstClassDate || today > lastClassDate) {
+      // Check if today is within the class period (date strings compare in calendar order)
+      if (todayDate < classInstance.first_class_date || todayDate > classInstance.last_class_date) {
         return false;
       }
       
       // Check if today's day of week matches the class schedule
       const daysOfWeek = classInstance.days_of_week || [];
-      const dayMapping = {
-        'Monday': 1,
-        'Tuesday': 2,
-        'Wednesday': 3,
-        'Thursday': 4,
-        'Friday': 5,
-        'Saturday': 6,
-        'Sunday': 0
-      };
-      
-      return daysOfWeek.some(day => dayMapping[day] === todayDayOfWeek);
+      return daysOfWeek.includes(getDayName(todayDate));
     };
     
     // Get today's classes
@@ -1316,22 +1162,29 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
     const totalStudents = new Set(enrollments.map(e => e.student_id)).size;
     const activeSessionsCount = activeSessions.length;
     
+    // Attendance rates only cover the session types each class counts
+    const countedTypesByClass = Object.fromEntries(
+      classInstances.map(c => [c.id, getCountedSessionTypes(c)])
+    );
+    const isCountedSession = (session) => sessionCounts(session, countedTypesByClass[session.class_instance_id]);
+    
     // Calculate average attendance from COMPLETED sessions (not active sessions)
     const { data: completedSessions, error: completedSessionsError } = await supabase
       .from('class_sessions')
-      .select('id, class_instance_id')
+      .select('id, class_instance_id, session_type')
       .in('class_instance_id', classInstances.map(c => c.id))
       .eq('status', 'completed');
     
     let averageAttendance = 0;
-    if (!completedSessionsError && completedSessions.length > 0) {
+    const countedCompletedSessions = completedSessionsError ? [] : completedSessions.filter(isCountedSession);
+    if (countedCompletedSessions.length > 0) {
       const { data: attendanceData, error: attendanceError } = await supabase
         .from('attendance_records')
         .select(`
           session_id,
           status
         `)
-        .in('session_id', completedSessions.map(s => s.id));
+        .in('session_id', countedCompletedSessions.map(s => s.id));
       
       if (!attendanceError && attendanceData.length > 0) {
         // Count present, late, and excused as "attended" (same logic as analytics)
@@ -1351,7 +1204,7 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
       
       // Calculate class-specific attendance rate (including live sessions)
       let classAttendanceRate = 0;
-      const allClassSessions = [...classActiveSessions, ...classCompletedSessions];
+      const allClassSessions = [...classActiveSessions, ...classCompletedSessions].filter(isCountedSession);
       
       if (allClassSessions.length > 0) {
         const { data: classAttendanceData } = await supabase
@@ -1368,10 +1221,9 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
       }
       
       // Find today's session if this is a today class
-      const today = new Date().toISOString().split('T')[0];
       const todaySession = isToday ? allSessions.find(s => 
         s.class_instance_id === instance.id && 
-        s.date === today &&
+        s.date === todayDate &&
         s.status === 'scheduled'
       ) : null;
       
@@ -1384,8 +1236,8 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
       } else if (isToday) {
         // Check if today's session time has passed
         const now = new Date();
-        const todaySessionTime = new Date(`${today}T${instance.start_time}`);
-        const sessionEndTime = new Date(`${today}T${instance.end_time}`);
+        const todaySessionTime = zonedTimeToUtc(todayDate, instance.start_time);
+        const sessionEndTime = zonedTimeToUtc(todayDate, instance.end_time);
         
         if (now > sessionEndTime) {
           status = 'completed';
@@ -1468,22 +1320,27 @@ app.get('/api/professors/:professorId/dashboard', async (req, res) => {
 // Make io available globally for other modules
 global.io = io;
 
+// Connections need a valid access token; room joins are checked in socket-auth.js
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  console.log('Client connected:', socket.id, 'user:', socket.data.user.id);
   
-  socket.on('join-session', (sessionId) => {
-    socket.join(`session-${sessionId}`);
-    console.log(`Client ${socket.id} joined session ${sessionId}`);
-  });
+  // Join a session's live view (QR codes, scans) - professor and TAs
+  socket.on('join-session', (sessionId) => joinAuthorizedRoom(socket, 'join-session', sessionId));
   
-  // Join professor dashboard room for live updates
-  socket.on('join-professor-dashboard', (professorId) => {
-    socket.join(`professor-${professorId}`);
-    console.log(`Client ${socket.id} joined professor dashboard ${professorId}`);
-  });
+  // Join a session's status updates - enrolled students too
+  socket.on('join-session-status', (sessionId) => joinAuthorizedRoom(socket, 'join-session-status', sessionId));
   
+  // Join professor dashboard room for live updates
+  socket.on('join-professor-dashboard', (professorId) => joinAuthorizedRoom(socket, 'join-professor-dashboard', professorId));
+
+  // Join a user's own room for notification pushes (cancellations, moves)
+  socket.on('join-user', (userId) => joinAuthorizedRoom(socket, 'join-user', userId));
+
   socket.on('leave-session', (sessionId) => {
     socket.leave(`session-${sessionId}`);
+    socket.leave(`session-status-${sessionId}`);
     console.log(`Client ${socket.id} left session ${sessionId}`);
   });
   
@@ -1514,7 +1371,7 @@ function broadcastAttendanceUpdate(sessionId, attendanceData) {
 // =====================================================
 
 // Get individual class details
-app.get('/api/classes/:classId', async (req, res) => {
+app.get('/api/classes/:classId', authorize({ legacyClass: 'classId', as: ['self', 'admin'] }), async (req, res) => {
   try {
     const { classId } = req.params;
     
@@ -1557,7 +1414,7 @@ app.get('/api/classes/:classId', async (req, res) => {
 });
 
 // Get enrolled students for a class
-app.get('/api/classes/:classId/students', async (req, res) => {
+app.get('/api/classes/:classId/students', authorize({ legacyClass: 'classId', as: ['self', 'admin'] }), async (req, res) => {
   try {
     const { classId } = req.params;
     
@@ -1631,7 +1488,7 @@ app.get('/api/classes/:classId/students', async (req, res) => {
 });
 
 // Update current academic period based on real time
-app.post('/api/academic-periods/update-current', async (req, res) => {
+app.post('/api/academic-periods/update-current', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const now = new Date();
     const year = now.getFullYear();
@@ -1746,7 +1603,7 @@ app.post('/api/academic-periods/update-current', async (req, res) => {
 });
 
 // Get all academic periods
-app.get('/api/academic-periods', async (req, res) => {
+app.get('/api/academic-periods', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
     const { data: periods, error } = await supabase
       .from('academic_periods')
@@ -1775,10 +1632,16 @@ app.get('/api/academic-periods', async (req, res) => {
   }
 });
 
-// Get all available students
-app.get('/api/students', async (req, res) => {
+// Get all available students (admins see everyone, teaching staff the students in their classes)
+app.get('/api/students', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
   try {
-    const { data: students, error: studentsError } = await supabase
+    const studentIds = await getTaughtStudentIds(req.user);
+
+    if (studentIds && studentIds.length === 0) {
+      return res.json({ success: true, students: [] });
+    }
+
+    let query = supabase
       .from('students')
       .select(`
         id,
@@ -1790,6 +1653,12 @@ app.get('/api/students', async (req, res) => {
         enrollment_year
       `)
       .eq('is_active', true);
+
+    if (studentIds) {
+      query = query.in('user_id', studentIds);
+    }
+
+    const { data: students, error: studentsError } = await query;
     
     if (studentsError) {
       console.error('Error fetching students:', studentsError);
@@ -1813,7 +1682,7 @@ app.get('/api/students', async (req, res) => {
 });
 
 // Create a new student
-app.post('/api/students', async (req, res) => {
+app.post('/api/students', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
   try {
     const { student_id, first_name, last_name, email, major, enrollment_year } = req.body;
     
@@ -1875,7 +1744,7 @@ app.post('/api/students', async (req, res) => {
 });
 
 // Enroll students in a class
-app.post('/api/classes/:classId/enroll', async (req, res) => {
+app.post('/api/classes/:classId/enroll', authorize({ legacyClass: 'classId', as: ['self'] }), async (req, res) => {
   try {
     const { classId } = req.params;
     const { student_ids } = req.body;
@@ -2103,7 +1972,7 @@ app.post('/api/classes/:classId/enroll', async (req, res) => {
 });
 
 // Unenroll student from a class
-app.post('/api/classes/:classId/unenroll', async (req, res) => {
+app.post('/api/classes/:classId/unenroll', authorize({ legacyClass: 'classId', as: ['self'] }), async (req, res) => {
   try {
     console.log('🔔 CLASS UNENROLLMENT ENDPOINT CALLED:', req.params.classId);
     const { classId } = req.params;
@@ -2222,110 +2091,13 @@ app.post('/api/classes/:classId/unenroll', async (req, res) => {
 });
 
 // =====================================================
-// NOTIFICATION SYSTEM FUNCTIONS
-// =====================================================
-
-const notifyStudentsSessionActivated = async (sessionId) => {
-  try {
-    console.log('📢 Notifying students about session activation:', sessionId);
-    
-    // Get session details with class information
-    const { data: session, error: sessionError } = await supabase
-      .from('class_sessions')
-      .select(`
-        id,
-        date,
-        start_time,
-        room_location,
-        class_instance_id,
-        class_instances!inner(
-          courses!inner(
-            code,
-            name
-          )
-        )
-      `)
-      .eq('id', sessionId)
-      .single();
-    
-    if (sessionError || !session) {
-      console.error('❌ Error fetching session details:', sessionError);
-      return;
-    }
-    
-    // Get enrolled students for this class instance
-    const { data: enrollments, error: enrollmentError } = await supabase
-      .from('enrollments')
-      .select(`
-        student_id,
-        status
-      `)
-      .eq('class_instance_id', session.class_instance_id)
-      .eq('status', 'active');
-    
-    if (enrollmentError) {
-      console.error('❌ Error fetching enrollments:', enrollmentError);
-      return;
-    }
-    
-    if (!enrollments || enrollments.length === 0) {
-      console.log('📢 No enrolled students found for this class');
-      return;
-    }
-    
-    // Prepare notification data
-    const className = `${session.class_instances.courses.code} - ${session.class_instances.courses.name}`;
-    const sessionTime = `${session.date} at ${session.start_time}`;
-    const roomLocation = session.room_location;
-    
-    // Create notifications for each student
-    const notifications = enrollments.map(enrollment => ({
-      user_id: enrollment.student_id,
-      type: 'system',
-      title: 'Class session has started!',
-      message: `${className} session has started at ${sessionTime}${roomLocation ? ` in ${roomLocation}` : ''}. You can now scan the QR code to mark your attendance.`,
-      priority: 'urgent',
-      link: '/student/scan',
-      session_id: sessionId,
-      metadata: {
-        className,
-        sessionTime,
-        roomLocation,
-        sessionStartDate: new Date().toISOString(),
-        notificationType: 'session_started'
-      }
-    }));
-    
-    if (notifications.length > 0) {
-      const { error: notificationError } = await supabase
-        .from('notifications')
-        .insert(notifications);
-      
-      if (notificationError) {
-        console.error('❌ Error creating session notifications:', notificationError);
-      } else {
-        console.log(`📢 Session notifications sent to ${notifications.length} students`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error notifying students:', error);
-  }
-};
-
 // NOTIFICATIONS API
 // =====================================================
 
 // Get notifications for a user
-app.get('/api/notifications', async (req, res) => {
+app.get('/api/notifications', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const user_id = req.user.id;
     
     const { data, error } = await supabase
       .from('notifications')
@@ -2358,16 +2130,9 @@ app.get('/api/notifications', async (req, res) => {
 });
 
 // Get unread notifications count
-app.get('/api/notifications/unread-count', async (req, res) => {
+app.get('/api/notifications/unread-count', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const user_id = req.user.id;
     
     const { count, error } = await supabase
       .from('notifications')
@@ -2398,7 +2163,7 @@ app.get('/api/notifications/unread-count', async (req, res) => {
 });
 
 // Mark notification as read
-app.patch('/api/notifications/:id/read', async (req, res) => {
+app.patch('/api/notifications/:id/read', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -2408,7 +2173,8 @@ app.patch('/api/notifications/:id/read', async (req, res) => {
         is_read: true, 
         read_at: new Date().toISOString() 
       })
-      .eq('id', id);
+      .eq('id', id)
+      .eq('user_id', req.user.id);
     
     if (error) {
       console.error('Error marking notification as read:', error);
@@ -2433,16 +2199,10 @@ app.patch('/api/notifications/:id/read', async (req, res) => {
 });
 
 // Create a test notification
-app.post('/api/notifications/test', async (req, res) => {
+app.post('/api/notifications/test', authorize({ roles: ALL_ROLES }), async (req, res) => {
   try {
-    const { user_id, title, message } = req.body;
-    
-    if (!user_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const { title, message } = req.body;
+    const user_id = req.user.id;
     
     const { data, error } = await supabase
       .from('notifications')
@@ -2486,11 +2246,50 @@ app.post('/api/notifications/test', async (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log('🚀 Optimized FSAS Backend Server running on port', PORT);
-  console.log('📊 Health check: http://localhost:' + PORT + '/api/health');
-  console.log('🔗 Supabase connected:', !!process.env.NEXT_PUBLIC_SUPABASE_URL);
-  console.log('✨ Features: QR Generation, Attendance Tracking, Real-time Updates, Role-based Access, Enrollment Management');
-});
+/**
+ * Check the configuration and start listening (skipped when the app is
+ * required by tests)
+ */
+const startServer = () => {
+  try {
+    QRKeyManager.assertProductionReady();
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+
+  // Refuse to start with a route nobody has decided access for
+  const unprotectedRoutes = findUnprotectedRoutes(app);
+  if (unprotectedRoutes.length > 0) {
+    console.error('❌ Routes without an access rule (add authorize() or publicRoute):', unprotectedRoutes);
+    process.exit(1);
+  }
+
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log('🚀 Optimized FSAS Backend Server running on port', PORT);
+    console.log('📊 Health check: http://localhost:' + PORT + '/api/health');
+    console.log('🔗 Supabase connected:', !!process.env.NEXT_PUBLIC_SUPABASE_URL);
+    console.log('🕒 Institution timezone:', getInstitutionTimeZone());
+    console.log('✨ Features: QR Generation, Attendance Tracking, Real-time Updates, Role-based Access, Enrollment Management');
+  
+    // Pick up QR rotations and auto-completions left over from the previous process
+    // and keep the dispute expiry sweep and the scan submission and reset token purges going
+    sessionManagementAPI.restoreSessionJobs()
+      .then(() => scheduleDisputeExpirySweep())
+      .then(() => scheduleScanSubmissionPurge())
+      .then(() => schedulePasswordResetPurge())
+      .catch(error => console.error('❌ Error restoring session jobs:', error))
+      .finally(() => startJobRunner());
+  });
+
+  process.on('SIGTERM', () => {
+    stopJobRunner();
+    server.close(() => process.exit(0));
+  });
+};
+
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = { app, server, io, broadcastAttendanceUpdate };
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { registerJobHandler, scheduleJob } = require('./job-scheduler.js');
+const { verifyAccessToken, loadUser, isTokenRevoked, forgetUser } = require('./auth-middleware.js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// PASSWORD RESET
+// =====================================================
+// A reset request issues a random token; only its SHA-256 hash is stored.
+// The token travels in the link of the Supabase recovery email (as part of
+// its redirect URL) and can be used once, before it expires, to set a new
+// password, which also signs the user out everywhere. Callers never learn
+// whether an email belongs to an account.
+//
+// Following that link also signs the browser in with a Supabase recovery
+// session. A password set with that session goes through here as well
+// (resetPasswordWithRecoverySession), so both paths get the same strength
+// rules and sign-out.
+
+// How long a reset link works
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+// Reset emails sent to one account per hour; further requests are dropped
+const MAX_RESET_REQUESTS_PER_HOUR = 3;
+
+// Used and expired tokens are kept this long (for the hourly limit and
+// troubleshooting), then purged
+const TOKEN_RETENTION_DAYS = 7;
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 72; // Supabase Auth (bcrypt) ignores anything longer
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Stored form of a reset token
+ * @param {string} token - Token from the reset link
+ * @returns {string}
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check an email address is usable for a reset request
+ * @param {*} email
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateResetEmail = (email) => {
+  if (typeof email !== 'string' || !email.trim()) return 'Email is required';
+  if (!EMAIL_PATTERN.test(email.trim())) return 'Please enter a valid email address';
+  return null;
+};
+
+/**
+ * Minimum strength rules for a new password
+ * @param {*} password
+ * @returns {string|null} Error message, or null when strong enough
+ */
+const validatePasswordStrength = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+
+  if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+    return `Password must be at most ${PASSWORD_MAX_LENGTH} characters long`;
+  }
+
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+
+  if (/^(.)\1*$/.test(password)) {
+    return 'Password must not be a single repeated character';
+  }
+
+  return null;
+};
+
+/**
+ * Issue a reset token for an account and email the link, unless the account
+ * doesn't exist, is inactive or has hit the hourly limit. The outcome is
+ * only for logging; callers must answer the same way whatever it is, and
+ * shouldn't make the client wait for it.
+ * @param {string} email - Address the reset was requested for
+ * @param {Object} options - { ip }
+ * @returns {Promise<Object>} { sent, reason, userId }
+ */
+const requestPasswordReset = async (email, { ip } = {}) => {
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, email, role, is_active')
+    .eq('email', email.trim().toLowerCase())
+    .maybeSingle();
+
+  if (userError) throw userError;
+  if (!user) return { sent: false, reason: 'no_account' };
+  if (user.is_active === false) return { sent: false, reason: 'inactive' };
+
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const { count, error: countError } = await supabase
+    .from('password_reset_tokens')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', user.id)
+    .gte('created_at', hourAgo);
+
+  if (countError) throw countError;
+  if (count >= MAX_RESET_REQUESTS_PER_HOUR) return { sent: false, reason: 'throttled' };
+
+  // Only the newest link works
+  const { error: revokeError } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', user.id)
+    .is('used_at', null);
+
+  if (revokeError) throw revokeError;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data: saved, error: insertError } = await supabase
+    .from('password_reset_tokens')
+    .insert({
+      user_id: user.id,
+      token_hash: hashResetToken(token),
+      expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+      requested_ip: ip || null
+    })
+    .select('id')
+    .single();
+
+  if (insertError) throw insertError;
+
+  const frontendUrl = process.env.NEXT_PUBLIC_FRONTEND_URL || 'http://localhost:3000';
+  const { error: emailError } = await supabase.auth.resetPasswordForEmail(user.email, {
+    redirectTo: `${frontendUrl}/reset-password?type=${user.role}&token=${token}`
+  });
+
+  if (emailError) {
+    console.error('❌ Error sending password reset email:', emailError);
+
+    // Don't let a link that never went out count against the hourly limit
+    await supabase.from('password_reset_tokens').delete().eq('id', saved.id);
+    return { sent: false, reason: 'email_failed', userId: user.id };
+  }
+
+  return { sent: true, userId: user.id };
+};
+
+/**
+ * The unused, unexpired token row for a reset link
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<Object|null>}
+ */
+const findResetToken = async (token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const { data, error } = await supabase
+    .from('password_reset_tokens')
+    .select('id, user_id, expires_at')
+    .eq('token_hash', hashResetToken(token))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Give a user a new password and sign them out of every session
+ * @param {string} userId - users.id
+ * @param {string} password - The new password, already checked by validatePasswordStrength
+ * @returns {Promise<Object>} { success, userId, sessionsRevoked } or { success: false, code, error }
+ */
+const setNewPassword = async (userId, password) => {
+  const { error: updateError } = await supabase.auth.admin.updateUserById(userId, { password });
+
+  if (updateError) {
+    // Supabase Auth has its own password rules (leaked password checks, etc.)
+    if (updateError.status === 422 || updateError.code === 'weak_password') {
+      return { success: false, code: 'WEAK_PASSWORD', error: updateError.message };
+    }
+
+    throw updateError;
+  }
+
+  // The password has changed either way; a failure here is only logged
+  const { error: revokeError } = await supabase.rpc('revoke_user_sessions', {
+    p_user_id: userId
+  });
+
+  if (revokeError) {
+    console.error('❌ Error signing user out after password reset:', revokeError);
+  }
+
+  forgetUser(userId);
+
+  return { success: true, userId, sessionsRevoked: !revokeError };
+};
+
+/**
+ * Set a new password with a reset token. The token is spent first, so two
+ * concurrent requests can't both use it; it is given back if the password
+ * update fails. Once the password is changed the user is signed out of
+ * every session.
+ * @param {string} token - Token from the reset link
+ * @param {string} password - The new password
+ * @returns {Promise<Object>} { success, userId } or { success: false, code, error }
+ */
+const resetPasswordWithToken = async (token, password) => {
+  const strengthError = validatePasswordStrength(password);
+  if (strengthError) {
+    return { success: false, code: 'WEAK_PASSWORD', error: strengthError };
+  }
+
+  const resetToken = await findResetToken(token);
+  if (!resetToken) {
+    return { success: false, code: 'RESET_TOKEN_INVALID', error: 'This reset link is invalid or has expired' };
+  }
+
+  const { data: spent, error: spendError } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', resetToken.id)
+    .is('used_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (spendError) throw spendError;
+  if (!spent) {
+    return { success: false, code: 'RESET_TOKEN_INVALID', error: 'This reset link is invalid or has expired' };
+  }
+
+  const giveTokenBack = () => supabase
+    .from('password_reset_tokens')
+    .update({ used_at: null })
+    .eq('id', resetToken.id);
+
+  let result;
+  try {
+    result = await setNewPassword(resetToken.user_id, password);
+  } catch (error) {
+    await giveTokenBack();
+    throw error;
+  }
+
+  if (!result.success) await giveTokenBack();
+  return result;
+};
+
+/**
+ * Set a new password with the Supabase recovery session the reset email's
+ * link signs the browser in with. Same strength rules and sign-out as
+ * resetPasswordWithToken.
+ * @param {string} accessToken - The recovery session's access token
+ * @param {string} password - The new password
+ * @returns {Promise<Object>} { success, userId } or { success: false, code, error }
+ */
+const resetPasswordWithRecoverySession = async (accessToken, password) => {
+  const strengthError = validatePasswordStrength(password);
+  if (strengthError) {
+    return { success: false, code: 'WEAK_PASSWORD', error: strengthError };
+  }
+
+  const verification = await verifyAccessToken(accessToken);
+  const user = verification.valid ? await loadUser(verification.userId) : null;
+
+  if (!user || user.is_active === false || isTokenRevoked(user, verification)) {
+    return { success: false, code: 'RESET_SESSION_INVALID', error: 'This reset link is invalid or has expired' };
+  }
+
+  return setNewPassword(user.id, password);
+};
+
+/**
+ * Job handler: drop reset tokens past their retention
+ * @returns {Promise<Object>} { rescheduleAt }
+ */
+const purgePasswordResetTokens = async () => {
+  const cutoff = new Date(Date.now() - TOKEN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { error } = await supabase
+    .from('password_reset_tokens')
+    .delete()
+    .lt('created_at', cutoff);
+
+  if (error) throw error;
+
+  return { rescheduleAt: new Date(Date.now() + 24 * 60 * 60 * 1000) };
+};
+
+registerJobHandler('purge_password_reset_tokens', purgePasswordResetTokens);
+
+/**
+ * Keep the daily purge running (one copy across instances)
+ * @returns {Promise<void>}
+ */
+const schedulePasswordResetPurge = async () => {
+  await scheduleJob('purge_password_reset_tokens', null, new Date(), {}, { replace: false });
+};
+
+module.exports = {
+  validateResetEmail,
+  validatePasswordStrength,
+  requestPasswordReset,
+  findResetToken,
+  resetPasswordWithToken,
+  resetPasswordWithRecoverySession,
+  schedulePasswordResetPurge
+};
@@ -1,63 +1,89 @@
 const crypto = require('crypto');
 const QRCode = require('qrcode');
+const QRKeyManager = require('./qr-key-manager.js');
 
 /**
  * Standardized QR Code Generator for FSAS
  * All QR codes use this unified structure and generation method
  */
 class QRCodeGenerator {
-  static get QR_SECRET() {
-    return process.env.QR_SECRET || 'fsas_qr_secret_key_2024_secure';
-  }
-  
   static get QR_EXPIRY_SECONDS() {
     return 30; // 30 seconds - security feature to prevent cheating
   }
 
+  static get QR_MAX_LIFETIME_SECONDS() {
+    return 300; // Upper bound an attendance policy may set
+  }
+  
+  static get QR_TOTP_SKEW_STEPS() {
+    // How many time steps either side of the current one a scan may carry
+    const skew = parseInt(process.env.QR_TOTP_SKEW_STEPS, 10);
+    return Number.isFinite(skew) && skew >= 0 ? skew : 1;
+  }
+
+  /**
+   * Build the string covered by a payload's signature
+   * Payloads without a key ID predate key rotation and keep their original format
+   * @param {Object} qrData - { sessionId, timestamp, nonce, kid }
+   * @returns {string}
+   */
+  static getSignedData(qrData) {
+    const data = `${qrData.sessionId}-${qrData.timestamp}-${qrData.nonce}`;
+    return qrData.kid ? `${qrData.kid}:${data}` : data;
+  }
+
+  /**
+   * Render a payload as a scannable URL QR image
+   * @param {Object} qrData - The payload to embed
+   * @returns {Promise<string>} Data URL of the QR image
+   */
+  static async renderQRImage(qrData) {
+    // Create a URL that students can scan directly
+    // Use the computer's IP address instead of localhost for phone access
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://156.143.93.115:3000';
+    const qrUrl = `${baseUrl}/student/scan?data=${encodeURIComponent(JSON.stringify(qrData))}`;
+
+    // Generate QR code image with the URL
+    return QRCode.toDataURL(qrUrl, {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      },
+      width: 256
+    });
+  }
+
   /**
    * Generate a secure QR code for a class session
    * @param {string} sessionId - The session ID
+   * @param {number} [lifetimeSeconds] - QR lifetime from the class's attendance policy
    * @returns {Promise<Object>} QR code data with image and metadata
    */
-  static async generateSecureQR(sessionId) {
+  static async generateSecureQR(sessionId, lifetimeSeconds = this.QR_EXPIRY_SECONDS) {
     try {
       const timestamp = Date.now();
       const nonce = crypto.randomBytes(16).toString('hex');
       const qrCodeSecret = crypto.randomBytes(32).toString('hex');
       
-      // Create the data to be signed (without the secret since it's not sent to client)
-      const data = `${sessionId}-${timestamp}-${nonce}`;
-      
-      // Generate HMAC signature
-      const signature = crypto
-        .createHmac('sha256', this.QR_SECRET)
-        .update(data)
-        .digest('hex');
+      // Sign with the active key (the secret itself is never sent to the client)
+      const { keyId } = QRKeyManager.getActiveKey();
+      const { signature } = QRKeyManager.sign(
+        this.getSignedData({ sessionId, timestamp, nonce, kid: keyId })
+      );
 
       // Standardized QR data structure
       const qrData = {
         sessionId,
         timestamp,
         nonce,
+        kid: keyId,
         signature,
-        expiresAt: new Date(timestamp + (this.QR_EXPIRY_SECONDS * 1000)).toISOString()
+        expiresAt: new Date(timestamp + (lifetimeSeconds * 1000)).toISOString()
       };
 
-      // Create a URL that students can scan directly
-      // Use the computer's IP address instead of localhost for phone access
-      const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://156.143.93.115:3000';
-      const qrUrl = `${baseUrl}/student/scan?data=${encodeURIComponent(JSON.stringify(qrData))}`;
-
-      // Generate QR code image with the URL
-      const qrCodeImage = await QRCode.toDataURL(qrUrl, {
-        errorCorrectionLevel: 'M',
-        margin: 1,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        },
-        width: 256
-      });
+      const qrCodeImage = await this.renderQRImage(qrData);
 
       return {
         qr_code: qrCodeImage,
@@ -75,15 +101,18 @@ class QRCodeGenerator {
   /**
    * Validate a scanned QR code
    * @param {Object} qrData - The QR code data to validate
+   * @param {number} [at] - Epoch milliseconds to judge expiry at (defaults to
+   *   now; an offline scan passes its capture time)
    * @returns {Object} Validation result
    */
-  static validateQR(qrData) {
+  static validateQR(qrData, at = Date.now()) {
     try {
       // Validate required fields
       if (!qrData || typeof qrData !== 'object') {
         return {
           isValid: false,
-          error: 'Invalid QR code format'
+          error: 'Invalid QR code format',
+          code: 'QR_INVALID_FORMAT'
         };
       }
       
@@ -92,7 +121,8 @@ class QRCodeGenerator {
         if (!qrData[field]) {
           return {
             isValid: false,
-            error: `Missing required field: ${field}`
+            error: `Missing required field: ${field}`,
+            code: 'QR_INVALID_FORMAT'
           };
         }
       }
@@ -101,63 +131,71 @@ class QRCodeGenerator {
       if (typeof qrData.timestamp !== 'number' || qrData.timestamp <= 0) {
         return {
           isValid: false,
-          error: 'Invalid timestamp format'
+          error: 'Invalid timestamp format',
+          code: 'QR_INVALID_FORMAT'
         };
       }
       
       // Check if QR code has expired
-      const now = Date.now();
+      const now = at;
       const expiresAt = new Date(qrData.expiresAt).getTime();
       
       if (isNaN(expiresAt)) {
         return {
           isValid: false,
-          error: 'Invalid expiry date format'
+          error: 'Invalid expiry date format',
+          code: 'QR_INVALID_FORMAT'
         };
       }
       
       if (now > expiresAt) {
         return {
           isValid: false,
-          error: 'QR code has expired'
+          error: 'QR code has expired',
+          code: 'QR_EXPIRED'
         };
       }
 
-      // Check if QR code is within valid time window (30 seconds)
-      const currentTime = Date.now();
+      // expiresAt isn't signed, so cap the age at the longest lifetime a
+      // policy allows; the nonce ledger enforces the exact expiry
+      const currentTime = at;
       const qrTimestamp = qrData.timestamp;
       
-      if (currentTime - qrTimestamp > 30000) {
+      if (currentTime - qrTimestamp > this.QR_MAX_LIFETIME_SECONDS * 1000) {
         return {
           isValid: false,
-          error: 'QR code is too old'
+          error: 'QR code is too old',
+          code: 'QR_EXPIRED'
         };
       }
 
-      // Validate HMAC signature
-      const data = `${qrData.sessionId}-${qrData.timestamp}-${qrData.nonce}`;
-      const expectedSignature = crypto
-        .createHmac('sha256', this.QR_SECRET)
-        .update(data)
-        .digest('hex');
+      // Validate HMAC signature against the key the payload names
+      const signatureValid = QRKeyManager.verify(
+        this.getSignedData(qrData),
+        qrData.signature,
+        qrData.kid || undefined
+      );
       
-      if (expectedSignature !== qrData.signature) {
+      if (!signatureValid) {
         return {
           isValid: false,
-          error: 'Invalid QR code signature'
+          error: 'Invalid QR code signature',
+          code: 'QR_BAD_SIGNATURE'
         };
       }
 
       return {
         isValid: true,
         sessionId: qrData.sessionId,
-        timestamp: qrData.timestamp
+        timestamp: qrData.timestamp,
+        nonce: qrData.nonce
       };
     } catch (error) {
       console.error('❌ Error validating QR code:', error);
       return {
         isValid: false,
-        error: 'Invalid QR code format'
+        error: 'Invalid QR code format',
+        code: 'QR_INVALID_FORMAT'
       };
     }
   }
@@ -168,20 +206,139 @@ class QRCodeGenerator {
    * @returns {Object} Simple QR data for rotation
    */
   static generateRotatingQR(sessionId) {
-    const timestamp = Math.floor(Date.now() / 30000) * 30000; // 30-second intervals
+    const stepMs = this.QR_EXPIRY_SECONDS * 1000;
+    const timestamp = this.getTimeStep() * stepMs;
     const data = `${sessionId}:${timestamp}`;
-    const secret = crypto.createHmac('sha256', this.QR_SECRET)
-      .update(data)
-      .digest('hex');
+    const { keyId, signature: secret } = QRKeyManager.sign(data);
     
     return {
       secret,
-      expires_at: new Date(timestamp + 30000).toISOString(),
+      kid: keyId,
+      expires_at: new Date(timestamp + stepMs).toISOString(),
       data,
       sessionId,
       timestamp
     };
   }
+
+  // =====================================================
+  // TIME-STEP (TOTP-STYLE) MODE
+  // =====================================================
+  // The display holds a per-session seed and derives the code for the
+  // current time step itself, so it keeps rotating through network blips
+  // without a server push or a database write per rotation.
+
+  /**
+   * Generate a fresh per-session seed
+   * @returns {string} Hex seed
+   */
+  static generateSessionSeed() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Time step a moment falls in
+   * @param {number} [at] - Epoch milliseconds (defaults to now)
+   * @param {number} [stepSeconds] - Step length (the session's QR lifetime)
+   * @returns {number}
+   */
+  static getTimeStep(at = Date.now(), stepSeconds = this.QR_EXPIRY_SECONDS) {
+    return Math.floor(at / (stepSeconds * 1000));
+  }
+
+  /**
+   * Code for a session at a given time step. The display runs the same
+   * HMAC-SHA256(seed, "sessionId:step") and keeps the first 32 hex chars.
+   * @param {string} sessionId - The session ID
+   * @param {string} seed - The session's qr_seed
+   * @param {number} step - Time step
+   * @returns {string}
+   */
+  static deriveTimeStepCode(sessionId, seed, step) {
+    return crypto
+      .createHmac('sha256', seed)
+      .update(`${sessionId}:${step}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  /**
+   * Server-rendered time-step QR (used when the display asks for an image)
+   * @param {string} sessionId - The session ID
+   * @param {string} seed - The session's qr_seed
+   * @param {number} [stepSeconds] - Step length (the session's QR lifetime)
+   * @returns {Promise<Object>} Same shape as generateSecureQR, minus the secret
+   */
+  static async generateTimeStepQR(sessionId, seed, stepSeconds = this.QR_EXPIRY_SECONDS) {
+    const step = this.getTimeStep(Date.now(), stepSeconds);
+    const qrData = {
+      sessionId,
+      mode: 'totp',
+      step,
+      code: this.deriveTimeStepCode(sessionId, seed, step)
+    };
+    const expiresAt = new Date((step + 1) * stepSeconds * 1000).toISOString();
+
+    return {
+      qr_code: await this.renderQRImage(qrData),
+      qr_data: qrData,
+      expires_at: expiresAt,
+      session_id: sessionId
+    };
+  }
+
+  /**
+   * Validate a scanned time-step QR against the session seed
+   * @param {Object} qrData - { sessionId, mode: 'totp', step, code }
+   * @param {string} seed - The session's qr_seed
+   * @param {number} [stepSeconds] - Step length (the session's QR lifetime)
+   * @param {number} [at] - Epoch milliseconds to judge the step against
+   *   (defaults to now; an offline scan passes its capture time)
+   * @returns {Object} Validation result
+   */
+  static validateTimeStepQR(qrData, seed, stepSeconds = this.QR_EXPIRY_SECONDS, at = Date.now()) {
+    if (!qrData || typeof qrData.code !== 'string' || !Number.isInteger(qrData.step)) {
+      return {
+        isValid: false,
+        error: 'Invalid QR code format',
+        code: 'QR_INVALID_FORMAT'
+      };
+    }
+
+    if (!seed) {
+      return {
+        isValid: false,
+        error: 'Session is no longer accepting attendance',
+        code: 'SESSION_CLOSED'
+      };
+    }
+
+    const drift = Math.abs(this.getTimeStep(at, stepSeconds) - qrData.step);
+    if (drift > this.QR_TOTP_SKEW_STEPS) {
+      return {
+        isValid: false,
+        error: 'QR code has expired',
+        code: 'QR_EXPIRED'
+      };
+    }
+
+    const expected = Buffer.from(this.deriveTimeStepCode(qrData.sessionId, seed, qrData.step), 'hex');
+    const provided = Buffer.from(qrData.code, 'hex');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return {
+        isValid: false,
+        error: 'Invalid QR code signature',
+        code: 'QR_BAD_SIGNATURE'
+      };
+    }
+
+    return {
+      isValid: true,
+      sessionId: qrData.sessionId,
+      step: qrData.step
+    };
+  }
 }
 
 module.exports = QRCodeGenerator;
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+const DEFAULT_QR_SECRET = 'fsas_qr_secret_key_2024_secure';
+const LEGACY_KEY_ID = 'legacy';
+
+/**
+ * Versioned signing keys for QR payloads
+ *
+ * Keys are configured as QR_SIGNING_KEYS="k2:secret2,k1:secret1" and the one
+ * used for new signatures is named by QR_ACTIVE_KEY_ID (defaults to the first
+ * entry). Every listed key stays valid for verification, so a rotation is:
+ * add the new key, switch QR_ACTIVE_KEY_ID, then drop the old key once the
+ * codes signed with it have expired.
+ *
+ * QR_SECRET is still honoured as the "legacy" key: it verifies payloads that
+ * predate key IDs and signs new ones until QR_SIGNING_KEYS is configured.
+ */
+class QRKeyManager {
+  static get DEFAULT_SECRET() {
+    return DEFAULT_QR_SECRET;
+  }
+
+  /**
+   * Parse the configured keys
+   * @returns {Map<string, string>} Key ID -> secret
+   */
+  static getKeys() {
+    const keys = new Map();
+
+    (process.env.QR_SIGNING_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) return;
+        const keyId = entry.slice(0, separator).trim();
+        const secret = entry.slice(separator + 1).trim();
+        if (keyId && secret) keys.set(keyId, secret);
+      });
+
+    // The built-in secret is a development convenience only
+    const legacySecret = process.env.QR_SECRET ||
+      (process.env.NODE_ENV === 'production' ? null : DEFAULT_QR_SECRET);
+
+    if (!keys.has(LEGACY_KEY_ID) && legacySecret) {
+      keys.set(LEGACY_KEY_ID, legacySecret);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Key used to sign new payloads
+   * @returns {{ keyId: string, secret: string }}
+   */
+  static getActiveKey() {
+    const keys = this.getKeys();
+    const configuredIds = [...keys.keys()].filter(keyId => keyId !== LEGACY_KEY_ID);
+    const keyId = process.env.QR_ACTIVE_KEY_ID || configuredIds[0] || LEGACY_KEY_ID;
+
+    if (!keys.has(keyId)) {
+      throw new Error(`QR_ACTIVE_KEY_ID "${keyId}" is not listed in QR_SIGNING_KEYS`);
+    }
+
+    return { keyId, secret: keys.get(keyId) };
+  }
+
+  /**
+   * Sign data with the active key
+   * @param {string} data - The string to sign
+   * @returns {{ keyId: string, signature: string }}
+   */
+  static sign(data) {
+    const { keyId, secret } = this.getActiveKey();
+    const signature = crypto.createHmac('sha256', secret).update(data).digest('hex');
+    return { keyId, signature };
+  }
+
+  /**
+   * Verify a signature against the key it claims to be signed with
+   * @param {string} data - The signed string
+   * @param {string} signature - Hex HMAC from the payload
+   * @param {string} [keyId] - Key ID from the payload (missing = legacy)
+   * @returns {boolean}
+   */
+  static verify(data, signature, keyId = LEGACY_KEY_ID) {
+    const secret = this.getKeys().get(keyId);
+    if (!secret || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', secret).update(data).digest('hex'),
+      'hex'
+    );
+    const provided = Buffer.from(signature, 'hex');
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Refuse to run in production with the built-in secret
+   * @throws {Error} When the configuration is unsafe
+   */
+  static assertProductionReady() {
+    if (process.env.NODE_ENV !== 'production') return;
+
+    const keys = this.getKeys();
+    if (keys.size === 0) {
+      throw new Error('Refusing to start in production without QR signing keys. Set QR_SIGNING_KEYS or QR_SECRET.');
+    }
+
+    if ([...keys.values()].includes(DEFAULT_QR_SECRET)) {
+      throw new Error('Refusing to start in production with the default QR signing secret. Set QR_SIGNING_KEYS or QR_SECRET.');
+    }
+
+    // Throws if QR_ACTIVE_KEY_ID names a key that isn't configured
+    this.getActiveKey();
+  }
+}
+
+module.exports = QRKeyManager;
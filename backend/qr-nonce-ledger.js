@@ -0,0 +1,170 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Rejection codes returned by the ledger and the QR validator.
+ * The scan endpoint passes these through so the professor's live view
+ * can tell a forwarded photo apart from a plain expired code.
+ */
+const QR_REJECTION_MESSAGES = {
+  QR_INVALID_FORMAT: 'Invalid QR code format',
+  QR_EXPIRED: 'QR code has expired',
+  QR_BAD_SIGNATURE: 'Invalid QR code signature',
+  QR_UNKNOWN_NONCE: 'QR code was not issued by this system',
+  QR_SESSION_MISMATCH: 'QR code does not belong to this session',
+  QR_REVOKED: 'QR code has been revoked',
+  QR_ROTATED: 'QR code has been replaced by a newer one. Please scan the code currently on screen.',
+  QR_USE_LIMIT: 'QR code has already been used the maximum number of times',
+  SESSION_CLOSED: 'Session is no longer accepting attendance',
+  CAPTURE_OUTSIDE_LIFETIME: 'QR code was not valid at the time it was captured',
+  CAPTURE_TOO_OLD: 'This scan was captured too long ago to be submitted',
+  CAPTURE_UNVERIFIED: 'This offline scan could not be verified. Scan the code currently on screen instead.'
+};
+
+/**
+ * Maximum number of scans a single QR payload accepts (unset = unlimited)
+ * @returns {number|null}
+ */
+const getMaxUsesPerQR = () => {
+  const maxUses = parseInt(process.env.QR_MAX_USES, 10);
+  return Number.isFinite(maxUses) && maxUses > 0 ? maxUses : null;
+};
+
+/**
+ * Record an issued QR payload against the session's current rotation
+ * @param {Object} qrData - The signed payload (sessionId, nonce, expiresAt)
+ * @param {string} rotationSecret - The session's qr_secret for this rotation
+ * @returns {Promise<void>}
+ */
+const recordIssuedNonce = async (qrData, rotationSecret) => {
+  const { error } = await supabase
+    .from('qr_nonces')
+    .insert({
+      nonce: qrData.nonce,
+      session_id: qrData.sessionId,
+      rotation_secret: rotationSecret,
+      expires_at: qrData.expiresAt,
+      max_uses: getMaxUsesPerQR()
+    });
+
+  if (error) throw error;
+};
+
+/**
+ * Check a scanned nonce against the ledger. The use itself is counted by
+ * record_attendance_scan once the scan is recorded, so a scan rejected for
+ * another reason (out of range, already marked) doesn't use up the code.
+ * @param {string} nonce - Nonce from the scanned payload
+ * @param {string} sessionId - Session the payload claims to belong to
+ * @returns {Promise<Object>} { accepted, code, error }
+ */
+const checkNonce = async (nonce, sessionId) => {
+  const { data: result, error } = await supabase
+    .rpc('check_qr_nonce', {
+      p_nonce: nonce,
+      p_session_id: sessionId
+    });
+
+  if (error) throw error;
+
+  if (result === 'ok') {
+    return { accepted: true };
+  }
+
+  return {
+    accepted: false,
+    code: result,
+    error: QR_REJECTION_MESSAGES[result] || 'Invalid QR code'
+  };
+};
+
+/**
+ * Device clock drift allowed when checking when an offline scan was captured
+ * @returns {number} Seconds
+ */
+const getCaptureSkewSeconds = () => {
+  const skew = parseInt(process.env.OFFLINE_SCAN_CLOCK_SKEW_SECONDS, 10);
+  return Number.isFinite(skew) && skew >= 0 ? skew : 30;
+};
+
+/**
+ * Check a nonce captured earlier (and submitted once the device was back
+ * online) against the ledger: it must have been live at the capture time.
+ * Like checkNonce, this doesn't count the use.
+ * @param {string} nonce - Nonce from the scanned payload
+ * @param {string} sessionId - Session the payload claims to belong to
+ * @param {Date} capturedAt - When the device says it scanned the code
+ * @returns {Promise<Object>} { accepted, code, error }
+ */
+const checkCapturedNonce = async (nonce, sessionId, capturedAt) => {
+  const { data: result, error } = await supabase
+    .rpc('check_captured_qr_nonce', {
+      p_nonce: nonce,
+      p_session_id: sessionId,
+      p_captured_at: capturedAt.toISOString(),
+      p_skew_seconds: getCaptureSkewSeconds()
+    });
+
+  if (error) throw error;
+
+  if (result === 'ok') {
+    return { accepted: true };
+  }
+
+  return {
+    accepted: false,
+    code: result,
+    error: QR_REJECTION_MESSAGES[result] || 'Invalid QR code'
+  };
+};
+
+// class_sessions columns that would let a holder mint or predict QR codes.
+// Session reads leave them out; staff get codes from the qr-code routes.
+const QR_SECRET_FIELDS = ['qr_seed', 'qr_secret', 'qr_expires_at'];
+
+/**
+ * A session row without its QR secrets
+ * @param {Object} session - class_sessions row
+ * @returns {Object}
+ */
+const withoutQRSecrets = (session) => {
+  if (!session) return session;
+
+  const visible = { ...session };
+  QR_SECRET_FIELDS.forEach(field => { delete visible[field]; });
+  return visible;
+};
+
+/**
+ * Revoke every outstanding nonce for a session (pause, complete, cancel)
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<void>}
+ */
+const revokeSessionNonces = async (sessionId) => {
+  const { error } = await supabase
+    .from('qr_nonces')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('session_id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error('❌ Error revoking QR nonces for session:', sessionId, error);
+  }
+};
+
+module.exports = {
+  QR_REJECTION_MESSAGES,
+  QR_SECRET_FIELDS,
+  withoutQRSecrets,
+  recordIssuedNonce,
+  checkNonce,
+  getCaptureSkewSeconds,
+  checkCapturedNonce,
+  revokeSessionNonces
+};
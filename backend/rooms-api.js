@@ -0,0 +1,148 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { ROLES, authorize } = require('./authorization.js');
+require('dotenv').config({ path: '.env.local' });
+
+const router = express.Router();
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// ROOM BOUNDARIES (GEOFENCING)
+// =====================================================
+
+/**
+ * Check that a polygon is a list of at least three [lat, lng] pairs
+ * @param {*} polygon
+ * @returns {boolean}
+ */
+const isValidPolygon = (polygon) => Array.isArray(polygon) &&
+  polygon.length >= 3 &&
+  polygon.every(point => Array.isArray(point) &&
+    point.length === 2 &&
+    point.every(coordinate => Number.isFinite(Number(coordinate))));
+
+/**
+ * List mapped rooms
+ * GET /api/rooms
+ */
+router.get('/api/rooms', authorize({ roles: [ROLES.PROFESSOR, ROLES.TA, ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('rooms')
+      .select('*')
+      .order('room_location');
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching rooms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Create or update the boundary for a room_location. Rooms are shared
+ * between classes, so only administrators map them.
+ * PUT /api/rooms
+ */
+router.put('/api/rooms', authorize({ roles: [ROLES.DEPARTMENT_ADMIN, ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { room_location, building, latitude, longitude, radius_meters, polygon } = req.body;
+
+    if (!room_location) {
+      return res.status(400).json({
+        success: false,
+        error: 'room_location is required'
+      });
+    }
+
+    const hasCircle = latitude != null && longitude != null &&
+      Number.isFinite(Number(latitude)) && Number.isFinite(Number(longitude));
+
+    if (polygon !== undefined && polygon !== null && !isValidPolygon(polygon)) {
+      return res.status(400).json({
+        success: false,
+        error: 'polygon must be an array of at least three [latitude, longitude] pairs'
+      });
+    }
+
+    if (!hasCircle && !polygon) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either latitude/longitude or a polygon is required'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('rooms')
+      .upsert({
+        room_location,
+        building: building || null,
+        latitude: hasCircle ? Number(latitude) : null,
+        longitude: hasCircle ? Number(longitude) : null,
+        radius_meters: radius_meters ? parseInt(radius_meters, 10) : 50,
+        polygon: polygon ? polygon.map(([lat, lng]) => [Number(lat), Number(lng)]) : null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'room_location' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log('📍 Room boundary saved:', room_location);
+
+    res.json({
+      success: true,
+      room: data
+    });
+  } catch (error) {
+    console.error('❌ Error saving room:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Remove a room boundary
+ * DELETE /api/rooms/:roomId
+ */
+router.delete('/api/rooms/:roomId', authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const { error } = await supabase
+      .from('rooms')
+      .delete()
+      .eq('id', roomId);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Room removed successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting room:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
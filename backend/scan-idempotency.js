@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { registerJobHandler, scheduleJob } = require('./job-scheduler.js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// IDEMPOTENT SCAN SUBMISSIONS
+// =====================================================
+// The student app sends a key it generated for each capture. The first
+// request with a key runs the scan and its response is stored; a retry
+// with the same key (a dropped connection, a queued offline submission
+// sent twice) gets that response back instead of "already marked".
+
+// A submission still 'processing' after this long was abandoned (the
+// server restarted mid-request) and may be taken over by a retry
+const PROCESSING_TIMEOUT_SECONDS = 60;
+
+// Stored results are kept this long, then purged
+const SUBMISSION_RETENTION_HOURS = 24;
+
+/**
+ * Key sent with a scan, from the body or the Idempotency-Key header
+ * @param {Object} req - Express request
+ * @returns {Object} { key, error } with key null when none was sent
+ */
+const getIdempotencyKey = (req) => {
+  const key = req.body.idempotencyKey || req.get('Idempotency-Key');
+  if (key === undefined || key === null || key === '') return { key: null };
+
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_-]{8,128}$/.test(key)) {
+    return { key: null, error: 'idempotencyKey must be 8-128 letters, digits, dashes or underscores' };
+  }
+
+  return { key };
+};
+
+/**
+ * Fingerprint of what was scanned, so a key can't be reused for a different scan
+ * @param {Object} body - Scan request body
+ * @returns {string}
+ */
+const hashScanRequest = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    typeof body.qrData === 'string' ? body.qrData : JSON.stringify(body.qrData),
+    body.capturedAt || null
+  ]))
+  .digest('hex');
+
+/**
+ * Claim a key for this request, or find the earlier submission that holds it
+ * @param {string} studentNumber - The signed-in student's number
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - From hashScanRequest
+ * @returns {Promise<Object>} { claimed, submission }
+ */
+const claimSubmission = async (studentNumber, key, requestHash) => {
+  const { data: claimed, error: insertError } = await supabase
+    .from('scan_submissions')
+    .insert({ student_number: studentNumber, idempotency_key: key, request_hash: requestHash })
+    .select()
+    .single();
+
+  if (!insertError) return { claimed: true, submission: claimed };
+  if (insertError.code !== '23505') throw insertError;
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('scan_submissions')
+    .select('*')
+    .eq('student_number', studentNumber)
+    .eq('idempotency_key', key)
+    .single();
+
+  if (fetchError) throw fetchError;
+
+  const abandoned = existing.status === 'processing' &&
+    Date.now() - new Date(existing.created_at).getTime() > PROCESSING_TIMEOUT_SECONDS * 1000;
+
+  if (abandoned && existing.request_hash === requestHash) {
+    // Only one retry gets to take it over
+    const { data: takenOver, error: takeOverError } = await supabase
+      .from('scan_submissions')
+      .update({ created_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('status', 'processing')
+      .eq('created_at', existing.created_at)
+      .select()
+      .maybeSingle();
+
+    if (takeOverError) throw takeOverError;
+    if (takenOver) return { claimed: true, submission: takenOver };
+  }
+
+  return { claimed: false, submission: existing };
+};
+
+/**
+ * Store the response sent for a claimed submission. Server errors aren't
+ * stored; the key is released so a retry runs the scan again.
+ * @param {Object} submission - Claimed scan_submissions row
+ * @param {number} statusCode - HTTP status sent
+ * @param {Object} body - JSON body sent
+ * @returns {Promise<void>}
+ */
+const finishSubmission = async (submission, statusCode, body) => {
+  const { error } = statusCode >= 500
+    ? await supabase.from('scan_submissions').delete().eq('id', submission.id)
+    : await supabase
+      .from('scan_submissions')
+      .update({
+        status: 'completed',
+        response_status: statusCode,
+        response_body: body,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', submission.id);
+
+  if (error) {
+    console.error('❌ Error saving scan submission result:', error);
+  }
+};
+
+/**
+ * Middleware for the scan endpoint: replays the stored response for a key
+ * already used, and stores the response of the first request with a key.
+ * Scans sent without a key run as before.
+ */
+const withScanIdempotency = async (req, res, next) => {
+  try {
+    const { key, error } = getIdempotencyKey(req);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code: 'IDEMPOTENCY_KEY_INVALID'
+      });
+    }
+
+    if (!key || !req.user.student_number) return next();
+
+    const requestHash = hashScanRequest(req.body);
+    const { claimed, submission } = await claimSubmission(req.user.student_number, key, requestHash);
+
+    if (!claimed) {
+      if (submission.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'This idempotency key was already used for a different scan',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (submission.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          error: 'This scan is still being processed; try again in a moment',
+          code: 'SCAN_IN_PROGRESS'
+        });
+      }
+
+      console.log('🔁 Replaying scan result for idempotency key:', key);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(submission.response_status).json(submission.response_body);
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      finishSubmission(submission, res.statusCode, body);
+      return sendJson(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Error checking scan idempotency key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process scan'
+    });
+  }
+};
+
+/**
+ * Job handler: drop stored results past their retention
+ * @returns {Promise<Object>} { rescheduleAt }
+ */
+const purgeScanSubmissions = async () => {
+  const cutoff = new Date(Date.now() - SUBMISSION_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { error } = await supabase
+    .from('scan_submissions')
+    .delete()
+    .lt('created_at', cutoff);
+
+  if (error) throw error;
+
+  return { rescheduleAt: new Date(Date.now() + 60 * 60 * 1000) };
+};
+
+registerJobHandler('purge_scan_submissions', purgeScanSubmissions);
+
+/**
+ * Keep the hourly purge running (one copy across instances)
+ * @returns {Promise<void>}
+ */
+const scheduleScanSubmissionPurge = async () => {
+  await scheduleJob('purge_scan_submissions', null, new Date(), {}, { replace: false });
+};
+
+module.exports = {
+  withScanIdempotency,
+  scheduleScanSubmissionPurge
+};
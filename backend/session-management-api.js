@@ -2,6 +2,47 @@ const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
 const QRCodeGenerator = require('./qr-code-generator.js');
+const { recordIssuedNonce, revokeSessionNonces, withoutQRSecrets } = require('./qr-nonce-ledger.js');
+const { resolvePolicySafe, ATTENDED_STATUSES, getAttendanceCredit } = require('./attendance-policy.js');
+const { registerJobHandler, scheduleJob, cancelJobs, getPollIntervalMs } = require('./job-scheduler.js');
+const { getCalendarDays, getEffectiveDayName } = require('./academic-calendar.js');
+const { notifySessionChange } = require('./class-notifications.js');
+const { stampAttendanceChange } = require('./attendance-audit.js');
+const { authorize } = require('./authorization.js');
+const {
+  MANUAL_ATTENDANCE_STATUSES,
+  validateBulkAttendanceInput,
+  planBulkAttendance,
+  applyBulkAttendance
+} = require('./attendance-bulk-edit.js');
+const {
+  resolveGradeRules,
+  scoreAttendance,
+  buildAttendanceGrade,
+  getScoredSessions,
+  fetchGradeOverrides
+} = require('./attendance-grading.js');
+const {
+  describeIllegalTransition,
+  getTransitionErrorStatus,
+  transitionSession,
+  getSessionStatusHistory
+} = require('./session-state.js');
+const {
+  SESSION_TYPES,
+  getCountedSessionTypes,
+  sessionCounts
+} = require('./session-types.js');
+const {
+  DAY_NAMES,
+  getInstitutionToday,
+  addDays,
+  getDayName,
+  getRangeStartDate,
+  getSessionStart,
+  getSessionEnd,
+  formatInstitutionTime
+} = require('./institution-time.js');
 require('dotenv').config({ path: '.env.local' });
 
 const router = express.Router();
@@ -41,22 +82,25 @@ const generateSessionTemplates = async (classInstanceId) => {
     const startTime = classInstance.start_time;
     const endTime = classInstance.end_time;
     
-    // Get academic period dates (use local timezone to avoid date shifting)
-    const periodStart = new Date(classInstance.first_class_date + 'T00:00:00');
-    const periodEnd = new Date(classInstance.last_class_date + 'T00:00:00');
+    // Walk the calendar dates as strings so the server's timezone can't shift them
+    const periodStart = classInstance.first_class_date;
+    const periodEnd = classInstance.last_class_date;
+    
+    // Holidays and breaks are skipped; substitution days run another weekday's schedule
+    const calendarDays = await getCalendarDays(classInstance.academic_period_id);
+    const meetsOn = (date) => daysOfWeek.includes(getEffectiveDayName(date, calendarDays));
     
     // Find the first actual class day that matches the schedule
-    let firstClassDate = new Date(periodStart);
+    let firstClassDate = periodStart;
     let foundFirstClass = false;
     
     // Look for the first day that matches the class schedule
     while (firstClassDate <= periodEnd && !foundFirstClass) {
-      const dayName = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'][firstClassDate.getDay()];
-      if (daysOfWeek.includes(dayName)) {
+      if (meetsOn(firstClassDate)) {
         foundFirstClass = true;
         break;
       }
-      firstClassDate.setDate(firstClassDate.getDate() + 1);
+      firstClassDate = addDays(firstClassDate, 1);
     }
     
     if (!foundFirstClass) {
@@ -66,16 +110,14 @@ const generateSessionTemplates = async (classInstanceId) => {
     // Generate sessions starting from the first actual class day
     const sessions = [];
     let sessionNumber = 1;
-    let currentDate = new Date(firstClassDate);
+    let currentDate = firstClassDate;
     
     while (currentDate <= periodEnd) {
-      const dayName = ['Sunday','Monday','Tuesday','Wednesday','Thursday','Friday','Saturday'][currentDate.getDay()];
-      
-      if (daysOfWeek.includes(dayName)) {
+      if (meetsOn(currentDate)) {
         sessions.push({
           class_instance_id: classInstanceId,
           session_number: sessionNumber++,
-          date: currentDate.toISOString().split('T')[0],
+          date: currentDate,
           start_time: startTime,
           end_time: endTime,
           room_location: classInstance.room_location,
@@ -86,7 +128,7 @@ const generateSessionTemplates = async (classInstanceId) => {
         });
       }
       
-      currentDate.setDate(currentDate.getDate() + 1);
+      currentDate = addDays(currentDate, 1);
     }
     
     // Insert sessions into database
@@ -118,12 +160,61 @@ const generateQRCode = (sessionId) => {
   return QRCodeGenerator.generateRotatingQR(sessionId);
 };
 
+// Issue the first QR for an activated/resumed session in the class's QR mode.
+// Time-step sessions hand the display a seed instead of being rotated by the server.
+// The QR lifetime (rotation interval / step length) comes from the attendance policy.
+const issueSessionQR = async (sessionId, qrMode, lifetimeSeconds = QRCodeGenerator.QR_EXPIRY_SECONDS) => {
+  if (qrMode === 'totp') {
+    const seed = QRCodeGenerator.generateSessionSeed();
+    const qrData = await QRCodeGenerator.generateTimeStepQR(sessionId, seed, lifetimeSeconds);
+    
+    return {
+      qrData,
+      sessionFields: {
+        qr_mode: 'totp',
+        qr_seed: seed,
+        qr_secret: null,
+        qr_expires_at: null,
+        qr_lifetime_seconds: lifetimeSeconds
+      },
+      display: {
+        mode: 'totp',
+        seed,
+        step_seconds: lifetimeSeconds
+      }
+    };
+  }
+  
+  const qrData = await QRCodeGenerator.generateSecureQR(sessionId, lifetimeSeconds);
+  
+  return {
+    qrData,
+    sessionFields: {
+      qr_mode: 'rotating',
+      qr_seed: null,
+      qr_secret: qrData.secret,
+      qr_expires_at: qrData.expires_at,
+      qr_lifetime_seconds: lifetimeSeconds
+    },
+    display: { mode: 'rotating', lifetime_seconds: lifetimeSeconds }
+  };
+};
+
+// Start server-side rotation for rotating-mode sessions only
+const beginSessionQRRotation = async (sessionId, issued) => {
+  if (issued.display.mode !== 'rotating') return;
+  
+  // Bind the initial QR payload to this rotation
+  await recordIssuedNonce(issued.qrData.qr_data, issued.qrData.secret);
+  await startQRCodeRotation(sessionId, issued.sessionFields.qr_lifetime_seconds);
+};
+
 // =====================================================
 // SESSION MANAGEMENT ENDPOINTS
 // =====================================================
 
 // Get professor's sessions (all classes)
-router.get('/api/professors/:professorId/sessions', async (req, res) => {
+router.get('/api/professors/:professorId/sessions', authorize({ professor: 'professorId', as: ['self', 'admin'] }), async (req, res) => {
   try {
     const { professorId } = req.params;
     const { status, class_id, date_range } = req.query;
@@ -155,22 +246,11 @@ router.get('/api/professors/:professorId/sessions', async (req, res) => {
     }
     
     if (date_range && date_range !== 'all') {
-      const today = new Date();
-      const startDate = new Date(today);
+      const startDate = getRangeStartDate(date_range);
       
-      switch (date_range) {
-        case 'today':
-          startDate.setHours(0, 0, 0, 0);
-          break;
-        case 'week':
-          startDate.setDate(today.getDate() - 7);
-          break;
-        case 'month':
-          startDate.setMonth(today.getMonth() - 1);
-          break;
+      if (startDate) {
+        query = query.gte('date', startDate);
       }
-      
-      query = query.gte('date', startDate.toISOString().split('T')[0]);
     }
     
     const { data: sessions, error } = await query
@@ -180,7 +260,7 @@ router.get('/api/professors/:professorId/sessions', async (req, res) => {
     if (error) throw error;
     
     // Debug: Log session dates
-    const today = new Date().toISOString().split('T')[0];
+    const today = getInstitutionToday();
     console.log('🔍 Backend Session Debug:');
     console.log('  Today\'s date:', today);
     console.log('  Total sessions found:', sessions.length);
@@ -229,7 +309,7 @@ router.get('/api/professors/:professorId/sessions', async (req, res) => {
 });
 
 // Get sessions for specific class instance
-router.get('/api/class-instances/:instanceId/sessions', async (req, res) => {
+router.get('/api/class-instances/:instanceId/sessions', authorize({ class: 'instanceId', as: ['staff', 'student'] }), async (req, res) => {
   try {
     const { instanceId } = req.params;
     const { status } = req.query;
@@ -251,7 +331,7 @@ router.get('/api/class-instances/:instanceId/sessions', async (req, res) => {
     
     res.json({
       success: true,
-      sessions,
+      sessions: sessions.map(withoutQRSecrets),
       count: sessions.length
     });
   } catch (error) {
@@ -263,89 +343,301 @@ router.get('/api/class-instances/:instanceId/sessions', async (req, res) => {
   }
 });
 
+// Open a scheduled session for attendance: issue its first QR code, start
+// rotation, schedule auto-completion and notify the class. Used by the
+// activate endpoint and by the scheduled auto-open sweep.
+// Returns a failed transition result when the session isn't scheduled.
+async function activateSession(sessionId, { notes, completeAt, actorId = null, reason = null } = {}) {
+  const { data: session, error: fetchError } = await supabase
+    .from('class_sessions')
+    .select('*, class_instances!inner(qr_mode)')
+    .eq('id', sessionId)
+    .maybeSingle();
+  
+  if (fetchError) throw fetchError;
+  
+  if (!session) {
+    return { success: false, code: 'SESSION_NOT_FOUND', error: 'Session not found' };
+  }
+  
+  // Paused sessions come back through resume, not activate
+  if (session.status !== 'scheduled') {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      error: session.status === 'paused'
+        ? 'Session is paused; resume it instead'
+        : describeIllegalTransition(session.status, 'active')
+    };
+  }
+  
+  // QR lifetime and auto-close come from the class's attendance policy
+  const policy = await resolvePolicySafe(session.class_instance_id);
+  
+  // Generate initial QR code in the class's QR mode
+  const issued = await issueSessionQR(sessionId, session.class_instances.qr_mode, policy.qr_lifetime_seconds);
+  
+  // Automatic completion defaults to the attendance policy
+  const activatedAt = new Date();
+  const autoCloseAt = completeAt || new Date(activatedAt.getTime() + policy.auto_close_minutes * 60 * 1000);
+  
+  // Only wins if nobody else opened it in the meantime
+  const transition = await transitionSession(sessionId, 'active', {
+    from: ['scheduled'],
+    actorId,
+    reason: reason || notes || null,
+    fields: {
+      ...issued.sessionFields,
+      notes: notes || session.notes || null,
+      activated_at: activatedAt.toISOString(),
+      auto_close_at: autoCloseAt.toISOString()
+    }
+  });
+  
+  if (!transition.success) return transition;
+  const updatedSession = transition.session;
+  
+  // Start QR code rotation (rotating mode only)
+  await beginSessionQRRotation(sessionId, issued);
+  
+  // Schedule automatic completion (survives restarts)
+  await scheduleJob('complete_session', sessionId, autoCloseAt);
+  
+  // Notify students (implement notification system)
+  await notifyStudentsSessionActivated(sessionId);
+  
+  // Emit WebSocket event for real-time updates
+  if (global.io) {
+    const sessionRooms = [`session-${sessionId}`, `session-status-${sessionId}`];
+    global.io.to(sessionRooms).emit('session_status_update', {
+      sessionId: sessionId,
+      status: 'active'
+    });
+    global.io.to(sessionRooms).emit('session_activated', {
+      sessionId: sessionId
+    });
+    console.log('📡 Emitted session activation events via WebSocket');
+  }
+  
+  return { success: true, session: updatedSession, issued };
+}
+
 // Activate session (start attendance)
-router.post('/api/sessions/:sessionId/activate', async (req, res) => {
+router.post('/api/sessions/:sessionId/activate', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { notes } = req.body;
+    const { notes, reason } = req.body;
+    const professor_id = req.user.id;
     
     console.log('🚀 Activating session:', sessionId);
     
-    // Check if session exists and is scheduled
-    const { data: session, error: fetchError } = await supabase
-      .from('class_sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .eq('status', 'scheduled')
-      .single();
+    const activation = await activateSession(sessionId, { notes, reason, actorId: professor_id });
     
-    if (fetchError || !session) {
-      return res.status(400).json({
+    if (!activation.success) {
+      return res.status(getTransitionErrorStatus(activation)).json({
         success: false,
-        error: 'Session not found or already activated'
+        error: activation.error,
+        code: activation.code
       });
     }
     
-    // Generate initial QR code
-    const qrData = await QRCodeGenerator.generateSecureQR(sessionId);
+    console.log('✅ Session activated successfully:', sessionId);
     
-    // Calculate session end time (1 hour from now)
-    const endTime = new Date(Date.now() + 60 * 60 * 1000);
+    res.json({
+      success: true,
+      session: activation.session,
+      qr_code: activation.issued.qrData,
+      qr_display: activation.issued.display
+    });
+  } catch (error) {
+    console.error('❌ Error activating session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Anyone who checked in but never scanned the check-out code left early;
+// the class's policy decides how much credit that still earns. The credit
+// is stored on the record so a later policy change doesn't rewrite it.
+const markLeftEarly = async (session) => {
+  const policy = await resolvePolicySafe(session.class_instance_id);
+  
+  const { data: leftEarly, error } = await supabase
+    .from('attendance_records')
+    .update({
+      status: 'left_early',
+      credit_percent: policy.left_early_credit_percent,
+      ...stampAttendanceChange('auto_left_early', { reason: 'Did not check out' })
+    })
+    .eq('session_id', session.id)
+    .in('status', ['present', 'late'])
+    .is('checked_out_at', null)
+    .select('id');
+  
+  if (error) throw error;
+  
+  if (leftEarly.length > 0) {
+    console.log(`🚪 Marked ${leftEarly.length} students as left early for session ${session.id}`);
+  }
+  
+  return leftEarly.length;
+};
+
+// Close attendance for a session: stop its QR codes, mark everyone without
+// a record as absent (and, when it had a check-out, everyone who didn't
+// check out as left early) and mark the session completed. With onlyIfActive only
+// an active session is closed (used by timers, which also leave their own
+// job alone rather than cancelling it). Returns a transition result.
+async function completeSession(sessionId, { onlyIfActive = false, actorId = null, reason = null } = {}) {
+  const { data: session, error: sessionError } = await supabase
+    .from('class_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+  
+  if (sessionError) throw sessionError;
+  
+  if (!session) {
+    return { success: false, code: 'SESSION_NOT_FOUND', error: 'Session not found' };
+  }
+  
+  const allowedFrom = onlyIfActive ? ['active'] : ['active', 'paused'];
+  if (!allowedFrom.includes(session.status)) {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      error: onlyIfActive
+        ? `Session is ${session.status}, not active`
+        : describeIllegalTransition(session.status, 'completed')
+    };
+  }
+  
+  // Stop QR code rotation (and, for a manual close, the pending auto-completion)
+  if (onlyIfActive) {
+    await stopQRCodeRotation(sessionId);
+  } else {
+    await cancelJobs(sessionId);
+  }
+  await revokeSessionNonces(sessionId);
+  
+  // Get all enrolled students for this class
+  const { data: enrolledStudents, error: enrollmentError } = await supabase
+    .from('enrollments')
+    .select('student_id')
+    .eq('class_instance_id', session.class_instance_id)
+    .eq('status', 'active');
+  
+  if (enrollmentError) throw enrollmentError;
+  
+  // Get existing attendance records for this session
+  const { data: existingRecords, error: recordsError } = await supabase
+    .from('attendance_records')
+    .select('student_id')
+    .eq('session_id', sessionId);
+  
+  if (recordsError) throw recordsError;
+  
+  // Create attendance records for students who don't have them (mark as absent)
+  const existingStudentIds = new Set(existingRecords.map(record => record.student_id));
+  const studentsNeedingRecords = enrolledStudents.filter(
+    enrollment => !existingStudentIds.has(enrollment.student_id)
+  );
+  
+  if (studentsNeedingRecords.length > 0) {
+    const absentRecords = studentsNeedingRecords.map(enrollment => ({
+      session_id: sessionId,
+      student_id: enrollment.student_id,
+      status: 'absent',
+      scanned_at: new Date().toISOString(),
+      ...stampAttendanceChange('auto_absent', { reason: 'No check-in when the session closed' })
+    }));
     
-    // Update session
-    const { data: updatedSession, error: updateError } = await supabase
-      .from('class_sessions')
-      .update({
-        status: 'active',
-        is_active: true,
-        qr_secret: qrData.secret,
-        qr_expires_at: qrData.expires_at,
-        notes: notes || null,
-        updated_at: new Date().toISOString() // Track activation time
-      })
-      .eq('id', sessionId)
-      .select()
-      .single();
+    const { error: insertError } = await supabase
+      .from('attendance_records')
+      .insert(absentRecords);
     
-    if (updateError) throw updateError;
+    if (insertError) throw insertError;
     
-    // Start QR code rotation
-    startQRCodeRotation(sessionId);
+    console.log(`✅ Created ${absentRecords.length} absent attendance records`);
+  }
+  
+  if (session.checkout_opened_at) {
+    await markLeftEarly(session);
+  }
+  
+  const transition = await transitionSession(sessionId, 'completed', {
+    from: allowedFrom,
+    actorId,
+    reason: reason || (onlyIfActive ? 'Closed automatically' : null),
+    fields: { qr_expires_at: null }
+  });
+  
+  if (!transition.success) return transition;
+  
+  // Emit WebSocket event for real-time updates
+  if (global.io) {
+    const sessionRooms = [`session-${sessionId}`, `session-status-${sessionId}`];
+    global.io.to(sessionRooms).emit('session_status_update', {
+      sessionId: sessionId,
+      status: 'completed'
+    });
+    global.io.to(sessionRooms).emit('session_completed', {
+      sessionId: sessionId
+    });
+    console.log('📡 Emitted session completion events via WebSocket');
+  }
+  
+  return transition;
+}
+
+// Complete session automatically (for timeout)
+async function completeSessionAutomatically(sessionId) {
+  try {
+    console.log('⏰ Auto-completing session:', sessionId);
     
-    // Set automatic timeout after 1 hour
-    setTimeout(async () => {
-      try {
-        console.log('⏰ Auto-completing session after 1 hour:', sessionId);
-        await completeSessionAutomatically(sessionId);
-      } catch (error) {
-        console.error('❌ Error auto-completing session:', error);
-      }
-    }, 60 * 60 * 1000); // 1 hour
+    const completion = await completeSession(sessionId, { onlyIfActive: true });
     
-    // Notify students (implement notification system)
-    await notifyStudentsSessionActivated(sessionId);
+    if (!completion.success) {
+      console.log('Session not auto-completed:', sessionId, completion.error);
+      return;
+    }
     
-    // Emit WebSocket event for real-time updates
-    if (global.io) {
-      global.io.emit('session_status_update', {
-        sessionId: sessionId,
-        status: 'active'
-      });
-      global.io.emit('session_activated', {
-        sessionId: sessionId
+    console.log('✅ Session auto-completed successfully:', sessionId);
+  } catch (error) {
+    console.error('❌ Error auto-completing session:', error);
+    throw error;
+  }
+}
+
+// Complete session (end attendance)
+router.post('/api/sessions/:sessionId/complete', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { reason } = req.body;
+    const professor_id = req.user.id;
+    
+    console.log('🏁 Completing session:', sessionId);
+    
+    const completion = await completeSession(sessionId, { reason, actorId: professor_id });
+    
+    if (!completion.success) {
+      return res.status(getTransitionErrorStatus(completion)).json({
+        success: false,
+        error: completion.error,
+        code: completion.code
       });
-      console.log('📡 Emitted session activation events via WebSocket');
     }
     
-    console.log('✅ Session activated successfully:', sessionId);
+    console.log('✅ Session completed successfully:', sessionId);
     
     res.json({
       success: true,
-      session: updatedSession,
-      qr_code: qrData
+      session: completion.session
     });
   } catch (error) {
-    console.error('❌ Error activating session:', error);
+    console.error('❌ Error completing session:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -353,191 +645,237 @@ router.post('/api/sessions/:sessionId/activate', async (req, res) => {
   }
 });
 
-// Complete session automatically (for timeout)
-async function completeSessionAutomatically(sessionId) {
+// Pause session (temporarily stop attendance)
+router.post('/api/sessions/:sessionId/pause', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
   try {
-    console.log('⏰ Auto-completing session:', sessionId);
+    const { sessionId } = req.params;
+    const { reason } = req.body;
+    const professor_id = req.user.id;
     
-    // Check if session is still active
-    const { data: session, error: fetchError } = await supabase
-      .from('class_sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .eq('status', 'active')
-      .single();
+    console.log('⏸️ Pausing session:', sessionId);
     
-    if (fetchError || !session) {
-      console.log('Session not found or already completed:', sessionId);
-      return;
+    const transition = await transitionSession(sessionId, 'paused', {
+      actorId: professor_id,
+      reason,
+      fields: {
+        qr_expires_at: null,
+        qr_seed: null
+      }
+    });
+    
+    if (!transition.success) {
+      return res.status(getTransitionErrorStatus(transition)).json({
+        success: false,
+        error: transition.error,
+        code: transition.code
+      });
     }
+    const updatedSession = transition.session;
     
-    // Stop QR code rotation
-    stopQRCodeRotation(sessionId);
+    // Stop QR code rotation and the auto-completion clock; resume
+    // schedules whatever time was left
+    await cancelJobs(sessionId);
+    await revokeSessionNonces(sessionId);
     
-    // Get all enrolled students for this class
-    const { data: enrolledStudents, error: enrollmentError } = await supabase
-      .from('enrollments')
-      .select('student_id')
-      .eq('class_instance_id', session.class_instance_id)
-      .eq('status', 'active');
+    console.log('✅ Session paused successfully:', sessionId);
     
-    if (enrollmentError) throw enrollmentError;
+    res.json({
+      success: true,
+      session: updatedSession,
+      message: 'Session paused successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error pausing session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resume session (restart attendance from paused state)
+router.post('/api/sessions/:sessionId/resume', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { reason } = req.body;
+    const professor_id = req.user.id;
     
-    // Get existing attendance records for this session
-    const { data: existingRecords, error: recordsError } = await supabase
-      .from('attendance_records')
-      .select('student_id')
-      .eq('session_id', sessionId);
+    console.log('▶️ Resuming session:', sessionId);
     
-    if (recordsError) throw recordsError;
+    const { data: session, error: fetchError } = await supabase
+      .from('class_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .maybeSingle();
     
-    // Create attendance records for students who don't have them (mark as absent)
-    const existingStudentIds = new Set(existingRecords.map(record => record.student_id));
-    const studentsNeedingRecords = enrolledStudents.filter(
-      enrollment => !existingStudentIds.has(enrollment.student_id)
-    );
+    if (fetchError) throw fetchError;
     
-    if (studentsNeedingRecords.length > 0) {
-      const absentRecords = studentsNeedingRecords.map(enrollment => ({
-        session_id: sessionId,
-        student_id: enrollment.student_id,
-        status: 'absent',
-        scanned_at: new Date().toISOString(),
-      }));
-      
-      const { error: insertError } = await supabase
-        .from('attendance_records')
-        .insert(absentRecords);
-      
-      if (insertError) throw insertError;
-      
-      console.log(`✅ Auto-created ${absentRecords.length} absent attendance records`);
+    // Only paused sessions resume; scheduled ones are activated
+    if (!session || session.status !== 'paused') {
+      return res.status(session ? 409 : 404).json({
+        success: false,
+        error: !session
+          ? 'Session not found'
+          : session.status === 'scheduled'
+            ? 'Session has not started yet; activate it instead'
+            : describeIllegalTransition(session.status, 'active'),
+        code: session ? 'INVALID_TRANSITION' : 'SESSION_NOT_FOUND'
+      });
     }
     
-    // Update session
-    const { error: updateError } = await supabase
-      .from('class_sessions')
-      .update({
-        status: 'completed',
-        is_active: false,
-        qr_expires_at: null
-      })
-      .eq('id', sessionId);
+    // Generate new QR code (a fresh seed in time-step mode)
+    const issued = await issueSessionQR(sessionId, session.qr_mode, session.qr_lifetime_seconds || undefined);
     
-    if (updateError) throw updateError;
+    // Auto-completion gets the time that was left when the session was
+    // paused (status_changed_at); sessions opened before auto_close_at was
+    // stored get the policy's full auto-close time
+    let autoCloseAt;
+    if (session.auto_close_at) {
+      const remainingMs = new Date(session.auto_close_at).getTime() - new Date(session.status_changed_at || Date.now()).getTime();
+      autoCloseAt = new Date(Date.now() + Math.max(0, remainingMs));
+    } else {
+      const policy = await resolvePolicySafe(session.class_instance_id);
+      autoCloseAt = new Date(Date.now() + policy.auto_close_minutes * 60 * 1000);
+    }
     
-    // Emit WebSocket event for real-time updates
-    if (global.io) {
-      global.io.emit('session_status_update', {
-        sessionId: sessionId,
-        status: 'completed'
-      });
-      global.io.emit('session_completed', {
-        sessionId: sessionId
+    const transition = await transitionSession(sessionId, 'active', {
+      from: ['paused'],
+      actorId: professor_id,
+      reason,
+      fields: {
+        ...issued.sessionFields,
+        auto_close_at: autoCloseAt.toISOString()
+      }
+    });
+    
+    if (!transition.success) {
+      return res.status(getTransitionErrorStatus(transition)).json({
+        success: false,
+        error: transition.error,
+        code: transition.code
       });
-      console.log('📡 Emitted auto-completion events via WebSocket');
     }
+    const updatedSession = transition.session;
     
-    console.log('✅ Session auto-completed successfully:', sessionId);
+    // Start QR code rotation (rotating mode only)
+    await beginSessionQRRotation(sessionId, issued);
+    await scheduleJob('complete_session', sessionId, autoCloseAt);
+    
+    console.log('✅ Session resumed successfully:', sessionId);
+    
+    res.json({
+      success: true,
+      session: updatedSession,
+      qr_display: issued.display,
+      message: 'Session resumed successfully'
+    });
   } catch (error) {
-    console.error('❌ Error auto-completing session:', error);
-    throw error;
+    console.error('❌ Error resuming session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
-// Complete session (end attendance)
-router.post('/api/sessions/:sessionId/complete', async (req, res) => {
+// Open the check-out window (entry/exit check-ins). The check-in codes stop
+// working and a fresh QR is issued; from here on a scan records the
+// student's check-out, and students who don't check out are marked left
+// early when the session closes.
+router.post('/api/sessions/:sessionId/checkout', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    console.log('🏁 Completing session:', sessionId);
+    console.log('🚪 Opening check-out for session:', sessionId);
     
-    // Stop QR code rotation
-    stopQRCodeRotation(sessionId);
-    
-    // Get session details to find class instance
-    const { data: session, error: sessionError } = await supabase
+    const { data: session, error: fetchError } = await supabase
       .from('class_sessions')
-      .select('class_instance_id')
+      .select('*')
       .eq('id', sessionId)
-      .single();
-    
-    if (sessionError) throw sessionError;
-    
-    // Get all enrolled students for this class
-    const { data: enrolledStudents, error: enrollmentError } = await supabase
-      .from('enrollments')
-      .select('student_id')
-      .eq('class_instance_id', session.class_instance_id)
-      .eq('status', 'active');
+      .maybeSingle();
     
-    if (enrollmentError) throw enrollmentError;
-    
-    // Get existing attendance records for this session
-    const { data: existingRecords, error: recordsError } = await supabase
-      .from('attendance_records')
-      .select('student_id')
-      .eq('session_id', sessionId);
+    if (fetchError) throw fetchError;
     
-    if (recordsError) throw recordsError;
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
     
-    // Create attendance records for students who don't have them (mark as absent)
-    const existingStudentIds = new Set(existingRecords.map(record => record.student_id));
-    const studentsNeedingRecords = enrolledStudents.filter(
-      enrollment => !existingStudentIds.has(enrollment.student_id)
-    );
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: `Session is ${session.status}; check-out can only be opened while it is active`,
+        code: 'SESSION_NOT_ACTIVE'
+      });
+    }
     
-    if (studentsNeedingRecords.length > 0) {
-      const absentRecords = studentsNeedingRecords.map(enrollment => ({
-        session_id: sessionId,
-        student_id: enrollment.student_id,
-        status: 'absent',
-        scanned_at: new Date().toISOString(),
-      }));
-      
-      const { error: insertError } = await supabase
-        .from('attendance_records')
-        .insert(absentRecords);
-      
-      if (insertError) throw insertError;
-      
-      console.log(`✅ Created ${absentRecords.length} absent attendance records`);
+    if (session.checkout_opened_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Check-out is already open for this session',
+        code: 'CHECKOUT_ALREADY_OPEN'
+      });
     }
     
-    // Update session
+    // Photos of the check-in code can't be used to check out
+    await revokeSessionNonces(sessionId);
+    const issued = await issueSessionQR(sessionId, session.qr_mode, session.qr_lifetime_seconds || undefined);
+    
     const { data: updatedSession, error: updateError } = await supabase
       .from('class_sessions')
       .update({
-        status: 'completed',
-        is_active: false,
-        qr_expires_at: null
+        ...issued.sessionFields,
+        checkout_opened_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
       })
       .eq('id', sessionId)
+      .eq('status', 'active')
+      .is('checkout_opened_at', null)
       .select()
-      .single();
+      .maybeSingle();
     
     if (updateError) throw updateError;
     
-    console.log('✅ Session completed successfully:', sessionId);
+    if (!updatedSession) {
+      return res.status(409).json({
+        success: false,
+        error: 'The session changed while this request was running; reload and try again',
+        code: 'STALE_STATUS'
+      });
+    }
+    
+    // Restart rotation from the check-out code (rotating mode only)
+    await beginSessionQRRotation(sessionId, issued);
     
-    // Emit WebSocket event for real-time updates
     if (global.io) {
-      global.io.emit('session_status_update', {
-        sessionId: sessionId,
-        status: 'completed'
+      global.io.to(`session-${sessionId}`).emit('checkout_opened', {
+        sessionId,
+        checkout_opened_at: updatedSession.checkout_opened_at,
+        qr_code: issued.qrData.qr_code,
+        expires_at: issued.qrData.expires_at,
+        qr_display: issued.display
       });
-      global.io.emit('session_completed', {
-        sessionId: sessionId
+      
+      // Students only hear that check-out is open; the code stays with staff
+      global.io.to(`session-status-${sessionId}`).emit('checkout_opened', {
+        sessionId,
+        checkout_opened_at: updatedSession.checkout_opened_at
       });
-      console.log('📡 Emitted session completion events via WebSocket');
     }
     
+    console.log('✅ Check-out opened for session:', sessionId);
+    
     res.json({
       success: true,
-      session: updatedSession
+      session: updatedSession,
+      qr_code: issued.qrData,
+      qr_display: issued.display
     });
   } catch (error) {
-    console.error('❌ Error completing session:', error);
+    console.error('❌ Error opening check-out:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -545,54 +883,424 @@ router.post('/api/sessions/:sessionId/complete', async (req, res) => {
   }
 });
 
-// Pause session (temporarily stop attendance)
-router.post('/api/sessions/:sessionId/pause', async (req, res) => {
+// Cancel session
+router.post('/api/sessions/:sessionId/cancel', authorize({ session: 'sessionId', as: ['owner'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const { notes, reason } = req.body;
+    const professor_id = req.user.id;
     
-    console.log('⏸️ Pausing session:', sessionId);
+    console.log('❌ Cancelling session:', sessionId);
     
-    // Check if session exists and is active
-    const { data: session, error: fetchError } = await supabase
-      .from('class_sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .eq('status', 'active')
-      .single();
+    const transition = await transitionSession(sessionId, 'cancelled', {
+      actorId: professor_id,
+      reason: reason || notes,
+      fields: {
+        qr_expires_at: null,
+        notes: notes || null
+      }
+    });
     
-    if (fetchError || !session) {
-      return res.status(400).json({
+    if (!transition.success) {
+      return res.status(getTransitionErrorStatus(transition)).json({
         success: false,
-        error: 'Session not found or not active'
+        error: transition.error,
+        code: transition.code
       });
     }
+    const updatedSession = transition.session;
     
-    // Stop QR code rotation
-    stopQRCodeRotation(sessionId);
-    
-    // Update session to paused state
-    const { data: updatedSession, error: updateError } = await supabase
-      .from('class_sessions')
-      .update({
-        status: 'paused',
-        is_active: false,
-        qr_expires_at: null
-      })
-      .eq('id', sessionId)
-      .select()
-      .single();
-    
-    if (updateError) throw updateError;
+    // Stop QR code rotation and any pending auto-completion
+    await cancelJobs(sessionId);
+    await revokeSessionNonces(sessionId);
     
-    console.log('✅ Session paused successfully:', sessionId);
+    console.log('✅ Session cancelled successfully:', sessionId);
     
     res.json({
       success: true,
-      session: updatedSession,
-      message: 'Session paused successfully'
+      session: updatedSession
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// =====================================================
+// BULK CANCEL / RESCHEDULE
+// =====================================================
+
+const SESSION_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SESSION_TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+// YYYY-MM-DD that is also a real calendar date (not 2025-02-30)
+const isValidSessionDate = (date) => typeof date === 'string' &&
+  SESSION_DATE_PATTERN.test(date) &&
+  addDays(date, 0) === date;
+
+const timeToSeconds = (time) => {
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+const slotsOverlap = (a, b) => a.date === b.date &&
+  timeToSeconds(a.start_time) < timeToSeconds(b.end_time) &&
+  timeToSeconds(b.start_time) < timeToSeconds(a.end_time);
+
+/**
+ * Pick the sessions a bulk change applies to: a list of IDs, a date range,
+ * or one weekday across the term (optionally within a date range)
+ * @param {string} classInstanceId - The class instance ID
+ * @param {Object} selection - { session_ids, start_date, end_date, weekday }
+ * @returns {Promise<Object>} { sessions, error }
+ */
+const selectSessionsForBulkChange = async (classInstanceId, { session_ids, start_date, end_date, weekday }) => {
+  const byList = Array.isArray(session_ids) && session_ids.length > 0;
+
+  if (!byList && !weekday && !(start_date && end_date)) {
+    return { error: 'Select sessions with session_ids, start_date and end_date, or weekday' };
+  }
+
+  if (byList && (weekday || start_date || end_date)) {
+    return { error: 'session_ids cannot be combined with a date range or weekday' };
+  }
+
+  if ((start_date && !isValidSessionDate(start_date)) || (end_date && !isValidSessionDate(end_date))) {
+    return { error: 'Dates must be YYYY-MM-DD' };
+  }
+
+  if (weekday && !DAY_NAMES.includes(weekday)) {
+    return { error: `weekday must be one of ${DAY_NAMES.join(', ')}` };
+  }
+
+  let query = supabase
+    .from('class_sessions')
+    .select('*')
+    .eq('class_instance_id', classInstanceId)
+    .order('date', { ascending: true });
+
+  if (byList) query = query.in('id', session_ids);
+  if (start_date) query = query.gte('date', start_date);
+  if (end_date) query = query.lte('date', end_date);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  if (byList && data.length !== new Set(session_ids).size) {
+    return { error: 'Some sessions were not found in this class' };
+  }
+
+  const sessions = weekday ? data.filter(session => getDayName(session.date) === weekday) : data;
+
+  if (sessions.length === 0) {
+    return { error: 'No sessions match the selection' };
+  }
+
+  const notScheduled = sessions.filter(session => session.status !== 'scheduled');
+  if (byList && notScheduled.length > 0) {
+    return { error: `Only scheduled sessions can be changed (${notScheduled.map(session => session.date).join(', ')})` };
+  }
+
+  // Range and weekday selections quietly skip sessions that already ran or were cancelled
+  const scheduled = sessions.filter(session => session.status === 'scheduled');
+  if (scheduled.length === 0) {
+    return { error: 'None of the selected sessions are still scheduled' };
+  }
+
+  return { sessions: scheduled };
+};
+
+/**
+ * Check proposed session slots against a class's schedule. A slot must fall
+ * inside the allowed window, not on a calendar no-class day, and not clash
+ * with the class's other sessions or another class booked in the same room.
+ * @param {Object} classInstance - class_instances row
+ * @param {Array} items - [{ slot: { date, start_time, end_time, room_location }, session? }]
+ * @param {Object} window - { start, end, label } dates the slots must fall between
+ * @returns {Promise<Array>} Conflicts: [{ session_id, date, new_date, reason }]
+ */
+const checkSessionSlots = async (classInstance, items, window) => {
+  const movedIds = new Set(items.filter(item => item.session).map(item => item.session.id));
+  const dates = items.map(({ slot }) => slot.date);
+  const firstDate = dates.reduce((a, b) => (a < b ? a : b));
+  const lastDate = dates.reduce((a, b) => (a > b ? a : b));
+
+  const calendarDays = await getCalendarDays(classInstance.academic_period_id);
+
+  // Sessions that stay put, in this class or sharing a room with it. Room
+  // names come from the request, so they go through .in() (which quotes
+  // them) rather than into a hand-built .or() filter.
+  const sessionsInRange = () => supabase
+    .from('class_sessions')
+    .select('id, class_instance_id, date, start_time, end_time, room_location')
+    .gte('date', firstDate)
+    .lte('date', lastDate)
+    .neq('status', 'cancelled');
+
+  const { data: classSessions, error: othersError } = await sessionsInRange()
+    .eq('class_instance_id', classInstance.id);
+  if (othersError) throw othersError;
+
+  let roomSessions = [];
+  const rooms = [...new Set(items.map(({ slot }) => slot.room_location).filter(Boolean))];
+  if (rooms.length > 0) {
+    const { data, error: roomsError } = await sessionsInRange()
+      .in('room_location', rooms)
+      .neq('class_instance_id', classInstance.id);
+    if (roomsError) throw roomsError;
+    roomSessions = data;
+  }
+
+  const staying = [...classSessions, ...roomSessions].filter(other => !movedIds.has(other.id));
+  const conflicts = [];
+
+  items.forEach(({ session, slot }, index) => {
+    const problem = (reason) => conflicts.push({
+      session_id: session ? session.id : null,
+      date: session ? session.date : null,
+      new_date: slot.date,
+      reason
+    });
+
+    if (!isValidSessionDate(slot.date)) {
+      return problem('date must be YYYY-MM-DD');
+    }
+
+    if (!SESSION_TIME_PATTERN.test(slot.start_time) || !SESSION_TIME_PATTERN.test(slot.end_time)) {
+      return problem('Times must be HH:MM');
+    }
+
+    if (timeToSeconds(slot.end_time) <= timeToSeconds(slot.start_time)) {
+      return problem('end_time must be after start_time');
+    }
+
+    if (slot.date < window.start || slot.date > window.end) {
+      return problem(`outside the ${window.label} (${window.start} to ${window.end})`);
+    }
+
+    if (getEffectiveDayName(slot.date, calendarDays) === null) {
+      const entry = calendarDays.find(day => day.start_date <= slot.date && slot.date <= day.end_date);
+      return problem(`no classes on ${slot.date} (${entry ? entry.name : 'academic calendar'})`);
+    }
+
+    const clash = staying.find(other => slotsOverlap(slot, other) &&
+      (other.class_instance_id === classInstance.id ||
+        (slot.room_location && other.room_location === slot.room_location)));
+    if (clash) {
+      return problem(clash.class_instance_id === classInstance.id
+        ? `overlaps this class's session on ${clash.date} at ${clash.start_time}`
+        : `${slot.room_location} is booked by another class at that time`);
+    }
+
+    const sibling = items.find((other, otherIndex) => otherIndex !== index && slotsOverlap(slot, other.slot));
+    if (sibling) {
+      return problem(`overlaps another requested session on ${slot.date}`);
+    }
+
+    return null;
+  });
+
+  return conflicts;
+};
+
+/**
+ * Work out and check where each session moves to (within the class's term)
+ * @param {Object} classInstance - class_instances row
+ * @param {Array} sessions - Sessions being moved
+ * @param {Object} move - { shift_days, start_time, end_time, room_location }
+ * @returns {Promise<Object>} { moves, conflicts, error }
+ */
+const planSessionMoves = async (classInstance, sessions, { shift_days, start_time, end_time, room_location }) => {
+  const shiftDays = shift_days === undefined || shift_days === null ? 0 : Number(shift_days);
+
+  if (!Number.isInteger(shiftDays)) {
+    return { error: 'shift_days must be a whole number' };
+  }
+
+  if ((start_time && !SESSION_TIME_PATTERN.test(start_time)) || (end_time && !SESSION_TIME_PATTERN.test(end_time))) {
+    return { error: 'Times must be HH:MM' };
+  }
+
+  if (shiftDays === 0 && !start_time && !end_time && room_location === undefined) {
+    return { error: 'Give shift_days, start_time, end_time or room_location to reschedule' };
+  }
+
+  const moves = sessions.map(session => ({
+    session,
+    slot: {
+      date: addDays(session.date, shiftDays),
+      start_time: start_time || session.start_time,
+      end_time: end_time || session.end_time,
+      room_location: room_location === undefined ? session.room_location : room_location
+    }
+  }));
+
+  const conflicts = await checkSessionSlots(classInstance, moves, {
+    start: classInstance.first_class_date,
+    end: classInstance.last_class_date,
+    label: 'class term'
+  });
+
+  return { moves, conflicts };
+};
+
+/**
+ * Cancel or move a set of a class's scheduled sessions and notify the class
+ * POST /api/class-instances/:classInstanceId/sessions/bulk
+ * Body: { action: 'cancel'|'reschedule', reason,
+ *         session_ids | start_date+end_date | weekday,
+ *         shift_days, start_time, end_time, room_location (reschedule only) }
+ */
+router.post('/api/class-instances/:classInstanceId/sessions/bulk', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { classInstanceId } = req.params;
+    const { action, reason } = req.body;
+    const professor_id = req.user.id;
+
+    if (!['cancel', 'reschedule'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: "action must be 'cancel' or 'reschedule'"
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required'
+      });
+    }
+
+    const { data: classInstance, error: classError } = await supabase
+      .from('class_instances')
+      .select('*, courses(code, name)')
+      .eq('id', classInstanceId)
+      .single();
+
+    if (classError || !classInstance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    const selection = await selectSessionsForBulkChange(classInstanceId, req.body);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        error: selection.error
+      });
+    }
+
+    const className = `${classInstance.courses.code} - ${classInstance.courses.name}`;
+    const describeSlot = (slot) => `${slot.date} ${String(slot.start_time).slice(0, 5)}`;
+
+    if (action === 'cancel') {
+      console.log(`❌ Bulk cancelling ${selection.sessions.length} sessions for class:`, classInstanceId);
+
+      // Sessions opened since they were selected are skipped
+      const cancelled = [];
+      for (const session of selection.sessions) {
+        const transition = await transitionSession(session.id, 'cancelled', {
+          from: ['scheduled'],
+          actorId: professor_id,
+          reason,
+          fields: {
+            qr_expires_at: null,
+            notes: reason
+          }
+        });
+
+        if (!transition.success) continue;
+
+        await cancelJobs(session.id);
+        await revokeSessionNonces(session.id);
+        cancelled.push(transition.session);
+      }
+
+      const notified = await notifySessionChange(classInstance, cancelled, {
+        type: 'class_cancelled',
+        title: cancelled.length === 1
+          ? `${classInstance.courses.code} cancelled on ${cancelled[0].date}`
+          : `${cancelled.length} ${classInstance.courses.code} sessions cancelled`,
+        message: `${className} will not meet on ${cancelled.map(describeSlot).join(', ')}. Reason: ${reason}`,
+        metadata: {
+          reason,
+          dates: cancelled.map(session => session.date)
+        }
+      });
+
+      return res.json({
+        success: true,
+        action,
+        sessions: cancelled,
+        notified
+      });
+    }
+
+    const plan = await planSessionMoves(classInstance, selection.sessions, req.body);
+    if (plan.error) {
+      return res.status(400).json({
+        success: false,
+        error: plan.error
+      });
+    }
+
+    if (plan.conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Some sessions cannot be moved to the requested slots',
+        conflicts: plan.conflicts
+      });
+    }
+
+    console.log(`📅 Bulk rescheduling ${plan.moves.length} sessions for class:`, classInstanceId);
+
+    const moved = [];
+    for (const { session, slot } of plan.moves) {
+      const { data: updated, error: updateError } = await supabase
+        .from('class_sessions')
+        .update({
+          ...slot,
+          notes: reason,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', session.id)
+        .eq('status', 'scheduled')
+        .select()
+        .maybeSingle();
+
+      if (updateError) throw updateError;
+      if (updated) moved.push({ from: session, to: updated });
+    }
+
+    const notified = await notifySessionChange(classInstance, moved.map(({ to }) => to), {
+      type: 'class_rescheduled',
+      title: moved.length === 1
+        ? `${classInstance.courses.code} moved to ${describeSlot(moved[0].to)}`
+        : `${moved.length} ${classInstance.courses.code} sessions rescheduled`,
+      message: `${className}: ${moved.map(({ from, to }) => `${describeSlot(from)} → ${describeSlot(to)}${to.room_location && to.room_location !== from.room_location ? ` in ${to.room_location}` : ''}`).join('; ')}. Reason: ${reason}`,
+      metadata: {
+        reason,
+        changes: moved.map(({ from, to }) => ({
+          sessionId: to.id,
+          from: { date: from.date, start_time: from.start_time, end_time: from.end_time, room_location: from.room_location },
+          to: { date: to.date, start_time: to.start_time, end_time: to.end_time, room_location: to.room_location }
+        }))
+      }
+    });
+
+    res.json({
+      success: true,
+      action,
+      sessions: moved.map(({ to }) => to),
+      notified
     });
   } catch (error) {
-    console.error('❌ Error pausing session:', error);
+    console.error('❌ Error applying bulk session change:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -600,58 +1308,139 @@ router.post('/api/sessions/:sessionId/pause', async (req, res) => {
   }
 });
 
-// Resume session (restart attendance from paused state)
-router.post('/api/sessions/:sessionId/resume', async (req, res) => {
+// =====================================================
+// AD-HOC SESSIONS (MAKE-UPS, REVIEWS, EXAMS)
+// =====================================================
+
+/**
+ * Add a session outside the generated schedule
+ * POST /api/class-instances/:classInstanceId/sessions
+ * Body: { date, session_type, start_time, end_time, title, room_location, notes }
+ */
+router.post('/api/class-instances/:classInstanceId/sessions', authorize({ class: 'classInstanceId', as: ['owner'] }), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    console.log('▶️ Resuming session:', sessionId);
-    
-    // Check if session exists and is paused
-    const { data: session, error: fetchError } = await supabase
-      .from('class_sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .eq('status', 'paused')
-      .single();
-    
-    if (fetchError || !session) {
+    const { classInstanceId } = req.params;
+    const { date, session_type, title, notes } = req.body;
+
+    if (!date || !session_type) {
       return res.status(400).json({
         success: false,
-        error: 'Session not found or not paused'
+        error: 'date and session_type are required'
       });
     }
-    
-    // Generate new QR code
-    const qrData = await QRCodeGenerator.generateSecureQR(sessionId);
-    
-    // Update session to active state
-    const { data: updatedSession, error: updateError } = await supabase
+
+    if (!SESSION_TYPES.includes(session_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `session_type must be one of ${SESSION_TYPES.join(', ')}`
+      });
+    }
+
+    // Checked before the date reaches any query
+    if (!isValidSessionDate(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be a valid YYYY-MM-DD date'
+      });
+    }
+
+    if ((req.body.start_time && !SESSION_TIME_PATTERN.test(req.body.start_time)) ||
+        (req.body.end_time && !SESSION_TIME_PATTERN.test(req.body.end_time))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Times must be HH:MM'
+      });
+    }
+
+    const { data: classInstance, error: classError } = await supabase
+      .from('class_instances')
+      .select('*, courses(code, name), academic_periods(start_date, end_date)')
+      .eq('id', classInstanceId)
+      .single();
+
+    if (classError || !classInstance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    // Defaults to the class's usual time and room
+    const slot = {
+      date,
+      start_time: req.body.start_time || classInstance.start_time,
+      end_time: req.body.end_time || classInstance.end_time,
+      room_location: req.body.room_location === undefined ? classInstance.room_location : req.body.room_location
+    };
+
+    // Extra sessions may fall outside the regular term (e.g. a finals-week exam)
+    const conflicts = await checkSessionSlots(classInstance, [{ slot }], {
+      start: classInstance.academic_periods.start_date,
+      end: classInstance.academic_periods.end_date,
+      label: 'academic period'
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: conflicts[0].reason,
+        conflicts
+      });
+    }
+
+    // Take the next free number; existing sessions keep theirs
+    const { data: lastSession, error: numberError } = await supabase
       .from('class_sessions')
-      .update({
-        status: 'active',
-        is_active: true,
-        qr_secret: qrData.secret,
-        qr_expires_at: qrData.expires_at
+      .select('session_number')
+      .eq('class_instance_id', classInstanceId)
+      .order('session_number', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (numberError) throw numberError;
+
+    const { data: session, error: insertError } = await supabase
+      .from('class_sessions')
+      .insert({
+        class_instance_id: classInstanceId,
+        session_number: (lastSession?.session_number || 0) + 1,
+        ...slot,
+        session_type,
+        title: title || null,
+        notes: notes || null,
+        is_extra: true,
+        status: 'scheduled',
+        is_active: false,
+        total_enrolled: 0,
+        attendance_count: 0
       })
-      .eq('id', sessionId)
       .select()
       .single();
-    
-    if (updateError) throw updateError;
-    
-    // Start QR code rotation
-    startQRCodeRotation(sessionId);
-    
-    console.log('✅ Session resumed successfully:', sessionId);
-    
-    res.json({
+
+    if (insertError) throw insertError;
+
+    console.log(`➕ Added ${session_type} session ${session.session_number} on ${date} for class:`, classInstanceId);
+
+    const className = `${classInstance.courses.code} - ${classInstance.courses.name}`;
+    const label = title || `${session_type.charAt(0).toUpperCase()}${session_type.slice(1)} session`;
+
+    const notified = await notifySessionChange(classInstance, [session], {
+      type: 'announcement',
+      title: `${classInstance.courses.code}: ${label} added`,
+      message: `${className} has an extra ${session_type} session on ${session.date} at ${String(session.start_time).slice(0, 5)}${session.room_location ? ` in ${session.room_location}` : ''}.`,
+      metadata: {
+        sessionType: session_type,
+        date: session.date
+      }
+    });
+
+    res.status(201).json({
       success: true,
-      session: updatedSession,
-      message: 'Session resumed successfully'
+      session,
+      notified
     });
   } catch (error) {
-    console.error('❌ Error resuming session:', error);
+    console.error('❌ Error adding extra session:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -659,40 +1448,20 @@ router.post('/api/sessions/:sessionId/resume', async (req, res) => {
   }
 });
 
-// Cancel session
-router.post('/api/sessions/:sessionId/cancel', async (req, res) => {
+// Get a session's status transitions, oldest first
+router.get('/api/sessions/:sessionId/status-history', authorize({ session: 'sessionId', as: ['staff'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { notes } = req.body;
-    
-    console.log('❌ Cancelling session:', sessionId);
-    
-    // Stop QR code rotation if active
-    stopQRCodeRotation(sessionId);
-    
-    // Update session
-    const { data: updatedSession, error: updateError } = await supabase
-      .from('class_sessions')
-      .update({
-        status: 'cancelled',
-        is_active: false,
-        qr_expires_at: null,
-        notes: notes || null
-      })
-      .eq('id', sessionId)
-      .select()
-      .single();
-    
-    if (updateError) throw updateError;
     
-    console.log('✅ Session cancelled successfully:', sessionId);
+    const history = await getSessionStatusHistory(sessionId);
     
     res.json({
       success: true,
-      session: updatedSession
+      data: history,
+      count: history.length
     });
   } catch (error) {
-    console.error('❌ Error cancelling session:', error);
+    console.error('❌ Error fetching session status history:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -701,7 +1470,7 @@ router.post('/api/sessions/:sessionId/cancel', async (req, res) => {
 });
 
 // Get session details
-router.get('/api/sessions/:sessionId', async (req, res) => {
+router.get('/api/sessions/:sessionId', authorize({ session: 'sessionId', as: ['staff', 'student'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -749,7 +1518,7 @@ router.get('/api/sessions/:sessionId', async (req, res) => {
     
     // Update session with current counts
     const updatedSession = {
-      ...session,
+      ...withoutQRSecrets(session),
       total_enrolled: classInstance ? classInstance.current_enrollment : 0,
       attendance_count: attendedCount // Excused students count as present for analytics
     };
@@ -768,7 +1537,7 @@ router.get('/api/sessions/:sessionId', async (req, res) => {
 });
 
 // Get attendance records for a session
-router.get('/api/sessions/:sessionId/attendance', async (req, res) => {
+router.get('/api/sessions/:sessionId/attendance', authorize({ session: 'sessionId', as: ['staff'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -801,7 +1570,7 @@ router.get('/api/sessions/:sessionId/attendance', async (req, res) => {
 });
 
 // Get current QR code for active session
-router.get('/api/sessions/:sessionId/qr-code', async (req, res) => {
+router.get('/api/sessions/:sessionId/qr-code', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -822,15 +1591,38 @@ router.get('/api/sessions/:sessionId/qr-code', async (req, res) => {
       });
     }
     
-    // Generate current QR code
-    const qrData = await QRCodeGenerator.generateSecureQR(sessionId);
+    if (session.qr_mode === 'totp') {
+      // Time-step mode: the display can derive later codes itself from the seed
+      const stepSeconds = session.qr_lifetime_seconds || QRCodeGenerator.QR_EXPIRY_SECONDS;
+      const qrData = await QRCodeGenerator.generateTimeStepQR(sessionId, session.qr_seed, stepSeconds);
+      
+      return res.json({
+        success: true,
+        qr_code: qrData.qr_code,
+        expires_at: qrData.expires_at,
+        session_id: sessionId,
+        phase: session.checkout_opened_at ? 'check_out' : 'check_in',
+        time_remaining: Math.max(0, Math.floor((new Date(qrData.expires_at).getTime() - Date.now()) / 1000)),
+        qr_display: {
+          mode: 'totp',
+          seed: session.qr_seed,
+          step_seconds: stepSeconds
+        }
+      });
+    }
+    
+    // Generate current QR code, bound to the rotation already stored on the session
+    const qrData = await QRCodeGenerator.generateSecureQR(sessionId, session.qr_lifetime_seconds || undefined);
+    await recordIssuedNonce(qrData.qr_data, session.qr_secret);
     
     res.json({
       success: true,
       qr_code: qrData.qr_code,
       expires_at: qrData.expires_at,
       session_id: sessionId,
-      time_remaining: Math.max(0, Math.floor((new Date(qrData.expires_at).getTime() - Date.now()) / 1000))
+      phase: session.checkout_opened_at ? 'check_out' : 'check_in',
+      time_remaining: Math.max(0, Math.floor((new Date(qrData.expires_at).getTime() - Date.now()) / 1000)),
+      qr_display: { mode: 'rotating', lifetime_seconds: session.qr_lifetime_seconds || QRCodeGenerator.QR_EXPIRY_SECONDS }
     });
   } catch (error) {
     console.error('❌ Error fetching QR code:', error);
@@ -842,7 +1634,7 @@ router.get('/api/sessions/:sessionId/qr-code', async (req, res) => {
 });
 
 // Get QR code for active session (legacy endpoint)
-router.get('/api/sessions/:sessionId/qr-code-legacy', async (req, res) => {
+router.get('/api/sessions/:sessionId/qr-code-legacy', authorize({ session: 'sessionId', as: ['owner', 'ta'] }), async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -881,53 +1673,212 @@ router.get('/api/sessions/:sessionId/qr-code-legacy', async (req, res) => {
 // QR CODE ROTATION MANAGEMENT
 // =====================================================
 
-const activeRotations = new Map();
+// Rotation runs as a recurring job so it survives restarts and only one
+// backend instance rotates a given session. It fires a little before the
+// current code expires to cover the job runner's polling delay.
+const getNextRotationAt = (lifetimeSeconds) => {
+  const lifetimeMs = lifetimeSeconds * 1000;
+  return new Date(Date.now() + Math.max(lifetimeMs - getPollIntervalMs(), lifetimeMs / 2));
+};
 
-const startQRCodeRotation = (sessionId) => {
+const startQRCodeRotation = async (sessionId, lifetimeSeconds = QRCodeGenerator.QR_EXPIRY_SECONDS) => {
   console.log('🔄 Starting QR code rotation for session:', sessionId);
   
-  const rotationInterval = setInterval(async () => {
+  await scheduleJob('rotate_qr', sessionId, getNextRotationAt(lifetimeSeconds));
+};
+
+const stopQRCodeRotation = async (sessionId) => {
+  console.log('⏹️ Stopping QR code rotation for session:', sessionId);
+  
+  await cancelJobs(sessionId, 'rotate_qr');
+};
+
+// Job handler: issue the next QR code and schedule the one after it
+const rotateSessionQR = async (job) => {
+  const sessionId = job.session_id;
+  
+  const { data: session, error: sessionError } = await supabase
+    .from('class_sessions')
+    .select('id, status, qr_mode, qr_lifetime_seconds')
+    .eq('id', sessionId)
+    .single();
+  
+  if (sessionError && sessionError.code !== 'PGRST116') throw sessionError;
+  
+  // Rotation ends with the session (time-step sessions rotate on the display)
+  if (!session || session.status !== 'active' || session.qr_mode === 'totp') {
+    return null;
+  }
+  
+  const lifetimeSeconds = session.qr_lifetime_seconds || QRCodeGenerator.QR_EXPIRY_SECONDS;
+  const qrData = await QRCodeGenerator.generateSecureQR(sessionId, lifetimeSeconds);
+  
+  const { error: updateError } = await supabase
+    .from('class_sessions')
+    .update({
+      qr_secret: qrData.secret,
+      qr_expires_at: qrData.expires_at
+    })
+    .eq('id', sessionId);
+  
+  if (updateError) throw updateError;
+  
+  // Payloads from the previous rotation stop validating from here on
+  await recordIssuedNonce(qrData.qr_data, qrData.secret);
+  
+  console.log('🔄 QR code rotated for session:', sessionId);
+  
+  // Emit real-time QR code update
+  if (global.io) {
+    global.io.to(`session-${sessionId}`).emit('qr_code_update', {
+      sessionId,
+      qr_code: qrData.qr_code,
+      expires_at: qrData.expires_at,
+      time_remaining: Math.max(0, Math.floor((new Date(qrData.expires_at).getTime() - Date.now()) / 1000))
+    });
+    
+    console.log('📡 Real-time QR code update emitted to session room');
+  }
+  
+  return { rescheduleAt: getNextRotationAt(lifetimeSeconds) };
+};
+
+registerJobHandler('rotate_qr', rotateSessionQR);
+registerJobHandler('complete_session', (job) => completeSessionAutomatically(job.session_id));
+
+// Re-create jobs for sessions left active without them (e.g. activated
+// before the job table existed). Safe to run on every instance at startup.
+// Sessions opened before activated_at/auto_close_at were stored fall back
+// to when they last became active (status_changed_at).
+const restoreSessionJobs = async () => {
+  const { data: sessions, error } = await supabase
+    .from('class_sessions')
+    .select('id, class_instance_id, qr_mode, activated_at, auto_close_at, status_changed_at, updated_at')
+    .eq('status', 'active');
+  
+  if (error) throw error;
+  
+  for (const session of sessions) {
+    let autoCloseAt;
+    if (session.auto_close_at) {
+      autoCloseAt = new Date(session.auto_close_at).getTime();
+    } else {
+      const policy = await resolvePolicySafe(session.class_instance_id);
+      const activatedAt = new Date(session.activated_at || session.status_changed_at || session.updated_at).getTime();
+      autoCloseAt = activatedAt + policy.auto_close_minutes * 60 * 1000;
+    }
+    const completeAt = new Date(Math.max(Date.now(), autoCloseAt));
+    
+    await scheduleJob('complete_session', session.id, completeAt, {}, { replace: false });
+    
+    if (session.qr_mode !== 'totp') {
+      await scheduleJob('rotate_qr', session.id, new Date(), {}, { replace: false });
+    }
+  }
+  
+  if (sessions.length > 0) {
+    console.log(`🗓️ Checked scheduled jobs for ${sessions.length} active session(s)`);
+  }
+  
+  // Keep the auto-open sweep running (one copy across instances)
+  await scheduleJob('auto_open_sessions', null, new Date(), {}, { replace: false });
+};
+
+// =====================================================
+// AUTOMATIC SESSION OPEN/CLOSE
+// =====================================================
+
+const getAutoSessionSweepSeconds = () => parseInt(process.env.AUTO_SESSION_SWEEP_SECONDS, 10) || 60;
+
+// Let the professor know their session opened without them pressing start
+const notifyProfessorSessionAutoOpened = async (session, completeAt) => {
+  try {
+    const className = `${session.class_instances.courses.code} - ${session.class_instances.courses.name}`;
+    
+    const { error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: session.class_instances.professor_id,
+        type: 'session_started',
+        title: 'Your session opened automatically',
+        message: `${className} (${session.date} at ${session.start_time}) is now open for attendance. It will close automatically at ${formatInstitutionTime(completeAt)}.`,
+        priority: 'high',
+        link: `/professor/sessions/${session.id}`,
+        class_id: session.class_instance_id,
+        session_id: session.id,
+        metadata: {
+          className,
+          sessionId: session.id,
+          openedAutomatically: true,
+          closesAt: completeAt.toISOString()
+        }
+      });
+    
+    if (error) {
+      console.error('❌ Error creating auto-open notification for professor:', error);
+    }
+  } catch (error) {
+    console.error('❌ Error notifying professor about auto-open:', error);
+  }
+};
+
+// Job handler: open sessions of opted-in classes whose open window has started.
+// Each one is completed at end_time plus the class's buffer.
+const openDueSessions = async () => {
+  const now = new Date();
+  const today = getInstitutionToday();
+  
+  const { data: sessions, error } = await supabase
+    .from('class_sessions')
+    .select(`
+      id,
+      date,
+      start_time,
+      end_time,
+      class_instance_id,
+      class_instances!inner(
+        professor_id,
+        auto_session_enabled,
+        auto_open_minutes_before,
+        auto_close_buffer_minutes,
+        courses(code, name)
+      )
+    `)
+    .eq('status', 'scheduled')
+    .eq('class_instances.auto_session_enabled', true)
+    .in('date', [today, addDays(today, 1)]);
+  
+  if (error) throw error;
+  
+  for (const session of sessions) {
+    const { auto_open_minutes_before, auto_close_buffer_minutes } = session.class_instances;
+    const openAt = new Date(getSessionStart(session).getTime() - (auto_open_minutes_before ?? 5) * 60 * 1000);
+    const completeAt = new Date(getSessionEnd(session).getTime() + (auto_close_buffer_minutes ?? 10) * 60 * 1000);
+    
+    // Not yet time, or the class is already over
+    if (now < openAt || now >= completeAt) continue;
+    
     try {
-      const qrData = await QRCodeGenerator.generateSecureQR(sessionId);
+      const activation = await activateSession(session.id, { completeAt, reason: 'Opened automatically' });
+      if (!activation.success) continue;
       
       await supabase
         .from('class_sessions')
-        .update({
-          qr_secret: qrData.secret,
-          qr_expires_at: qrData.expires_at
-        })
-        .eq('id', sessionId);
+        .update({ opened_automatically: true })
+        .eq('id', session.id);
       
-      console.log('🔄 QR code rotated for session:', sessionId);
+      await notifyProfessorSessionAutoOpened(session, completeAt);
       
-      // Emit real-time QR code update
-      if (global.io) {
-        global.io.to(`session-${sessionId}`).emit('qr_code_update', {
-          sessionId,
-          qr_code: qrData.qr_code,
-          expires_at: qrData.expires_at,
-          time_remaining: Math.max(0, Math.floor((new Date(qrData.expires_at).getTime() - Date.now()) / 1000))
-        });
-        
-        console.log('📡 Real-time QR code update emitted to session room');
-      }
+      console.log('🤖 Session opened automatically:', session.id);
     } catch (error) {
-      console.error('❌ Error rotating QR code:', error);
+      console.error('❌ Error auto-opening session:', session.id, error);
     }
-  }, 30000); // 30 seconds - rotate QR codes every 30 seconds for security
+  }
   
-  activeRotations.set(sessionId, rotationInterval);
+  return { rescheduleAt: new Date(Date.now() + getAutoSessionSweepSeconds() * 1000) };
 };
 
-const stopQRCodeRotation = (sessionId) => {
-  console.log('⏹️ Stopping QR code rotation for session:', sessionId);
-  
-  const interval = activeRotations.get(sessionId);
-  if (interval) {
-    clearInterval(interval);
-    activeRotations.delete(sessionId);
-  }
-};
+registerJobHandler('auto_open_sessions', openDueSessions);
 
 // =====================================================
 // NOTIFICATION SYSTEM
@@ -1026,19 +1977,19 @@ const notifyStudentsSessionActivated = async (sessionId) => {
 // =====================================================
 
 // Update student attendance status (for professors)
-router.patch('/api/sessions/:sessionId/attendance/:studentNumber', async (req, res) => {
+router.patch('/api/sessions/:sessionId/attendance/:studentNumber', authorize({ session: 'sessionId', as: ['owner'] }), async (req, res) => {
   try {
     const { sessionId, studentNumber } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
+    const professor_id = req.user.id;
     
     console.log('📝 Updating attendance status:', { sessionId, studentNumber, status });
     
     // Validate status
-    const validStatuses = ['present', 'late', 'absent', 'excused'];
-    if (!validStatuses.includes(status)) {
+    if (!MANUAL_ATTENDANCE_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be one of: present, late, absent, excused'
+        error: `Invalid status. Must be one of: ${MANUAL_ATTENDANCE_STATUSES.join(', ')}`
       });
     }
     
@@ -1057,6 +2008,11 @@ router.patch('/api/sessions/:sessionId/attendance/:studentNumber', async (req, r
       });
     }
     
+    const statusChange = stampAttendanceChange('manual', {
+      actorId: professor_id,
+      reason: reason || 'Professor manual update'
+    });
+    
     // Find the student UUID by student number
     const { data: student, error: studentError } = await supabase
       .from('students')
@@ -1076,7 +2032,7 @@ router.patch('/api/sessions/:sessionId/attendance/:studentNumber', async (req, r
     // Check if attendance record exists
     const { data: existingRecord, error: recordError } = await supabase
       .from('attendance_records')
-      .select('id')
+      .select('id, status')
       .eq('session_id', sessionId)
       .eq('student_id', studentUuid)
       .single();
@@ -1086,13 +2042,14 @@ router.patch('/api/sessions/:sessionId/attendance/:studentNumber', async (req, r
     }
     
     if (existingRecord) {
-      // Update existing record
+      // Update existing record; minutes late and left-early credit only
+      // described the old status
       const { data: updatedRecord, error: updateError } = await supabase
         .from('attendance_records')
         .update({
           status,
-          status_changed_at: new Date().toISOString(),
-          status_change_reason: 'Professor manual update'
+          ...(existingRecord.status !== status && { minutes_late: 0, credit_percent: null }),
+          ...statusChange
         })
         .eq('id', existingRecord.id)
         .select()
@@ -1110,8 +2067,7 @@ router.patch('/api/sessions/:sessionId/attendance/:studentNumber', async (req, r
           student_id: studentUuid,
           status,
           scanned_at: new Date().toISOString(),
-          status_changed_at: new Date().toISOString(),
-          status_change_reason: 'Professor manual update'
+          ...statusChange
         })
         .select()
         .single();
@@ -1135,12 +2091,137 @@ router.patch('/api/sessions/:sessionId/attendance/:studentNumber', async (req, r
   }
 });
 
+// Apply a batch of attendance changes to a session in one transaction (for
+// professors). Nothing is saved unless every change is valid.
+router.patch('/api/sessions/:sessionId/attendance', authorize({ session: 'sessionId', as: ['owner'] }), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const professor_id = req.user.id;
+    
+    const validation = validateBulkAttendanceInput(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+    
+    const { data: session, error: sessionError } = await supabase
+      .from('class_sessions')
+      .select('id, status, class_instance_id')
+      .eq('id', sessionId)
+      .maybeSingle();
+    
+    if (sessionError) throw sessionError;
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    if (!['active', 'paused', 'completed'].includes(session.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Attendance can't be edited for a ${session.status} session`,
+        code: 'SESSION_NOT_STARTED'
+      });
+    }
+    
+    const plan = await planBulkAttendance(session, validation.values);
+    
+    if (plan.errors > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${plan.errors} of ${plan.rows.length} changes are invalid; nothing was saved`,
+        results: plan.rows.map(row => ({
+          index: row.index,
+          student_id: row.student_id,
+          student_number: row.student_number,
+          status: row.status,
+          outcome: row.error ? 'invalid' : 'not_applied',
+          error: row.error
+        }))
+      });
+    }
+    
+    if (plan.rows.length === 0) {
+      return res.json({
+        success: true,
+        message: 'Nothing to change',
+        results: []
+      });
+    }
+    
+    const applied = await applyBulkAttendance(sessionId, professor_id, plan.rows);
+    
+    if (!applied.success) {
+      return res.status(409).json(applied);
+    }
+    
+    const { results } = applied;
+    const changed = results.filter(result => ['created', 'updated'].includes(result.outcome));
+    
+    console.log(`📝 Bulk attendance edit for session ${sessionId}: ${changed.length} of ${results.length} changed`);
+    
+    // One combined update for the whole batch
+    if (global.io && changed.length > 0) {
+      const { data: attendanceRecords } = await supabase
+        .from('attendance_records')
+        .select('status')
+        .eq('session_id', sessionId);
+      
+      const attendedCount = attendanceRecords ?
+        attendanceRecords.filter(record => ATTENDED_STATUSES.includes(record.status)).length : 0;
+      const totalStudents = attendanceRecords ? attendanceRecords.length : 0;
+      const attendanceRate = totalStudents > 0 ? Math.round((attendedCount / totalStudents) * 100) : 0;
+      
+      global.io.to(`session-${sessionId}`).emit('attendance_bulk_update', {
+        sessionId,
+        changes: changed.map(result => ({
+          studentId: result.student_id,
+          status: result.status,
+          previousStatus: result.previous_status
+        })),
+        attendanceCount: attendedCount,
+        totalStudents,
+        attendanceRate
+      });
+      
+      global.io.to(`professor-${professor_id}`).emit('dashboard-attendance-update', {
+        sessionId,
+        attendanceCount: attendedCount,
+        totalStudents,
+        attendanceRate,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const summary = { created: 0, updated: 0, unchanged: 0, skipped: 0 };
+    results.forEach(result => { summary[result.outcome]++; });
+    
+    res.json({
+      success: true,
+      results,
+      summary
+    });
+    
+  } catch (error) {
+    console.error('❌ Error applying bulk attendance changes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // =====================================================
 // BACKFILL MISSING ATTENDANCE RECORDS
 // =====================================================
 
 // Backfill missing attendance records for completed sessions
-router.post('/api/classes/:classId/backfill-attendance', async (req, res) => {
+router.post('/api/classes/:classId/backfill-attendance', authorize({ class: 'classId', as: ['owner'] }), async (req, res) => {
   try {
     const { classId } = req.params;
     
@@ -1188,7 +2269,8 @@ router.post('/api/classes/:classId/backfill-attendance', async (req, res) => {
           session_id: session.id,
           student_id: enrollment.student_id,
           status: 'absent',
-          scanned_at: new Date().toISOString()
+          scanned_at: new Date().toISOString(),
+          ...stampAttendanceChange('backfill', { reason: 'Backfilled for a completed session' })
         }));
         
         const { error: insertError } = await supabase
@@ -1225,7 +2307,7 @@ router.post('/api/classes/:classId/backfill-attendance', async (req, res) => {
 // =====================================================
 
 // Get class analytics data
-router.get('/api/classes/:classId/analytics', async (req, res) => {
+router.get('/api/classes/:classId/analytics', authorize({ class: 'classId', as: ['staff'] }), async (req, res) => {
   try {
     const { classId } = req.params;
     
@@ -1237,7 +2319,10 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
       .select(`
         id,
         date,
+        start_time,
+        status,
         session_number,
+        session_type,
         attendance_count,
         total_enrolled,
         class_instances!inner(id)
@@ -1248,6 +2333,20 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
     
     if (sessionsError) throw sessionsError;
     
+    // Only the session types the class counts go into percentages
+    const { data: classSettings, error: settingsError } = await supabase
+      .from('class_instances')
+      .select('counted_session_types')
+      .eq('id', classId)
+      .maybeSingle();
+    
+    if (settingsError) throw settingsError;
+    
+    const countedTypes = getCountedSessionTypes(classSettings);
+    const countedSessionIds = new Set(
+      sessions.filter(session => sessionCounts(session, countedTypes)).map(session => session.id)
+    );
+    
     // Get session IDs for the queries
     const sessionIds = sessions.map(s => s.id);
     
@@ -1255,6 +2354,7 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
     const { data: enrollments, error: enrollmentError } = await supabase
       .from('enrollments')
       .select(`
+        id,
         student_id,
         students!inner(
           user_id,
@@ -1274,6 +2374,11 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
     // These are the actual enrolled students
     const enrolledStudents = enrollments;
     
+    // The class's attendance grade rules and any professor overrides
+    const gradeRules = await resolveGradeRules(classId);
+    const scoredSessions = getScoredSessions(classSettings, sessions);
+    const gradeOverrides = await fetchGradeOverrides(enrollments.map(enrollment => enrollment.id));
+    
     // Get attendance records for all completed sessions
     const { data: attendanceRecords, error: attendanceError } = await supabase
       .from('attendance_records')
@@ -1281,6 +2386,7 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
         session_id,
         student_id,
         status,
+        credit_percent,
         students!inner(
           student_id
         )
@@ -1300,26 +2406,34 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
       );
       
       // Count as attended: present, late, or excused
-      const attendedSessions = studentAttendance.filter(record => 
-        ['present', 'late', 'excused'].includes(record.status)
+      const countedAttendance = studentAttendance.filter(record => countedSessionIds.has(record.session_id));
+      const attendedSessions = countedAttendance.filter(record => 
+        ATTENDED_STATUSES.includes(record.status)
       ).length;
+      const leftEarlySessions = countedAttendance.filter(record => record.status === 'left_early').length;
       
-      const totalSessions = sessions.length;
-      const attendancePercentage = totalSessions > 0 ? (attendedSessions / totalSessions) * 100 : 0;
+      // Left-early sessions add whatever partial credit the class's policy gave them
+      const earnedCredit = countedAttendance.reduce((sum, record) => sum + getAttendanceCredit(record), 0);
+      
+      const totalSessions = countedSessionIds.size;
+      const attendancePercentage = totalSessions > 0 ? (earnedCredit / totalSessions) * 100 : 0;
       
       // Get detailed attendance status for each session
       // For each session, either find the actual record or mark as absent
       const sessionDetails = sessions.map(session => {
         const attendanceRecord = studentAttendance.find(record => record.session_id === session.id);
         const status = attendanceRecord ? attendanceRecord.status : 'absent';
-        const attended = ['present', 'late', 'excused'].includes(status);
+        const attended = ATTENDED_STATUSES.includes(status);
         
         return {
           session_id: session.id,
           date: session.date,
           session_number: session.session_number,
+          session_type: session.session_type || 'lecture',
+          counts_toward_attendance: countedSessionIds.has(session.id),
           status: status,
           attended: attended,
+          credit: getAttendanceCredit(attendanceRecord),
           has_record: !!attendanceRecord // Track if there's an actual record in the database
         };
       });
@@ -1331,8 +2445,14 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
         last_name: student.users.last_name,
         email: student.users.email,
         attended_sessions: attendedSessions,
+        left_early_sessions: leftEarlySessions,
         total_sessions: totalSessions,
         attendance_percentage: Math.round(attendancePercentage * 100) / 100,
+        attendance_grade: buildAttendanceGrade(
+          scoreAttendance(scoredSessions, studentAttendance, gradeRules),
+          gradeOverrides.get(enrollment.id) || null,
+          gradeRules
+        ),
         session_details: sessionDetails
       };
     });
@@ -1344,33 +2464,42 @@ router.get('/api/classes/:classId/analytics', async (req, res) => {
       );
       
       const attendedCount = sessionAttendance.filter(record => 
-        ['present', 'late', 'excused'].includes(record.status)
+        ATTENDED_STATUSES.includes(record.status)
       ).length;
+      const leftEarlyCount = sessionAttendance.filter(record => record.status === 'left_early').length;
+      const earnedCredit = sessionAttendance.reduce((sum, record) => sum + getAttendanceCredit(record), 0);
       
       // Use the actual enrolled students count instead of session.total_enrolled
       const totalEnrolled = enrolledStudents.length;
-      const attendanceRate = totalEnrolled > 0 ? (attendedCount / totalEnrolled) * 100 : 0;
+      const attendanceRate = totalEnrolled > 0 ? (earnedCredit / totalEnrolled) * 100 : 0;
       
       return {
         session_id: session.id,
         date: session.date,
         session_number: session.session_number,
+        session_type: session.session_type || 'lecture',
+        counts_toward_attendance: countedSessionIds.has(session.id),
         attended_count: attendedCount,
+        left_early_count: leftEarlyCount,
         total_enrolled: totalEnrolled,
         attendance_rate: Math.round(attendanceRate * 100) / 100
       };
     });
     
     // Calculate overall statistics
-    const totalSessions = sessions.length;
+    const totalSessions = countedSessionIds.size;
     const totalStudents = enrolledStudents.length;
-    const averageAttendanceRate = attendanceTrends.length > 0 
-      ? attendanceTrends.reduce((sum, trend) => sum + trend.attendance_rate, 0) / attendanceTrends.length
+    const countedTrends = attendanceTrends.filter(trend => trend.counts_toward_attendance);
+    const averageAttendanceRate = countedTrends.length > 0 
+      ? countedTrends.reduce((sum, trend) => sum + trend.attendance_rate, 0) / countedTrends.length
       : 0;
     
     const analyticsData = {
       class_id: classId,
       total_sessions: totalSessions,
+      uncounted_sessions: sessions.length - totalSessions,
+      counted_session_types: countedTypes,
+      attendance_grade_rules: gradeRules,
       total_students: totalStudents,
       average_attendance_rate: Math.round(averageAttendanceRate * 100) / 100,
       student_analytics: studentAnalytics.sort((a, b) => b.attendance_percentage - a.attendance_percentage),
@@ -1403,5 +2532,6 @@ module.exports = {
   generateSessionTemplates,
   generateQRCode,
   startQRCodeRotation,
-  stopQRCodeRotation
+  stopQRCodeRotation,
+  restoreSessionJobs
 };
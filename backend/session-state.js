@@ -0,0 +1,193 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// SESSION STATE MACHINE
+// =====================================================
+// Every change to class_sessions.status goes through transitionSession.
+// It rejects moves the table below doesn't allow and stamps who made the
+// change and why; a trigger copies that into session_status_history.
+
+const SESSION_STATES = ['scheduled', 'active', 'paused', 'completed', 'cancelled'];
+
+const SESSION_TRANSITIONS = {
+  scheduled: ['active', 'cancelled'],
+  active: ['paused', 'completed', 'cancelled'],
+  paused: ['active', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: ['scheduled'] // reinstate a session cancelled by mistake
+};
+
+/**
+ * Is a move between two statuses allowed?
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (fromStatus, toStatus) =>
+  (SESSION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+/**
+ * Explain why a move isn't allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {string}
+ */
+const describeIllegalTransition = (fromStatus, toStatus) => {
+  if (fromStatus === toStatus) {
+    return `Session is already ${fromStatus}`;
+  }
+
+  const article = /^[aeiou]/.test(fromStatus) ? 'an' : 'a';
+  const allowed = SESSION_TRANSITIONS[fromStatus] || [];
+  return allowed.length > 0
+    ? `Cannot change ${article} ${fromStatus} session to ${toStatus} (allowed: ${allowed.join(', ')})`
+    : `Cannot change ${article} ${fromStatus} session to ${toStatus}; ${fromStatus} is final`;
+};
+
+/**
+ * HTTP status for a failed transition result
+ * @param {Object} result - From transitionSession
+ * @returns {number}
+ */
+const getTransitionErrorStatus = (result) => {
+  switch (result.code) {
+    case 'SESSION_NOT_FOUND':
+      return 404;
+    case 'INVALID_STATUS':
+      return 400;
+    default:
+      return 409;
+  }
+};
+
+/**
+ * Move a session to a new status
+ * @param {string} sessionId - The session ID
+ * @param {string} toStatus - Target status
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - User making the change (null for the scheduler)
+ * @param {string} [options.reason] - Why, for the history
+ * @param {Array<string>} [options.from] - Only move from these statuses (narrower than the table)
+ * @param {Object} [options.fields] - Other columns to update in the same write
+ * @returns {Promise<Object>} { success, session, fromStatus } or { success: false, code, error }
+ */
+const transitionSession = async (sessionId, toStatus, { actorId = null, reason = null, from, fields = {} } = {}) => {
+  if (!SESSION_STATES.includes(toStatus)) {
+    return {
+      success: false,
+      code: 'INVALID_STATUS',
+      error: `status must be one of ${SESSION_STATES.join(', ')}`
+    };
+  }
+
+  const { data: current, error: fetchError } = await supabase
+    .from('class_sessions')
+    .select('id, status')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  if (!current) {
+    return {
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      error: 'Session not found'
+    };
+  }
+
+  const fromStatus = current.status;
+
+  if (!canTransition(fromStatus, toStatus)) {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      error: describeIllegalTransition(fromStatus, toStatus),
+      fromStatus
+    };
+  }
+
+  if (from && !from.includes(fromStatus)) {
+    return {
+      success: false,
+      code: 'INVALID_TRANSITION',
+      error: `Only ${from.join(' or ')} sessions can be changed to ${toStatus} here (this one is ${fromStatus})`,
+      fromStatus
+    };
+  }
+
+  const now = new Date().toISOString();
+
+  // Conditional on the status we checked, so two racing transitions can't both win
+  const { data: session, error: updateError } = await supabase
+    .from('class_sessions')
+    .update({
+      ...fields,
+      status: toStatus,
+      is_active: toStatus === 'active',
+      status_changed_by: actorId,
+      status_change_reason: reason,
+      status_changed_at: now,
+      updated_at: now
+    })
+    .eq('id', sessionId)
+    .eq('status', fromStatus)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+
+  if (!session) {
+    return {
+      success: false,
+      code: 'STALE_STATUS',
+      error: 'The session changed status while this request was running; reload and try again',
+      fromStatus
+    };
+  }
+
+  console.log(`🔀 Session ${sessionId}: ${fromStatus} → ${toStatus}${reason ? ` (${reason})` : ''}`);
+
+  return { success: true, session, fromStatus };
+};
+
+/**
+ * A session's status history, oldest first
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Array>}
+ */
+const getSessionStatusHistory = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('session_status_history')
+    .select(`
+      id,
+      from_status,
+      to_status,
+      reason,
+      changed_at,
+      changed_by,
+      users(first_name, last_name, role)
+    `)
+    .eq('session_id', sessionId)
+    .order('changed_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+module.exports = {
+  SESSION_STATES,
+  SESSION_TRANSITIONS,
+  canTransition,
+  describeIllegalTransition,
+  getTransitionErrorStatus,
+  transitionSession,
+  getSessionStatusHistory
+};
@@ -0,0 +1,80 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config({ path: '.env.local' });
+
+// Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// =====================================================
+// SESSION TYPES
+// =====================================================
+// Generated sessions are lectures; professors add labs, exams, reviews and
+// make-ups by hand. Each class picks which types count toward attendance
+// percentages (class_instances.counted_session_types).
+
+const SESSION_TYPES = ['lecture', 'lab', 'exam', 'review', 'makeup'];
+
+// Optional reviews don't count unless the class says so
+const DEFAULT_COUNTED_SESSION_TYPES = ['lecture', 'lab', 'exam', 'makeup'];
+
+/**
+ * Session types a class counts toward attendance
+ * @param {Object} classInstance - class_instances row (or { counted_session_types })
+ * @returns {Array<string>}
+ */
+const getCountedSessionTypes = (classInstance) =>
+  (classInstance && Array.isArray(classInstance.counted_session_types))
+    ? classInstance.counted_session_types
+    : DEFAULT_COUNTED_SESSION_TYPES;
+
+/**
+ * Does a session count toward attendance for its class?
+ * Sessions from before session types existed count as lectures.
+ * @param {Object} session - class_sessions row with session_type
+ * @param {Array<string>} countedTypes - From getCountedSessionTypes
+ * @returns {boolean}
+ */
+const sessionCounts = (session, countedTypes) =>
+  countedTypes.includes(session.session_type || 'lecture');
+
+/**
+ * Load the counted types for several classes at once
+ * @param {Array<string>} classInstanceIds - Class instance IDs
+ * @returns {Promise<Object>} Map of class instance ID to counted types
+ */
+const getCountedSessionTypesByClass = async (classInstanceIds) => {
+  const ids = [...new Set(classInstanceIds)];
+  if (ids.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('class_instances')
+    .select('id, counted_session_types')
+    .in('id', ids);
+
+  if (error) throw error;
+
+  return Object.fromEntries(data.map(row => [row.id, getCountedSessionTypes(row)]));
+};
+
+/**
+ * Check a counted_session_types update
+ * @param {*} types - Request value
+ * @returns {Object} { valid, values, error }
+ */
+const validateCountedSessionTypes = (types) => {
+  if (!Array.isArray(types) || types.some(type => !SESSION_TYPES.includes(type))) {
+    return { valid: false, error: `counted_session_types must be a list of ${SESSION_TYPES.join(', ')}` };
+  }
+  return { valid: true, values: [...new Set(types)] };
+};
+
+module.exports = {
+  SESSION_TYPES,
+  DEFAULT_COUNTED_SESSION_TYPES,
+  getCountedSessionTypes,
+  getCountedSessionTypesByClass,
+  sessionCounts,
+  validateCountedSessionTypes
+};
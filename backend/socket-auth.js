@@ -0,0 +1,166 @@
+const { verifyAccessToken, loadUser, isTokenRevoked } = require('./auth-middleware.js');
+const { getResourceRelations } = require('./authorization.js');
+
+// =====================================================
+// SOCKET.IO AUTHENTICATION AND ROOMS
+// =====================================================
+// Clients connect with their access token (io(url, { auth: { token } })),
+// and every room join is checked against the signed-in user:
+//   session-<id>         live view of a session (QR codes, scans): the
+//                        class's professor and TAs
+//   session-status-<id>  status changes of a session: the class's
+//                        professor, TAs and enrolled students
+//   professor-<id>       a professor's dashboard: that professor
+//   user-<id>            a user's notifications: that user
+// A refused join gets a 'join-error' event instead.
+
+/**
+ * Who may join each room, by the event the client sends
+ */
+const ROOM_JOINS = {
+  'join-session': {
+    room: (id) => `session-${id}`,
+    session: ['owner', 'ta']
+  },
+  'join-session-status': {
+    room: (id) => `session-status-${id}`,
+    session: ['owner', 'ta', 'student']
+  },
+  'join-professor-dashboard': {
+    room: (id) => `professor-${id}`,
+    self: true
+  },
+  'join-user': {
+    room: (id) => `user-${id}`,
+    self: true
+  }
+};
+
+/**
+ * Error passed to a client's connect_error handler
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+const connectionError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Access token sent with the handshake
+ * @param {Object} socket - Socket.io socket
+ * @returns {string|null}
+ */
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (typeof auth.token === 'string' && auth.token) return auth.token;
+
+  const match = (headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Socket.io middleware: refuse connections without a valid access token
+ * and keep the signed-in user as socket.data.user
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+
+    if (!token) {
+      return next(connectionError('Sign in required', 'AUTH_REQUIRED'));
+    }
+
+    const verification = await verifyAccessToken(token);
+
+    if (!verification.valid) {
+      console.log('🔒 Socket connection refused:', verification.code);
+      return next(connectionError(verification.error, verification.code));
+    }
+
+    const user = await loadUser(verification.userId);
+
+    if (!user || user.is_active === false) {
+      console.log('🔒 Socket token for an unknown or inactive account:', verification.userId);
+      return next(connectionError('This account is not active', 'ACCOUNT_INACTIVE'));
+    }
+
+    if (isTokenRevoked(user, verification)) {
+      return next(connectionError('This session has been signed out. Please sign in again.', 'TOKEN_REVOKED'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Error authenticating socket:', error);
+    next(connectionError('Failed to authenticate connection', 'AUTH_FAILED'));
+  }
+};
+
+/**
+ * Can this user join the room a join event asks for?
+ * @param {Object} user - The socket's signed-in user
+ * @param {string} event - A ROOM_JOINS event
+ * @param {string} id - ID sent with the event
+ * @returns {Promise<Object>} { allowed, room } or { allowed: false, code, error }
+ */
+const checkRoomJoin = async (user, event, id) => {
+  const rule = ROOM_JOINS[event];
+
+  if (typeof id !== 'string' || !id) {
+    return { allowed: false, code: 'INVALID_ROOM', error: 'A room ID is required' };
+  }
+
+  if (rule.self) {
+    return id === user.id
+      ? { allowed: true, room: rule.room(id) }
+      : { allowed: false, code: 'FORBIDDEN', error: 'You can only join your own room' };
+  }
+
+  const relations = await getResourceRelations(user, 'session', id);
+
+  if (!relations) {
+    return { allowed: false, code: 'NOT_FOUND', error: 'Session not found' };
+  }
+
+  if (!rule.session.some(relation => relations.has(relation))) {
+    return { allowed: false, code: 'FORBIDDEN', error: 'You do not have access to this session' };
+  }
+
+  return { allowed: true, room: rule.room(id) };
+};
+
+/**
+ * Join the room a join event asks for, or tell the client why not
+ * @param {Object} socket - Socket.io socket
+ * @param {string} event - A ROOM_JOINS event
+ * @param {string} id - ID sent with the event
+ * @returns {Promise<void>}
+ */
+const joinAuthorizedRoom = async (socket, event, id) => {
+  const user = socket.data.user;
+
+  try {
+    const join = await checkRoomJoin(user, event, id);
+
+    if (!join.allowed) {
+      console.log('🚫 Socket join refused:', { socketId: socket.id, userId: user.id, role: user.role, event, id, code: join.code });
+      socket.emit('join-error', { event, id, code: join.code, error: join.error });
+      return;
+    }
+
+    socket.join(join.room);
+    console.log(`Client ${socket.id} joined ${join.room}`);
+  } catch (error) {
+    console.error('❌ Error checking socket room join:', error);
+    socket.emit('join-error', { event, id, code: 'JOIN_FAILED', error: 'Failed to join room' });
+  }
+};
+
+module.exports = {
+  ROOM_JOINS,
+  authenticateSocket,
+  joinAuthorizedRoom
+};
@@ -1,5 +1,16 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { getInstitutionToday, getSessionEnd } = require('./institution-time.js');
+const { getCountedSessionTypes, sessionCounts } = require('./session-types.js');
+const { getAttendanceCredit } = require('./attendance-policy.js');
+const {
+  resolveGradeRules,
+  scoreAttendance,
+  buildAttendanceGrade,
+  getScoredSessions,
+  fetchGradeOverrides
+} = require('./attendance-grading.js');
+const { authorize } = require('./authorization.js');
 const router = express.Router();
 
 // Create Supabase client
@@ -12,7 +23,7 @@ const supabase = createClient(
  * Get detailed class information for a student
  * GET /api/students/:studentId/classes/:classInstanceId
  */
-router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
+router.get('/api/students/:studentId/classes/:classId', authorize({ student: 'studentId', as: ['self', 'admin'] }, { class: 'classId', as: ['staff'] }), async (req, res) => {
   try {
     const { studentId, classId } = req.params;
     
@@ -27,6 +38,7 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
         room_location,
         max_students,
         current_enrollment,
+        counted_session_types,
         courses!inner(
           id,
           code,
@@ -61,7 +73,7 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
     // Get the class_instance_id from the enrollment
     const { data: enrollment, error: enrollmentError } = await supabase
       .from('enrollments')
-      .select('class_instance_id')
+      .select('id, class_instance_id')
       .eq('student_id', studentId)
       .eq('class_instance_id', classId)
       .single();
@@ -86,6 +98,8 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
         room_location,
         status,
         notes,
+        session_type,
+        title,
         is_active,
         attendance_count,
         total_enrolled
@@ -151,6 +165,8 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
         scanned_at,
         minutes_late,
         status_change_reason,
+        checked_out_at,
+        credit_percent,
         session_id,
         class_sessions!inner(
           id,
@@ -179,11 +195,14 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
       attendanceMap.set(record.class_sessions.id, record);
     });
     
-    // Combine sessions with attendance data
+    // Combine sessions with attendance data (dates and times are institution-local)
+    const now = new Date();
+    const today = getInstitutionToday();
+    const countedTypes = getCountedSessionTypes(classData);
     const sessionsWithAttendance = sessions.map(session => {
       const attendance = attendanceMap.get(session.id);
-      const isPast = new Date(session.date) < new Date();
-      const isToday = new Date(session.date).toDateString() === new Date().toDateString();
+      const isPast = getSessionEnd(session) < now;
+      const isToday = session.date === today;
       
       return {
         id: session.id,
@@ -194,6 +213,9 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
         room_location: session.room_location || classData.room_location,
         status: session.status,
         notes: session.notes,
+        session_type: session.session_type || 'lecture',
+        title: session.title,
+        counts_toward_attendance: sessionCounts(session, countedTypes),
         is_active: session.is_active,
         attendance_count: session.attendance_count,
         total_enrolled: session.total_enrolled,
@@ -203,6 +225,8 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
           status: attendance.status,
           scanned_at: attendance.scanned_at,
           minutes_late: attendance.minutes_late,
+          checked_out_at: attendance.checked_out_at,
+          credit: getAttendanceCredit(attendance),
           status_change_reason: attendance.status_change_reason
         } : null
       };
@@ -214,14 +238,32 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
     
     // Calculate attendance statistics based on sessions where professor took attendance
     // A session should be counted if it has attendance records OR is completed with attendance_count > 0
+    // Only session types the class counts toward attendance
     const sessionsWhereProfessorTookAttendance = pastSessions.filter(s => 
-      s.attendance !== null || (s.status === 'completed' && s.attendance_count > 0)
+      s.counts_toward_attendance &&
+      (s.attendance !== null || (s.status === 'completed' && s.attendance_count > 0))
     );
     const totalSessionsWithAttendance = sessionsWhereProfessorTookAttendance.length;
     const attendedSessions = sessionsWhereProfessorTookAttendance.filter(s => 
       s.attendance && (s.attendance.status === 'present' || s.attendance.status === 'late' || s.attendance.status === 'excused')
     ).length;
-    const attendanceRate = totalSessionsWithAttendance > 0 ? Math.round((attendedSessions / totalSessionsWithAttendance) * 100) : 0;
+    const leftEarlySessions = sessionsWhereProfessorTookAttendance.filter(s => 
+      s.attendance && s.attendance.status === 'left_early'
+    ).length;
+    // Left-early sessions count for the partial credit the class's policy gave them
+    const earnedCredit = sessionsWhereProfessorTookAttendance.reduce((sum, s) => 
+      sum + (s.attendance ? s.attendance.credit : 0), 0
+    );
+    const attendanceRate = totalSessionsWithAttendance > 0 ? Math.round((earnedCredit / totalSessionsWithAttendance) * 100) : 0;
+    
+    // Attendance grade component under the class's grade rules (or the professor's override)
+    const gradeRules = await resolveGradeRules(classId);
+    const gradeOverrides = await fetchGradeOverrides([enrollment.id]);
+    const attendanceGrade = buildAttendanceGrade(
+      scoreAttendance(getScoredSessions(classData, sessions), attendanceRecords, gradeRules),
+      gradeOverrides.get(enrollment.id) || null,
+      gradeRules
+    );
     
     // Get enrollment info (we already have the enrollment from above)
     const { data: enrollmentInfo, error: enrollmentInfoError } = await supabase
@@ -252,8 +294,10 @@ router.get('/api/students/:studentId/classes/:classId', async (req, res) => {
       attendance_stats: {
         total_sessions: totalSessionsWithAttendance,
         attended_sessions: attendedSessions,
+        left_early_sessions: leftEarlySessions,
         attendance_rate: attendanceRate
       },
+      attendance_grade: attendanceGrade,
       past_sessions: pastSessions,
       upcoming_sessions: upcomingSessions
     };
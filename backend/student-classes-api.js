@@ -1,5 +1,9 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { getInstitutionToday, getDayName } = require('./institution-time.js');
+const { getCountedSessionTypes, sessionCounts } = require('./session-types.js');
+const { getAttendanceCredit } = require('./attendance-policy.js');
+const { authorize } = require('./authorization.js');
 const router = express.Router();
 
 // Create Supabase client
@@ -12,7 +16,7 @@ const supabase = createClient(
  * Get classes for a specific student
  * GET /api/students/:studentId/classes
  */
-router.get('/api/students/:studentId/classes', async (req, res) => {
+router.get('/api/students/:studentId/classes', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
   try {
     const { studentId } = req.params;
     
@@ -34,6 +38,7 @@ router.get('/api/students/:studentId/classes', async (req, res) => {
           course_id,
           professor_id,
           academic_period_id,
+          counted_session_types,
           courses!inner(
             code,
             name,
@@ -75,7 +80,7 @@ router.get('/api/students/:studentId/classes', async (req, res) => {
     }
 
     // Get today sessions to compute meets_today reliably
-    const todayIso = new Date().toISOString().split('T')[0];
+    const todayIso = getInstitutionToday();
     const meetsTodaySet = new Set();
     if (classInstanceIds.length > 0) {
       const { data: todaySessions } = await supabase
@@ -103,8 +108,10 @@ router.get('/api/students/:studentId/classes', async (req, res) => {
           .from('attendance_records')
           .select(`
             status,
+            credit_percent,
             class_sessions!inner(
-              class_instance_id
+              class_instance_id,
+              session_type
             )
           `)
           .eq('student_id', studentId)
@@ -114,23 +121,30 @@ router.get('/api/students/:studentId/classes', async (req, res) => {
         let attendedSessions = 0;
         let totalSessionsWithAttendance = 0;
         
-        // Get all completed sessions where professor took attendance
+        // Get all completed sessions where professor took attendance, of the types the class counts
+        const countedTypes = getCountedSessionTypes(classInstance);
         const { data: completedSessions, error: completedSessionsError } = await supabase
           .from('class_sessions')
           .select('id, status, attendance_count')
           .eq('class_instance_id', enrollment.class_instance_id)
           .eq('status', 'completed')
-          .gt('attendance_count', 0);
+          .gt('attendance_count', 0)
+          .in('session_type', countedTypes);
         
         if (!completedSessionsError && completedSessions) {
           // Count sessions where professor took attendance
           totalSessionsWithAttendance = completedSessions.length;
           // Count sessions where student was present, late, or excused
-          attendedSessions = attendanceRecords ? attendanceRecords.filter(record => 
+          const countedRecords = attendanceRecords ? attendanceRecords.filter(record => 
+            sessionCounts(record.class_sessions, countedTypes)
+          ) : [];
+          attendedSessions = countedRecords.filter(record => 
             record.status === 'present' || record.status === 'late' || record.status === 'excused'
-          ).length : 0;
+          ).length;
+          // Left-early sessions add the partial credit stored on the record
+          const earnedCredit = countedRecords.reduce((sum, record) => sum + getAttendanceCredit(record), 0);
           // Calculate attendance rate based on sessions where professor took attendance
-          attendanceRate = totalSessionsWithAttendance > 0 ? Math.round((attendedSessions / totalSessionsWithAttendance) * 100) : 0;
+          attendanceRate = totalSessionsWithAttendance > 0 ? Math.round((earnedCredit / totalSessionsWithAttendance) * 100) : 0;
         }
         
         // Get total sessions for this class instance (for display purposes)
@@ -145,8 +159,7 @@ router.get('/api/students/:studentId/classes', async (req, res) => {
         let meetsToday = meetsTodaySet.has(enrollment.class_instance_id);
         if (!meetsToday) {
           try {
-            const today = new Date();
-            const todayName = today.toLocaleDateString('en-US', { weekday: 'long' });
+            const todayName = getDayName(todayIso);
             const withinRange = classInstance?.first_class_date && classInstance?.last_class_date
               ? (todayIso >= classInstance.first_class_date && todayIso <= classInstance.last_class_date)
               : true;
@@ -264,7 +277,7 @@ router.get('/api/students/:studentId/classes', async (req, res) => {
  * Get class statistics for a student
  * GET /api/students/:studentId/classes/stats
  */
-router.get('/api/students/:studentId/classes/stats', async (req, res) => {
+router.get('/api/students/:studentId/classes/stats', authorize({ student: 'studentId', as: ['self', 'teacher', 'admin'] }), async (req, res) => {
   try {
     const { studentId } = req.params;
     
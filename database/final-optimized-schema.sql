@@ -150,8 +150,8 @@ CREATE TABLE IF NOT EXISTS attendance_records (
     
     -- Attendance details
     scanned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    status VARCHAR(20) DEFAULT 'present', -- 'present', 'late', 'absent', 'excused'
-    minutes_late INTEGER DEFAULT 0, -- Calculated from start_time + 3 minute grace
+    status VARCHAR(20) DEFAULT 'present', -- 'present', 'late', 'absent', 'excused', 'left_early'
+    minutes_late INTEGER DEFAULT 0, -- Calculated from start_time + the class's attendance policy grace period
     
     -- Security and audit
     device_fingerprint VARCHAR(255),
@@ -263,6 +263,7 @@ DECLARE
     day_of_week INTEGER;
     target_days INTEGER[];
     i INTEGER;
+    calendar_rec RECORD;
 BEGIN
     -- Get class instance details
     SELECT * INTO class_rec
@@ -289,6 +290,29 @@ BEGIN
     WHILE current_date_val <= class_rec.last_class_date LOOP
         day_of_week := EXTRACT(DOW FROM current_date_val);
         
+        -- Apply the academic calendar (STEP 21): no-class days are skipped and
+        -- substitution days run the schedule of the weekday they follow
+        SELECT day_type, follows_day INTO calendar_rec
+        FROM academic_calendar_days
+        WHERE academic_period_id = class_rec.academic_period_id
+          AND current_date_val BETWEEN start_date AND end_date
+        ORDER BY (day_type = 'substitution')
+        LIMIT 1;
+        
+        IF FOUND AND calendar_rec.day_type <> 'substitution' THEN
+            day_of_week := -1;
+        ELSIF FOUND THEN
+            day_of_week := CASE calendar_rec.follows_day
+                WHEN 'Sunday' THEN 0
+                WHEN 'Monday' THEN 1
+                WHEN 'Tuesday' THEN 2
+                WHEN 'Wednesday' THEN 3
+                WHEN 'Thursday' THEN 4
+                WHEN 'Friday' THEN 5
+                WHEN 'Saturday' THEN 6
+            END;
+        END IF;
+        
         -- Check if current day is in target days (skip weekends by default)
         IF day_of_week = ANY(target_days) AND day_of_week NOT IN (0, 6) THEN
             -- Insert session
@@ -351,30 +375,39 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Function to update session attendance count
+-- Function to update session attendance count. Counts students who
+-- attended (present, late or excused) and adjusts by the change in one row
+-- rather than recounting, so concurrent scans don't overwrite each other.
 CREATE OR REPLACE FUNCTION update_session_attendance_count()
 RETURNS TRIGGER AS $$
+DECLARE
+    old_counted INTEGER := 0;
+    new_counted INTEGER := 0;
 BEGIN
-    IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN
-        UPDATE class_sessions 
-        SET attendance_count = (
-            SELECT COUNT(*) 
-            FROM attendance_records 
-            WHERE session_id = NEW.session_id
-        )
-        WHERE id = NEW.session_id;
-        RETURN NEW;
-    ELSIF TG_OP = 'DELETE' THEN
-        UPDATE class_sessions 
-        SET attendance_count = (
-            SELECT COUNT(*) 
-            FROM attendance_records 
-            WHERE session_id = OLD.session_id
-        )
+    IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.status IN ('present', 'late', 'excused') THEN
+        old_counted := 1;
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.status IN ('present', 'late', 'excused') THEN
+        new_counted := 1;
+    END IF;
+    
+    IF TG_OP = 'UPDATE' AND OLD.session_id <> NEW.session_id THEN
+        UPDATE class_sessions
+        SET attendance_count = GREATEST(COALESCE(attendance_count, 0) - old_counted, 0)
         WHERE id = OLD.session_id;
+        old_counted := 0;
+    END IF;
+    
+    IF new_counted <> old_counted THEN
+        UPDATE class_sessions
+        SET attendance_count = GREATEST(COALESCE(attendance_count, 0) + new_counted - old_counted, 0)
+        WHERE id = COALESCE(NEW.session_id, OLD.session_id);
+    END IF;
+    
+    IF TG_OP = 'DELETE' THEN
         RETURN OLD;
     END IF;
-    RETURN NULL;
+    RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -431,59 +464,9 @@ CREATE TRIGGER trigger_update_session_attendance_count
 -- STEP 10: ANALYTICS VIEWS
 -- =====================================================
 
--- Class attendance summary view
-CREATE MATERIALIZED VIEW IF NOT EXISTS class_attendance_summary AS
-SELECT 
-    ci.id as class_instance_id,
-    ci.class_code,
-    c.code as course_code,
-    c.name as course_name,
-    ci.section_number,
-    ap.name as period_name,
-    ci.professor_id,
-    p.employee_id,
-    u.first_name || ' ' || u.last_name as professor_name,
-    
-    -- Session counts
-    COUNT(cs.id) as total_sessions,
-    COUNT(CASE WHEN cs.status = 'completed' THEN 1 END) as completed_sessions,
-    COUNT(CASE WHEN cs.status = 'cancelled' THEN 1 END) as cancelled_sessions,
-    COUNT(CASE WHEN cs.is_active = true THEN 1 END) as active_sessions,
-    
-    -- Enrollment counts
-    COUNT(DISTINCT e.student_id) as total_enrolled,
-    COUNT(DISTINCT CASE WHEN e.status = 'active' THEN e.student_id END) as active_enrolled,
-    
-    -- Attendance statistics (only for non-cancelled sessions)
-    COUNT(CASE WHEN cs.status != 'cancelled' THEN ar.id END) as total_attendance_records,
-    COUNT(CASE WHEN cs.status != 'cancelled' AND ar.status = 'present' THEN 1 END) as present_count,
-    COUNT(CASE WHEN cs.status != 'cancelled' AND ar.status = 'late' THEN 1 END) as late_count,
-    COUNT(CASE WHEN cs.status != 'cancelled' AND ar.status = 'absent' THEN 1 END) as absent_count,
-    COUNT(CASE WHEN cs.status != 'cancelled' AND ar.status = 'excused' THEN 1 END) as excused_count,
-    
-    -- Calculated percentages
-    CASE 
-        WHEN COUNT(CASE WHEN cs.status != 'cancelled' THEN ar.id END) > 0 THEN 
-            ROUND((COUNT(CASE WHEN cs.status != 'cancelled' AND ar.status = 'present' THEN 1 END)::DECIMAL / 
-                   COUNT(CASE WHEN cs.status != 'cancelled' THEN ar.id END)) * 100, 2)
-        ELSE 0 
-    END as attendance_rate
-
-FROM class_instances ci
-LEFT JOIN courses c ON ci.course_id = c.id
-LEFT JOIN academic_periods ap ON ci.academic_period_id = ap.id
-LEFT JOIN professors p ON ci.professor_id = p.user_id
-LEFT JOIN users u ON p.user_id = u.id
-LEFT JOIN enrollments e ON ci.id = e.class_instance_id
-LEFT JOIN class_sessions cs ON ci.id = cs.class_instance_id
-LEFT JOIN attendance_records ar ON cs.id = ar.session_id
-WHERE ci.is_active = true
-GROUP BY ci.id, ci.class_code, c.code, c.name, ci.section_number, ap.name, 
-         ci.professor_id, p.employee_id, u.first_name, u.last_name;
-
--- Create index on materialized view
-CREATE UNIQUE INDEX IF NOT EXISTS idx_class_attendance_summary_class_instance 
-ON class_attendance_summary(class_instance_id);
+-- Class attendance summary view: defined in STEP 24, once class_sessions
+-- has session_type, classes choose which types count toward attendance and
+-- attendance_records has credit_percent
 
 -- =====================================================
 -- STEP 11: ROW LEVEL SECURITY
@@ -549,3 +532,1340 @@ INSERT INTO courses (code, name, description, credits) VALUES
 ('MAT-201', 'Calculus II', 'Advanced calculus concepts', 4),
 ('ENG-101', 'Composition I', 'Basic writing and communication skills', 3)
 ON CONFLICT (code) DO NOTHING;
+
+-- =====================================================
+-- STEP 14: QR NONCE LEDGER
+-- =====================================================
+
+-- Every QR payload handed to a display is recorded here so a scan can be
+-- tied back to the rotation it was issued for
+CREATE TABLE IF NOT EXISTS qr_nonces (
+    nonce VARCHAR(64) PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES class_sessions(id) ON DELETE CASCADE,
+    rotation_secret VARCHAR(255) NOT NULL, -- class_sessions.qr_secret at issue time
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    max_uses INTEGER, -- NULL = unlimited within the rotation
+    use_count INTEGER DEFAULT 0,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_qr_nonces_session ON qr_nonces(session_id);
+CREATE INDEX IF NOT EXISTS idx_qr_nonces_expires_at ON qr_nonces(expires_at);
+
+ALTER TABLE qr_nonces ENABLE ROW LEVEL SECURITY;
+
+-- Check a scanned nonce against its session's current rotation. Returns
+-- 'ok' or a rejection code. The use is only counted once the scan is
+-- recorded (record_attendance_scan), so a scan rejected for another reason
+-- doesn't use up the code.
+DROP FUNCTION IF EXISTS consume_qr_nonce(VARCHAR, UUID);
+CREATE OR REPLACE FUNCTION check_qr_nonce(p_nonce VARCHAR(64), p_session_id UUID)
+RETURNS VARCHAR(32) AS $$
+DECLARE
+    nonce_rec RECORD;
+    session_rec RECORD;
+BEGIN
+    SELECT * INTO nonce_rec
+    FROM qr_nonces
+    WHERE nonce = p_nonce;
+    
+    IF NOT FOUND THEN
+        RETURN 'QR_UNKNOWN_NONCE';
+    END IF;
+    
+    IF nonce_rec.session_id <> p_session_id THEN
+        RETURN 'QR_SESSION_MISMATCH';
+    END IF;
+    
+    IF nonce_rec.revoked_at IS NOT NULL THEN
+        RETURN 'QR_REVOKED';
+    END IF;
+    
+    IF nonce_rec.expires_at < NOW() THEN
+        RETURN 'QR_EXPIRED';
+    END IF;
+    
+    SELECT status, qr_secret INTO session_rec
+    FROM class_sessions
+    WHERE id = p_session_id;
+    
+    IF NOT FOUND OR session_rec.status <> 'active' THEN
+        RETURN 'SESSION_CLOSED';
+    END IF;
+    
+    IF session_rec.qr_secret IS DISTINCT FROM nonce_rec.rotation_secret THEN
+        RETURN 'QR_ROTATED';
+    END IF;
+    
+    IF nonce_rec.max_uses IS NOT NULL AND nonce_rec.use_count >= nonce_rec.max_uses THEN
+        RETURN 'QR_USE_LIMIT';
+    END IF;
+    
+    RETURN 'ok';
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- STEP 15: ROOMS AND GEOFENCING
+-- =====================================================
+
+-- One row per room_location used on class_instances / class_sessions.
+-- A room is either a circle (latitude, longitude, radius_meters) or a
+-- polygon of [latitude, longitude] pairs.
+CREATE TABLE IF NOT EXISTS rooms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_location VARCHAR(100) NOT NULL UNIQUE, -- Matches class_sessions.room_location
+    building VARCHAR(100),
+    latitude DECIMAL(9, 6),
+    longitude DECIMAL(9, 6),
+    radius_meters INTEGER DEFAULT 50,
+    polygon JSONB, -- [[lat, lng], [lat, lng], ...]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT rooms_has_boundary CHECK (
+        polygon IS NOT NULL OR (latitude IS NOT NULL AND longitude IS NOT NULL)
+    )
+);
+
+-- What happens to a scan from outside the room: 'reject', 'flag' or 'allow'
+ALTER TABLE class_instances
+    ADD COLUMN IF NOT EXISTS geofence_mode VARCHAR(20) DEFAULT 'allow'
+    CHECK (geofence_mode IN ('reject', 'flag', 'allow'));
+
+-- Position reported by the scanning device
+ALTER TABLE attendance_records
+    ADD COLUMN IF NOT EXISTS location_latitude DECIMAL(9, 6),
+    ADD COLUMN IF NOT EXISTS location_longitude DECIMAL(9, 6),
+    ADD COLUMN IF NOT EXISTS location_accuracy DECIMAL(8, 2), -- meters
+    ADD COLUMN IF NOT EXISTS distance_from_room DECIMAL(10, 2), -- meters, NULL for polygons
+    ADD COLUMN IF NOT EXISTS geofence_result VARCHAR(20), -- 'inside', 'outside', 'unknown'
+    ADD COLUMN IF NOT EXISTS geofence_flagged BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_rooms_room_location ON rooms(room_location);
+CREATE INDEX IF NOT EXISTS idx_attendance_records_geofence_flagged ON attendance_records(geofence_flagged) WHERE geofence_flagged = true;
+
+ALTER TABLE rooms ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- STEP 16: DEVICE REGISTRY AND SCAN FLAGS
+-- =====================================================
+
+-- Devices a student has registered (stable client-generated identifier)
+CREATE TABLE IF NOT EXISTS student_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id UUID NOT NULL REFERENCES students(user_id) ON DELETE CASCADE,
+    device_id VARCHAR(128) NOT NULL, -- SHA-256 of the identifier sent by the client
+    label VARCHAR(100), -- 'iPhone 15', 'Pixel 8'
+    user_agent TEXT,
+    is_trusted BOOLEAN DEFAULT true,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    
+    UNIQUE(student_id, device_id)
+);
+
+-- Suspicious scans waiting for the professor to review
+CREATE TABLE IF NOT EXISTS attendance_flags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES class_sessions(id) ON DELETE CASCADE,
+    attendance_record_id UUID NOT NULL REFERENCES attendance_records(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(user_id) ON DELETE CASCADE,
+    flag_type VARCHAR(30) NOT NULL CHECK (flag_type IN (
+        'shared_device', 'shared_ip', 'untrusted_device', 'out_of_range'
+    )),
+    details JSONB DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'dismissed', 'confirmed')),
+    reviewed_by UUID REFERENCES professors(user_id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(attendance_record_id, flag_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_devices_student ON student_devices(student_id);
+CREATE INDEX IF NOT EXISTS idx_student_devices_device ON student_devices(device_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_flags_session ON attendance_flags(session_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_flags_status ON attendance_flags(status) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_attendance_records_device ON attendance_records(session_id, device_fingerprint);
+CREATE INDEX IF NOT EXISTS idx_attendance_records_ip ON attendance_records(session_id, ip_address);
+
+ALTER TABLE student_devices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attendance_flags ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- STEP 17: TIME-STEP (TOTP-STYLE) QR MODE
+-- =====================================================
+
+-- 'rotating': server rotates and pushes codes; 'totp': the display derives
+-- each code from a per-session seed and the current time step
+ALTER TABLE class_instances
+    ADD COLUMN IF NOT EXISTS qr_mode VARCHAR(20) DEFAULT 'rotating'
+    CHECK (qr_mode IN ('rotating', 'totp'));
+
+ALTER TABLE class_sessions
+    ADD COLUMN IF NOT EXISTS qr_mode VARCHAR(20) DEFAULT 'rotating'
+    CHECK (qr_mode IN ('rotating', 'totp')),
+    ADD COLUMN IF NOT EXISTS qr_seed VARCHAR(64); -- Per-session seed, regenerated on activate/resume
+
+-- =====================================================
+-- STEP 18: ATTENDANCE POLICIES
+-- =====================================================
+
+-- Rules are resolved institution -> department -> class; a NULL column
+-- inherits from the level above (and finally from the built-in defaults)
+CREATE TABLE IF NOT EXISTS attendance_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('institution', 'department', 'class')),
+    department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
+    class_instance_id UUID REFERENCES class_instances(id) ON DELETE CASCADE,
+    
+    grace_minutes INTEGER CHECK (grace_minutes >= 0), -- minutes_late is counted from start + grace
+    late_after_minutes INTEGER CHECK (late_after_minutes >= 0), -- scans after this minute are 'late'
+    absent_after_minutes INTEGER CHECK (absent_after_minutes >= 0), -- scans after this minute are 'absent'
+    qr_lifetime_seconds INTEGER CHECK (qr_lifetime_seconds BETWEEN 10 AND 300),
+    auto_close_minutes INTEGER CHECK (auto_close_minutes BETWEEN 5 AND 600),
+    
+    updated_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT attendance_policies_scope_target CHECK (
+        (scope = 'institution' AND department_id IS NULL AND class_instance_id IS NULL) OR
+        (scope = 'department' AND department_id IS NOT NULL AND class_instance_id IS NULL) OR
+        (scope = 'class' AND class_instance_id IS NOT NULL AND department_id IS NULL)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_policies_institution ON attendance_policies(scope) WHERE scope = 'institution';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_policies_department ON attendance_policies(department_id) WHERE scope = 'department';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_policies_class ON attendance_policies(class_instance_id) WHERE scope = 'class';
+
+ALTER TABLE attendance_policies ENABLE ROW LEVEL SECURITY;
+
+-- QR lifetime in force when the session was activated
+ALTER TABLE class_sessions
+    ADD COLUMN IF NOT EXISTS qr_lifetime_seconds INTEGER DEFAULT 30;
+
+-- =====================================================
+-- STEP 19: SCHEDULED JOBS
+-- =====================================================
+
+-- Durable replacement for in-process timers. Every backend instance polls
+-- this table; a claimed job is leased to one worker until locked_until so
+-- a crashed worker's jobs are picked up again by another.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_type VARCHAR(50) NOT NULL, -- 'complete_session', 'rotate_qr'
+    session_id UUID REFERENCES class_sessions(id) ON DELETE CASCADE,
+    payload JSONB DEFAULT '{}'::jsonb,
+    
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    last_error TEXT,
+    
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- At most one outstanding job of each type per session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_jobs_outstanding
+    ON scheduled_jobs(job_type, session_id)
+    WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at);
+
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+-- When a session was opened and when it closes on its own. Pausing stops
+-- the clock: resume pushes auto_close_at back by the time spent paused.
+ALTER TABLE class_sessions
+    ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS auto_close_at TIMESTAMP WITH TIME ZONE;
+
+-- Lease due jobs (and jobs whose lease ran out) to one worker.
+-- SKIP LOCKED keeps concurrent workers from claiming the same row.
+CREATE OR REPLACE FUNCTION claim_due_jobs(p_worker_id VARCHAR(255), p_limit INTEGER DEFAULT 10, p_lease_seconds INTEGER DEFAULT 60)
+RETURNS SETOF scheduled_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE scheduled_jobs
+    SET status = 'running',
+        locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        attempts = attempts + 1,
+        updated_at = NOW()
+    WHERE id IN (
+        SELECT id
+        FROM scheduled_jobs
+        WHERE (status = 'pending' AND run_at <= NOW())
+           OR (status = 'running' AND locked_until < NOW())
+        ORDER BY run_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- STEP 20: AUTOMATIC SESSION OPEN/CLOSE
+-- =====================================================
+
+-- Opt-in per class: open each session shortly before start_time and
+-- complete it once end_time plus the buffer has passed
+ALTER TABLE class_instances
+    ADD COLUMN IF NOT EXISTS auto_session_enabled BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS auto_open_minutes_before INTEGER DEFAULT 5 CHECK (auto_open_minutes_before BETWEEN 0 AND 120),
+    ADD COLUMN IF NOT EXISTS auto_close_buffer_minutes INTEGER DEFAULT 10 CHECK (auto_close_buffer_minutes BETWEEN 0 AND 240);
+
+ALTER TABLE class_sessions
+    ADD COLUMN IF NOT EXISTS opened_automatically BOOLEAN DEFAULT false;
+
+-- Jobs that aren't tied to a session (e.g. the auto-open sweep) are also
+-- kept to one outstanding copy across instances
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_jobs_outstanding_global
+    ON scheduled_jobs(job_type)
+    WHERE session_id IS NULL AND status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_class_instances_auto_session ON class_instances(auto_session_enabled) WHERE auto_session_enabled = true;
+
+-- =====================================================
+-- STEP 21: ACADEMIC CALENDAR
+-- =====================================================
+
+-- Days in an academic period that don't follow the normal weekly schedule.
+-- 'holiday', 'break' and 'reading_day' have no classes; 'substitution'
+-- days run another weekday's schedule (e.g. a Tuesday that follows Monday).
+CREATE TABLE IF NOT EXISTS academic_calendar_days (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    academic_period_id UUID NOT NULL REFERENCES academic_periods(id) ON DELETE CASCADE,
+    name VARCHAR(150) NOT NULL, -- 'Thanksgiving Break', 'Fall Reading Day'
+    day_type VARCHAR(20) NOT NULL CHECK (day_type IN ('holiday', 'break', 'reading_day', 'substitution')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    follows_day VARCHAR(10) CHECK (follows_day IN ('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT academic_calendar_days_range CHECK (end_date >= start_date),
+    CONSTRAINT academic_calendar_days_follows CHECK (
+        (day_type = 'substitution') = (follows_day IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_academic_calendar_days_period ON academic_calendar_days(academic_period_id, start_date);
+
+ALTER TABLE academic_calendar_days ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- STEP 22: SESSION TYPES AND AD-HOC SESSIONS
+-- =====================================================
+
+-- Extra sessions (Saturday reviews, make-up lectures, exams) live alongside
+-- the generated schedule; session_type says what kind of meeting it is
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS session_type VARCHAR(20) DEFAULT 'lecture'
+    CHECK (session_type IN ('lecture', 'lab', 'exam', 'review', 'makeup'));
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS title VARCHAR(150); -- 'Midterm Review'
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS is_extra BOOLEAN DEFAULT false; -- added outside the generated schedule
+
+-- Which session types count toward a class's attendance percentage
+ALTER TABLE class_instances ADD COLUMN IF NOT EXISTS counted_session_types TEXT[]
+    DEFAULT ARRAY['lecture', 'lab', 'exam', 'makeup'];
+
+-- Session numbers are stable: an added session takes the next free number
+-- and a moved one keeps its own, so "Session 12" means the same thing in
+-- notifications, exports and disputes. Lists order by date, not number.
+DROP FUNCTION IF EXISTS renumber_class_sessions(UUID);
+
+-- =====================================================
+-- STEP 23: SESSION STATUS HISTORY
+-- =====================================================
+
+-- Session status only changes through backend/session-state.js, which
+-- stamps who made the change and why; the trigger below records it
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS status_changed_by UUID REFERENCES users(id);
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS status_change_reason TEXT;
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS session_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES class_sessions(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by UUID REFERENCES users(id), -- NULL for the scheduler (auto-open, auto-close)
+    reason TEXT,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_status_history_session ON session_status_history(session_id, changed_at);
+
+ALTER TABLE session_status_history ENABLE ROW LEVEL SECURITY;
+
+-- Written in the same statement as the status change so the two can't disagree
+CREATE OR REPLACE FUNCTION record_session_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        -- An update that didn't stamp the change (status_changed_at unchanged)
+        -- bypassed the state machine; don't credit the previous actor with it
+        IF NEW.status_changed_at IS DISTINCT FROM OLD.status_changed_at THEN
+            INSERT INTO session_status_history (session_id, from_status, to_status, changed_by, reason, changed_at)
+            VALUES (NEW.id, OLD.status, NEW.status, NEW.status_changed_by, NEW.status_change_reason, NEW.status_changed_at);
+        ELSE
+            INSERT INTO session_status_history (session_id, from_status, to_status, reason)
+            VALUES (NEW.id, OLD.status, NEW.status, 'Changed outside the session state machine');
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_record_session_status_change ON class_sessions;
+CREATE TRIGGER trigger_record_session_status_change
+    AFTER UPDATE OF status ON class_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION record_session_status_change();
+
+-- =====================================================
+-- STEP 24: ENTRY AND EXIT CHECK-INS
+-- =====================================================
+
+-- A professor can open a check-out window near the end of an active
+-- session. Once it is open, scans record check_out times instead of new
+-- check-ins; at close, anyone present or late who didn't check out is
+-- marked 'left_early' with the credit their class's policy gives.
+ALTER TABLE class_sessions ADD COLUMN IF NOT EXISTS checkout_opened_at TIMESTAMP WITH TIME ZONE; -- NULL = no check-out for this session
+
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS credit_percent INTEGER
+    CHECK (credit_percent BETWEEN 0 AND 100); -- Set for 'left_early', fixed when the session closes
+
+ALTER TABLE attendance_policies ADD COLUMN IF NOT EXISTS left_early_credit_percent INTEGER
+    CHECK (left_early_credit_percent BETWEEN 0 AND 100);
+
+-- Class attendance summary view (defined here, once credit_percent exists).
+-- Attendance statistics only cover sessions that aren't cancelled and whose
+-- type the class counts. Enrollments and records are each aggregated before
+-- joining so neither multiplies the other's counts (or the session counts).
+DROP MATERIALIZED VIEW IF EXISTS class_attendance_summary;
+
+CREATE MATERIALIZED VIEW class_attendance_summary AS
+SELECT 
+    ci.id as class_instance_id,
+    ci.class_code,
+    c.code as course_code,
+    c.name as course_name,
+    ci.section_number,
+    ap.name as period_name,
+    ci.professor_id,
+    p.employee_id,
+    u.first_name || ' ' || u.last_name as professor_name,
+    
+    -- Session counts
+    COUNT(cs.id) as total_sessions,
+    COUNT(CASE WHEN cs.status = 'completed' THEN 1 END) as completed_sessions,
+    COUNT(CASE WHEN cs.status = 'cancelled' THEN 1 END) as cancelled_sessions,
+    COUNT(CASE WHEN cs.is_active = true THEN 1 END) as active_sessions,
+    COUNT(CASE WHEN cs.is_extra = true THEN 1 END) as extra_sessions,
+    
+    -- Enrollment counts
+    COALESCE(enrolled.total_enrolled, 0) as total_enrolled,
+    COALESCE(enrolled.active_enrolled, 0) as active_enrolled,
+    
+    -- Attendance statistics (only for counted sessions)
+    COALESCE(SUM(CASE WHEN counted.counts THEN attended.record_count END), 0)::BIGINT as total_attendance_records,
+    COALESCE(SUM(CASE WHEN counted.counts THEN attended.present_count END), 0)::BIGINT as present_count,
+    COALESCE(SUM(CASE WHEN counted.counts THEN attended.late_count END), 0)::BIGINT as late_count,
+    COALESCE(SUM(CASE WHEN counted.counts THEN attended.absent_count END), 0)::BIGINT as absent_count,
+    COALESCE(SUM(CASE WHEN counted.counts THEN attended.excused_count END), 0)::BIGINT as excused_count,
+    COALESCE(SUM(CASE WHEN counted.counts THEN attended.left_early_count END), 0)::BIGINT as left_early_count,
+    
+    -- Calculated percentages. Credit matches getAttendanceCredit in
+    -- backend/attendance-policy.js: full for present, late and excused,
+    -- the stored credit_percent for left_early
+    CASE 
+        WHEN COALESCE(SUM(CASE WHEN counted.counts THEN attended.record_count END), 0) > 0 THEN 
+            ROUND((SUM(CASE WHEN counted.counts THEN attended.credit ELSE 0 END)::DECIMAL / 
+                   SUM(CASE WHEN counted.counts THEN attended.record_count END)) * 100, 2)
+        ELSE 0 
+    END as attendance_rate
+
+FROM class_instances ci
+LEFT JOIN courses c ON ci.course_id = c.id
+LEFT JOIN academic_periods ap ON ci.academic_period_id = ap.id
+LEFT JOIN professors p ON ci.professor_id = p.user_id
+LEFT JOIN users u ON p.user_id = u.id
+LEFT JOIN (
+    SELECT 
+        class_instance_id,
+        COUNT(DISTINCT student_id) as total_enrolled,
+        COUNT(DISTINCT CASE WHEN status = 'active' THEN student_id END) as active_enrolled
+    FROM enrollments
+    GROUP BY class_instance_id
+) enrolled ON ci.id = enrolled.class_instance_id
+LEFT JOIN class_sessions cs ON ci.id = cs.class_instance_id
+LEFT JOIN LATERAL (
+    SELECT cs.status != 'cancelled'
+        AND COALESCE(cs.session_type, 'lecture') = ANY(
+            COALESCE(ci.counted_session_types, ARRAY['lecture', 'lab', 'exam', 'makeup'])
+        ) AS counts
+) counted ON true
+LEFT JOIN (
+    SELECT 
+        session_id,
+        COUNT(*) as record_count,
+        COUNT(CASE WHEN status = 'present' THEN 1 END) as present_count,
+        COUNT(CASE WHEN status = 'late' THEN 1 END) as late_count,
+        COUNT(CASE WHEN status = 'absent' THEN 1 END) as absent_count,
+        COUNT(CASE WHEN status = 'excused' THEN 1 END) as excused_count,
+        COUNT(CASE WHEN status = 'left_early' THEN 1 END) as left_early_count,
+        SUM(CASE
+                WHEN status IN ('present', 'late', 'excused') THEN 1
+                WHEN status = 'left_early' THEN COALESCE(credit_percent, 0) / 100.0
+                ELSE 0
+            END) as credit
+    FROM attendance_records
+    GROUP BY session_id
+) attended ON cs.id = attended.session_id
+WHERE ci.is_active = true
+GROUP BY ci.id, ci.class_code, c.code, c.name, ci.section_number, ap.name, 
+         ci.professor_id, p.employee_id, u.first_name, u.last_name,
+         enrolled.total_enrolled, enrolled.active_enrolled;
+
+-- Create index on materialized view
+CREATE UNIQUE INDEX IF NOT EXISTS idx_class_attendance_summary_class_instance 
+ON class_attendance_summary(class_instance_id);
+
+-- =====================================================
+-- STEP 25: EXCUSED-ABSENCE REQUESTS
+-- =====================================================
+
+-- A student asks to be excused from one or more sessions of a class; the
+-- class's professor approves or denies it from a review queue. Approval
+-- marks the student's attendance for those sessions 'excused'.
+CREATE TABLE IF NOT EXISTS excuse_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id UUID NOT NULL REFERENCES students(user_id) ON DELETE CASCADE,
+    class_instance_id UUID NOT NULL REFERENCES class_instances(id) ON DELETE CASCADE,
+    category VARCHAR(30) NOT NULL CHECK (category IN ('illness', 'athletics', 'religious_observance', 'family')),
+    description TEXT,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+    reviewed_by UUID REFERENCES professors(user_id),
+    review_comment TEXT,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS excuse_request_sessions (
+    excuse_request_id UUID NOT NULL REFERENCES excuse_requests(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES class_sessions(id) ON DELETE CASCADE,
+    PRIMARY KEY (excuse_request_id, session_id)
+);
+
+-- Files live in the ATTENDANCE_DOCUMENTS_BUCKET storage bucket (private);
+-- the backend hands out short-lived signed URLs to read them
+CREATE TABLE IF NOT EXISTS excuse_request_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    excuse_request_id UUID NOT NULL REFERENCES excuse_requests(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_path VARCHAR(500) NOT NULL UNIQUE,
+    uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_excuse_requests_student ON excuse_requests(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_excuse_requests_class_status ON excuse_requests(class_instance_id, status);
+CREATE INDEX IF NOT EXISTS idx_excuse_request_sessions_session ON excuse_request_sessions(session_id);
+CREATE INDEX IF NOT EXISTS idx_excuse_request_documents_request ON excuse_request_documents(excuse_request_id);
+
+ALTER TABLE excuse_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE excuse_request_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE excuse_request_documents ENABLE ROW LEVEL SECURITY;
+
+-- Notification types for submitted and reviewed requests
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'attendance_reminder', 'attendance_marked', 'class_cancelled', 
+    'class_rescheduled', 'grade_posted', 'assignment_due', 
+    'announcement', 'system', 'class_enrolled', 'session_started', 
+    'attendance_recorded', 'excuse_submitted', 'excuse_reviewed'
+));
+
+-- Review a request in one transaction: the decision only lands while the
+-- request is still pending, and an approval marks the student 'excused'
+-- for each of its sessions at the same time (present and late records are
+-- left alone). Returns { result, request, records } where result is 'ok'
+-- or 'ALREADY_REVIEWED' and records are the attendance rows written.
+CREATE OR REPLACE FUNCTION review_excuse_request(
+    p_request_id UUID,
+    p_reviewer_id UUID,
+    p_decision VARCHAR(20),
+    p_comment TEXT,
+    p_change_reason TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+    request excuse_requests%ROWTYPE;
+    link RECORD;
+    existing attendance_records%ROWTYPE;
+    saved attendance_records%ROWTYPE;
+    records JSONB := '[]'::JSONB;
+BEGIN
+    UPDATE excuse_requests
+    SET status = p_decision,
+        reviewed_by = p_reviewer_id,
+        review_comment = p_comment,
+        reviewed_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_request_id
+      AND status = 'pending'
+    RETURNING * INTO request;
+    
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('result', 'ALREADY_REVIEWED');
+    END IF;
+    
+    IF p_decision = 'approved' THEN
+        FOR link IN
+            SELECT session_id FROM excuse_request_sessions WHERE excuse_request_id = p_request_id
+        LOOP
+            SELECT * INTO existing
+            FROM attendance_records
+            WHERE session_id = link.session_id AND student_id = request.student_id
+            FOR UPDATE;
+            
+            IF existing.id IS NULL THEN
+                INSERT INTO attendance_records (
+                    session_id, student_id, status, scanned_at,
+                    change_source, status_changed_by, status_changed_at, status_change_reason
+                )
+                VALUES (
+                    link.session_id, request.student_id, 'excused', NOW(),
+                    'excuse_approval', p_reviewer_id, NOW(), p_change_reason
+                )
+                RETURNING * INTO saved;
+            ELSIF existing.status IN ('present', 'late') THEN
+                CONTINUE;
+            ELSE
+                UPDATE attendance_records
+                SET status = 'excused',
+                    minutes_late = 0,
+                    credit_percent = NULL,
+                    change_source = 'excuse_approval',
+                    status_changed_by = p_reviewer_id,
+                    status_changed_at = NOW(),
+                    status_change_reason = p_change_reason
+                WHERE id = existing.id
+                RETURNING * INTO saved;
+            END IF;
+            
+            records := records || to_jsonb(saved);
+        END LOOP;
+    END IF;
+    
+    RETURN jsonb_build_object('result', 'ok', 'request', to_jsonb(request), 'records', records);
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- STEP 26: ATTENDANCE DISPUTES
+-- =====================================================
+
+-- A student who thinks a record is wrong (e.g. marked absent because their
+-- phone died) can dispute it for a while after the session; the class's
+-- professor accepts or rejects it. Open disputes nobody resolves expire.
+CREATE TABLE IF NOT EXISTS attendance_disputes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attendance_record_id UUID NOT NULL REFERENCES attendance_records(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES class_sessions(id) ON DELETE CASCADE,
+    class_instance_id UUID NOT NULL REFERENCES class_instances(id) ON DELETE CASCADE,
+    student_id UUID NOT NULL REFERENCES students(user_id) ON DELETE CASCADE,
+    disputed_status VARCHAR(20) NOT NULL, -- the record's status when the dispute was opened
+    reason TEXT NOT NULL,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'accepted', 'rejected', 'expired')),
+    resolved_status VARCHAR(20), -- status the record was given when accepted
+    resolved_by UUID REFERENCES professors(user_id),
+    resolution_comment TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one open dispute per record
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_disputes_open_record
+    ON attendance_disputes(attendance_record_id)
+    WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_attendance_disputes_class_status ON attendance_disputes(class_instance_id, status);
+CREATE INDEX IF NOT EXISTS idx_attendance_disputes_student ON attendance_disputes(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_attendance_disputes_expiry ON attendance_disputes(expires_at) WHERE status = 'open';
+
+-- Evidence, stored like excuse request documents
+CREATE TABLE IF NOT EXISTS attendance_dispute_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dispute_id UUID NOT NULL REFERENCES attendance_disputes(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_path VARCHAR(500) NOT NULL UNIQUE,
+    uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_dispute_documents_dispute ON attendance_dispute_documents(dispute_id);
+
+ALTER TABLE attendance_disputes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attendance_dispute_documents ENABLE ROW LEVEL SECURITY;
+
+-- How long after a session ends a record can be disputed, and how long the
+-- professor has to resolve a dispute before it expires
+ALTER TABLE attendance_policies ADD COLUMN IF NOT EXISTS dispute_window_hours INTEGER
+    CHECK (dispute_window_hours BETWEEN 0 AND 720);
+ALTER TABLE attendance_policies ADD COLUMN IF NOT EXISTS dispute_review_hours INTEGER
+    CHECK (dispute_review_hours BETWEEN 24 AND 1440);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'attendance_reminder', 'attendance_marked', 'class_cancelled', 
+    'class_rescheduled', 'grade_posted', 'assignment_due', 
+    'announcement', 'system', 'class_enrolled', 'session_started', 
+    'attendance_recorded', 'excuse_submitted', 'excuse_reviewed',
+    'dispute_opened', 'dispute_resolved'
+));
+
+-- Resolve a dispute in one transaction: the decision only lands while the
+-- dispute is still open, and an acceptance gives the disputed record the
+-- accepted status at the same time. Returns { result, dispute, record }
+-- where result is 'ok' or 'ALREADY_RESOLVED' and record is the attendance
+-- row written (null when rejected).
+CREATE OR REPLACE FUNCTION resolve_attendance_dispute(
+    p_dispute_id UUID,
+    p_resolver_id UUID,
+    p_decision VARCHAR(20),
+    p_resolved_status VARCHAR(20),
+    p_comment TEXT,
+    p_change_reason TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+    dispute attendance_disputes%ROWTYPE;
+    saved attendance_records%ROWTYPE;
+BEGIN
+    UPDATE attendance_disputes
+    SET status = p_decision,
+        resolved_status = CASE WHEN p_decision = 'accepted' THEN p_resolved_status END,
+        resolved_by = p_resolver_id,
+        resolution_comment = p_comment,
+        resolved_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_dispute_id
+      AND status = 'open'
+    RETURNING * INTO dispute;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('result', 'ALREADY_RESOLVED');
+    END IF;
+
+    IF p_decision = 'accepted' THEN
+        UPDATE attendance_records
+        SET status = p_resolved_status,
+            change_source = 'dispute_resolution',
+            status_changed_by = p_resolver_id,
+            status_changed_at = dispute.resolved_at,
+            status_change_reason = p_change_reason
+        WHERE id = dispute.attendance_record_id
+        RETURNING * INTO saved;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Attendance record % for dispute % not found', dispute.attendance_record_id, p_dispute_id;
+        END IF;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'result', 'ok',
+        'dispute', to_jsonb(dispute),
+        'record', CASE WHEN saved.id IS NULL THEN NULL ELSE to_jsonb(saved) END
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- STEP 27: ATTENDANCE AUDIT LOG
+-- =====================================================
+
+-- Every write to attendance_records stamps where it came from
+-- (backend/attendance-audit.js); the trigger below copies each change into
+-- an append-only log that grade appeals can rely on.
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS change_source VARCHAR(30);
+
+-- No foreign keys: entries must outlive the records, sessions and users they mention
+CREATE TABLE IF NOT EXISTS attendance_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attendance_record_id UUID NOT NULL,
+    session_id UUID NOT NULL,
+    student_id UUID NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+    field VARCHAR(30) NOT NULL DEFAULT 'status', -- 'status' or 'checked_out_at'
+    old_value TEXT,
+    new_value TEXT,
+    source VARCHAR(30) NOT NULL CHECK (source IN (
+        'scan', 'check_out', 'manual', 'auto_absent', 'auto_left_early',
+        'backfill', 'excuse_approval', 'dispute_resolution', 'untracked'
+    )),
+    actor_id UUID, -- the student for scans, the professor for manual changes, NULL for automatic ones
+    reason TEXT,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_audit_log_record ON attendance_audit_log(attendance_record_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_attendance_audit_log_session ON attendance_audit_log(session_id, changed_at);
+
+ALTER TABLE attendance_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION record_attendance_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    stamped BOOLEAN;
+    change_source VARCHAR(30);
+    change_actor UUID;
+    change_reason TEXT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO attendance_audit_log (attendance_record_id, session_id, student_id, action, old_value, source, reason)
+        VALUES (OLD.id, OLD.session_id, OLD.student_id, 'delete', OLD.status, 'untracked', 'Record deleted');
+        RETURN OLD;
+    END IF;
+    
+    IF TG_OP = 'INSERT' THEN
+        change_source := COALESCE(NEW.change_source, 'backfill');
+        INSERT INTO attendance_audit_log (attendance_record_id, session_id, student_id, action, new_value, source, actor_id, reason)
+        VALUES (
+            NEW.id, NEW.session_id, NEW.student_id, 'insert', NEW.status, change_source,
+            CASE WHEN change_source = 'scan' THEN NEW.student_id ELSE NEW.status_changed_by END,
+            NEW.status_change_reason
+        );
+        RETURN NEW;
+    END IF;
+    
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        -- A status change that didn't restamp status_changed_at bypassed
+        -- attendance-audit.js; don't credit the previous writer with it
+        stamped := NEW.status_changed_at IS DISTINCT FROM OLD.status_changed_at;
+        change_source := CASE WHEN stamped THEN COALESCE(NEW.change_source, 'untracked') ELSE 'untracked' END;
+        change_actor := CASE
+            WHEN NOT stamped THEN NULL
+            WHEN change_source = 'scan' THEN NEW.student_id
+            ELSE NEW.status_changed_by
+        END;
+        change_reason := CASE WHEN stamped THEN NEW.status_change_reason ELSE 'Changed without an audit stamp' END;
+        
+        INSERT INTO attendance_audit_log (attendance_record_id, session_id, student_id, action, old_value, new_value, source, actor_id, reason)
+        VALUES (NEW.id, NEW.session_id, NEW.student_id, 'update', OLD.status, NEW.status, change_source, change_actor, change_reason);
+    END IF;
+    
+    IF NEW.checked_out_at IS DISTINCT FROM OLD.checked_out_at THEN
+        INSERT INTO attendance_audit_log (attendance_record_id, session_id, student_id, action, field, old_value, new_value, source, actor_id)
+        VALUES (NEW.id, NEW.session_id, NEW.student_id, 'update', 'checked_out_at', OLD.checked_out_at::TEXT, NEW.checked_out_at::TEXT, 'check_out', NEW.student_id);
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_record_attendance_change ON attendance_records;
+CREATE TRIGGER trigger_record_attendance_change
+    AFTER INSERT OR UPDATE OR DELETE ON attendance_records
+    FOR EACH ROW
+    EXECUTE FUNCTION record_attendance_change();
+
+-- The log is append-only, even for the service role
+CREATE OR REPLACE FUNCTION reject_attendance_audit_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'attendance_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_attendance_audit_log_append_only ON attendance_audit_log;
+CREATE TRIGGER trigger_attendance_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON attendance_audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_attendance_audit_change();
+
+DROP TRIGGER IF EXISTS trigger_attendance_audit_log_no_truncate ON attendance_audit_log;
+CREATE TRIGGER trigger_attendance_audit_log_no_truncate
+    BEFORE TRUNCATE ON attendance_audit_log
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION reject_attendance_audit_change();
+
+-- =====================================================
+-- STEP 28: BULK ATTENDANCE EDITS
+-- =====================================================
+
+-- Apply a professor's batch of attendance changes for one session in a
+-- single transaction: either every change lands or none does. p_changes is
+-- a JSON array of { student_id, status, reason, only_if_missing }; rows
+-- with only_if_missing leave an existing record alone (a student who
+-- scanned in while the batch was being prepared). Returns one result per
+-- change: { student_id, attendance_record_id, previous_status, status, outcome }
+-- with outcome 'created', 'updated', 'unchanged' or 'skipped'. A status
+-- change clears minutes_late and credit_percent, which only described the
+-- old status.
+CREATE OR REPLACE FUNCTION apply_attendance_changes(p_session_id UUID, p_actor_id UUID, p_changes JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    change JSONB;
+    change_student UUID;
+    existing_id UUID;
+    existing_status VARCHAR(20);
+    saved_id UUID;
+    saved_status VARCHAR(20);
+    outcome VARCHAR(20);
+    results JSONB := '[]'::JSONB;
+BEGIN
+    FOR change IN SELECT * FROM jsonb_array_elements(p_changes) LOOP
+        change_student := (change->>'student_id')::UUID;
+        
+        SELECT id, status INTO existing_id, existing_status
+        FROM attendance_records
+        WHERE session_id = p_session_id AND student_id = change_student
+        FOR UPDATE;
+        
+        IF existing_id IS NOT NULL AND COALESCE((change->>'only_if_missing')::BOOLEAN, false) THEN
+            outcome := 'skipped';
+            saved_id := existing_id;
+            saved_status := existing_status;
+        ELSIF existing_id IS NOT NULL AND existing_status = change->>'status' THEN
+            outcome := 'unchanged';
+            saved_id := existing_id;
+            saved_status := existing_status;
+        ELSIF existing_id IS NOT NULL THEN
+            UPDATE attendance_records
+            SET status = change->>'status',
+                minutes_late = 0,
+                credit_percent = NULL,
+                change_source = 'manual',
+                status_changed_by = p_actor_id,
+                status_changed_at = NOW(),
+                status_change_reason = change->>'reason'
+            WHERE id = existing_id;
+            
+            outcome := 'updated';
+            saved_id := existing_id;
+            saved_status := change->>'status';
+        ELSE
+            INSERT INTO attendance_records (
+                session_id, student_id, status, scanned_at,
+                change_source, status_changed_by, status_changed_at, status_change_reason
+            )
+            VALUES (
+                p_session_id, change_student, change->>'status', NOW(),
+                'manual', p_actor_id, NOW(), change->>'reason'
+            )
+            RETURNING id INTO saved_id;
+            
+            outcome := 'created';
+            saved_status := change->>'status';
+        END IF;
+        
+        results := results || jsonb_build_object(
+            'student_id', change_student,
+            'attendance_record_id', saved_id,
+            'previous_status', existing_status,
+            'status', saved_status,
+            'outcome', outcome
+        );
+    END LOOP;
+    
+    RETURN results;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- STEP 29: ATTENDANCE GRADE COMPONENT
+-- =====================================================
+
+-- How a class turns attendance into a grade component
+-- (backend/attendance-grading.js). Classes without a row use the built-in rules.
+CREATE TABLE IF NOT EXISTS attendance_grade_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    class_instance_id UUID NOT NULL UNIQUE REFERENCES class_instances(id) ON DELETE CASCADE,
+    
+    weight_percent NUMERIC(5,2) NOT NULL DEFAULT 10 CHECK (weight_percent BETWEEN 0 AND 100), -- share of the final grade
+    late_credit_percent INTEGER NOT NULL DEFAULT 100 CHECK (late_credit_percent BETWEEN 0 AND 100),
+    left_early_credit_percent INTEGER CHECK (left_early_credit_percent BETWEEN 0 AND 100), -- NULL = the credit stored on the record
+    free_absences INTEGER NOT NULL DEFAULT 0 CHECK (free_absences BETWEEN 0 AND 50), -- absences credited in full
+    excused_mode VARCHAR(10) NOT NULL DEFAULT 'present' CHECK (excused_mode IN ('present', 'exclude')), -- full credit, or left out entirely
+    
+    updated_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE attendance_grade_rules ENABLE ROW LEVEL SECURITY;
+
+-- A professor's replacement for a student's computed attendance score
+CREATE TABLE IF NOT EXISTS attendance_grade_overrides (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    enrollment_id UUID NOT NULL UNIQUE REFERENCES enrollments(id) ON DELETE CASCADE,
+    score_percent NUMERIC(5,2) NOT NULL CHECK (score_percent BETWEEN 0 AND 100),
+    reason TEXT NOT NULL,
+    overridden_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE attendance_grade_overrides ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- STEP 30: IDEMPOTENT AND OFFLINE SCAN SUBMISSIONS
+-- =====================================================
+
+-- Result of each scan submitted with a client idempotency key, so a retry
+-- gets the original answer instead of "already marked" (backend/scan-idempotency.js)
+CREATE TABLE IF NOT EXISTS scan_submissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_number VARCHAR(50) NOT NULL, -- students.student_id as sent with the scan
+    idempotency_key VARCHAR(128) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL, -- a reused key with a different scan is rejected
+    status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    
+    UNIQUE(student_number, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_submissions_created ON scan_submissions(created_at);
+
+ALTER TABLE scan_submissions ENABLE ROW LEVEL SECURITY;
+
+-- Public half (base64 SPKI) of the ECDSA P-256 key a device signs offline
+-- captures with; the private key stays on the device. A capture time is
+-- only believed when it carries this signature.
+ALTER TABLE student_devices ADD COLUMN IF NOT EXISTS public_key TEXT;
+
+-- When the device captured the QR, and whether the scan reached us after the code expired
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS captured_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS submitted_offline BOOLEAN DEFAULT false;
+
+-- Offline submissions go into the professor's flagged scan review
+ALTER TABLE attendance_flags DROP CONSTRAINT IF EXISTS attendance_flags_flag_type_check;
+ALTER TABLE attendance_flags ADD CONSTRAINT attendance_flags_flag_type_check CHECK (flag_type IN (
+    'shared_device', 'shared_ip', 'untrusted_device', 'out_of_range', 'offline_submission'
+));
+
+-- Accept a nonce scanned earlier and submitted after it expired: it must have
+-- been live (issued, not yet expired or revoked) at the claimed capture time,
+-- give or take p_skew_seconds of device clock drift. Like check_qr_nonce it
+-- doesn't count the use. Returns 'ok' or a rejection code.
+DROP FUNCTION IF EXISTS consume_captured_qr_nonce(VARCHAR, UUID, TIMESTAMP WITH TIME ZONE, INTEGER);
+CREATE OR REPLACE FUNCTION check_captured_qr_nonce(
+    p_nonce VARCHAR(64),
+    p_session_id UUID,
+    p_captured_at TIMESTAMP WITH TIME ZONE,
+    p_skew_seconds INTEGER DEFAULT 30
+)
+RETURNS VARCHAR(32) AS $$
+DECLARE
+    nonce_rec RECORD;
+    skew INTERVAL := make_interval(secs => p_skew_seconds);
+BEGIN
+    SELECT * INTO nonce_rec
+    FROM qr_nonces
+    WHERE nonce = p_nonce;
+    
+    IF NOT FOUND THEN
+        RETURN 'QR_UNKNOWN_NONCE';
+    END IF;
+    
+    IF nonce_rec.session_id <> p_session_id THEN
+        RETURN 'QR_SESSION_MISMATCH';
+    END IF;
+    
+    IF p_captured_at < nonce_rec.issued_at - skew
+        OR p_captured_at > LEAST(nonce_rec.expires_at, COALESCE(nonce_rec.revoked_at, 'infinity')) + skew THEN
+        RETURN 'CAPTURE_OUTSIDE_LIFETIME';
+    END IF;
+    
+    IF nonce_rec.max_uses IS NOT NULL AND nonce_rec.use_count >= nonce_rec.max_uses THEN
+        RETURN 'QR_USE_LIMIT';
+    END IF;
+    
+    RETURN 'ok';
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- STEP 31: ATOMIC SCAN RECORDING
+-- =====================================================
+
+-- One-off data fix. attendance_count now counts students who attended
+-- (present, late, excused; see update_session_attendance_count) instead of
+-- every record, absences included. Recount existing sessions so they match;
+-- re-running it changes nothing.
+UPDATE class_sessions cs
+SET attendance_count = counted.attended
+FROM (
+    SELECT s.id, COUNT(ar.id) FILTER (WHERE ar.status IN ('present', 'late', 'excused')) AS attended
+    FROM class_sessions s
+    LEFT JOIN attendance_records ar ON ar.session_id = s.id
+    GROUP BY s.id
+) counted
+WHERE cs.id = counted.id
+  AND cs.attendance_count IS DISTINCT FROM counted.attended;
+
+-- Record a QR scan in one transaction: check the session is open, the
+-- student exists and is enrolled, and what they already have on record,
+-- then write the check-in or check-out. The session row stays locked until
+-- commit, so scans for a session are applied one at a time, none lands
+-- after the session closes, and the totals returned are the ones this scan
+-- produced. p_scan holds the attendance_records columns the server worked
+-- out before calling (scanned_at, status, minutes_late, device, location,
+-- audit stamp). p_nonce is the scanned QR nonce (NULL for time-step codes);
+-- its use is counted only once every other check has passed. Returns
+-- { result, outcome, student_user_id, record, attended_count, total_records }
+-- where result is 'ok' or a rejection code (SESSION_NOT_ACTIVE,
+-- STUDENT_NOT_FOUND, NOT_ENROLLED, ALREADY_MARKED, CHECKOUT_CLOSED,
+-- NOT_CHECKED_IN, ALREADY_CHECKED_OUT, QR_USE_LIMIT) and outcome is
+-- 'checked_in', 'replaced_absence' or 'checked_out'.
+DROP FUNCTION IF EXISTS record_attendance_scan(UUID, VARCHAR, TEXT[], JSONB);
+CREATE OR REPLACE FUNCTION record_attendance_scan(
+    p_session_id UUID,
+    p_student_number VARCHAR(50),
+    p_session_statuses TEXT[],
+    p_scan JSONB,
+    p_nonce VARCHAR(64) DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    session_rec RECORD;
+    student_user UUID;
+    scan attendance_records%ROWTYPE := jsonb_populate_record(NULL::attendance_records, p_scan);
+    existing attendance_records%ROWTYPE;
+    saved attendance_records%ROWTYPE;
+    outcome VARCHAR(20);
+    attended INTEGER;
+    total INTEGER;
+BEGIN
+    SELECT id, class_instance_id, status, checkout_opened_at INTO session_rec
+    FROM class_sessions
+    WHERE id = p_session_id
+    FOR UPDATE;
+    
+    IF NOT FOUND OR NOT (session_rec.status = ANY(p_session_statuses)) THEN
+        RETURN jsonb_build_object('result', 'SESSION_NOT_ACTIVE');
+    END IF;
+    
+    SELECT user_id INTO student_user
+    FROM students
+    WHERE student_id = p_student_number;
+    
+    IF student_user IS NULL THEN
+        RETURN jsonb_build_object('result', 'STUDENT_NOT_FOUND');
+    END IF;
+    
+    IF NOT EXISTS (
+        SELECT 1 FROM enrollments
+        WHERE student_id = student_user
+          AND class_instance_id = session_rec.class_instance_id
+          AND status = 'active'
+    ) THEN
+        RETURN jsonb_build_object('result', 'NOT_ENROLLED', 'student_user_id', student_user);
+    END IF;
+    
+    SELECT * INTO existing
+    FROM attendance_records
+    WHERE session_id = p_session_id AND student_id = student_user
+    FOR UPDATE;
+    
+    IF session_rec.checkout_opened_at IS NOT NULL AND scan.scanned_at >= session_rec.checkout_opened_at THEN
+        -- Once check-out is open, scans only check out students who checked in
+        IF session_rec.status = 'completed' THEN
+            RETURN jsonb_build_object('result', 'CHECKOUT_CLOSED', 'student_user_id', student_user);
+        ELSIF existing.id IS NULL THEN
+            RETURN jsonb_build_object('result', 'NOT_CHECKED_IN', 'student_user_id', student_user);
+        ELSIF existing.checked_out_at IS NOT NULL THEN
+            RETURN jsonb_build_object('result', 'ALREADY_CHECKED_OUT', 'student_user_id', student_user, 'record', to_jsonb(existing));
+        END IF;
+        
+        outcome := 'checked_out';
+    ELSIF existing.id IS NOT NULL
+        AND NOT (COALESCE(scan.submitted_offline, false) AND existing.change_source = 'auto_absent') THEN
+        RETURN jsonb_build_object('result', 'ALREADY_MARKED', 'student_user_id', student_user, 'record', to_jsonb(existing));
+    ELSIF existing.id IS NOT NULL THEN
+        -- An offline check-in that arrives after the session closed replaces
+        -- the absence recorded when it closed
+        outcome := 'replaced_absence';
+    ELSE
+        outcome := 'checked_in';
+    END IF;
+    
+    -- The scan is going through: count it against the code's use limit
+    IF p_nonce IS NOT NULL THEN
+        UPDATE qr_nonces
+        SET use_count = use_count + 1
+        WHERE nonce = p_nonce
+          AND (max_uses IS NULL OR use_count < max_uses);
+        
+        IF NOT FOUND THEN
+            RETURN jsonb_build_object('result', 'QR_USE_LIMIT', 'student_user_id', student_user);
+        END IF;
+    END IF;
+    
+    IF outcome = 'checked_out' THEN
+        UPDATE attendance_records
+        SET checked_out_at = scan.scanned_at
+        WHERE id = existing.id
+        RETURNING * INTO saved;
+    ELSIF outcome = 'replaced_absence' THEN
+        UPDATE attendance_records
+        SET scanned_at = scan.scanned_at,
+            captured_at = scan.captured_at,
+            submitted_offline = scan.submitted_offline,
+            status = scan.status,
+            minutes_late = scan.minutes_late,
+            device_fingerprint = scan.device_fingerprint,
+            ip_address = scan.ip_address,
+            qr_secret_used = scan.qr_secret_used,
+            location_latitude = scan.location_latitude,
+            location_longitude = scan.location_longitude,
+            location_accuracy = scan.location_accuracy,
+            distance_from_room = scan.distance_from_room,
+            geofence_result = scan.geofence_result,
+            geofence_flagged = scan.geofence_flagged,
+            change_source = scan.change_source,
+            status_changed_by = scan.status_changed_by,
+            status_changed_at = scan.status_changed_at,
+            status_change_reason = scan.status_change_reason
+        WHERE id = existing.id
+        RETURNING * INTO saved;
+    ELSE
+        INSERT INTO attendance_records (
+            session_id, student_id, scanned_at, captured_at, submitted_offline, status, minutes_late,
+            device_fingerprint, ip_address, qr_secret_used,
+            location_latitude, location_longitude, location_accuracy,
+            distance_from_room, geofence_result, geofence_flagged,
+            change_source, status_changed_by, status_changed_at, status_change_reason
+        )
+        VALUES (
+            p_session_id, student_user, scan.scanned_at, scan.captured_at, COALESCE(scan.submitted_offline, false),
+            scan.status, scan.minutes_late, scan.device_fingerprint, scan.ip_address, scan.qr_secret_used,
+            scan.location_latitude, scan.location_longitude, scan.location_accuracy,
+            scan.distance_from_room, scan.geofence_result, COALESCE(scan.geofence_flagged, false),
+            scan.change_source, scan.status_changed_by, scan.status_changed_at, scan.status_change_reason
+        )
+        RETURNING * INTO saved;
+    END IF;
+    
+    SELECT COUNT(*) FILTER (WHERE status IN ('present', 'late', 'excused')), COUNT(*)
+    INTO attended, total
+    FROM attendance_records
+    WHERE session_id = p_session_id;
+    
+    RETURN jsonb_build_object(
+        'result', 'ok',
+        'outcome', outcome,
+        'student_user_id', student_user,
+        'record', to_jsonb(saved),
+        'attended_count', attended,
+        'total_records', total
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- STEP 32: TEACHING ASSISTANTS AND DEPARTMENT ADMINS
+-- =====================================================
+-- Route access is decided in backend/authorization.js from users.role
+-- ('student', 'professor', 'ta', 'department_admin' or 'admin') and these
+-- assignments.
+
+-- TAs assigned to a class can view it and run its live sessions
+CREATE TABLE IF NOT EXISTS class_teaching_assistants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    class_instance_id UUID NOT NULL REFERENCES class_instances(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    added_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(class_instance_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_class_teaching_assistants_user ON class_teaching_assistants(user_id);
+
+-- Department admins see every class their department offers and manage its attendance policy
+CREATE TABLE IF NOT EXISTS department_admins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    department_id UUID NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(department_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_department_admins_user ON department_admins(user_id);
+
+ALTER TABLE class_teaching_assistants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE department_admins ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- STEP 33: PASSWORD RESET TOKENS
+-- =====================================================
+
+-- Reset links issued by /api/auth/forgot-password (backend/password-reset.js).
+-- Only a SHA-256 hash of each token is kept; a token works once, until it expires.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE, -- also set when a newer link replaces this one
+    requested_ip INET,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_created ON password_reset_tokens(created_at);
+
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+
+-- A completed reset signs the user out everywhere: their Supabase Auth
+-- sessions (and with them their refresh tokens) are dropped, and access
+-- tokens issued before sessions_revoked_at are refused by the API.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sessions_revoked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE OR REPLACE FUNCTION revoke_user_sessions(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    v_sessions INTEGER;
+BEGIN
+    UPDATE users
+    SET sessions_revoked_at = NOW()
+    WHERE id = p_user_id;
+    
+    DELETE FROM auth.sessions WHERE user_id = p_user_id;
+    GET DIAGNOSTICS v_sessions = ROW_COUNT;
+    
+    RETURN jsonb_build_object('result', 'ok', 'sessions', v_sessions);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the backend (service role) may sign users out
+REVOKE EXECUTE ON FUNCTION revoke_user_sessions(UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { signLocalToken } = require('./backend/auth-middleware.js');
+require('dotenv').config();
+
+// Load test for POST /api/attendance/scan: fires a burst of check-ins at
+// a running backend, reports the rate and latency it got and checks the
+// session's attendance_count afterwards.
+//
+//   node load-test-scan.js <sessionId> [--scans 300] [--seconds 30] [--server http://localhost:3001]
+//
+// Use an active test session (geofencing off, check-out not open) whose
+// class has at least --scans enrolled students without a record yet; extra
+// scans reuse students and are expected to come back "already marked".
+// Every scan comes from this machine, so expect shared_ip flags.
+// Requests sign in with tokens minted from AUTH_LOCAL_SIGNING_KEY, which
+// the backend must be running with too.
+
+// Create Supabase client
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const parseArgs = (argv) => {
+  const options = { scans: 300, seconds: 30, server: process.env.BACKEND_URL || 'http://localhost:3001' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--scans') options.scans = parseInt(argv[++i], 10);
+    else if (argv[i] === '--seconds') options.seconds = parseFloat(argv[++i]);
+    else if (argv[i] === '--server') options.server = argv[++i];
+    else options.sessionId = argv[i];
+  }
+
+  return options;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const percentile = (sorted, p) => sorted.length === 0
+  ? 0
+  : sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+async function countAttendance(sessionId) {
+  const { data: session, error: sessionError } = await supabase
+    .from('class_sessions')
+    .select('attendance_count')
+    .eq('id', sessionId)
+    .single();
+
+  if (sessionError) throw sessionError;
+
+  const { data: records, error: recordsError } = await supabase
+    .from('attendance_records')
+    .select('status')
+    .eq('session_id', sessionId);
+
+  if (recordsError) throw recordsError;
+
+  return {
+    stored: session.attendance_count,
+    attended: records.filter(record => ['present', 'late', 'excused'].includes(record.status)).length,
+    records: records.length
+  };
+}
+
+async function runLoadTest() {
+  const { sessionId, scans, seconds, server } = parseArgs(process.argv.slice(2));
+
+  if (!sessionId || !Number.isInteger(scans) || scans <= 0 || !(seconds > 0)) {
+    console.error('Usage: node load-test-scan.js <sessionId> [--scans 300] [--seconds 30] [--server http://localhost:3001]');
+    process.exit(1);
+  }
+
+  console.log(`🚀 Load testing ${server}/api/attendance/scan: ${scans} scans in ${seconds}s for session ${sessionId}`);
+
+  const { data: session, error: sessionError } = await supabase
+    .from('class_sessions')
+    .select('id, class_instance_id, status, class_instances!inner(professor_id)')
+    .eq('id', sessionId)
+    .single();
+
+  if (sessionError || !session || session.status !== 'active') {
+    console.error('❌ Session not found or not active:', sessionError);
+    process.exit(1);
+  }
+
+  const { data: enrollments, error: enrollmentsError } = await supabase
+    .from('enrollments')
+    .select('student_id')
+    .eq('class_instance_id', session.class_instance_id)
+    .eq('status', 'active');
+
+  if (enrollmentsError || !enrollments || enrollments.length === 0) {
+    console.error('❌ No enrolled students found:', enrollmentsError);
+    process.exit(1);
+  }
+
+  const studentTokens = enrollments.map(enrollment => signLocalToken(enrollment.student_id));
+  const professorToken = signLocalToken(session.class_instances.professor_id);
+  if (studentTokens.length < scans) {
+    console.log(`⚠️ Only ${studentTokens.length} students enrolled; ${scans - studentTokens.length} scans will repeat a student`);
+  }
+
+  const before = await countAttendance(sessionId);
+  console.log('📊 Before:', before);
+
+  // Keep a current QR payload, refreshed well inside its lifetime
+  let qrData = null;
+  const refreshQR = async () => {
+    const response = await fetch(`${server}/api/sessions/${sessionId}/qr-code`, {
+      headers: { Authorization: `Bearer ${professorToken}` }
+    });
+    const body = await response.json();
+    if (!body.success) throw new Error(`Could not fetch QR code: ${body.error}`);
+    qrData = body.qr_code;
+  };
+
+  await refreshQR();
+  const qrTimer = setInterval(() => {
+    refreshQR().catch(error => console.error('❌ QR refresh failed:', error.message));
+  }, 5000);
+
+  const outcomes = {};
+  const latencies = [];
+  const interval = (seconds * 1000) / scans;
+  const startedAt = Date.now();
+
+  const sendScan = async (studentToken) => {
+    const sentAt = Date.now();
+    let outcome;
+
+    try {
+      const response = await fetch(`${server}/api/attendance/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${studentToken}` },
+        body: JSON.stringify({
+          qrData,
+          deviceId: crypto.randomBytes(16).toString('hex'),
+          idempotencyKey: crypto.randomUUID()
+        })
+      });
+      const body = await response.json();
+      outcome = `${response.status} ${body.success ? 'ok' : body.code || body.error}`;
+    } catch (error) {
+      outcome = `network ${error.message}`;
+    }
+
+    latencies.push(Date.now() - sentAt);
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+  };
+
+  // Send at an even rate without waiting for earlier scans to finish
+  const inFlight = [];
+  for (let i = 0; i < scans; i++) {
+    const due = startedAt + i * interval;
+    if (due > Date.now()) await sleep(due - Date.now());
+    inFlight.push(sendScan(studentTokens[i % studentTokens.length]));
+  }
+
+  await Promise.all(inFlight);
+  clearInterval(qrTimer);
+
+  const elapsed = (Date.now() - startedAt) / 1000;
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const after = await countAttendance(sessionId);
+  const serverErrors = Object.entries(outcomes)
+    .filter(([outcome]) => outcome.startsWith('5') || outcome.startsWith('network'))
+    .reduce((sum, [, count]) => sum + count, 0);
+
+  console.log('\n📋 Results');
+  console.log(`   ${scans} scans finished in ${elapsed.toFixed(1)}s (${(scans / elapsed).toFixed(1)} scans/s, ${seconds}s requested)`);
+  console.log('   Outcomes:', outcomes);
+  console.log(`   Latency ms: p50 ${percentile(sorted, 50)}, p95 ${percentile(sorted, 95)}, p99 ${percentile(sorted, 99)}, max ${sorted[sorted.length - 1]}`);
+  console.log('📊 After:', after);
+
+  const countConsistent = after.stored === after.attended;
+
+  console.log(countConsistent
+    ? '✅ attendance_count matches the attended records'
+    : `❌ attendance_count drifted: stored ${after.stored}, attended ${after.attended}`);
+  console.log(serverErrors === 0 ? '✅ No server errors' : `❌ ${serverErrors} scans failed with a server or network error`);
+
+  process.exit(countConsistent && serverErrors === 0 ? 0 : 1);
+}
+
+runLoadTest().catch(error => {
+  console.error('❌ Load test failed:', error);
+  process.exit(1);
+});